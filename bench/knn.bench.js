@@ -0,0 +1,61 @@
+// Live kNN cost per frame: brute-force classifyKNN vs classifyIndexed.
+//   node bench/knn.bench.js
+// Queries are held-out-like (bundled examples plus jitter); every result is also checked
+// to be identical between the two paths.
+
+const ASLDataset = require("../core/dataset");
+const ASLKnn = require("../core/knn");
+const { loadBundled } = require("../test/fixtures");
+
+const QUERIES = 300;
+
+function mulberry32(seed) {
+  return function () {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const rand = mulberry32(7);
+const jitter = (feats, amt) => feats.map((v) => v + (rand() - 0.5) * amt);
+
+// bundled dataset, then copies of it with jitter to stand in for bigger team datasets
+function scaled(base, times) {
+  const out = ASLDataset.createEmptyExamples();
+  for (const l of ASLDataset.ALL_LABELS) {
+    for (let t = 0; t < times; t++) out[l].push(...base[l].map((f) => (t === 0 ? f : jitter(f, 0.05))));
+  }
+  return out;
+}
+
+function time(fn) {
+  const t0 = process.hrtime.bigint();
+  fn();
+  return Number(process.hrtime.bigint() - t0) / 1e6;
+}
+
+const base = ASLDataset.readExamples(loadBundled());
+const all = ASLDataset.ALL_LABELS.flatMap((l) => base[l]);
+const queries = Array.from({ length: QUERIES }, () => jitter(all[Math.floor(rand() * all.length)], 0.1));
+
+for (const times of [1, 4]) {
+  const examples = scaled(base, times);
+  const index = ASLKnn.createIndex(examples);
+
+  let mismatches = 0;
+  for (const q of queries) {
+    if (JSON.stringify(ASLKnn.classifyKNN(q, examples)) !== JSON.stringify(ASLKnn.classifyIndexed(q, index))) mismatches++;
+  }
+
+  const brute = time(() => queries.forEach((q) => ASLKnn.classifyKNN(q, examples)));
+  const indexed = time(() => queries.forEach((q) => ASLKnn.classifyIndexed(q, index)));
+
+  console.log(
+    `${String(index.count).padStart(5)} examples: brute ${(brute / QUERIES).toFixed(3)} ms/frame, ` +
+      `indexed ${(indexed / QUERIES).toFixed(3)} ms/frame (${(brute / indexed).toFixed(1)}×), ` +
+      `mismatches ${mismatches}`
+  );
+}
@@ -0,0 +1,153 @@
+// core/augment.js — synthetic variants of stored examples for small datasets
+// Each variant perturbs the example's landmarks the way another take of the same sign would
+// differ (finger bends, per-joint noise, a slight turn of the hand out of the image plane,
+// uneven scale) and runs the active extractor on the result.
+// In-plane rotation and overall scale are left alone: every extractor normalises them away.
+// No mirror images: every example is stored as a right hand (a left hand's landmarks are
+// mirrored before features), so a mirrored variant is a hand the live input never gives.
+// Examples without raw landmarks are rebuilt from point features (XY / XYZ, z = 0 for XY).
+// Variants are seeded per label + index, so regenerating a dataset gives the same ones and
+// the variants of a newly added example match what a full run would have made.
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLAugment)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports)
+    module.exports = factory(require("./dataset"), require("./features"), require("./mlp"));
+  else root.ASLAugment = factory(root.ASLDataset, root.ASLFeatures, root.ASLMlp);
+})(this, function (ASLDataset, ASLFeatures, ASLMlp) {
+  "use strict";
+
+  const { ALL_LABELS } = ASLDataset;
+
+  const DEFAULTS = {
+    perExample: 3,
+    turn: 0.3, // max out-of-plane rotation (radians) about the wrist, around x and y
+    scale: 0.08, // max uneven x / y stretch
+    jitter: 0.025, // per-joint noise, in wrist → middle-knuckle lengths
+    bend: 0.15, // max extra bend per finger joint (radians)
+    seed: 1,
+  };
+
+  // Finger chains from the knuckle out (thumb from its base)
+  const FINGERS = [
+    [1, 2, 3, 4],
+    [5, 6, 7, 8],
+    [9, 10, 11, 12],
+    [13, 14, 15, 16],
+    [17, 18, 19, 20],
+  ];
+
+  // values per point of the extractors that store normalised points
+  const POINT_FEATURES = { [ASLFeatures.FEATURE_NAME]: 2, xyz_rot_norm: 3, two_hand_xy: 2 };
+
+  // Landmarks to perturb: the raw ones, or points read back from point features. null when neither
+  function sourceLandmarks(feats, lm, featureName) {
+    if (lm) return lm;
+    const step = POINT_FEATURES[featureName];
+    if (!step || !Array.isArray(feats)) return null;
+    const n = featureName === "two_hand_xy" ? (feats[84] ? 42 : 21) : Math.floor(feats.length / step);
+    const out = [];
+    for (let i = 0; i < n; i++) out.push([feats[i * step], feats[i * step + 1], step === 3 ? feats[i * step + 2] : 0]);
+    return out;
+  }
+
+  // FNV-1a of label + index, mixed with the seed
+  function seedFor(label, i, seed) {
+    let h = 2166136261 ^ seed;
+    for (const c of `${label}:${i}`) h = Math.imul(h ^ c.charCodeAt(0), 16777619);
+    return h >>> 0;
+  }
+
+  function rotateAbout(p, c, ang) {
+    const cos = Math.cos(ang);
+    const sin = Math.sin(ang);
+    const x = p[0] - c[0];
+    const y = p[1] - c[1];
+    return [c[0] + x * cos - y * sin, c[1] + x * sin + y * cos, p[2]];
+  }
+
+  // One perturbed copy of 21 (or 42: each hand of 21 in turn) landmarks
+  function perturb(lm, rand, o) {
+    const out = lm.map((p) => p.slice());
+    const span = (max) => (rand() * 2 - 1) * max;
+
+    for (let h = 0; h + 21 <= out.length; h += 21) {
+      const wrist = out[h];
+      const bone = Math.hypot(out[h + 9][0] - wrist[0], out[h + 9][1] - wrist[1]) || 1;
+
+      // curl each joint a little: everything past it turns about it
+      for (const chain of FINGERS) {
+        for (let j = 0; j < chain.length - 1; j++) {
+          const pivot = out[h + chain[j]];
+          const ang = span(o.bend);
+          for (let t = j + 1; t < chain.length; t++) out[h + chain[t]] = rotateAbout(out[h + chain[t]], pivot, ang);
+        }
+      }
+
+      for (let i = h; i < h + 21; i++) {
+        for (let d = 0; d < 3; d++) out[i][d] += span(o.jitter) * bone;
+      }
+    }
+
+    // out-of-plane turn (yaw about y, then pitch about x) and uneven stretch, about the wrist
+    const [wx, wy, wz] = out[0];
+    const yaw = span(o.turn);
+    const pitch = span(o.turn);
+    const sx = 1 + span(o.scale);
+    const sy = 1 + span(o.scale);
+    return out.map(([x, y, z]) => {
+      let dx = x - wx,
+        dy = y - wy,
+        dz = z - wz;
+      [dx, dz] = [dx * Math.cos(yaw) + dz * Math.sin(yaw), -dx * Math.sin(yaw) + dz * Math.cos(yaw)];
+      [dy, dz] = [dy * Math.cos(pitch) - dz * Math.sin(pitch), dy * Math.sin(pitch) + dz * Math.cos(pitch)];
+      return [wx + dx * sx, wy + dy * sy, wz + dz];
+    });
+  }
+
+  // Variants of examples[label][i] as feature vectors ([] when it can't be perturbed)
+  function variantsOf(label, i, feats, lm, featureName, opts = {}) {
+    const o = { ...DEFAULTS, ...opts };
+    const src = sourceLandmarks(feats, lm, featureName);
+    if (!src || src.length < 21) return [];
+
+    const rand = ASLMlp.mulberry32(seedFor(label, i, o.seed));
+    const out = [];
+    for (let v = 0; v < o.perExample; v++) out.push(ASLFeatures.featuresFromLandmarks(perturb(src, rand, o), featureName));
+    return out;
+  }
+
+  // The whole synthetic set: { examples: { label: [feats] }, count, skipped } (skipped =
+  // examples with neither landmarks nor point features). `from` skips the first n of a label
+  // (e.g. a base model that shouldn't be augmented).
+  function augmentExamples(examples, landmarks, featureName, opts = {}) {
+    const out = ASLDataset.createEmptyExamples();
+    let count = 0;
+    let skipped = 0;
+    for (const l of ALL_LABELS) {
+      (examples[l] || []).forEach((feats, i) => {
+        if (i < (opts.from?.[l] || 0)) return;
+        const vs = variantsOf(l, i, feats, landmarks?.[l]?.[i] ?? null, featureName, opts);
+        if (vs.length === 0) skipped++;
+        out[l].push(...vs);
+        count += vs.length;
+      });
+    }
+    return { examples: out, count, skipped };
+  }
+
+  // examples plus synthetic, label by label (for training on both)
+  function withSynthetic(examples, synthetic) {
+    const out = {};
+    for (const l of ALL_LABELS) out[l] = (examples[l] || []).concat(synthetic?.[l] || []);
+    return out;
+  }
+
+  return {
+    DEFAULTS,
+    variantsOf,
+    augmentExamples,
+    withSynthetic,
+  };
+});
@@ -0,0 +1,65 @@
+// core/base.js — the bundled dataset as a read-only base model under the user's own examples
+// In memory each label holds the base examples first, then the dataset's own; only the own
+// part is ever saved, with meta.base recording whether the dataset sits on the base model.
+// A dataset that never decided (no meta.base) gets the base while it has no examples of its own.
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLBase)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./dataset"));
+  else root.ASLBase = factory(root.ASLDataset);
+})(this, function (ASLDataset) {
+  "use strict";
+
+  const { ALL_LABELS } = ASLDataset;
+
+  const BASE_ID = "bundled";
+  const BASE_FILE = "asl RL trained.json";
+
+  // meta.base: BASE_ID = on, null = switched off; missing = on only while the dataset is empty
+  function usesBase(meta, ownCount) {
+    if (meta && meta.base !== undefined) return meta.base === BASE_ID;
+    return ownCount === 0;
+  }
+
+  // base and own: { examples, landmarks } in the same feature space (the base via
+  // ASLMerge.toFeatureSpace). → { examples, landmarks, counts } with counts[label] = base examples in front
+  function layerBase(base, own) {
+    const examples = {};
+    const landmarks = {};
+    const counts = {};
+    for (const l of ALL_LABELS) {
+      const b = base.examples[l] || [];
+      const o = own.examples[l] || [];
+      examples[l] = b.concat(o);
+      landmarks[l] = b.map((_, i) => base.landmarks?.[l]?.[i] ?? null).concat(o.map((_, i) => own.landmarks?.[l]?.[i] ?? null));
+      counts[l] = b.length;
+    }
+    return { examples, landmarks, counts };
+  }
+
+  // The dataset's own examples of a layered set (counts null: nothing layered) → { examples, landmarks }
+  function ownPart(examples, landmarks, counts) {
+    const outEx = {};
+    const outLm = {};
+    for (const l of ALL_LABELS) {
+      const n = counts?.[l] || 0;
+      outEx[l] = (examples[l] || []).slice(n);
+      outLm[l] = (landmarks[l] || []).slice(n);
+    }
+    return { examples: outEx, landmarks: outLm };
+  }
+
+  function countBase(counts) {
+    return ALL_LABELS.reduce((sum, l) => sum + (counts?.[l] || 0), 0);
+  }
+
+  return {
+    BASE_ID,
+    BASE_FILE,
+    usesBase,
+    layerBase,
+    ownPart,
+    countBase,
+  };
+});
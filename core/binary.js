@@ -0,0 +1,176 @@
+// core/binary.js — compact dataset files (.aslb): packed Float32 vectors, gzip-compressed
+// Layout: "ASLB" + format byte, then gzip (CompressionStream) of
+//   u32 header length | header JSON (UTF-8) | padding to 4 bytes
+//   Float32 features, label by label in ALL_LABELS order (header.counts × header.dims)
+//   u8 landmark points per example (0, 21 or 42), same order | padding to 4 bytes
+//   Float32 landmarks of the examples that have them (points × 3)
+// The header holds everything else of the payload (version, savedAt, sequences, addHistory,
+// model, meta). Values come back as the nearest Float32, well under the kNN's resolution.
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLBinary)
+// or with require() in Node 18+ for tests (CompressionStream, Blob, Response).
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./dataset"));
+  else root.ASLBinary = factory(root.ASLDataset);
+})(this, function (ASLDataset) {
+  "use strict";
+
+  const { ALL_LABELS, BINARY_MAGIC } = ASLDataset;
+
+  const FORMAT_VERSION = 1;
+  const EXTENSION = ".aslb";
+  const HEADER_FIELDS = ["version", "savedAt", "sequences", "addHistory", "model", "meta"];
+
+  const pad4 = (n) => (n + 3) & ~3;
+
+  /* -------------------- body (uncompressed) -------------------- */
+
+  // payload → Uint8Array (the part that gets compressed)
+  function encodeBody(payload) {
+    const examples = ASLDataset.readExamples(payload);
+    const landmarks = ASLDataset.readLandmarks(payload, examples);
+
+    const counts = {};
+    let dims = 0;
+    let total = 0;
+    let lmValues = 0;
+    for (const l of ALL_LABELS) {
+      counts[l] = examples[l].length;
+      total += counts[l];
+      if (examples[l].length > 0) dims = examples[l][0].length;
+      for (const lm of landmarks[l]) if (lm) lmValues += lm.length * 3;
+    }
+    for (const l of ALL_LABELS) {
+      if (examples[l].some((f) => f.length !== dims)) throw new Error(`examples.${l}: mixed vector lengths`);
+    }
+
+    const header = { counts, dims };
+    for (const f of HEADER_FIELDS) header[f] = payload[f] ?? null;
+    const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+
+    const featsAt = pad4(4 + headerBytes.length);
+    const pointsAt = featsAt + total * dims * 4;
+    const lmAt = pad4(pointsAt + total);
+    const out = new Uint8Array(lmAt + lmValues * 4);
+
+    new DataView(out.buffer).setUint32(0, headerBytes.length, true);
+    out.set(headerBytes, 4);
+
+    const feats = new Float32Array(out.buffer, featsAt, total * dims);
+    const points = out.subarray(pointsAt, pointsAt + total);
+    const lms = new Float32Array(out.buffer, lmAt, lmValues);
+    let e = 0;
+    let v = 0;
+    for (const l of ALL_LABELS) {
+      examples[l].forEach((f, i) => {
+        feats.set(f, e * dims);
+        const lm = landmarks[l][i];
+        points[e] = lm ? lm.length : 0;
+        if (lm) for (const p of lm) lms.set(p, (v += 3) - 3);
+        e++;
+      });
+    }
+    return out;
+  }
+
+  // Uint8Array from encodeBody() → payload (plain arrays, as JSON files give)
+  function decodeBody(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const headerLength = view.getUint32(0, true);
+    const header = JSON.parse(new TextDecoder().decode(bytes.subarray(4, 4 + headerLength)));
+    const { counts, dims } = header;
+
+    let total = 0;
+    for (const l of ALL_LABELS) total += counts?.[l] || 0;
+
+    // copied out so the Float32 views are aligned whatever offset the bytes arrived at
+    const featsAt = pad4(4 + headerLength);
+    const pointsAt = featsAt + total * dims * 4;
+    const lmAt = pad4(pointsAt + total);
+    if (lmAt > bytes.length) throw new Error("Compact dataset is truncated");
+    const feats = new Float32Array(bytes.slice(featsAt, pointsAt).buffer);
+    const points = bytes.subarray(pointsAt, pointsAt + total);
+    const lms = new Float32Array(bytes.slice(lmAt).buffer);
+
+    const examples = {};
+    const landmarks = {};
+    let e = 0;
+    let v = 0;
+    for (const l of ALL_LABELS) {
+      examples[l] = [];
+      landmarks[l] = [];
+      for (let i = 0; i < (counts?.[l] || 0); i++, e++) {
+        examples[l].push(Array.from(feats.subarray(e * dims, (e + 1) * dims)));
+        const n = points[e];
+        const lm = n > 0 ? [] : null;
+        for (let p = 0; p < n; p++, v += 3) lm.push([lms[v], lms[v + 1], lms[v + 2]]);
+        landmarks[l].push(lm);
+      }
+    }
+
+    const payload = { examples, landmarks };
+    for (const f of HEADER_FIELDS) payload[f] = header[f];
+    return payload;
+  }
+
+  /* -------------------- file (magic + gzip) -------------------- */
+
+  async function pipeThrough(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  function isPacked(bytes) {
+    if (!bytes || bytes.length < BINARY_MAGIC.length + 1) return false;
+    for (let i = 0; i < BINARY_MAGIC.length; i++) if (bytes[i] !== BINARY_MAGIC.charCodeAt(i)) return false;
+    return true;
+  }
+
+  // payload → Promise<Uint8Array> of a whole .aslb file
+  async function packDataset(payload) {
+    const body = await pipeThrough(encodeBody(payload), new CompressionStream("gzip"));
+    const out = new Uint8Array(BINARY_MAGIC.length + 1 + body.length);
+    for (let i = 0; i < BINARY_MAGIC.length; i++) out[i] = BINARY_MAGIC.charCodeAt(i);
+    out[BINARY_MAGIC.length] = FORMAT_VERSION;
+    out.set(body, BINARY_MAGIC.length + 1);
+    return out;
+  }
+
+  // .aslb file bytes → Promise<payload> (still to go through ASLSchema.readDataset)
+  async function unpackDataset(bytes) {
+    if (!isPacked(bytes)) throw new Error("Not a compact dataset");
+    const format = bytes[BINARY_MAGIC.length];
+    if (format > FORMAT_VERSION) throw new Error(`Compact dataset format ${format} is newer than this app (${FORMAT_VERSION})`);
+    const body = await pipeThrough(bytes.subarray(BINARY_MAGIC.length + 1), new DecompressionStream("gzip"));
+    return decodeBody(body);
+  }
+
+  // The bytes of a p5 file object when they are a compact dataset, else null (JSON and
+  // everything else stay with ASLDataset.parseMaybeJSON). p5 hands binary files over as a
+  // base64 data URL.
+  function packedBytesOf(file) {
+    const data = file?.data;
+    let bytes = null;
+    if (data instanceof Uint8Array) bytes = data;
+    else if (data instanceof ArrayBuffer) bytes = new Uint8Array(data);
+    else if (typeof data === "string" && data.startsWith("data:")) {
+      const comma = data.indexOf(",");
+      if (comma === -1 || !data.slice(0, comma).includes(";base64")) return null;
+      const bin = atob(data.slice(comma + 1));
+      bytes = new Uint8Array(bin.length);
+      for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    }
+    return isPacked(bytes) ? bytes : null;
+  }
+
+  return {
+    FORMAT_VERSION,
+    EXTENSION,
+    encodeBody,
+    decodeBody,
+    isPacked,
+    packDataset,
+    unpackDataset,
+    packedBytesOf,
+  };
+});
@@ -0,0 +1,107 @@
+// core/calibrate.js — quick personal calibration on top of a shared dataset
+// A learner signs each letter a few times; the live kNN searches those takes next to the
+// dataset and counts their votes `weight` times, so near the learner's own hand shapes they
+// outvote the shared examples while everywhere else the dataset decides as before.
+// A calibration belongs to a profile and is stored apart from every dataset
+// (ASLStore.saveCalibration), so the shared dataset (and any MLP trained on it) stays as it
+// is. It is shaped like a dataset payload ({ savedAt, examples, landmarks, meta }), so
+// ASLMerge.toFeatureSpace brings it to whichever extractor is active.
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLCalibrate)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./dataset"));
+  else root.ASLCalibrate = factory(root.ASLDataset);
+})(this, function (ASLDataset) {
+  "use strict";
+
+  const { LABELS, ALL_LABELS } = ASLDataset;
+
+  const DEFAULTS = {
+    takes: 3, // per letter
+    weight: 3, // one calibration neighbour votes like this many dataset neighbours at the same distance
+  };
+
+  // A guided run through `labels` (default A–Z), `takes` each:
+  //   session.takes[label] = [{ feats, lm, hit }], hit = the dataset alone already recognised it;
+  //   session.count = takes, session.hits = those hits
+  function createSession(opts = {}) {
+    const o = { ...DEFAULTS, ...opts };
+    return { labels: (opts.labels || LABELS).slice(), at: 0, perLabel: o.takes, takes: {}, hits: 0, count: 0 };
+  }
+
+  // The letter to sign next, or null when every letter is done
+  function sessionTarget(session) {
+    return session.labels[session.at] ?? null;
+  }
+
+  // Records a take of the current letter; hit: whether the dataset alone recognised it.
+  // Moves on once the letter has all its takes. → the label taken, or null when done
+  function addTake(session, feats, lm, hit = false) {
+    const label = sessionTarget(session);
+    if (!label) return null;
+    if (!session.takes[label]) session.takes[label] = [];
+    session.takes[label].push({ feats, lm: lm ?? null, hit });
+    session.count++;
+    if (hit) session.hits++;
+    if (session.takes[label].length >= session.perLabel) session.at++;
+    return label;
+  }
+
+  // Skips the current letter (its takes so far are kept). → the label skipped, or null
+  function skipLabel(session) {
+    const label = sessionTarget(session);
+    if (label) session.at++;
+    return label;
+  }
+
+  // Takes back the latest take, going back a letter when the current one has none.
+  // → the label it was of, or null when there are none
+  function undoTake(session) {
+    for (let at = Math.min(session.at, session.labels.length - 1); at >= 0; at--) {
+      const label = session.labels[at];
+      if (!session.takes[label]?.length) continue;
+      const take = session.takes[label].pop();
+      session.at = at;
+      session.count--;
+      if (take.hit) session.hits--;
+      return label;
+    }
+    return null;
+  }
+
+  // The calibration to save: the session's takes, with letters it didn't retake kept from
+  // `previous` ({ examples, landmarks } in the same feature space, or null). meta describes
+  // the features ({ feature, featureVersion, trackHand, canonicalHand, ... }).
+  function sessionPayload(session, previous, meta) {
+    const examples = {};
+    const landmarks = {};
+    for (const l of ALL_LABELS) {
+      const takes = session.takes[l] || [];
+      if (takes.length > 0) {
+        examples[l] = takes.map((t) => t.feats);
+        landmarks[l] = takes.map((t) => t.lm);
+      } else {
+        examples[l] = (previous?.examples?.[l] || []).slice();
+        landmarks[l] = (previous?.examples?.[l] || []).map((_, i) => previous.landmarks?.[l]?.[i] ?? null);
+      }
+    }
+    return { savedAt: new Date().toISOString(), examples, landmarks, meta: { ...meta } };
+  }
+
+  // Letters a calibration covers, in label order
+  function calibratedLabels(calibration) {
+    return ALL_LABELS.filter((l) => calibration?.examples?.[l]?.length > 0);
+  }
+
+  return {
+    DEFAULTS,
+    createSession,
+    sessionTarget,
+    addTake,
+    skipLabel,
+    undoTake,
+    sessionPayload,
+    calibratedLabels,
+  };
+});
@@ -0,0 +1,167 @@
+// core/challenge.js — timed challenge: as many random letters as possible before time runs out
+// Each letter held earns points, more the faster it was held, times a multiplier that grows
+// with the streak; a skip ends the streak. The leaderboard keeps the best named scores:
+// [{ name, score, solved, bestStreak, durationMs, at }], best first (ASLStore.saveLeaderboard).
+// Times are epoch milliseconds.
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLChallenge)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.ASLChallenge = factory();
+})(this, function () {
+  "use strict";
+
+  const DEFAULTS = {
+    durationMs: 60000,
+    points: 100, // per letter held
+    speedBonus: 100, // on top for an instant hold, down to 0 at speedWindowMs
+    speedWindowMs: 5000,
+    streakStep: 0.25, // the multiplier grows by this per letter already in the streak
+    maxMultiplier: 3,
+    leaderboardSize: 10,
+  };
+
+  // A random letter of `labels`, not `previous` again when there is a choice
+  function pickTarget(labels, previous, rand = Math.random) {
+    const pool = labels.length > 1 ? labels.filter((l) => l !== previous) : labels;
+    return pool[Math.floor(rand() * pool.length)] ?? null;
+  }
+
+  // labels: the letters that can come up (e.g. the ones with examples)
+  function createChallenge(labels, now, rand = Math.random, opts = {}) {
+    const o = { ...DEFAULTS, ...opts };
+    const target = pickTarget(labels, null, rand);
+    return {
+      labels: labels.slice(),
+      startedAt: now,
+      durationMs: o.durationMs,
+      endsAt: now + o.durationMs,
+      target,
+      targets: target ? [target] : [],
+      score: 0,
+      solved: 0,
+      skips: 0,
+      streak: 0,
+      bestStreak: 0,
+      lastPoints: 0,
+      over: false,
+      pausedAt: null, // while paused (a screen over the round): when the clock stopped
+      pausedMs: 0, // time spent paused so far, already added to endsAt
+    };
+  }
+
+  // Multiplier of the next letter held with `streak` already in a row
+  function multiplier(streak, opts = {}) {
+    const o = { ...DEFAULTS, ...opts };
+    return Math.min(o.maxMultiplier, 1 + streak * o.streakStep);
+  }
+
+  // Points for a letter held ms after it was shown, with `streak` already in a row
+  function scoreSolve(ms, streak, opts = {}) {
+    const o = { ...DEFAULTS, ...opts };
+    const speed = Math.max(0, 1 - ms / o.speedWindowMs);
+    return Math.round((o.points + o.speedBonus * speed) * multiplier(streak, o));
+  }
+
+  function nextTarget(challenge, rand) {
+    challenge.target = pickTarget(challenge.labels, challenge.target, rand);
+    if (challenge.target) challenge.targets.push(challenge.target);
+  }
+
+  // The current letter was held after ms: scores it and draws the next. → the points
+  function solve(challenge, ms, rand = Math.random, opts = {}) {
+    const points = scoreSolve(ms, challenge.streak, opts);
+    challenge.score += points;
+    challenge.solved++;
+    challenge.streak++;
+    challenge.bestStreak = Math.max(challenge.bestStreak, challenge.streak);
+    challenge.lastPoints = points;
+    nextTarget(challenge, rand);
+    return points;
+  }
+
+  function skip(challenge, rand = Math.random) {
+    challenge.skips++;
+    challenge.streak = 0;
+    challenge.lastPoints = 0;
+    nextTarget(challenge, rand);
+  }
+
+  // The clock stands still from pause() to resume(); the time in between moves endsAt on
+  function pause(challenge, now) {
+    if (challenge.pausedAt == null) challenge.pausedAt = now;
+  }
+
+  function resume(challenge, now) {
+    if (challenge.pausedAt == null) return;
+    const ms = Math.max(0, now - challenge.pausedAt);
+    challenge.endsAt += ms;
+    challenge.pausedMs += ms;
+    challenge.pausedAt = null;
+  }
+
+  function timeLeft(challenge, now) {
+    return Math.max(0, challenge.endsAt - (challenge.pausedAt ?? now));
+  }
+
+  /* -------------------- leaderboard -------------------- */
+
+  // A stored leaderboard (or anything else) → its well-formed entries, best first
+  function readLeaderboard(raw) {
+    if (!Array.isArray(raw)) return [];
+    return raw
+      .filter((e) => e && typeof e.name === "string" && Number.isFinite(e.score) && Number.isFinite(e.at))
+      .map((e) => ({
+        name: e.name,
+        score: e.score,
+        solved: e.solved | 0,
+        bestStreak: e.bestStreak | 0,
+        durationMs: Number.isFinite(e.durationMs) ? e.durationMs : DEFAULTS.durationMs,
+        at: e.at,
+      }))
+      .sort(byScore);
+  }
+
+  // higher score first; on a tie the earlier entry stays ahead
+  function byScore(a, b) {
+    return b.score - a.score || a.at - b.at;
+  }
+
+  // Whether `score` would make it onto the board
+  function qualifies(board, score, opts = {}) {
+    const { leaderboardSize } = { ...DEFAULTS, ...opts };
+    if (score <= 0) return false;
+    return board.length < leaderboardSize || score > board[leaderboardSize - 1].score;
+  }
+
+  // The finished challenge as an entry under `name`
+  function entryOf(challenge, name, now) {
+    return { name, score: challenge.score, solved: challenge.solved, bestStreak: challenge.bestStreak, durationMs: challenge.durationMs, at: now };
+  }
+
+  // → { board: a new board with the entry in its place (cut to size), rank: 1-based, or null if it fell off }
+  function addEntry(board, entry, opts = {}) {
+    const { leaderboardSize } = { ...DEFAULTS, ...opts };
+    const next = board.concat([entry]).sort(byScore).slice(0, leaderboardSize);
+    const i = next.indexOf(entry);
+    return { board: next, rank: i < 0 ? null : i + 1 };
+  }
+
+  return {
+    DEFAULTS,
+    pickTarget,
+    createChallenge,
+    multiplier,
+    scoreSolve,
+    solve,
+    skip,
+    pause,
+    resume,
+    timeLeft,
+    readLeaderboard,
+    qualifies,
+    entryOf,
+    addEntry,
+  };
+});
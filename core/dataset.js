@@ -0,0 +1,134 @@
+// core/dataset.js — label set + dataset helpers shared by the trainer and the game
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLDataset)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.ASLDataset = factory();
+})(this, function () {
+  "use strict";
+
+  const LABELS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ".split("");
+  const NONE_LABEL = "NONE";
+  const ALL_LABELS = [...LABELS, NONE_LABEL];
+
+  function createEmptyExamples() {
+    const out = {};
+    ALL_LABELS.forEach((l) => (out[l] = []));
+    return out;
+  }
+
+  function countExamples(examples) {
+    return ALL_LABELS.reduce((sum, l) => sum + (examples?.[l]?.length || 0), 0);
+  }
+
+  // Copies the known labels out of a payload's examples; anything else is ignored.
+  function readExamples(payload) {
+    const out = {};
+    ALL_LABELS.forEach((l) => {
+      const arr = payload?.examples?.[l];
+      out[l] = Array.isArray(arr) ? arr : [];
+    });
+    return out;
+  }
+
+  // Raw landmarks aligned index-for-index with `examples`: 21×3 for one hand, 42×3 when a
+  // second hand was recorded (see ASLFeatures.trackedLandmarks); null where an example
+  // has none (datasets recorded before landmarks were stored).
+  function readLandmarks(payload, examples) {
+    const out = {};
+    ALL_LABELS.forEach((l) => {
+      const arr = payload?.landmarks?.[l];
+      out[l] = (examples[l] || []).map((_, i) => (isLandmarks(arr?.[i]) ? arr[i] : null));
+    });
+    return out;
+  }
+
+  function isLandmarks(lm) {
+    return Array.isArray(lm) && (lm.length === 21 || lm.length === 42) && lm.every((p) => Array.isArray(p) && p.length === 3 && p.every(Number.isFinite));
+  }
+
+  // Recomputes the feature cache from raw landmarks with featurize(lm).
+  // Examples without landmarks are kept when they still have `dims` values, dropped otherwise.
+  // → { examples, landmarks, recomputed, kept, dropped }
+  function rederiveFeatures(examples, landmarks, featurize, dims) {
+    const outEx = {};
+    const outLm = {};
+    let recomputed = 0,
+      kept = 0,
+      dropped = 0;
+
+    ALL_LABELS.forEach((l) => {
+      outEx[l] = [];
+      outLm[l] = [];
+      (examples[l] || []).forEach((feats, i) => {
+        const lm = landmarks?.[l]?.[i] ?? null;
+        if (lm) {
+          outEx[l].push(featurize(lm));
+          outLm[l].push(lm);
+          recomputed += 1;
+        } else if (Array.isArray(feats) && feats.length === dims) {
+          outEx[l].push(feats);
+          outLm[l].push(null);
+          kept += 1;
+        } else {
+          dropped += 1;
+        }
+      });
+    });
+
+    return { examples: outEx, landmarks: outLm, recomputed, kept, dropped };
+  }
+
+  function readHistory(payload) {
+    return Array.isArray(payload?.addHistory) ? payload.addHistory : [];
+  }
+
+  // First bytes of a compact binary dataset file (ASLBinary)
+  const BINARY_MAGIC = "ASLB";
+
+  // Accepts p5 file objects: parsed JSON, plain text, or a (base64) data URL.
+  // A compact binary dataset is recognised and refused here: ASLBinary.unpackDataset reads it.
+  function parseMaybeJSON(file) {
+    if (file && typeof file.data === "object" && file.data !== null) return file.data;
+
+    if (file && typeof file.data === "string") {
+      const s = file.data.trim();
+
+      if (s.startsWith("data:")) {
+        const comma = s.indexOf(",");
+        if (comma === -1) throw new Error("Malformed data URL");
+        const meta = s.slice(0, comma);
+        const b64 = s.slice(comma + 1);
+
+        if (meta.includes(";base64")) {
+          const txt = atob(b64);
+          if (txt.startsWith(BINARY_MAGIC)) throw new Error("Compact binary dataset — read it with ASLBinary.unpackDataset");
+          return JSON.parse(txt);
+        } else {
+          const txt = decodeURIComponent(b64);
+          return JSON.parse(txt);
+        }
+      }
+
+      return JSON.parse(s);
+    }
+
+    throw new Error("File data was empty or unreadable");
+  }
+
+  return {
+    LABELS,
+    NONE_LABEL,
+    ALL_LABELS,
+    createEmptyExamples,
+    countExamples,
+    readExamples,
+    readLandmarks,
+    isLandmarks,
+    rederiveFeatures,
+    readHistory,
+    BINARY_MAGIC,
+    parseMaybeJSON,
+  };
+});
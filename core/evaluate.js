@@ -0,0 +1,215 @@
+// core/evaluate.js — leave-one-out / k-fold evaluation of the kNN over a dataset
+// Uses the same classifyKNN + conf/margin gating as live prediction, so NONE
+// rejections show up in the confusion matrix exactly as they would on camera.
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLEvaluate)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports)
+    module.exports = factory(require("./dataset"), require("./knn"), require("./features"));
+  else root.ASLEvaluate = factory(root.ASLDataset, root.ASLKnn, root.ASLFeatures);
+})(this, function (ASLDataset, ASLKnn, ASLFeatures) {
+  "use strict";
+
+  const { ALL_LABELS, NONE_LABEL } = ASLDataset;
+
+  // folds: 0 = leave-one-out, otherwise stratified k-fold over contiguous runs of each label's
+  // examples, so neighbouring frames of one recording don't sit on both sides of the split
+  function foldOf(i, length, folds) {
+    return Math.floor((i * folds) / length);
+  }
+
+  function listItems(examples, folds) {
+    const items = [];
+    for (const label of ALL_LABELS) {
+      const arr = examples[label] || [];
+      for (let i = 0; i < arr.length; i++) items.push({ label, i, fold: folds > 0 ? foldOf(i, arr.length, folds) : -1 });
+    }
+    return items;
+  }
+
+  function withoutFold(examples, folds, fold) {
+    const out = {};
+    for (const label of ALL_LABELS) {
+      const arr = examples[label] || [];
+      out[label] = arr.filter((_, i) => foldOf(i, arr.length, folds) !== fold);
+    }
+    return out;
+  }
+
+  function withoutIndex(examples, label, idx) {
+    const out = { ...examples };
+    out[label] = examples[label].filter((_, i) => i !== idx);
+    return out;
+  }
+
+  function createMatrix() {
+    return ALL_LABELS.map(() => ALL_LABELS.map(() => 0));
+  }
+
+  // Incremental run so the sketch can spread the work over frames:
+  //   const job = createCrossValidation(examples, { folds: 0, k: K, ... });
+  //   job.step(200) each frame until job.done, then job.report()
+  // Extra opts are passed through to classifyKNN (k, minConf, minMargin, eps) unless
+  // opts.classify(feats, trainExamples) is given.
+  function createCrossValidation(examples, opts = {}) {
+    const folds = opts.folds || 0;
+    const classify = opts.classify || ((feats, train) => ASLKnn.classifyKNN(feats, train, opts));
+    const items = listItems(examples, folds);
+    const matrix = createMatrix();
+
+    let pos = 0;
+    let foldTrain = null;
+    let foldIdx = -1;
+
+    function trainFor(item) {
+      if (folds === 0) return withoutIndex(examples, item.label, item.i);
+      if (foldIdx !== item.fold) {
+        foldIdx = item.fold;
+        foldTrain = withoutFold(examples, folds, item.fold);
+      }
+      return foldTrain;
+    }
+
+    // k-fold visits one fold at a time so each training split is built once
+    if (folds > 0) items.sort((a, b) => a.fold - b.fold);
+
+    const job = {
+      total: items.length,
+      done: items.length === 0,
+      get progress() {
+        return items.length === 0 ? 1 : pos / items.length;
+      },
+      step(n = Infinity) {
+        const end = Math.min(items.length, pos + n);
+        for (; pos < end; pos++) {
+          const item = items[pos];
+          const res = classify(examples[item.label][item.i], trainFor(item));
+          const pred = res ? res.label : NONE_LABEL;
+          matrix[ALL_LABELS.indexOf(item.label)][ALL_LABELS.indexOf(pred)] += 1;
+        }
+        job.done = pos >= items.length;
+        return job.done;
+      },
+      report() {
+        return summarize(matrix, { folds });
+      },
+    };
+    return job;
+  }
+
+  function crossValidate(examples, opts = {}) {
+    const job = createCrossValidation(examples, opts);
+    job.step();
+    return job.report();
+  }
+
+  // matrix[true][pred] over ALL_LABELS → per-label accuracy + totals
+  function summarize(matrix, extra = {}) {
+    const perLabel = {};
+    let total = 0,
+      correct = 0,
+      rejected = 0,
+      falseAccepts = 0;
+    const noneIdx = ALL_LABELS.indexOf(NONE_LABEL);
+
+    ALL_LABELS.forEach((label, r) => {
+      const row = matrix[r];
+      const n = row.reduce((a, b) => a + b, 0);
+      const ok = row[r];
+      const none = label === NONE_LABEL ? 0 : row[noneIdx];
+      perLabel[label] = { n, correct: ok, rejected: none, wrong: n - ok - none, acc: n > 0 ? ok / n : null };
+
+      total += n;
+      correct += ok;
+      rejected += none;
+      falseAccepts += n - ok - none;
+    });
+
+    return {
+      ...extra,
+      labels: ALL_LABELS.slice(),
+      matrix,
+      perLabel,
+      total,
+      correct,
+      accuracy: total > 0 ? correct / total : 0,
+      rejectRate: total > 0 ? rejected / total : 0,
+      falseAcceptRate: total > 0 ? falseAccepts / total : 0,
+    };
+  }
+
+  // Features for every example that has raw landmarks, with the named extractor.
+  function examplesFromLandmarks(landmarks, name) {
+    const out = {};
+    for (const label of ALL_LABELS) {
+      out[label] = (landmarks[label] || []).filter(Boolean).map((lm) => ASLFeatures.featuresFromLandmarks(lm, name));
+    }
+    return out;
+  }
+
+  // Cross-validates each extractor on the same raw landmarks, one after another.
+  //   job.rows → [{ name, label, dims, report }] (report null until that extractor is done)
+  function createExtractorComparison(landmarks, opts = {}) {
+    const names = opts.names || ASLFeatures.EXTRACTOR_NAMES;
+    const cvOpts = { ...opts, folds: opts.folds ?? 5 };
+    const rows = names.map((name) => {
+      const ex = ASLFeatures.getExtractor(name);
+      return { name, label: ex.label, dims: ex.dims, report: null };
+    });
+
+    let idx = 0;
+    let cv = null;
+
+    const job = {
+      rows,
+      done: rows.length === 0,
+      get progress() {
+        if (rows.length === 0) return 1;
+        return (idx + (cv ? cv.progress : 0)) / rows.length;
+      },
+      step(n = Infinity) {
+        let budget = n;
+        while (!job.done && budget > 0) {
+          if (!cv) cv = createCrossValidation(examplesFromLandmarks(landmarks, rows[idx].name), cvOpts);
+          const before = cv.progress * cv.total;
+          cv.step(budget);
+          budget -= Math.max(1, cv.progress * cv.total - before);
+          if (cv.done) {
+            rows[idx].report = cv.report();
+            cv = null;
+            idx += 1;
+            job.done = idx >= rows.length;
+          }
+        }
+        return job.done;
+      },
+    };
+    return job;
+  }
+
+  function confusionToCSV(report) {
+    const lines = [["true\\pred", ...report.labels].join(",")];
+    report.labels.forEach((label, r) => lines.push([label, ...report.matrix[r]].join(",")));
+    return lines;
+  }
+
+  function perLabelToCSV(report) {
+    const lines = ["label,n,correct,rejected,wrong,accuracy"];
+    for (const label of report.labels) {
+      const p = report.perLabel[label];
+      lines.push([label, p.n, p.correct, p.rejected, p.wrong, p.acc == null ? "" : p.acc.toFixed(4)].join(","));
+    }
+    return lines;
+  }
+
+  return {
+    createCrossValidation,
+    crossValidate,
+    summarize,
+    examplesFromLandmarks,
+    createExtractorComparison,
+    confusionToCSV,
+    perLabelToCSV,
+  };
+});
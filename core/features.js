@@ -0,0 +1,307 @@
+// core/features.js — hand selection, handedness mirroring + pluggable landmark → feature vector extractors
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLFeatures)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.ASLFeatures = factory();
+})(this, function () {
+  "use strict";
+
+  // Default extractor (what every dataset before extractors were pluggable used)
+  const FEATURE_NAME = "xy_rot_norm_singlehand";
+  const FEATURE_DIMS = 42;
+  const FEATURE_VERSION = 1;
+
+  // Landmark chains per finger (MCP/CMC → tip) and the fingertips
+  const FINGERS = [
+    [1, 2, 3, 4],
+    [5, 6, 7, 8],
+    [9, 10, 11, 12],
+    [13, 14, 15, 16],
+    [17, 18, 19, 20],
+  ];
+  const TIPS = [4, 8, 12, 16, 20];
+
+  /* -------------------- hand selection -------------------- */
+
+  function getWristX(hand) {
+    const w = hand?.keypoints?.[0];
+    return w?.x ?? 0;
+  }
+
+  function getValidHands(rawHands) {
+    return (rawHands || []).filter((h) => h?.keypoints && h.keypoints.length === 21);
+  }
+
+  function sortHandsLeftToRight(rawHands) {
+    const valid = getValidHands(rawHands);
+    valid.sort((a, b) => getWristX(a) - getWristX(b));
+    return valid;
+  }
+
+  // ml5 v1 reports each hand's handedness as "Left" / "Right"; normalised to "LEFT" / "RIGHT", null if absent.
+  function getHandedness(hand) {
+    const h = String(hand?.handedness ?? "").toUpperCase();
+    return h === "LEFT" || h === "RIGHT" ? h : null;
+  }
+
+  // Prefers the hand ml5 labels as trackHand ("RIGHT" or "LEFT"). Without a matching label,
+  // falls back to wrist position so the choice stays deterministic when both hands are visible.
+  function pickTrackedHand(rawHands, trackHand = "RIGHT") {
+    const sorted = sortHandsLeftToRight(rawHands);
+    if (sorted.length === 0) return null;
+    if (sorted.length === 1) return sorted[0];
+
+    const labelled = sorted.filter((h) => getHandedness(h) === trackHand);
+    if (labelled.length === 1) return labelled[0];
+    if (labelled.length > 1) return labelled.reduce((a, b) => ((b.confidence ?? 0) > (a.confidence ?? 0) ? b : a));
+
+    return trackHand === "RIGHT" ? sorted[sorted.length - 1] : sorted[0];
+  }
+
+  // ml5 v1 puts depth only in keypoints3D (metres); it is rescaled to the 2D pixel
+  // units so z is comparable with x/y once features normalise by hand size.
+  function getLandmarks21(hand) {
+    const kp = hand.keypoints;
+    const k3 = hand.keypoints3D;
+    let zScale = 0;
+    if (Array.isArray(k3) && k3.length === kp.length && k3[0] && k3[9]) {
+      const px = Math.hypot(kp[9].x - kp[0].x, kp[9].y - kp[0].y);
+      const m = Math.hypot(k3[9].x - k3[0].x, k3[9].y - k3[0].y);
+      zScale = m > 0 ? px / m : 0;
+    }
+    return kp.map((k, i) => [k.x, k.y, k.z ?? (k3?.[i]?.z ?? 0) * zScale]);
+  }
+
+  // Raw landmarks as stored with each example (pixels; 3 decimals is well below tracking noise)
+  function roundLandmarks(lm) {
+    return lm.map((p) => p.map((v) => Math.round(v * 1000) / 1000));
+  }
+
+  /* -------------------- handedness -------------------- */
+
+  // Datasets store right-hand geometry; a left hand is mirrored (x → -x) into it.
+  // Mirroring about x = 0 rather than the wrist keeps wrist motion consistent across frames.
+  const CANONICAL_HAND = "RIGHT";
+
+  function mirrorLandmarks(lm) {
+    return lm.map(([x, y, z]) => [-x, y, z]);
+  }
+
+  // Landmarks of a tracked hand in canonical (right-hand) form, with the other hand's 21
+  // points appended when given (mirrored together). Unlabelled hands are taken to be
+  // the signer's dominant hand.
+  function canonicalLandmarks(hand, dominantHand = CANONICAL_HAND, other = null) {
+    const lm = other ? getLandmarks21(hand).concat(getLandmarks21(other)) : getLandmarks21(hand);
+    const side = getHandedness(hand) ?? dominantHand;
+    return side === CANONICAL_HAND ? lm : mirrorLandmarks(lm);
+  }
+
+  // Canonical landmarks of the tracked hand; with bothHands, 42 points (tracked hand first)
+  // when a second hand is visible. null without a hand.
+  function trackedLandmarks(rawHands, dominantHand = CANONICAL_HAND, bothHands = false) {
+    const hand = pickTrackedHand(rawHands, dominantHand);
+    if (!hand) return null;
+    const other = bothHands ? getValidHands(rawHands).find((h) => h !== hand) : null;
+    return canonicalLandmarks(hand, dominantHand, other);
+  }
+
+  /* -------------------- features -------------------- */
+
+  // Wrist-centred, scaled by wrist→middle-MCP length, rotated so that bone points up.
+  function handToFeatsXYRotNorm(hand) {
+    return xyRotNorm(getLandmarks21(hand));
+  }
+
+  // Shared normalisation for the coordinate extractors: the in-plane rotation and
+  // scale come from the 2D wrist → middle-MCP bone; z is only centred and scaled.
+  // The first n points are transformed (n = 42 takes a second hand into the same frame).
+  function normalizeLandmarks(lm, n = 21) {
+    const wrist = lm[0];
+    const midMcp = lm[9];
+
+    const wx = wrist[0],
+      wy = wrist[1],
+      wz = wrist[2];
+    const dx = midMcp[0] - wx;
+    const dy = midMcp[1] - wy;
+
+    const scale = Math.sqrt(dx * dx + dy * dy) || 1;
+
+    const ang = Math.atan2(dy, dx);
+    const rot = -Math.PI / 2 - ang;
+    const cosR = Math.cos(rot);
+    const sinR = Math.sin(rot);
+
+    const out = [];
+    for (let i = 0; i < n; i++) {
+      const x = (lm[i][0] - wx) / scale;
+      const y = (lm[i][1] - wy) / scale;
+      const z = (lm[i][2] - wz) / scale;
+
+      const xr = x * cosR - y * sinR;
+      const yr = x * sinR + y * cosR;
+
+      out.push([xr, yr, z]);
+    }
+    return out;
+  }
+
+  function xyRotNorm(lm) {
+    const feats = [];
+    for (const [x, y] of normalizeLandmarks(lm)) feats.push(x, y);
+    return feats;
+  }
+
+  function xyzRotNorm(lm) {
+    const feats = [];
+    for (const [x, y, z] of normalizeLandmarks(lm)) feats.push(x, y, z);
+    return feats;
+  }
+
+  // Tracked hand in its own frame (as xyRotNorm), then the other hand's 21 points in that
+  // same frame, so their placement relative to each other is kept, then a presence flag.
+  // A missing other hand encodes as 42 zeros with the flag at 0.
+  function twoHandXY(lm) {
+    const pts = normalizeLandmarks(lm, lm.length >= 42 ? 42 : 21);
+    const feats = [];
+    for (let i = 0; i < 42; i++) feats.push(pts[i]?.[0] ?? 0, pts[i]?.[1] ?? 0);
+    feats.push(pts.length === 42 ? 1 : 0);
+    return feats;
+  }
+
+  // Bend at each finger joint: 0 = straight, π = folded back (radians, 5 × 3).
+  function jointAngles(lm) {
+    const feats = [];
+    for (const chain of FINGERS) {
+      const pts = [lm[0], ...chain.map((i) => lm[i])];
+      for (let j = 1; j < pts.length - 1; j++) {
+        const a = sub(pts[j], pts[j - 1]);
+        const b = sub(pts[j + 1], pts[j]);
+        const na = norm(a);
+        const nb = norm(b);
+        const c = na > 0 && nb > 0 ? dot(a, b) / (na * nb) : 1;
+        feats.push(Math.acos(Math.max(-1, Math.min(1, c))));
+      }
+    }
+    return feats;
+  }
+
+  // All 10 fingertip-to-fingertip distances, in hand lengths.
+  function tipDistances(lm) {
+    const n = normalizeLandmarks(lm);
+    const feats = [];
+    for (let i = 0; i < TIPS.length; i++) {
+      for (let j = i + 1; j < TIPS.length; j++) feats.push(norm(sub(n[TIPS[i]], n[TIPS[j]])));
+    }
+    return feats;
+  }
+
+  function combine(...fns) {
+    return (lm) => fns.flatMap((fn) => fn(lm));
+  }
+
+  function sub(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+  }
+
+  function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+  }
+
+  function norm(a) {
+    return Math.sqrt(dot(a, a));
+  }
+
+  // Sign flips that mirror features (x → -x) without their landmarks: the normalised frame
+  // turns with the hand, so a mirrored hand's points come out with only x negated, and
+  // angles and distances don't change. points × [x, y(, z)] values, then `rest` unchanged.
+  function mirrorSigns(points, stride, rest = 0) {
+    const signs = [];
+    for (let i = 0; i < points * stride; i++) signs.push(i % stride === 0 ? -1 : 1);
+    for (let i = 0; i < rest; i++) signs.push(1);
+    return signs;
+  }
+
+  // name → { version, dims, label, fn(lm), mirror, hands? }. Bump a version whenever its output
+  // changes: datasets recorded with another name/version get re-derived from their raw landmarks.
+  // mirror: mirrorSigns() of its values. hands: 2 marks extractors that read a second hand
+  // (landmarks 21–41) when present.
+  const EXTRACTORS = {
+    [FEATURE_NAME]: { version: FEATURE_VERSION, dims: FEATURE_DIMS, label: "XY", fn: xyRotNorm, mirror: mirrorSigns(21, 2) },
+    xyz_rot_norm: { version: 1, dims: 63, label: "XYZ", fn: xyzRotNorm, mirror: mirrorSigns(21, 3) },
+    joint_angles: { version: 1, dims: 15, label: "angles", fn: jointAngles, mirror: mirrorSigns(0, 1, 15) },
+    tip_dists: { version: 1, dims: 10, label: "tip dists", fn: tipDistances, mirror: mirrorSigns(0, 1, 10) },
+    xy_angles_dists: {
+      version: 1,
+      dims: 67,
+      label: "XY+angles+dists",
+      fn: combine(xyRotNorm, jointAngles, tipDistances),
+      mirror: mirrorSigns(21, 2, 25),
+    },
+    xyz_angles_dists: {
+      version: 1,
+      dims: 88,
+      label: "XYZ+angles+dists",
+      fn: combine(xyzRotNorm, jointAngles, tipDistances),
+      mirror: mirrorSigns(21, 3, 25),
+    },
+    two_hand_xy: { version: 1, dims: 85, label: "2 hands XY", fn: twoHandXY, mirror: mirrorSigns(42, 2, 1), hands: 2 },
+  };
+  const EXTRACTOR_NAMES = Object.keys(EXTRACTORS);
+
+  function getExtractor(name) {
+    return EXTRACTORS[name] || null;
+  }
+
+  // Runs the named extractor (default: FEATURE_NAME) on 21×[x, y, z].
+  function featuresFromLandmarks(lm, name = FEATURE_NAME) {
+    const ex = EXTRACTORS[name];
+    if (!ex) throw new Error(`Unknown feature extractor '${name}'`);
+    return ex.fn(lm);
+  }
+
+  // A feature vector of the named extractor as the mirrored hand would give it, or null when
+  // it can't be mirrored without its landmarks (unknown extractor, wrong length)
+  function mirrorFeatures(feats, name = FEATURE_NAME) {
+    const signs = EXTRACTORS[name]?.mirror;
+    if (!signs || !Array.isArray(feats) || feats.length !== signs.length) return null;
+    return feats.map((v, i) => v * signs[i]);
+  }
+
+  // Does meta.feature / meta.featureVersion describe the named extractor?
+  // Legacy payloads have neither: they were all written by the default, version 1.
+  function featureMetaMatches(meta, name = FEATURE_NAME) {
+    const ex = EXTRACTORS[name];
+    return !!ex && (meta?.feature ?? FEATURE_NAME) === name && (meta?.featureVersion ?? 1) === ex.version;
+  }
+
+  return {
+    FEATURE_NAME,
+    FEATURE_DIMS,
+    FEATURE_VERSION,
+    EXTRACTORS,
+    EXTRACTOR_NAMES,
+    getExtractor,
+    getWristX,
+    getValidHands,
+    sortHandsLeftToRight,
+    getHandedness,
+    pickTrackedHand,
+    getLandmarks21,
+    CANONICAL_HAND,
+    mirrorLandmarks,
+    canonicalLandmarks,
+    trackedLandmarks,
+    roundLandmarks,
+    handToFeatsXYRotNorm,
+    normalizeLandmarks,
+    jointAngles,
+    tipDistances,
+    twoHandXY,
+    featuresFromLandmarks,
+    mirrorFeatures,
+    featureMetaMatches,
+  };
+});
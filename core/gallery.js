@@ -0,0 +1,98 @@
+// core/gallery.js — browsing and editing single examples: hand skeletons, delete, relabel
+// Edits work in place on the live dataset { examples, landmarks, addHistory } and keep the
+// undo history in line: the entry that added an example goes with it. `locked` is the
+// read-only base model in front of each label (ASLBase counts), which can't be edited.
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLGallery)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./features"));
+  else root.ASLGallery = factory(root.ASLFeatures);
+})(this, function (ASLFeatures) {
+  "use strict";
+
+  // Skeleton lines, drawn as chains: thumb, fingers (index, pinky from the wrist), the knuckle line
+  const SKELETON_CHAINS = [
+    [0, 1, 2, 3, 4],
+    [0, 5, 6, 7, 8],
+    [9, 10, 11, 12],
+    [13, 14, 15, 16],
+    [0, 17, 18, 19, 20],
+    [5, 9, 13, 17],
+  ];
+  const HAND_BONES = SKELETON_CHAINS.flatMap((c) => c.slice(1).map((p, j) => [c[j], p]));
+
+  // Extractors whose features are the normalised points themselves → values per point
+  const POINT_FEATURES = { [ASLFeatures.FEATURE_NAME]: 2, xyz_rot_norm: 3, two_hand_xy: 2 };
+
+  // Normalised 2D points to draw (wrist at 0,0, middle finger pointing up, y down):
+  // from the raw landmarks when kept, else read back from point-style features.
+  // 21 points, or 42 with a second hand. → null when there's nothing to draw
+  function skeletonPoints(feats, lm, featureName) {
+    if (lm) return ASLFeatures.normalizeLandmarks(lm, lm.length >= 42 ? 42 : 21).map(([x, y]) => [x, y]);
+
+    const step = POINT_FEATURES[featureName];
+    if (!step || !Array.isArray(feats)) return null;
+    let n = Math.floor(feats.length / step);
+    if (featureName === "two_hand_xy") n = feats[84] ? 42 : 21;
+    const pts = [];
+    for (let i = 0; i < n; i++) pts.push([feats[i * step], feats[i * step + 1]]);
+    return pts;
+  }
+
+  // Index in history of the entry that added examples[label][i], where i counts the label's
+  // `count` editable examples oldest first. Entries are matched from the newest end, since
+  // older datasets can carry a shorter history than examples. → -1 when it has none
+  function historyIndexOf(history, label, i, count) {
+    const fromEnd = count - 1 - i;
+    let seen = 0;
+    for (let h = history.length - 1; h >= 0; h--) {
+      if (history[h] !== label) continue;
+      if (seen === fromEnd) return h;
+      seen += 1;
+    }
+    return -1;
+  }
+
+  function isLocked(locked, label, i) {
+    return i < (locked?.[label] || 0);
+  }
+
+  // Removes examples[label][i] (and its landmarks and history entry).
+  // → { feats, lm, own, history } with own = its index among the label's editable examples and
+  // history = the index its entry had in addHistory (-1: none), or null when locked / missing
+  function removeExample(data, label, i, locked = null) {
+    const list = data.examples[label];
+    if (!list || i < 0 || i >= list.length || isLocked(locked, label, i)) return null;
+
+    const base = locked?.[label] || 0;
+    const h = historyIndexOf(data.addHistory, label, i - base, list.length - base);
+    if (h >= 0) data.addHistory.splice(h, 1);
+
+    const feats = list.splice(i, 1)[0];
+    const lm = data.landmarks[label]?.splice(i, 1)[0] ?? null;
+    return { feats, lm, own: i - base, history: h };
+  }
+
+  // Moves examples[label][i] to the end of `to`, as if it had just been recorded there
+  // (so undo takes it back out). → removeExample()'s result, or null
+  function relabelExample(data, label, i, to, locked = null) {
+    if (to === label || !data.examples[to]) return null;
+    const removed = removeExample(data, label, i, locked);
+    if (!removed) return null;
+
+    data.examples[to].push(removed.feats);
+    data.landmarks[to].push(removed.lm);
+    data.addHistory.push(to);
+    return removed;
+  }
+
+  return {
+    HAND_BONES,
+    skeletonPoints,
+    historyIndexOf,
+    isLocked,
+    removeExample,
+    relabelExample,
+  };
+});
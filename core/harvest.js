@@ -0,0 +1,124 @@
+// core/harvest.js — picks NONE (negative) examples out of live frames in harvest mode
+// Two kinds of frame count as "not a letter":
+//   moving — the hand travels or changes shape quickly (between letters). Letters are held
+//            still, except J/Z, which are never harvested.
+//   idle   — the hand has been still for a while and the classifier recognises nothing
+//            (a resting hand).
+// Takes are rate-limited, capped per session and skipped when a NONE example is already close.
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLHarvest)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports)
+    module.exports = factory(require("./dataset"), require("./knn"), require("./motion"));
+  else root.ASLHarvest = factory(root.ASLDataset, root.ASLKnn, root.ASLMotion);
+})(this, function (ASLDataset, ASLKnn, ASLMotion) {
+  "use strict";
+
+  const { NONE_LABEL } = ASLDataset;
+  const { MOTION_LABELS } = ASLMotion;
+
+  const DEFAULTS = {
+    everyMs: 250,
+    moveSpeed: 2.5, // hand lengths / s (wrist travel + shape change) that counts as moving
+    stillSpeed: 0.8, // below this the hand counts as still
+    speedAlpha: 0.3, // EMA weight of the newest frame (landmark jitter alone is ~0.5 / s)
+    idleMs: 1500, // still this long ...
+    idleMaxConf: 0.45, // ... with the classifier's best guess under this confidence
+    minDist: 0.15, // feature distance to the nearest NONE example
+    maxPerSession: 200,
+    maxGapMs: 500, // longer gaps between frames restart the speed estimate
+  };
+
+  function createHarvestState() {
+    return { prev: null, speed: 0, stillSince: null, lastAt: -Infinity, added: 0 };
+  }
+
+  function resetHarvestState(state) {
+    state.prev = null;
+    state.speed = 0;
+    state.stillSince = null;
+    state.lastAt = -Infinity;
+    state.added = 0;
+  }
+
+  function handLength(lm) {
+    return Math.hypot(lm[9][0] - lm[0][0], lm[9][1] - lm[0][1]) || 1;
+  }
+
+  // Wrist travel + mean change of the wrist-relative shape, in hand lengths per second.
+  function handSpeed(prev, lm, dtMs) {
+    const len = handLength(lm);
+    const wrist = Math.hypot(lm[0][0] - prev[0][0], lm[0][1] - prev[0][1]) / len;
+
+    let shape = 0;
+    for (let i = 1; i < 21; i++) {
+      const dx = lm[i][0] - lm[0][0] - (prev[i][0] - prev[0][0]);
+      const dy = lm[i][1] - lm[0][1] - (prev[i][1] - prev[0][1]);
+      shape += Math.hypot(dx, dy);
+    }
+    shape /= 20 * len;
+
+    return ((wrist + shape) * 1000) / dtMs;
+  }
+
+  // One live frame: lm = tracked landmarks (null without a hand), t in ms,
+  // ctx = { feats, res (classify result or null), noneExamples }.
+  // → { take, reason }: reason is "moving" / "idle" for a take, otherwise why not
+  //   ("no hand", "warming up", "steady", "motion letter", "recognised", "too soon",
+  //   "duplicate", "cap"). Idle takes need a classifier result (prediction on).
+  function harvestFrame(state, lm, t, ctx = {}, opts = {}) {
+    const o = { ...DEFAULTS, ...opts };
+
+    if (!lm) {
+      state.prev = null;
+      state.speed = 0;
+      state.stillSince = null;
+      return { take: false, reason: "no hand" };
+    }
+
+    const prev = state.prev;
+    state.prev = { lm, t };
+    if (!prev || t - prev.t <= 0 || t - prev.t > o.maxGapMs) {
+      state.speed = 0;
+      state.stillSince = null;
+      return { take: false, reason: "warming up" };
+    }
+
+    const raw = handSpeed(prev.lm, lm, t - prev.t);
+    state.speed += o.speedAlpha * (raw - state.speed);
+    const speed = state.speed;
+    if (speed >= o.stillSpeed) state.stillSince = null;
+    else if (state.stillSince == null) state.stillSince = t;
+
+    const res = ctx.res;
+    let reason = null;
+    if (speed >= o.moveSpeed) reason = "moving";
+    else if (state.stillSince != null && t - state.stillSince >= o.idleMs && res) {
+      if (res.conf >= o.idleMaxConf && res.best !== NONE_LABEL) return { take: false, reason: "recognised" };
+      reason = "idle";
+    }
+    if (!reason) return { take: false, reason: "steady" };
+
+    if (res && (res.motion || MOTION_LABELS.includes(res.best))) return { take: false, reason: "motion letter" };
+    if (t - state.lastAt < o.everyMs) return { take: false, reason: "too soon" };
+    if (state.added >= o.maxPerSession) return { take: false, reason: "cap" };
+
+    const feats = ctx.feats;
+    if (feats && (ctx.noneExamples || []).some((ex) => ASLKnn.l2Distance(feats, ex) < o.minDist)) {
+      return { take: false, reason: "duplicate" };
+    }
+
+    state.lastAt = t;
+    state.added++;
+    return { take: true, reason };
+  }
+
+  return {
+    DEFAULTS,
+    createHarvestState,
+    resetHarvestState,
+    handSpeed,
+    harvestFrame,
+  };
+});
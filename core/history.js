@@ -0,0 +1,136 @@
+// core/history.js — the learner's game rounds and the statistics drawn from them
+// A round is one run of A–Z, a word or a practice session:
+//   { mode, target, startedAt, endedAt, completed, letters: [{ label, solved, ms, at }],
+//     skips, backs, solved, streak, bestStreak }
+// letters holds every attempt in order (ms: from the letter being shown to holding it stable;
+// null for skips). Rounds are saved per profile (ASLStore.saveRound) while they are played,
+// so one left unfinished still counts. Times are epoch milliseconds; days are local days.
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLHistory)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./dataset"));
+  else root.ASLHistory = factory(root.ASLDataset);
+})(this, function (ASLDataset) {
+  "use strict";
+
+  const { LABELS } = ASLDataset;
+
+  function createRound(mode, target, now) {
+    return {
+      mode,
+      target,
+      startedAt: now,
+      endedAt: now,
+      completed: false,
+      letters: [],
+      skips: 0,
+      backs: 0,
+      solved: 0,
+      streak: 0,
+      bestStreak: 0,
+    };
+  }
+
+  // One attempt at a letter: solved (held stable) after ms, or skipped
+  function noteLetter(round, label, solved, ms, now) {
+    round.letters.push({ label, solved, ms: solved ? Math.round(ms) : null, at: now });
+    if (solved) {
+      round.solved++;
+      round.streak++;
+      round.bestStreak = Math.max(round.bestStreak, round.streak);
+    } else {
+      round.skips++;
+      round.streak = 0;
+    }
+    round.endedAt = now;
+  }
+
+  function noteBack(round, now) {
+    round.backs++;
+    round.endedAt = now;
+  }
+
+  function finishRound(round, now) {
+    round.completed = true;
+    round.endedAt = now;
+  }
+
+  function median(values) {
+    if (values.length === 0) return null;
+    const s = values.slice().sort((a, b) => a - b);
+    const m = s.length >> 1;
+    return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+  }
+
+  // Start of the local day `now` falls in
+  function dayStart(now) {
+    const d = new Date(now);
+    d.setHours(0, 0, 0, 0);
+    return d.getTime();
+  }
+
+  // Per letter: { attempts, solved, skips, medianMs } over the attempts given
+  function letterStats(attempts) {
+    const out = {};
+    for (const l of LABELS) {
+      const mine = attempts.filter((a) => a.label === l);
+      const solvedMs = mine.filter((a) => a.solved).map((a) => a.ms);
+      out[l] = { attempts: mine.length, solved: solvedMs.length, skips: mine.length - solvedMs.length, medianMs: median(solvedMs) };
+    }
+    return out;
+  }
+
+  // Totals over all rounds: { rounds, completed, attempts, solved, skips, backs, bestStreak,
+  // playedMs, letters: letterStats }
+  function summarize(rounds) {
+    const attempts = rounds.flatMap((r) => r.letters);
+    return {
+      rounds: rounds.length,
+      completed: rounds.filter((r) => r.completed).length,
+      attempts: attempts.length,
+      solved: rounds.reduce((n, r) => n + r.solved, 0),
+      skips: rounds.reduce((n, r) => n + r.skips, 0),
+      backs: rounds.reduce((n, r) => n + r.backs, 0),
+      bestStreak: rounds.reduce((n, r) => Math.max(n, r.bestStreak), 0),
+      playedMs: rounds.reduce((n, r) => n + Math.max(0, r.endedAt - r.startedAt), 0),
+      letters: letterStats(attempts),
+    };
+  }
+
+  // One letter over the last `days` days, oldest first: [{ day, attempts, solved, medianMs }]
+  // (day: start of that local day; days without attempts have attempts 0, medianMs null)
+  function letterTrend(rounds, label, now, days = 14) {
+    const out = [];
+    const today = dayStart(now);
+    for (let i = days - 1; i >= 0; i--) {
+      // via Date so days stay whole across daylight-saving changes
+      const d = new Date(today);
+      d.setDate(d.getDate() - i);
+      out.push({ day: d.getTime(), attempts: 0, solved: 0, medianMs: null, ms: [] });
+    }
+    for (const r of rounds) {
+      for (const a of r.letters) {
+        if (a.label !== label) continue;
+        const slot = out.find((s) => s.day === dayStart(a.at));
+        if (!slot) continue;
+        slot.attempts++;
+        if (a.solved) {
+          slot.solved++;
+          slot.ms.push(a.ms);
+        }
+      }
+    }
+    return out.map(({ day, attempts, solved, ms }) => ({ day, attempts, solved, medianMs: median(ms) }));
+  }
+
+  return {
+    createRound,
+    noteLetter,
+    noteBack,
+    finishRound,
+    dayStart,
+    summarize,
+    letterTrend,
+  };
+});
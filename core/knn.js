@@ -0,0 +1,215 @@
+// core/knn.js — distance-weighted kNN + confidence/margin gating, packed example index
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLKnn)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./dataset"));
+  else root.ASLKnn = factory(root.ASLDataset);
+})(this, function (ASLDataset) {
+  "use strict";
+
+  const { ALL_LABELS, NONE_LABEL } = ASLDataset;
+
+  const DEFAULTS = {
+    k: 7,
+    minConf: 0.62,
+    minMargin: 0.12,
+    eps: 1e-6,
+  };
+
+  function l2Distance(a, b) {
+    let s = 0;
+    for (let i = 0; i < a.length; i++) {
+      const d = a[i] - b[i];
+      s += d * d;
+    }
+    return Math.sqrt(s);
+  }
+
+  // Returns { label, conf, best, second, scores } or null when there is no data.
+  // label is NONE when NONE wins outright or the winner fails the conf/margin gate.
+  // Brute force (full scan + sort); live prediction uses classifyIndexed, which returns the same.
+  function classifyKNN(feats, examples, opts = {}) {
+    const { k: K } = { ...DEFAULTS, ...opts };
+
+    const neighbors = [];
+    for (const label of ALL_LABELS) {
+      const arr = examples[label];
+      if (!arr || arr.length === 0) continue;
+      for (let i = 0; i < arr.length; i++) {
+        const d = l2Distance(feats, arr[i]);
+        neighbors.push({ label, d });
+      }
+    }
+
+    if (neighbors.length === 0) return null;
+
+    neighbors.sort((a, b) => a.d - b.d);
+    const k = Math.min(K, neighbors.length);
+    return voteNeighbors(neighbors.slice(0, k), opts);
+  }
+
+  // Distance-weighted vote over the k nearest ({ label, d }, nearest first) + gating.
+  function voteNeighbors(topK, opts) {
+    const { minConf, minMargin, eps } = { ...DEFAULTS, ...opts };
+    const { best, second, conf, margin, scores } = tallyVotes(topK, eps);
+
+    if (best === NONE_LABEL) {
+      return { label: NONE_LABEL, conf, best, second, scores };
+    }
+
+    if (conf < minConf || margin < minMargin) {
+      return { label: NONE_LABEL, conf, best, second, scores };
+    }
+
+    return { label: best, conf, best, second, scores };
+  }
+
+  // Ungated vote: { best, second, conf, margin, scores }. Exposed so threshold sweeps can
+  // re-gate one vote many times. A neighbour's optional w scales its vote.
+  function tallyVotes(topK, eps = DEFAULTS.eps) {
+    const scores = {};
+    for (const { label, d, w = 1 } of topK) {
+      scores[label] = (scores[label] || 0) + w / (d + eps);
+    }
+
+    let bestLabel = null,
+      bestScore = -Infinity;
+    let secondLabel = null,
+      secondScore = -Infinity;
+
+    for (const label of Object.keys(scores)) {
+      const s = scores[label];
+      if (s > bestScore) {
+        secondScore = bestScore;
+        secondLabel = bestLabel;
+        bestScore = s;
+        bestLabel = label;
+      } else if (s > secondScore) {
+        secondScore = s;
+        secondLabel = label;
+      }
+    }
+
+    if (!isFinite(secondScore)) secondScore = 0;
+
+    let total = 0;
+    for (const s of Object.values(scores)) total += s;
+
+    const conf = total > 0 ? bestScore / total : 0;
+    const secondConf = total > 0 ? secondScore / total : 0;
+    return { best: bestLabel, second: secondLabel, conf, margin: conf - secondConf, scores };
+  }
+
+  /* -------------------- index -------------------- */
+
+  // Examples packed per label into growable Float64Arrays (exact copies of the values), kept in
+  // step with the dataset by indexAdd / indexRemove instead of being rebuilt on every change.
+  // Scanning labels in ALL_LABELS order, rows in example order, reproduces the brute-force
+  // tie order, so classifyIndexed gives bit-identical results.
+  function createIndex(examples) {
+    const index = { dims: 0, count: 0, blocks: {} };
+    for (const label of ALL_LABELS) {
+      index.blocks[label] = { data: new Float64Array(0), n: 0 };
+      for (const feats of examples?.[label] || []) indexAdd(index, label, feats);
+    }
+    return index;
+  }
+
+  // false (nothing added) when feats doesn't have the index's dims: such a row has no
+  // meaningful distance anyway.
+  function indexAdd(index, label, feats) {
+    if (index.count === 0) index.dims = feats.length;
+    if (feats.length !== index.dims) return false;
+
+    const block = index.blocks[label];
+    const need = (block.n + 1) * index.dims;
+    if (need > block.data.length) {
+      const grown = new Float64Array(Math.max(need, block.data.length * 2, index.dims * 16));
+      grown.set(block.data.subarray(0, block.n * index.dims));
+      block.data = grown;
+    }
+    block.data.set(feats, block.n * index.dims);
+    block.n++;
+    index.count++;
+    return true;
+  }
+
+  // Removes example i of a label (default: the last one, as undo does).
+  function indexRemove(index, label, i) {
+    const block = index.blocks[label];
+    if (!block || block.n === 0) return false;
+    const row = i ?? block.n - 1;
+    if (row < 0 || row >= block.n) return false;
+
+    const dims = index.dims;
+    block.data.copyWithin(row * dims, (row + 1) * dims, block.n * dims);
+    block.n--;
+    index.count--;
+    return true;
+  }
+
+  // Same result as classifyKNN(feats, examples) for the examples the index holds.
+  // index can also be a list of indexes (e.g. the examples, then ASLAugment variants): they
+  // vote as one index holding all their rows would, ties going to the earlier index.
+  // opts.weights: one vote weight per index (default 1), e.g. a learner's calibration counting more.
+  function classifyIndexed(feats, index, opts = {}) {
+    const { k } = { ...DEFAULTS, ...opts };
+    const list = Array.isArray(index) ? index : [index];
+    const parts = list.map((ix, j) => ({ ix, w: opts.weights?.[j] ?? 1 })).filter(({ ix }) => ix && ix.count > 0);
+    if (parts.length === 0) return null;
+    if (parts.length === 1 && parts[0].w === 1) return voteNeighbors(nearestNeighbors(feats, parts[0].ix, k), opts);
+
+    // each list is nearest first; a stable sort keeps earlier indexes ahead on ties
+    const merged = parts
+      .flatMap(({ ix, w }) => nearestNeighbors(feats, ix, k).map((n) => (w === 1 ? n : { ...n, w })))
+      .sort((a, b) => a.d - b.d);
+    return voteNeighbors(merged.slice(0, k), opts);
+  }
+
+  // The k nearest indexed examples as [{ label, d }], nearest first, in the order a stable
+  // sort of the full scan would give. Keeps only the k nearest while scanning (no full sort)
+  // and stops summing a row as soon as it is already farther than the current k-th neighbour.
+  // exclude: a label to leave out of the search.
+  function nearestNeighbors(feats, index, k, exclude = null) {
+    k = Math.min(k, index.count - (exclude ? index.blocks[exclude]?.n || 0 : 0));
+    const dims = index.dims;
+    const top = []; // { label, s } by squared distance, nearest first
+    if (k <= 0) return top;
+
+    for (const label of ALL_LABELS) {
+      if (label === exclude) continue;
+      const { data, n } = index.blocks[label];
+      for (let r = 0; r < n; r++) {
+        const limit = top.length === k ? top[k - 1].s : Infinity;
+        const base = r * dims;
+        let s = 0;
+        for (let j = 0; j < dims && s <= limit; j++) {
+          const d = feats[j] - data[base + j];
+          s += d * d;
+        }
+        // a tie with the k-th comes later in scan order, so a stable sort would drop it too
+        if (s >= limit) continue;
+
+        let at = top.length;
+        while (at > 0 && top[at - 1].s > s) at--;
+        top.splice(at, 0, { label, s });
+        if (top.length > k) top.pop();
+      }
+    }
+
+    return top.map(({ label, s }) => ({ label, d: Math.sqrt(s) }));
+  }
+
+  return {
+    DEFAULTS,
+    l2Distance,
+    classifyKNN,
+    createIndex,
+    indexAdd,
+    indexRemove,
+    classifyIndexed,
+    nearestNeighbors,
+    tallyVotes,
+  };
+});
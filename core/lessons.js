@@ -0,0 +1,236 @@
+// core/lessons.js — lesson packs: themed word lists in ordered units, with pass criteria
+// A pack file, as a teacher writes it:
+//   { "format": "asl-lesson-pack", "id": "first-words", "title": "First words",
+//     "pass": { "minAccuracy": 0.8, "maxSkips": 1 },
+//     "units": [{ "title": "Greetings", "words": ["HI", "BYE"], "pass": { ... } }, ...] }
+// or just { "title": ..., "words": [...] } for one list. Words are cleaned like Word mode's
+// (A–Z only); a unit's pass criteria override the pack's. Units are played in order: one
+// opens when every word of the one before has passed.
+// Packs are shared (ASLStore.saveLessonPack); progress belongs to a profile
+// (ASLStore.saveLessonProgress): { version, packs: { packId: { "unit:WORD": entry } } },
+// entry = { best, passed, tries, at }.
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLLessons)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.ASLLessons = factory();
+})(this, function () {
+  "use strict";
+
+  const PACK_FORMAT = "asl-lesson-pack";
+  const PROGRESS_VERSION = 1;
+
+  // a word passes when at least minAccuracy of its letters were held (skips are misses)
+  // and it was skipped at most maxSkips times (null: any number)
+  const DEFAULTS = {
+    minAccuracy: 0.8,
+    maxSkips: null,
+  };
+
+  function cleanWord(s) {
+    return String(s ?? "").toUpperCase().replace(/[^A-Z]/g, "");
+  }
+
+  function slug(s) {
+    return String(s).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  }
+
+  // Whether a parsed file is meant as a lesson pack (rather than a dataset)
+  function isPack(raw) {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) return false;
+    return raw.format === PACK_FORMAT || (!raw.examples && (Array.isArray(raw.units) || Array.isArray(raw.words)));
+  }
+
+  // { minAccuracy: 0..1 (80 reads as 80 %), maxSkips: whole number } → the usable part, listing the rest
+  function readPass(raw, where, issues) {
+    const out = {};
+    if (raw == null) return out;
+    if (typeof raw !== "object") {
+      issues.push(`${where}: pass criteria ignored (not an object)`);
+      return out;
+    }
+    if (raw.minAccuracy != null) {
+      const a = Number(raw.minAccuracy);
+      if (Number.isFinite(a) && a >= 0 && a <= 100) out.minAccuracy = a > 1 ? a / 100 : a;
+      else issues.push(`${where}: minAccuracy ${JSON.stringify(raw.minAccuracy)} ignored`);
+    }
+    if (raw.maxSkips != null) {
+      const n = Number(raw.maxSkips);
+      if (Number.isInteger(n) && n >= 0) out.maxSkips = n;
+      else issues.push(`${where}: maxSkips ${JSON.stringify(raw.maxSkips)} ignored`);
+    }
+    return out;
+  }
+
+  // A parsed pack file → { pack, issues }: pack = { id, title, description, pass, units:
+  // [{ title, pass, words }] } with only playable words (issues lists what was cleaned or left
+  // out). Throws when there is nothing to play.
+  function readPack(raw) {
+    if (!isPack(raw)) throw new Error("Not a lesson pack (needs units or words)");
+    const issues = [];
+    const title = typeof raw.title === "string" && raw.title.trim() ? raw.title.trim() : "Untitled pack";
+    const rawUnits = Array.isArray(raw.units) ? raw.units : [{ title, words: raw.words }];
+
+    const units = [];
+    rawUnits.forEach((u, i) => {
+      const where = `unit ${i + 1}`;
+      if (!u || !Array.isArray(u.words)) {
+        issues.push(`${where}: no word list (left out)`);
+        return;
+      }
+      const words = [];
+      for (const w of u.words) {
+        const word = cleanWord(w);
+        if (!word) issues.push(`${where}: ${JSON.stringify(w)} has no letters (left out)`);
+        else if (words.includes(word)) issues.push(`${where}: ${word} twice (kept once)`);
+        else {
+          if (word !== String(w).toUpperCase()) issues.push(`${where}: ${JSON.stringify(w)} read as ${word}`);
+          words.push(word);
+        }
+      }
+      if (words.length === 0) {
+        issues.push(`${where}: no playable words (left out)`);
+        return;
+      }
+      const unitTitle = typeof u.title === "string" && u.title.trim() ? u.title.trim() : `Unit ${units.length + 1}`;
+      units.push({ title: unitTitle, pass: readPass(u.pass, where, issues), words });
+    });
+    if (units.length === 0) throw new Error(`Lesson pack "${title}" has no playable words`);
+
+    return {
+      pack: {
+        id: typeof raw.id === "string" && slug(raw.id) ? slug(raw.id) : slug(title) || "pack",
+        title,
+        description: typeof raw.description === "string" ? raw.description : "",
+        pass: readPass(raw.pass, "pack", issues),
+        units,
+      },
+      issues,
+    };
+  }
+
+  /* -------------------- progress -------------------- */
+
+  function createProgress() {
+    return { version: PROGRESS_VERSION, packs: {} };
+  }
+
+  // A stored progress record (or anything else) → progress with only well-formed entries
+  function readProgress(raw) {
+    const out = createProgress();
+    const packs = raw && typeof raw === "object" ? raw.packs : null;
+    if (!packs || typeof packs !== "object") return out;
+    for (const [id, words] of Object.entries(packs)) {
+      if (!words || typeof words !== "object") continue;
+      out.packs[id] = {};
+      for (const [key, e] of Object.entries(words)) {
+        if (!e || !Number.isFinite(e.best)) continue;
+        out.packs[id][key] = { best: e.best, passed: e.passed === true, tries: e.tries | 0, at: Number.isFinite(e.at) ? e.at : 0 };
+      }
+    }
+    return out;
+  }
+
+  function wordKey(unit, word) {
+    return `${unit}:${word}`;
+  }
+
+  function criteriaOf(pack, unit) {
+    return { ...DEFAULTS, ...pack.pass, ...pack.units[unit].pass };
+  }
+
+  // One play of a word: held / skipped are the letter positions held and ever skipped, skips
+  // how often a letter was skipped. A letter only counts as accurate when it was held without
+  // being skipped first: stepping back to it after a skip doesn't win it back.
+  // → { accuracy: 0..1, skips }
+  function scoreWord(length, held, skipped, skips) {
+    let accurate = 0;
+    for (const i of held) if (i < length && !skipped.has(i)) accurate++;
+    return { accuracy: length > 0 ? accurate / length : 0, skips };
+  }
+
+  function passes(criteria, result) {
+    return result.accuracy >= criteria.minAccuracy && (criteria.maxSkips == null || result.skips <= criteria.maxSkips);
+  }
+
+  // Records one play of pack.units[unit]'s word; a pass stays passed.
+  // → { passed: this play, entry, criteria }
+  function recordWord(progress, pack, unit, word, result, now) {
+    const criteria = criteriaOf(pack, unit);
+    const passed = passes(criteria, result);
+    const words = progress.packs[pack.id] || (progress.packs[pack.id] = {});
+    const key = wordKey(unit, word);
+    const prev = words[key] || { best: 0, passed: false, tries: 0, at: 0 };
+    const entry = { best: Math.max(prev.best, result.accuracy), passed: prev.passed || passed, tries: prev.tries + 1, at: now };
+    words[key] = entry;
+    return { passed, entry, criteria };
+  }
+
+  function wordEntry(progress, pack, unit, word) {
+    return progress.packs[pack.id]?.[wordKey(unit, word)] ?? null;
+  }
+
+  function unitPassed(progress, pack, unit) {
+    return pack.units[unit].words.every((w) => wordEntry(progress, pack, unit, w)?.passed);
+  }
+
+  function unitOpen(progress, pack, unit) {
+    return unit === 0 || unitPassed(progress, pack, unit - 1);
+  }
+
+  // The word to play next: the first one not passed yet, in order → { unit, index, word }, or null when the pack is done
+  function nextWord(progress, pack) {
+    for (let u = 0; u < pack.units.length; u++) {
+      const index = pack.units[u].words.findIndex((w) => !wordEntry(progress, pack, u, w)?.passed);
+      if (index >= 0) return { unit: u, index, word: pack.units[u].words[index] };
+    }
+    return null;
+  }
+
+  // The word after `pos` ({ unit, index }; null: before the first), wrapping round → { unit, index, word }
+  // (going through a pack again once it is done)
+  function wordAfter(pack, pos) {
+    let unit = pos ? pos.unit : 0;
+    let index = pos ? pos.index + 1 : 0;
+    if (index >= pack.units[unit].words.length) {
+      unit = (unit + 1) % pack.units.length;
+      index = 0;
+    }
+    return { unit, index, word: pack.units[unit].words[index] };
+  }
+
+  // → { units, unitsPassed, words, wordsPassed, complete }
+  function packStatus(progress, pack) {
+    let words = 0;
+    let wordsPassed = 0;
+    let unitsPassed = 0;
+    pack.units.forEach((unit, u) => {
+      words += unit.words.length;
+      wordsPassed += unit.words.filter((w) => wordEntry(progress, pack, u, w)?.passed).length;
+      if (unitPassed(progress, pack, u)) unitsPassed++;
+    });
+    return { units: pack.units.length, unitsPassed, words, wordsPassed, complete: unitsPassed === pack.units.length };
+  }
+
+  return {
+    PACK_FORMAT,
+    PROGRESS_VERSION,
+    DEFAULTS,
+    cleanWord,
+    isPack,
+    readPack,
+    createProgress,
+    readProgress,
+    criteriaOf,
+    scoreWord,
+    passes,
+    recordWord,
+    wordEntry,
+    unitPassed,
+    unitOpen,
+    nextWord,
+    wordAfter,
+    packStatus,
+  };
+});
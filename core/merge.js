@@ -0,0 +1,206 @@
+// core/merge.js — importing a dataset into the current one: replace, append, or per-label merge
+// Incoming examples are first brought into the current feature space (re-derived from their
+// raw landmarks when the two use different extractors). Append adds them all as they are; merge
+// checks each against the nearest example kept so far: closer than dupDist with the same label
+// it is a duplicate (skipped), with another label a conflict (skipped or kept, opts.conflicts).
+// planImport() only computes the outcome; the sketch shows its summary and applies `result`.
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLMerge)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports)
+    module.exports = factory(require("./dataset"), require("./features"), require("./knn"), require("./motion"));
+  else root.ASLMerge = factory(root.ASLDataset, root.ASLFeatures, root.ASLKnn, root.ASLMotion);
+})(this, function (ASLDataset, ASLFeatures, ASLKnn, ASLMotion) {
+  "use strict";
+
+  const { ALL_LABELS } = ASLDataset;
+  const { MOTION_LABELS, SEQ_HISTORY_PREFIX } = ASLMotion;
+
+  const MODES = ["merge", "append", "replace"];
+  // per label in merge mode: add theirs (deduplicated), overwrite ours with theirs, keep ours only
+  const ACTIONS = ["add", "overwrite", "keep"];
+
+  const DEFAULTS = {
+    // feature distance under which two examples count as the same one. Separate recordings
+    // sit further apart (closest pair in the bundled set: 0.011), re-exports at 0
+    dupDist: 0.01,
+    conflicts: "skip", // "skip" | "keep": an incoming example that sits on another label's example
+  };
+
+  // A legacy left-hand payload's examples in right-hand form: landmarks mirrored, features
+  // mirrored as they are (ASLFeatures.mirrorFeatures, exact for every extractor), so
+  // recordings without landmarks come across too. Features that can't be mirrored keep their
+  // landmarks to be re-derived from (stale) or, without any, are dropped.
+  // → { examples, landmarks, mirrored, stale, dropped }
+  function mirrorLegacyLeft(examples, landmarks, source) {
+    const out = { examples: {}, landmarks: {}, mirrored: 0, stale: 0, dropped: 0 };
+    ALL_LABELS.forEach((l) => {
+      out.examples[l] = [];
+      out.landmarks[l] = [];
+      examples[l].forEach((feats, i) => {
+        const lm = landmarks[l][i] ? ASLFeatures.mirrorLandmarks(landmarks[l][i]) : null;
+        const f = ASLFeatures.mirrorFeatures(feats, source);
+        if (!f && !lm) {
+          out.dropped += 1;
+          return;
+        }
+        if (f) out.mirrored += 1;
+        else out.stale += 1;
+        out.examples[l].push(f ?? feats);
+        out.landmarks[l].push(lm);
+      });
+    });
+    return out;
+  }
+
+  // A (current-version) payload's examples, landmarks, sequences and history in the feature
+  // space of `featureName`, mirrored first when it was recorded from left hands before they
+  // were mirrored (meta.trackHand "LEFT" without meta.canonicalHand).
+  // → { examples, landmarks, sequences, addHistory, rederived, mirrored } (rederived: the
+  // re-derive summary, mirrored: { mirrored, dropped }; null when not needed)
+  function toFeatureSpace(payload, featureName) {
+    let examples = ASLDataset.readExamples(payload);
+    let landmarks = ASLDataset.readLandmarks(payload, examples);
+
+    let mirrored = null;
+    let stale = false;
+    if (payload.meta?.trackHand === "LEFT" && !payload.meta?.canonicalHand) {
+      const m = mirrorLegacyLeft(examples, landmarks, payload.meta.feature ?? ASLFeatures.FEATURE_NAME);
+      ({ examples, landmarks } = m);
+      mirrored = { mirrored: m.mirrored + m.stale, dropped: m.dropped };
+      stale = m.stale > 0;
+    }
+
+    let rederived = null;
+    let out = { examples, landmarks };
+    if (stale || !ASLFeatures.featureMetaMatches(payload.meta, featureName)) {
+      const extractor = ASLFeatures.getExtractor(featureName);
+      rederived = ASLDataset.rederiveFeatures(examples, landmarks, extractor.fn, extractor.dims);
+      out = rederived;
+    }
+
+    return {
+      examples: out.examples,
+      landmarks: out.landmarks,
+      sequences: ASLMotion.readSequences(payload),
+      addHistory: ASLDataset.readHistory(payload),
+      rederived,
+      mirrored,
+    };
+  }
+
+  function historyLabel(entry) {
+    return entry.startsWith(SEQ_HISTORY_PREFIX) ? entry.slice(SEQ_HISTORY_PREFIX.length) : entry;
+  }
+
+  // current: the live dataset { examples, landmarks, sequences, addHistory };
+  // incoming: toFeatureSpace() of the file. opts: { mode, actions: { label: action }, dupDist, conflicts, locked }.
+  // "append" adds every example of every label as it is; "merge" follows actions (default "add")
+  // and only it skips duplicates and conflicts; "replace" takes the file as it is.
+  // locked: { label: n } — the first n examples of a label are read-only (the base model, ASLBase),
+  // so overwriting a label only replaces what comes after them.
+  // → { mode, rows, totals, result }
+  //   rows: per label { label, action, ours, theirs, added, duplicates, conflicts, overwritten, seqAdded }
+  //   totals: { added, duplicates, conflicts, overwritten, kept } (kept = theirs left out by "keep")
+  //   result: { examples, landmarks, sequences, addHistory } to apply
+  function planImport(current, incoming, opts = {}) {
+    const o = { ...DEFAULTS, ...opts };
+    const mode = MODES.includes(o.mode) ? o.mode : "merge";
+    const actionFor = (l) => {
+      if (mode === "replace") return "overwrite";
+      if (mode === "append") return "add";
+      return ACTIONS.includes(o.actions?.[l]) ? o.actions[l] : "add";
+    };
+
+    const examples = {};
+    const landmarks = {};
+    const sequences = {};
+    const overwritten = new Set(ALL_LABELS.filter((l) => actionFor(l) === "overwrite"));
+
+    // everything of ours that stays, then each accepted incoming example as it is accepted
+    const index = ASLKnn.createIndex(null);
+    for (const l of ALL_LABELS) {
+      const keep = overwritten.has(l) ? o.locked?.[l] || 0 : undefined;
+      examples[l] = (current.examples[l] || []).slice(0, keep);
+      landmarks[l] = (current.landmarks?.[l] || []).slice(0, keep);
+      while (landmarks[l].length < examples[l].length) landmarks[l].push(null);
+      examples[l].forEach((f) => ASLKnn.indexAdd(index, l, f));
+    }
+
+    const addHistory = (current.addHistory || []).filter((h) => !overwritten.has(historyLabel(h)));
+    const totals = { added: 0, duplicates: 0, conflicts: 0, overwritten: 0, kept: 0 };
+    const rows = [];
+
+    for (const l of ALL_LABELS) {
+      const action = actionFor(l);
+      const theirs = incoming.examples[l] || [];
+      const row = {
+        label: l,
+        action,
+        ours: (current.examples[l] || []).length,
+        theirs: theirs.length,
+        added: 0,
+        duplicates: 0,
+        conflicts: 0,
+        overwritten: action === "overwrite" ? Math.max(0, (current.examples[l] || []).length - (o.locked?.[l] || 0)) : 0,
+        seqAdded: 0,
+      };
+
+      if (action === "keep") {
+        totals.kept += theirs.length;
+      } else {
+        theirs.forEach((f, i) => {
+          if (mode === "merge") {
+            const nn = ASLKnn.nearestNeighbors(f, index, 1)[0];
+            if (nn && nn.d < o.dupDist) {
+              if (nn.label === l) {
+                row.duplicates++;
+                return;
+              }
+              row.conflicts++;
+              if (o.conflicts !== "keep") return;
+            }
+          }
+          if (!ASLKnn.indexAdd(index, l, f)) return;
+          examples[l].push(f);
+          landmarks[l].push(incoming.landmarks?.[l]?.[i] ?? null);
+          addHistory.push(l);
+          row.added++;
+        });
+      }
+
+      if (MOTION_LABELS.includes(l)) {
+        const ours = overwritten.has(l) ? [] : (current.sequences?.[l] || []).slice();
+        if (action !== "keep") {
+          const seen = new Set(ours.map((s) => JSON.stringify(s)));
+          for (const seq of incoming.sequences?.[l] || []) {
+            const key = JSON.stringify(seq);
+            if (mode === "merge" && seen.has(key)) continue;
+            seen.add(key);
+            ours.push(seq);
+            addHistory.push(SEQ_HISTORY_PREFIX + l);
+            row.seqAdded++;
+          }
+        }
+        sequences[l] = ours;
+      }
+
+      totals.added += row.added;
+      totals.duplicates += row.duplicates;
+      totals.conflicts += row.conflicts;
+      totals.overwritten += row.overwritten;
+      rows.push(row);
+    }
+
+    return { mode, rows, totals, result: { examples, landmarks, sequences, addHistory } };
+  }
+
+  return {
+    MODES,
+    ACTIONS,
+    DEFAULTS,
+    toFeatureSpace,
+    planImport,
+  };
+});
@@ -0,0 +1,413 @@
+// core/mlp.js — small multi-layer perceptron as an alternative to the kNN
+// Plain JS on the CPU on purpose: HandPose keeps the tfjs (WebGL) backend to itself,
+// and the same code trains/predicts in Node for tests.
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLMlp)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./dataset"));
+  else root.ASLMlp = factory(root.ASLDataset);
+})(this, function (ASLDataset) {
+  "use strict";
+
+  const { ALL_LABELS, NONE_LABEL } = ASLDataset;
+
+  const MODEL_TYPE = "mlp";
+  const MODEL_VERSION = 1;
+
+  const DEFAULTS = {
+    hidden: [64],
+    epochs: 30,
+    batchSize: 32,
+    lr: 0.005,
+    l2: 1e-4,
+    seed: 1,
+    minConf: 0.62,
+    minMargin: 0.12,
+  };
+
+  // Small deterministic PRNG so training runs are reproducible.
+  function mulberry32(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function randn(rand) {
+    const u = Math.max(rand(), 1e-12);
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand());
+  }
+
+  /* -------------------- model -------------------- */
+
+  // labels: output classes (only those that have examples), dims: input length
+  function createMLP({ labels, dims, hidden = DEFAULTS.hidden, seed = DEFAULTS.seed }) {
+    const rand = mulberry32(seed);
+    const sizes = [dims, ...hidden, labels.length];
+    const layers = [];
+    for (let i = 0; i < sizes.length - 1; i++) {
+      const inDim = sizes[i];
+      const outDim = sizes[i + 1];
+      const w = new Float64Array(inDim * outDim);
+      const std = Math.sqrt(2 / inDim);
+      for (let j = 0; j < w.length; j++) w[j] = randn(rand) * std;
+      layers.push({ inDim, outDim, w, b: new Float64Array(outDim) });
+    }
+    return {
+      labels: labels.slice(),
+      dims,
+      hidden: hidden.slice(),
+      norm: { mean: new Array(dims).fill(0), std: new Array(dims).fill(1) },
+      layers,
+    };
+  }
+
+  // Returns activations per layer (input first); the last one is the softmax output.
+  function forward(model, feats) {
+    const { mean, std } = model.norm;
+    let a = new Float64Array(model.dims);
+    for (let i = 0; i < model.dims; i++) a[i] = ((feats[i] ?? 0) - mean[i]) / std[i];
+
+    const acts = [a];
+    model.layers.forEach((layer, li) => {
+      const out = new Float64Array(layer.outDim);
+      for (let o = 0; o < layer.outDim; o++) {
+        let s = layer.b[o];
+        const row = o * layer.inDim;
+        for (let i = 0; i < layer.inDim; i++) s += layer.w[row + i] * a[i];
+        out[o] = s;
+      }
+
+      if (li < model.layers.length - 1) {
+        for (let o = 0; o < out.length; o++) if (out[o] < 0) out[o] = 0;
+      } else {
+        let mx = -Infinity;
+        for (let o = 0; o < out.length; o++) mx = Math.max(mx, out[o]);
+        let sum = 0;
+        for (let o = 0; o < out.length; o++) {
+          out[o] = Math.exp(out[o] - mx);
+          sum += out[o];
+        }
+        for (let o = 0; o < out.length; o++) out[o] /= sum;
+      }
+
+      acts.push(out);
+      a = out;
+    });
+    return acts;
+  }
+
+  function predictProba(model, feats) {
+    const acts = forward(model, feats);
+    return acts[acts.length - 1];
+  }
+
+  // Same { label, conf, best, second, scores } shape and gating rule as classifyKNN;
+  // scores are the softmax probabilities.
+  function classifyMLP(feats, model, opts = {}) {
+    if (!model) return null;
+    const { minConf, minMargin } = { ...DEFAULTS, ...opts };
+    const probs = predictProba(model, feats);
+
+    const scores = {};
+    let bestLabel = null,
+      bestScore = -Infinity;
+    let secondLabel = null,
+      secondScore = -Infinity;
+
+    model.labels.forEach((label, i) => {
+      const s = probs[i];
+      scores[label] = s;
+      if (s > bestScore) {
+        secondScore = bestScore;
+        secondLabel = bestLabel;
+        bestScore = s;
+        bestLabel = label;
+      } else if (s > secondScore) {
+        secondScore = s;
+        secondLabel = label;
+      }
+    });
+
+    if (!isFinite(secondScore)) secondScore = 0;
+
+    const conf = bestScore;
+    const margin = conf - secondScore;
+
+    if (bestLabel === NONE_LABEL || conf < minConf || margin < minMargin) {
+      return { label: NONE_LABEL, conf, best: bestLabel, second: secondLabel, scores };
+    }
+    return { label: bestLabel, conf, best: bestLabel, second: secondLabel, scores };
+  }
+
+  /* -------------------- training -------------------- */
+
+  function buildTrainingSet(examples) {
+    const labels = ALL_LABELS.filter((l) => (examples[l] || []).length > 0);
+    const xs = [];
+    const ys = [];
+    labels.forEach((l, li) => {
+      for (const f of examples[l]) {
+        xs.push(f);
+        ys.push(li);
+      }
+    });
+    return { labels, xs, ys, dims: xs.length > 0 ? xs[0].length : 0 };
+  }
+
+  function computeNorm(xs, dims) {
+    const mean = new Array(dims).fill(0);
+    const std = new Array(dims).fill(0);
+    for (const x of xs) for (let i = 0; i < dims; i++) mean[i] += x[i];
+    for (let i = 0; i < dims; i++) mean[i] /= xs.length;
+    for (const x of xs)
+      for (let i = 0; i < dims; i++) {
+        const d = x[i] - mean[i];
+        std[i] += d * d;
+      }
+    // near-constant inputs (a coordinate the normalisation pins to 0) count as constant: their
+    // spread would be saved as 0 (serializeModel rounds) and divide by zero after loading
+    for (let i = 0; i < dims; i++) {
+      const s = Math.sqrt(std[i] / xs.length);
+      std[i] = s > 1e-6 ? s : 1;
+    }
+    return { mean, std };
+  }
+
+  // Incremental training so the sketch can show progress and keep drawing:
+  //   const job = createTrainer(examples, { epochs: 60 });
+  //   job.step(n) each frame (n mini-batches) until job.done, then use job.model
+  function createTrainer(examples, opts = {}) {
+    const o = { ...DEFAULTS, ...opts };
+    const data = buildTrainingSet(examples);
+    if (data.labels.length < 2) throw new Error("Need examples for at least two labels");
+
+    const model = createMLP({ labels: data.labels, dims: data.dims, hidden: o.hidden, seed: o.seed });
+    model.norm = computeNorm(data.xs, data.dims);
+
+    const rand = mulberry32(o.seed + 1);
+    const order = data.xs.map((_, i) => i);
+    const shuffle = () => {
+      for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(rand() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+    };
+    shuffle();
+
+    // Adam moments per layer
+    const adam = model.layers.map((l) => ({
+      mw: new Float64Array(l.w.length),
+      vw: new Float64Array(l.w.length),
+      mb: new Float64Array(l.b.length),
+      vb: new Float64Array(l.b.length),
+    }));
+    const B1 = 0.9,
+      B2 = 0.999,
+      AEPS = 1e-8;
+    let t = 0;
+
+    const batchesPerEpoch = Math.ceil(order.length / o.batchSize);
+    let batch = 0;
+    let epochLoss = 0,
+      epochCorrect = 0;
+
+    const job = {
+      model,
+      epoch: 0,
+      epochs: o.epochs,
+      loss: null,
+      acc: null,
+      history: [],
+      done: false,
+      get progress() {
+        return (job.epoch * batchesPerEpoch + batch) / (o.epochs * batchesPerEpoch);
+      },
+      step(n = Infinity) {
+        for (let s = 0; s < n && !job.done; s++) trainBatch();
+        return job.done;
+      },
+    };
+
+    function trainBatch() {
+      const start = batch * o.batchSize;
+      const idx = order.slice(start, start + o.batchSize);
+      const gw = model.layers.map((l) => new Float64Array(l.w.length));
+      const gb = model.layers.map((l) => new Float64Array(l.b.length));
+
+      for (const i of idx) {
+        const acts = forward(model, data.xs[i]);
+        const out = acts[acts.length - 1];
+        const y = data.ys[i];
+        epochLoss += -Math.log(Math.max(out[y], 1e-12));
+
+        let best = 0;
+        for (let c = 1; c < out.length; c++) if (out[c] > out[best]) best = c;
+        if (best === y) epochCorrect += 1;
+
+        // softmax + cross-entropy gradient, then back through the ReLU layers
+        let delta = Float64Array.from(out);
+        delta[y] -= 1;
+        for (let li = model.layers.length - 1; li >= 0; li--) {
+          const layer = model.layers[li];
+          const a = acts[li];
+          const next = li > 0 ? new Float64Array(layer.inDim) : null;
+          for (let oi = 0; oi < layer.outDim; oi++) {
+            const d = delta[oi];
+            if (d === 0) continue;
+            gb[li][oi] += d;
+            const row = oi * layer.inDim;
+            for (let ii = 0; ii < layer.inDim; ii++) {
+              gw[li][row + ii] += d * a[ii];
+              if (next) next[ii] += d * layer.w[row + ii];
+            }
+          }
+          if (next) for (let ii = 0; ii < next.length; ii++) if (a[ii] <= 0) next[ii] = 0;
+          delta = next;
+        }
+      }
+
+      t += 1;
+      const lrT = (o.lr * Math.sqrt(1 - Math.pow(B2, t))) / (1 - Math.pow(B1, t));
+      model.layers.forEach((layer, li) => {
+        const st = adam[li];
+        for (let j = 0; j < layer.w.length; j++) {
+          const g = gw[li][j] / idx.length + o.l2 * layer.w[j];
+          st.mw[j] = B1 * st.mw[j] + (1 - B1) * g;
+          st.vw[j] = B2 * st.vw[j] + (1 - B2) * g * g;
+          layer.w[j] -= (lrT * st.mw[j]) / (Math.sqrt(st.vw[j]) + AEPS);
+        }
+        for (let j = 0; j < layer.b.length; j++) {
+          const g = gb[li][j] / idx.length;
+          st.mb[j] = B1 * st.mb[j] + (1 - B1) * g;
+          st.vb[j] = B2 * st.vb[j] + (1 - B2) * g * g;
+          layer.b[j] -= (lrT * st.mb[j]) / (Math.sqrt(st.vb[j]) + AEPS);
+        }
+      });
+
+      batch += 1;
+      if (batch >= batchesPerEpoch) {
+        job.loss = epochLoss / order.length;
+        job.acc = epochCorrect / order.length;
+        job.history.push({ loss: job.loss, acc: job.acc });
+        epochLoss = 0;
+        epochCorrect = 0;
+        batch = 0;
+        job.epoch += 1;
+        shuffle();
+        if (job.epoch >= o.epochs) {
+          job.done = true;
+          model.trainedOn = order.length;
+          model.trainedAt = new Date().toISOString();
+        }
+      }
+    }
+
+    return job;
+  }
+
+  // The model for inputs with some values' signs flipped (signs: ±1 per input, e.g. mirrored
+  // features): the normalisation and the first layer flip with them, so it predicts the same
+  function flipInputs(model, signs) {
+    const first = model.layers[0];
+    const w = Float64Array.from(first.w);
+    for (let o = 0; o < first.outDim; o++) {
+      for (let i = 0; i < first.inDim; i++) w[o * first.inDim + i] *= signs[i];
+    }
+    return {
+      ...model,
+      norm: { mean: model.norm.mean.map((m, i) => m * signs[i]), std: model.norm.std.slice() },
+      layers: [{ ...first, w }, ...model.layers.slice(1)],
+    };
+  }
+
+  /* -------------------- persistence -------------------- */
+
+  function round6(x) {
+    return Math.round(x * 1e6) / 1e6;
+  }
+
+  // Plain JSON for the dataset payload (`model` field).
+  function serializeModel(model) {
+    if (!model) return null;
+    return {
+      type: MODEL_TYPE,
+      version: MODEL_VERSION,
+      labels: model.labels,
+      dims: model.dims,
+      hidden: model.hidden,
+      norm: { mean: model.norm.mean.map(round6), std: model.norm.std.map(round6) },
+      layers: model.layers.map((l) => ({ inDim: l.inDim, outDim: l.outDim, w: Array.from(l.w, round6), b: Array.from(l.b, round6) })),
+      trainedOn: model.trainedOn ?? null,
+      trainedAt: model.trainedAt ?? null,
+    };
+  }
+
+  function isNumbers(a, n) {
+    return Array.isArray(a) && a.length === n && a.every(Number.isFinite);
+  }
+
+  function isSize(n) {
+    return Number.isInteger(n) && n > 0;
+  }
+
+  // What makes a saved model unusable, as a schema issue message, or null when it can be loaded:
+  // the layers have to chain from dims inputs to one output per label, the normalisation
+  // has to cover every input
+  function modelProblem(json) {
+    if (!json || json.type !== MODEL_TYPE) return "not an MLP";
+    const { labels, dims, norm, layers } = json;
+    if (!Array.isArray(labels) || labels.length === 0 || !labels.every((l) => ALL_LABELS.includes(l)) || new Set(labels).size !== labels.length) {
+      return "labels must be distinct known labels";
+    }
+    if (!isSize(dims)) return `dims ${JSON.stringify(dims)} is not a size`;
+    if (!norm || !isNumbers(norm.mean, dims) || !isNumbers(norm.std, dims) || !norm.std.every((v) => v > 0)) {
+      return `normalisation must have ${dims} means and ${dims} positive spreads`;
+    }
+    if (!Array.isArray(layers) || layers.length === 0) return "no layers";
+    let inDim = dims;
+    for (let i = 0; i < layers.length; i++) {
+      const l = layers[i];
+      if (!l || l.inDim !== inDim) return `layer ${i + 1} takes ${l?.inDim} values, ${i === 0 ? "the input has" : "the layer before gives"} ${inDim}`;
+      if (!isSize(l.outDim)) return `layer ${i + 1} has ${JSON.stringify(l.outDim)} outputs`;
+      if (!isNumbers(l.w, l.inDim * l.outDim) || !isNumbers(l.b, l.outDim)) return `layer ${i + 1} weights don't match its ${l.inDim}×${l.outDim} shape`;
+      inDim = l.outDim;
+    }
+    if (inDim !== labels.length) return `the last layer gives ${inDim} values for ${labels.length} labels`;
+    return null;
+  }
+
+  // null for anything that is not a usable saved model (modelProblem says why)
+  function deserializeModel(json) {
+    if (modelProblem(json)) return null;
+    return {
+      labels: json.labels.slice(),
+      dims: json.dims,
+      hidden: (json.hidden || []).slice(),
+      norm: { mean: json.norm.mean.slice(), std: json.norm.std.slice() },
+      layers: json.layers.map((l) => ({ inDim: l.inDim, outDim: l.outDim, w: Float64Array.from(l.w), b: Float64Array.from(l.b) })),
+      trainedOn: json.trainedOn ?? null,
+      trainedAt: json.trainedAt ?? null,
+    };
+  }
+
+  return {
+    MODEL_TYPE,
+    DEFAULTS,
+    mulberry32,
+    createMLP,
+    predictProba,
+    classifyMLP,
+    buildTrainingSet,
+    createTrainer,
+    flipInputs,
+    serializeModel,
+    modelProblem,
+    deserializeModel,
+  };
+});
@@ -0,0 +1,296 @@
+// core/motion.js — trajectory recogniser for the motion letters (J, Z)
+// Buffers a short window of landmarks, turns it into a fingertip path and
+// matches it against recorded sequences with dynamic time warping.
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLMotion)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./dataset"));
+  else root.ASLMotion = factory(root.ASLDataset);
+})(this, function (ASLDataset) {
+  "use strict";
+
+  const { NONE_LABEL } = ASLDataset;
+
+  const MOTION_LABELS = ["J", "Z"];
+
+  // addHistory entry for a recorded sequence, e.g. "seq:J" (plain labels stay static examples)
+  const SEQ_HISTORY_PREFIX = "seq:";
+
+  const DEFAULTS = {
+    bufferMs: 2500, // how much landmark history we keep (also caps a recorded sequence)
+    windowsMs: [600, 900, 1200], // candidate gesture lengths tried at recognition time
+    samples: 16, // frames per resampled trajectory
+    minFrames: 5,
+    minPathLen: 0.6, // in hand lengths (wrist → middle MCP); below this the hand is "still"
+    maxDist: 0.35, // mean per-step DTW cost a match must beat
+    ratio: 0.8, // best must beat the other motion letter by this factor
+    band: 4, // Sakoe-Chiba band (samples)
+    latchMs: 900, // keep reporting a match this long so smoothing can settle
+    minRecordMs: 300,
+    maxRecordMs: 2500,
+  };
+
+  const TIP_INDEX = 8;
+  const TIP_PINKY = 20;
+
+  function createEmptySequences() {
+    const out = {};
+    MOTION_LABELS.forEach((l) => (out[l] = []));
+    return out;
+  }
+
+  function readSequences(payload) {
+    const out = {};
+    MOTION_LABELS.forEach((l) => {
+      const arr = payload?.sequences?.[l];
+      out[l] = Array.isArray(arr) ? arr : [];
+    });
+    return out;
+  }
+
+  function countSequences(sequences) {
+    return MOTION_LABELS.reduce((sum, l) => sum + (sequences?.[l]?.length || 0), 0);
+  }
+
+  /* -------------------- landmark buffer -------------------- */
+
+  function createMotionState() {
+    return { frames: [], latched: null };
+  }
+
+  function resetMotionState(state) {
+    state.frames = [];
+    state.latched = null;
+  }
+
+  // landmarks: 21×[x, y, z] from getLandmarks21, t: ms timestamp (millis())
+  function pushMotionFrame(state, landmarks, t, opts = {}) {
+    const { bufferMs } = { ...DEFAULTS, ...opts };
+    if (landmarks) state.frames.push({ t, lm: landmarks });
+    while (state.frames.length > 0 && t - state.frames[0].t > bufferMs) state.frames.shift();
+  }
+
+  function framesSince(state, t0) {
+    return state.frames.filter((f) => f.t >= t0);
+  }
+
+  /* -------------------- trajectories -------------------- */
+
+  // Index + pinky fingertip path relative to the mean wrist, in mean hand lengths,
+  // resampled uniformly in time. Image axes are kept on purpose: the direction of the
+  // stroke is what separates J from Z. Returns [[ix, iy, px, py], ...] or null.
+  function trajectoryFromFrames(frames, opts = {}) {
+    const { samples, minFrames } = { ...DEFAULTS, ...opts };
+    if (!frames || frames.length < minFrames) return null;
+
+    let wx = 0,
+      wy = 0,
+      scale = 0;
+    for (const { lm } of frames) {
+      wx += lm[0][0];
+      wy += lm[0][1];
+      scale += Math.hypot(lm[9][0] - lm[0][0], lm[9][1] - lm[0][1]);
+    }
+    wx /= frames.length;
+    wy /= frames.length;
+    scale = scale / frames.length || 1;
+
+    const pts = frames.map(({ t, lm }) => ({
+      t,
+      v: [
+        (lm[TIP_INDEX][0] - wx) / scale,
+        (lm[TIP_INDEX][1] - wy) / scale,
+        (lm[TIP_PINKY][0] - wx) / scale,
+        (lm[TIP_PINKY][1] - wy) / scale,
+      ],
+    }));
+
+    const t0 = pts[0].t;
+    const t1 = pts[pts.length - 1].t;
+    const out = [];
+    let j = 0;
+    for (let i = 0; i < samples; i++) {
+      const t = samples === 1 ? t0 : t0 + ((t1 - t0) * i) / (samples - 1);
+      while (j < pts.length - 2 && pts[j + 1].t < t) j++;
+      const a = pts[j];
+      const b = pts[Math.min(j + 1, pts.length - 1)];
+      const span = b.t - a.t;
+      const u = span > 0 ? Math.min(1, Math.max(0, (t - a.t) / span)) : 0;
+      out.push(a.v.map((x, d) => x + (b.v[d] - x) * u));
+    }
+    return out;
+  }
+
+  // Longest of the two fingertip paths, in hand lengths.
+  function pathLength(seq) {
+    let idx = 0,
+      pinky = 0;
+    for (let i = 1; i < seq.length; i++) {
+      idx += Math.hypot(seq[i][0] - seq[i - 1][0], seq[i][1] - seq[i - 1][1]);
+      pinky += Math.hypot(seq[i][2] - seq[i - 1][2], seq[i][3] - seq[i - 1][3]);
+    }
+    return Math.max(idx, pinky);
+  }
+
+  /* -------------------- matching -------------------- */
+
+  function frameDistance(a, b) {
+    let s = 0;
+    for (let i = 0; i < a.length; i++) {
+      const d = a[i] - b[i];
+      s += d * d;
+    }
+    return Math.sqrt(s);
+  }
+
+  // Mean per-step cost of the best warping path (Sakoe-Chiba band).
+  function dtwDistance(a, b, band = DEFAULTS.band) {
+    const n = a.length;
+    const m = b.length;
+    if (n === 0 || m === 0) return Infinity;
+    const w = Math.max(band, Math.abs(n - m));
+
+    let prev = new Float64Array(m + 1).fill(Infinity);
+    let prevLen = new Float64Array(m + 1);
+    let cur = new Float64Array(m + 1);
+    let curLen = new Float64Array(m + 1);
+    prev[0] = 0;
+
+    for (let i = 1; i <= n; i++) {
+      cur.fill(Infinity);
+      const lo = Math.max(1, i - w);
+      const hi = Math.min(m, i + w);
+      for (let j = lo; j <= hi; j++) {
+        const c = frameDistance(a[i - 1], b[j - 1]);
+        let best = prev[j - 1],
+          len = prevLen[j - 1];
+        if (prev[j] < best) {
+          best = prev[j];
+          len = prevLen[j];
+        }
+        if (cur[j - 1] < best) {
+          best = cur[j - 1];
+          len = curLen[j - 1];
+        }
+        cur[j] = best + c;
+        curLen[j] = len + 1;
+      }
+      [prev, cur] = [cur, prev];
+      [prevLen, curLen] = [curLen, prevLen];
+    }
+
+    return isFinite(prev[m]) ? prev[m] / prevLen[m] : Infinity;
+  }
+
+  // Nearest recorded sequence per motion letter → { label, dist, conf, dists } or null.
+  function matchTrajectory(seq, sequences, opts = {}) {
+    const { maxDist, ratio, band } = { ...DEFAULTS, ...opts };
+
+    const dists = {};
+    for (const label of MOTION_LABELS) {
+      const arr = sequences?.[label] || [];
+      let best = Infinity;
+      for (const tpl of arr) best = Math.min(best, dtwDistance(seq, tpl, band));
+      if (isFinite(best)) dists[label] = best;
+    }
+
+    let label = null,
+      dist = Infinity,
+      other = Infinity;
+    for (const [l, d] of Object.entries(dists)) {
+      if (d < dist) {
+        other = dist;
+        dist = d;
+        label = l;
+      } else if (d < other) {
+        other = d;
+      }
+    }
+
+    if (!label || dist > maxDist) return null;
+    if (isFinite(other) && dist > ratio * other) return null;
+
+    const conf = isFinite(other) ? 1 - dist / (dist + other) : 1 - (0.5 * dist) / maxDist;
+    return { label, dist, conf, dists };
+  }
+
+  // Looks at the buffered frames over each candidate window.
+  // → { label, conf, dist, moving }; label is null when no motion letter matched.
+  function classifyMotion(state, sequences, now, opts = {}) {
+    const o = { ...DEFAULTS, ...opts };
+
+    let best = null;
+    let moving = false;
+    for (const win of o.windowsMs) {
+      const seq = trajectoryFromFrames(framesSince(state, now - win), o);
+      if (!seq || pathLength(seq) < o.minPathLen) continue;
+      moving = true;
+      const m = matchTrajectory(seq, sequences, o);
+      if (m && (!best || m.dist < best.dist)) best = m;
+    }
+
+    if (best) {
+      state.latched = { ...best, at: now };
+      return { label: best.label, conf: best.conf, dist: best.dist, moving };
+    }
+
+    const l = state.latched;
+    if (l && now - l.at <= o.latchMs) return { label: l.label, conf: l.conf, dist: l.dist, moving };
+
+    state.latched = null;
+    return { label: null, conf: 0, dist: Infinity, moving };
+  }
+
+  // Same { label, conf, best, second, scores } shape as classifyKNN.
+  // A matched motion wins over the static pose (J starts as I, Z as a pointing 1).
+  // A static J/Z without its motion becomes NONE — unless that letter has no recorded
+  // sequences yet, in which case any clear movement is accepted.
+  function applyMotionGate(res, motion, sequences) {
+    if (!res) return res;
+
+    if (motion?.label) {
+      return { ...res, label: motion.label, conf: Math.max(res.conf, motion.conf), motion };
+    }
+
+    if (MOTION_LABELS.includes(res.label)) {
+      const untrained = (sequences?.[res.label]?.length || 0) === 0;
+      if (!(untrained && motion?.moving)) return { ...res, label: NONE_LABEL };
+    }
+
+    return res;
+  }
+
+  // Frames recorded while a J/Z key was held → trajectory, or null with a reason.
+  function recordSequence(state, startedAt, now, opts = {}) {
+    const o = { ...DEFAULTS, ...opts };
+    const dur = now - startedAt;
+    if (dur < o.minRecordMs) return { seq: null, reason: "too short" };
+    if (dur > o.maxRecordMs) return { seq: null, reason: "too long" };
+
+    const seq = trajectoryFromFrames(framesSince(state, startedAt), o);
+    if (!seq) return { seq: null, reason: "no hand" };
+    if (pathLength(seq) < o.minPathLen) return { seq: null, reason: "no motion" };
+    return { seq, reason: null };
+  }
+
+  return {
+    MOTION_LABELS,
+    SEQ_HISTORY_PREFIX,
+    DEFAULTS,
+    createEmptySequences,
+    readSequences,
+    countSequences,
+    createMotionState,
+    resetMotionState,
+    pushMotionFrame,
+    framesSince,
+    trajectoryFromFrames,
+    pathLength,
+    dtwDistance,
+    matchTrajectory,
+    classifyMotion,
+    applyMotionGate,
+    recordSequence,
+  };
+});
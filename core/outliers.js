@@ -0,0 +1,155 @@
+// core/outliers.js — suspicious stored examples: likely mislabels and outliers
+// Two checks per example, on the same features the kNN runs on:
+//   mislabel — most of its k nearest other examples carry another label
+//   outlier  — it sits much farther from its label's centre than that label's examples usually do
+// Flagged examples are ranked by a suspicion score in [0, 1] for review. NONE is only checked
+// for mislabels, since it is spread out by design.
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLOutliers)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./dataset"), require("./knn"));
+  else root.ASLOutliers = factory(root.ASLDataset, root.ASLKnn);
+})(this, function (ASLDataset, ASLKnn) {
+  "use strict";
+
+  const { ALL_LABELS, NONE_LABEL } = ASLDataset;
+
+  const DEFAULTS = {
+    k: 7,
+    minForeign: 0.6, // share of the k neighbours from other labels that flags a mislabel
+    farRatio: 2.5, // distance to the label centre, in multiples of the label's median, that flags an outlier
+    minClass: 5, // labels with fewer examples have no meaningful centre
+    locked: null, // { label: n }: the first n examples are read-only (ASLBase), never flagged
+  };
+
+  function centreOf(list) {
+    const c = new Array(list[0].length).fill(0);
+    for (const f of list) for (let j = 0; j < c.length; j++) c[j] += f[j] / list.length;
+    return c;
+  }
+
+  function median(values) {
+    const s = values.slice().sort((a, b) => a - b);
+    const m = s.length >> 1;
+    return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+  }
+
+  // per label: { centre, median } of the distances to it (null for NONE / small labels)
+  function labelSpreads(examples, o) {
+    const out = {};
+    for (const label of ALL_LABELS) {
+      const list = examples[label] || [];
+      if (label === NONE_LABEL || list.length < o.minClass) {
+        out[label] = null;
+        continue;
+      }
+      const centre = centreOf(list);
+      out[label] = { centre, median: median(list.map((f) => ASLKnn.l2Distance(f, centre))) || 1e-9 };
+    }
+    return out;
+  }
+
+  // One example → { label, i, score, reason, foreign, suggest, ratio } or null when unremarkable.
+  // reason: "mislabel" | "outlier"; suggest: the label most of its neighbours have
+  function checkExample(label, i, feats, index, spreads, o) {
+    // k + 1: the example itself is in the index at distance 0
+    const nn = ASLKnn.nearestNeighbors(feats, index, o.k + 1);
+    const self = nn.findIndex((n) => n.label === label && n.d === 0);
+    if (self >= 0) nn.splice(self, 1);
+    else nn.pop();
+    if (nn.length === 0) return null;
+
+    const others = {};
+    for (const n of nn) if (n.label !== label) others[n.label] = (others[n.label] || 0) + 1;
+    const foreignCount = Object.values(others).reduce((a, b) => a + b, 0);
+    const foreign = foreignCount / nn.length;
+    const suggest = Object.keys(others).sort((a, b) => others[b] - others[a])[0] ?? null;
+
+    const spread = spreads[label];
+    const ratio = spread ? ASLKnn.l2Distance(feats, spread.centre) / spread.median : 0;
+
+    const isMislabel = foreign >= o.minForeign;
+    const isOutlier = ratio >= o.farRatio;
+    if (!isMislabel && !isOutlier) return null;
+
+    // full agreement of the neighbours on another label scores 1, as does twice farRatio
+    const farScore = Math.min(1, ratio / (o.farRatio * 2));
+    return {
+      label,
+      i,
+      score: Math.max(isMislabel ? foreign : 0, isOutlier ? farScore : 0),
+      reason: isMislabel ? "mislabel" : "outlier",
+      foreign,
+      suggest,
+      ratio,
+    };
+  }
+
+  // Incremental, like ASLEvaluate.createCrossValidation:
+  //   const job = createScan(examples, { k, locked });
+  //   job.step(200) each frame until job.done, then job.report()
+  // → report: { flagged: [...] most suspicious first, checked, mislabels, outliers }
+  function createScan(examples, opts = {}) {
+    const o = { ...DEFAULTS, ...opts };
+    const index = ASLKnn.createIndex(examples);
+    const spreads = labelSpreads(examples, o);
+
+    const items = [];
+    for (const label of ALL_LABELS) {
+      const list = examples[label] || [];
+      for (let i = o.locked?.[label] || 0; i < list.length; i++) items.push({ label, i });
+    }
+
+    const flagged = [];
+    let pos = 0;
+    const job = {
+      total: items.length,
+      done: items.length === 0,
+      get progress() {
+        return items.length === 0 ? 1 : pos / items.length;
+      },
+      step(n = Infinity) {
+        const end = Math.min(items.length, pos + n);
+        for (; pos < end; pos++) {
+          const { label, i } = items[pos];
+          const hit = checkExample(label, i, examples[label][i], index, spreads, o);
+          if (hit) flagged.push(hit);
+        }
+        job.done = pos >= items.length;
+        return job.done;
+      },
+      report() {
+        // equal scores: mislabels first (they come with a fix), then the farther one
+        const mis = (f) => (f.reason === "mislabel" ? 1 : 0);
+        const ranked = flagged.slice().sort((a, b) => b.score - a.score || mis(b) - mis(a) || b.ratio - a.ratio);
+        return {
+          flagged: ranked,
+          checked: pos,
+          mislabels: ranked.filter((f) => f.reason === "mislabel").length,
+          outliers: ranked.filter((f) => f.reason === "outlier").length,
+        };
+      },
+    };
+    return job;
+  }
+
+  function scanExamples(examples, opts = {}) {
+    const job = createScan(examples, opts);
+    job.step();
+    return job.report();
+  }
+
+  // Flagged items in an order that keeps every index valid while they are removed one by
+  // one: per label, highest index first.
+  function removalOrder(items) {
+    return items.slice().sort((a, b) => ALL_LABELS.indexOf(a.label) - ALL_LABELS.indexOf(b.label) || b.i - a.i);
+  }
+
+  return {
+    DEFAULTS,
+    createScan,
+    scanExamples,
+    removalOrder,
+  };
+});
@@ -0,0 +1,147 @@
+// core/practice.js — spaced repetition of letters from how the learner does in the game
+// Every attempt at a letter is graded from how long it took to hold it stable, or as a miss
+// when it was skipped; the grade moves the letter's card the way SM-2 does (ease, interval
+// in days, next due time). Misses bring a letter back within the same session.
+// A schedule belongs to a profile (ASLStore.saveSchedule): { version, cards: { label: card } }.
+// Times are epoch milliseconds; "today" ends at local midnight.
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLPractice)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./dataset"));
+  else root.ASLPractice = factory(root.ASLDataset);
+})(this, function (ASLDataset) {
+  "use strict";
+
+  const { LABELS } = ASLDataset;
+
+  const SCHEDULE_VERSION = 1;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const DEFAULTS = {
+    fastMs: 3000, // held stable within this from when the letter was shown: easy (5)
+    goodMs: 7000, // within this: good (4); slower: hard (3)
+    startEase: 2.5,
+    minEase: 1.3,
+    sessionSize: 12,
+    newPerSession: 4, // letters never practised, added after the due ones
+    retryGap: 3, // a missed letter comes back after this many others
+  };
+
+  function createSchedule() {
+    return { version: SCHEDULE_VERSION, cards: {} };
+  }
+
+  // A stored schedule (or anything else) → a schedule with only well-formed cards of known letters
+  function readSchedule(raw) {
+    const out = createSchedule();
+    const cards = raw && typeof raw === "object" ? raw.cards : null;
+    if (!cards || typeof cards !== "object") return out;
+    for (const l of LABELS) {
+      const c = cards[l];
+      if (!c || !Number.isFinite(c.due) || !Number.isFinite(c.ease) || !Number.isFinite(c.interval)) continue;
+      out.cards[l] = {
+        ease: c.ease,
+        interval: c.interval,
+        due: c.due,
+        reps: c.reps | 0,
+        lapses: c.lapses | 0,
+        seen: c.seen | 0,
+        lastMs: Number.isFinite(c.lastMs) ? c.lastMs : null,
+        lastAt: Number.isFinite(c.lastAt) ? c.lastAt : null,
+      };
+    }
+    return out;
+  }
+
+  // SM-2 quality 0–5 of one attempt: 0 skipped, else 5 / 4 / 3 by time to hold it stable
+  function gradeAttempt(solved, ms, opts = {}) {
+    const o = { ...DEFAULTS, ...opts };
+    if (!solved) return 0;
+    if (ms <= o.fastMs) return 5;
+    if (ms <= o.goodMs) return 4;
+    return 3;
+  }
+
+  // Applies one attempt to the letter's card (created on first sight). A letter solved while
+  // it isn't due today (e.g. in A–Z mode) keeps its schedule; a miss always counts. → the card
+  function review(schedule, label, { solved, ms = null }, now, opts = {}) {
+    const o = { ...DEFAULTS, ...opts };
+    const q = gradeAttempt(solved, ms ?? Infinity, o);
+    const card = schedule.cards[label] || { ease: o.startEase, interval: 0, due: now, reps: 0, lapses: 0, seen: 0, lastMs: null, lastAt: null };
+    const early = q >= 3 && card.seen > 0 && card.due >= endOfDay(now);
+
+    if (!early) reschedule(card, q, now, o);
+    card.seen++;
+    card.lastMs = solved ? ms : null;
+    card.lastAt = now;
+    schedule.cards[label] = card;
+    return card;
+  }
+
+  function reschedule(card, q, now, o) {
+    card.ease = Math.max(o.minEase, card.ease + 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+    if (q < 3) {
+      card.reps = 0;
+      card.interval = 0;
+      card.lapses++;
+    } else {
+      card.reps++;
+      card.interval = card.reps === 1 ? 1 : card.reps === 2 ? 3 : Math.round(card.interval * card.ease);
+    }
+    card.due = now + card.interval * DAY_MS;
+  }
+
+  function endOfDay(now) {
+    const d = new Date(now);
+    d.setHours(24, 0, 0, 0);
+    return d.getTime();
+  }
+
+  // What's on for today: { due: practised letters due by midnight, most overdue first,
+  // fresh: letters never practised, next: the earliest due time after today (null: none) }
+  function dueToday(schedule, now) {
+    const until = endOfDay(now);
+    const due = [];
+    const fresh = [];
+    let next = null;
+    for (const l of LABELS) {
+      const c = schedule.cards[l];
+      if (!c) fresh.push(l);
+      else if (c.due < until) due.push(l);
+      else if (next == null || c.due < next) next = c.due;
+    }
+    due.sort((a, b) => schedule.cards[a].due - schedule.cards[b].due);
+    return { due, fresh, next };
+  }
+
+  // The letters of one practice session: due ones first, then a few new ones
+  function buildSession(schedule, now, opts = {}) {
+    const o = { ...DEFAULTS, ...opts };
+    const { due, fresh } = dueToday(schedule, now);
+    const queue = due.slice(0, o.sessionSize);
+    return queue.concat(fresh.slice(0, Math.min(o.newPerSession, o.sessionSize - queue.length)));
+  }
+
+  // A missed letter goes back into the queue after `retryGap` more (or at the end), so it is
+  // retried this session. queue holds the letters still to come; the caller decides how often.
+  function requeue(queue, label, opts = {}) {
+    const { retryGap } = { ...DEFAULTS, ...opts };
+    queue.splice(Math.min(retryGap, queue.length), 0, label);
+    return queue;
+  }
+
+  return {
+    SCHEDULE_VERSION,
+    DAY_MS,
+    DEFAULTS,
+    createSchedule,
+    readSchedule,
+    gradeAttempt,
+    review,
+    endOfDay,
+    dueToday,
+    buildSession,
+    requeue,
+  };
+});
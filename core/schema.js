@@ -0,0 +1,252 @@
+// core/schema.js — the dataset file format: current version, migrations, validation
+// Versions:
+//   ≤ 9  legacy. The trainer wrote 5, the game 9, the bundled file is 4: one layout
+//        ({ examples, addHistory, meta: { feature, trackHand, dims, k } }). Later builds added
+//        landmarks, sequences, model and more meta fields without bumping either number.
+//   10   one version for both sketches, every field present:
+//        { version, savedAt, examples, landmarks, sequences, addHistory, model,
+//          meta: { feature, featureVersion, dims, trackHand?, canonicalHand?, k?, tuning?, backend?, base?, augment? } }
+// readDataset() is the way in for every file and stored dataset: migrate, validate, then drop
+// what can't be used (reported as issues) or throw when the file as a whole is unusable.
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLSchema)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports)
+    module.exports = factory(require("./dataset"), require("./features"), require("./motion"), require("./mlp"));
+  else root.ASLSchema = factory(root.ASLDataset, root.ASLFeatures, root.ASLMotion, root.ASLMlp);
+})(this, function (ASLDataset, ASLFeatures, ASLMotion, ASLMlp) {
+  "use strict";
+
+  const { ALL_LABELS } = ASLDataset;
+  const { MOTION_LABELS, SEQ_HISTORY_PREFIX } = ASLMotion;
+
+  const SCHEMA_VERSION = 10;
+  const SEQ_POINT_DIMS = 4; // index tip x, y + pinky tip x, y (ASLMotion.trajectoryFromFrames)
+
+  const isObject = (v) => typeof v === "object" && v !== null && !Array.isArray(v);
+  const isVector = (v, n) => Array.isArray(v) && v.length === n && v.every(Number.isFinite);
+
+  /* -------------------- migrations -------------------- */
+
+  // legacy (≤ 9) → 10: fill in what older writers left out. Landmarks are padded with null
+  // (or cut) to line up with the examples, as loading always did.
+  function fromLegacy(p) {
+    const meta = isObject(p.meta) ? { ...p.meta } : {};
+    if (meta.feature == null) meta.feature = ASLFeatures.FEATURE_NAME;
+    if (meta.featureVersion == null) meta.featureVersion = 1;
+    if (meta.dims == null) meta.dims = ASLFeatures.getExtractor(meta.feature)?.dims ?? ASLFeatures.FEATURE_DIMS;
+
+    const landmarks = {};
+    if (isObject(p.examples)) {
+      for (const [l, arr] of Object.entries(p.examples)) {
+        if (!Array.isArray(arr)) continue;
+        const lms = Array.isArray(p.landmarks?.[l]) ? p.landmarks[l] : [];
+        landmarks[l] = arr.map((_, i) => lms[i] ?? null);
+      }
+    }
+
+    return {
+      version: 10,
+      savedAt: p.savedAt ?? null,
+      examples: p.examples,
+      landmarks,
+      sequences: isObject(p.sequences) ? p.sequences : {},
+      addHistory: Array.isArray(p.addHistory) ? p.addHistory : [],
+      model: p.model ?? null,
+      meta,
+    };
+  }
+
+  // Applied in order to anything older than `to`
+  const MIGRATIONS = [{ to: 10, up: fromLegacy }];
+
+  // Unversioned files count as legacy → null
+  function versionOf(payload) {
+    return Number.isInteger(payload?.version) ? payload.version : null;
+  }
+
+  // → { payload, from }. Never mutates the input; throws for files newer than SCHEMA_VERSION.
+  function migrate(payload) {
+    if (!isObject(payload)) throw new Error("Not a dataset (expected a JSON object)");
+    const from = versionOf(payload);
+    if (from != null && from > SCHEMA_VERSION) {
+      throw new Error(`Dataset version ${from} is newer than this app (${SCHEMA_VERSION})`);
+    }
+
+    let out = payload;
+    let v = from ?? 0;
+    for (const m of MIGRATIONS) {
+      if (v < m.to) {
+        out = m.up(out);
+        v = m.to;
+      }
+    }
+    return { payload: out, from };
+  }
+
+  /* -------------------- validation -------------------- */
+
+  // Walks a current-version payload. Every problem becomes an issue { path, message, fatal };
+  // fatal ones make the whole file unusable, the rest are left out of the returned copy.
+  // → { issues, clean } (clean is null when anything was fatal)
+  function inspect(p) {
+    const issues = [];
+    const fatal = (path, message) => issues.push({ path, message, fatal: true });
+    const drop = (path, message) => issues.push({ path, message, fatal: false });
+
+    if (!isObject(p)) {
+      fatal("(root)", "not an object");
+      return { issues, clean: null };
+    }
+    if (p.version !== SCHEMA_VERSION) fatal("version", `${p.version}, expected ${SCHEMA_VERSION}`);
+    if (!isObject(p.examples)) fatal("examples", "missing or not an object");
+
+    const meta = p.meta;
+    let dims = null;
+    if (!isObject(meta)) {
+      fatal("meta", "missing or not an object");
+    } else {
+      const extractor = ASLFeatures.getExtractor(meta.feature);
+      if (!extractor) fatal("meta.feature", `unknown extractor "${meta.feature}"`);
+      if (!Number.isInteger(meta.featureVersion) || meta.featureVersion < 1) {
+        fatal("meta.featureVersion", `${meta.featureVersion}, expected a positive integer`);
+      }
+      if (!Number.isInteger(meta.dims) || meta.dims < 1) fatal("meta.dims", `${meta.dims}, expected a positive integer`);
+      else if (extractor && meta.dims !== extractor.dims) {
+        fatal("meta.dims", `${meta.dims}, but "${meta.feature}" features have ${extractor.dims} values`);
+      } else dims = meta.dims;
+    }
+    if (issues.length > 0) return { issues, clean: null };
+
+    // examples + landmarks, index for index
+    const examples = {};
+    const landmarks = {};
+    const lmIn = isObject(p.landmarks) ? p.landmarks : {};
+    if (!isObject(p.landmarks)) drop("landmarks", "not an object");
+
+    for (const [l, arr] of Object.entries(p.examples)) {
+      if (!ALL_LABELS.includes(l)) {
+        drop(`examples.${l}`, `unknown label (${Array.isArray(arr) ? arr.length : 0} examples)`);
+        continue;
+      }
+      if (!Array.isArray(arr)) {
+        drop(`examples.${l}`, "not an array");
+        continue;
+      }
+      const lms = lmIn[l];
+      if (lms !== undefined && !Array.isArray(lms)) drop(`landmarks.${l}`, "not an array");
+      else if (Array.isArray(lms) && lms.length !== arr.length) {
+        drop(`landmarks.${l}`, `${lms.length} entries for ${arr.length} examples`);
+      }
+
+      examples[l] = [];
+      landmarks[l] = [];
+      arr.forEach((feats, i) => {
+        const path = `examples.${l}[${i}]`;
+        if (!Array.isArray(feats)) return drop(path, "not an array");
+        if (feats.length !== dims) return drop(path, `${feats.length} values, expected ${dims}`);
+        const bad = feats.findIndex((v) => !Number.isFinite(v));
+        if (bad >= 0) return drop(path, `value ${bad} is ${feats[bad]}, not a finite number`);
+
+        let lm = Array.isArray(lms) ? lms[i] ?? null : null;
+        if (lm !== null && !ASLDataset.isLandmarks(lm)) {
+          drop(`landmarks.${l}[${i}]`, "expected 21 or 42 points of [x, y, z]");
+          lm = null;
+        }
+        examples[l].push(feats);
+        landmarks[l].push(lm);
+      });
+    }
+    for (const l of Object.keys(lmIn)) {
+      if (!(l in p.examples)) drop(`landmarks.${l}`, "no examples for this label");
+    }
+
+    // J/Z trajectories
+    const sequences = {};
+    const seqIn = isObject(p.sequences) ? p.sequences : {};
+    if (p.sequences != null && !isObject(p.sequences)) drop("sequences", "not an object");
+    for (const [l, arr] of Object.entries(seqIn)) {
+      if (!MOTION_LABELS.includes(l)) {
+        drop(`sequences.${l}`, "only J and Z have motion sequences");
+        continue;
+      }
+      if (!Array.isArray(arr)) {
+        drop(`sequences.${l}`, "not an array");
+        continue;
+      }
+      sequences[l] = arr.filter((seq, i) => {
+        const ok = Array.isArray(seq) && seq.length > 1 && seq.every((pt) => isVector(pt, SEQ_POINT_DIMS));
+        if (!ok) drop(`sequences.${l}[${i}]`, `expected a list of [${SEQ_POINT_DIMS} numbers] points`);
+        return ok;
+      });
+    }
+
+    // undo history: labels, or "seq:" + J/Z
+    let addHistory = [];
+    if (!Array.isArray(p.addHistory)) drop("addHistory", "not an array");
+    else {
+      addHistory = p.addHistory.filter((h, i) => {
+        const ok =
+          ALL_LABELS.includes(h) ||
+          (typeof h === "string" && h.startsWith(SEQ_HISTORY_PREFIX) && MOTION_LABELS.includes(h.slice(SEQ_HISTORY_PREFIX.length)));
+        if (!ok) drop(`addHistory[${i}]`, `unknown entry ${JSON.stringify(h)}`);
+        return ok;
+      });
+    }
+
+    let model = p.model ?? null;
+    if (model !== null) {
+      const problem = ASLMlp.modelProblem(model);
+      if (problem) drop("model", `not a valid MLP (${problem})`);
+      else if (model.dims !== dims) drop("model", `trained on ${model.dims}-value features, the examples have ${dims}`);
+      if (problem || model.dims !== dims) model = null;
+    }
+
+    let savedAt = p.savedAt ?? null;
+    if (savedAt !== null && typeof savedAt !== "string") {
+      drop("savedAt", "not a string");
+      savedAt = null;
+    }
+
+    return {
+      issues,
+      clean: { version: SCHEMA_VERSION, savedAt, examples, landmarks, sequences, addHistory, model, meta: { ...meta } },
+    };
+  }
+
+  // Checks a current-version payload against the schema without changing it.
+  // → { ok, fatal, issues: [{ path, message, fatal }] }
+  function validateDataset(payload) {
+    const { issues } = inspect(payload);
+    return { ok: issues.length === 0, fatal: issues.some((i) => i.fatal), issues };
+  }
+
+  // "examples.A[3]: 40 values, expected 42; … and 12 more"
+  function formatIssues(issues, max = 3) {
+    const shown = issues.slice(0, max).map((i) => `${i.path}: ${i.message}`);
+    if (issues.length > max) shown.push(`… and ${issues.length - max} more`);
+    return shown.join("; ");
+  }
+
+  // Any file or stored payload → { payload, from, issues, changed }: payload in the current
+  // version with every unusable item left out (listed in issues); changed = it differs from
+  // what was read (older version or something dropped), so it is worth saving back.
+  // Throws when the file can't be used at all.
+  function readDataset(raw) {
+    const { payload, from } = migrate(raw);
+    const { issues, clean } = inspect(payload);
+    if (!clean) throw new Error(formatIssues(issues.filter((i) => i.fatal)));
+    return { payload: clean, from, issues, changed: from !== SCHEMA_VERSION || issues.length > 0 };
+  }
+
+  return {
+    SCHEMA_VERSION,
+    MIGRATIONS,
+    versionOf,
+    migrate,
+    validateDataset,
+    formatIssues,
+    readDataset,
+  };
+});
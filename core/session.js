@@ -0,0 +1,802 @@
+// core/session.js — the live dataset the trainer and the game run on, and keeping it stored
+// createSession() holds what both sketches work with: the examples (the base model's in
+// front when the dataset uses it) with their kNN indexes and synthetic variants, the
+// classifier and its thresholds, the open profile and dataset, and the profile's calibration.
+// The functions below run and change a session, writing the changes through ASLStore; each
+// sketch keeps its drawing, keys and modes and calls them with its session.
+// hooks: status(msg) for the status line, stopCapture() when the dataset is replaced under
+// a recording, loadProfile() (async) for a sketch's own per-profile records.
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLSession)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports)
+    module.exports = factory(
+      require("./dataset"),
+      require("./features"),
+      require("./knn"),
+      require("./smoothing"),
+      require("./tune"),
+      require("./motion"),
+      require("./harvest"),
+      require("./schema"),
+      require("./merge"),
+      require("./base"),
+      require("./augment"),
+      require("./calibrate"),
+      require("./mlp"),
+      require("./store"),
+      require("./workspace")
+    );
+  else
+    root.ASLSession = factory(
+      root.ASLDataset,
+      root.ASLFeatures,
+      root.ASLKnn,
+      root.ASLSmoothing,
+      root.ASLTune,
+      root.ASLMotion,
+      root.ASLHarvest,
+      root.ASLSchema,
+      root.ASLMerge,
+      root.ASLBase,
+      root.ASLAugment,
+      root.ASLCalibrate,
+      root.ASLMlp,
+      root.ASLStore,
+      root.ASLWorkspace
+    );
+})(this, function (ASLDataset, ASLFeatures, ASLKnn, ASLSmoothing, ASLTune, ASLMotion, ASLHarvest, ASLSchema, ASLMerge, ASLBase, ASLAugment, ASLCalibrate, ASLMlp, ASLStore, ASLWorkspace) {
+  "use strict";
+
+  const { NONE_LABEL } = ASLDataset;
+  const { BACKEND_KNN, BACKEND_MLP } = ASLWorkspace;
+  const EPS = ASLKnn.DEFAULTS.eps;
+
+  // examples, landmarks, sequences and motionState are changed in place, never replaced:
+  // the sketches may keep them in constants of their own.
+  function createSession(hooks = {}) {
+    return {
+      hooks: { status() {}, stopCapture() {}, async loadProfile() {}, ...hooks },
+
+      examples: ASLDataset.createEmptyExamples(),
+      landmarks: ASLDataset.createEmptyExamples(),
+      sequences: ASLMotion.createEmptySequences(),
+      motionState: ASLMotion.createMotionState(),
+      addHistory: [],
+      featureName: ASLFeatures.FEATURE_NAME,
+      knnIndex: ASLKnn.createIndex(null),
+
+      basePayload: null, // null when the file couldn't be fetched
+      useBase: false, // the active dataset sits on the base (meta.base)
+      baseCounts: null, // per label: base examples in front (null: nothing layered)
+
+      useAugment: false,
+      synthetic: ASLDataset.createEmptyExamples(),
+      synthIndex: ASLKnn.createIndex(null),
+
+      tuning: { ...ASLTune.DEFAULTS },
+      tuneJob: null,
+      backend: BACKEND_KNN,
+      mlpModel: null,
+      trainJob: null,
+
+      smoothQueue: [],
+      lastLabel: null,
+      lastConf: 0,
+
+      store: null, // null until opened (or when IndexedDB is unavailable: nothing is saved)
+      activeProfile: null,
+      activeDataset: null, // header record of the dataset being edited
+      dominantHand: "RIGHT", // the open profile's, "RIGHT" or "LEFT"
+
+      calibration: null, // as stored (its own feature space), or null
+      calIndex: ASLKnn.createIndex(null),
+      calSession: null, // the calibration run under way (ASLCalibrate.createSession), or null
+    };
+  }
+
+  function status(ws, msg) {
+    ws.hooks.status(msg);
+  }
+
+  // Predictions made before a change don't carry over into it
+  function resetSmoothing(ws) {
+    ws.smoothQueue = [];
+    ws.lastLabel = null;
+    ws.lastConf = 0;
+  }
+
+  /* -------------------- dataset and base model -------------------- */
+
+  function totalExamples(ws) {
+    return ASLDataset.countExamples(ws.examples);
+  }
+
+  function ownExamples(ws) {
+    return ASLBase.ownPart(ws.examples, ws.landmarks, ws.baseCounts);
+  }
+
+  function baseCount(ws, label) {
+    return ws.baseCounts?.[label] || 0;
+  }
+
+  // ", 1543 from the base model"
+  function baseNote(ws) {
+    return ws.baseCounts ? `, ${ASLBase.countBase(ws.baseCounts)} from the base model` : "";
+  }
+
+  // examples / landmarks become the base model's examples (when the dataset uses it) followed by `own`
+  function applyBaseLayer(ws, own) {
+    let layered = own;
+    ws.baseCounts = null;
+    if (ws.useBase && ws.basePayload) {
+      layered = ASLBase.layerBase(ASLMerge.toFeatureSpace(ws.basePayload, ws.featureName), own);
+      ws.baseCounts = layered.counts;
+    }
+    Object.assign(ws.examples, layered.examples);
+    Object.assign(ws.landmarks, layered.landmarks);
+    ws.knnIndex = ASLKnn.createIndex(ws.examples);
+    rebuildSynthetic(ws);
+    rebuildCalibration(ws);
+  }
+
+  // Without the file (e.g. index.html opened from disk, where fetch is blocked) datasets start empty
+  async function loadBase(ws, fetch) {
+    try {
+      const res = await fetch(encodeURI(ASLBase.BASE_FILE));
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      ws.basePayload = ASLSchema.readDataset(await res.json()).payload;
+    } catch (e) {
+      ws.basePayload = null;
+      console.warn("Base model not loaded:", e.message || e);
+    }
+  }
+
+  // "B" on the datasets screen: puts the open dataset on the base model or takes it off.
+  // Its own examples stay; a trained MLP is dropped since it saw the other set.
+  function toggleBase(ws) {
+    if (!ws.useBase && !ws.basePayload) {
+      status(ws, "Base model not available (couldn't load it)");
+      return;
+    }
+    const own = ownExamples(ws);
+    ws.useBase = !ws.useBase;
+    applyBaseLayer(ws, own);
+
+    ws.mlpModel = null;
+    ws.trainJob = null;
+    ws.tuneJob = null;
+    ws.backend = BACKEND_KNN;
+    resetSmoothing(ws);
+
+    saveHeader(ws);
+    const n = totalExamples(ws);
+    status(ws, ws.useBase ? `Base model on (${n} ex${baseNote(ws)})` : `Base model off — ${n} ex of your own`);
+  }
+
+  // Variants of every own example while augmentation is on, none while it is off
+  // → ASLAugment.augmentExamples() result
+  function rebuildSynthetic(ws) {
+    const aug = ws.useAugment
+      ? ASLAugment.augmentExamples(ws.examples, ws.landmarks, ws.featureName, { from: ws.baseCounts })
+      : { examples: ASLDataset.createEmptyExamples(), count: 0, skipped: 0 };
+    ws.synthetic = aug.examples;
+    ws.synthIndex = ASLKnn.createIndex(ws.synthetic);
+    return aug;
+  }
+
+  // The variants of a just-added examples[label][i] (the same ones a rebuild would make)
+  function addSynthetic(ws, label, i) {
+    for (const f of ASLAugment.variantsOf(label, i, ws.examples[label][i], ws.landmarks[label][i], ws.featureName)) {
+      ws.synthetic[label].push(f);
+      ASLKnn.indexAdd(ws.synthIndex, label, f);
+    }
+  }
+
+  // "[": synthetic variants in or out of live kNN and MLP training. A trained MLP keeps what
+  // it learned until it is retrained.
+  function toggleAugment(ws) {
+    ws.useAugment = !ws.useAugment;
+    const aug = rebuildSynthetic(ws);
+    resetSmoothing(ws);
+    saveHeader(ws);
+
+    if (!ws.useAugment) {
+      status(ws, "Synthetic variants OFF");
+      return;
+    }
+    let msg = `Synthetic variants ON (+${aug.count} from your own examples)`;
+    if (aug.skipped) msg += ` — ${aug.skipped} without landmarks skipped`;
+    if (ws.mlpModel) msg += " — 3 retrains the MLP with them";
+    status(ws, msg);
+  }
+
+  // The saved calibration in the active feature space (re-derived from its landmarks when needed)
+  function rebuildCalibration(ws) {
+    ws.calIndex = ASLWorkspace.calibrationIndex(ws.calibration, ws.featureName);
+  }
+
+  /* -------------------- editing -------------------- */
+
+  // The tracked hand's landmarks `lm` as an example of label → its features
+  function addExample(ws, label, lm) {
+    const feats = ASLFeatures.featuresFromLandmarks(lm, ws.featureName);
+    const rounded = ASLFeatures.roundLandmarks(lm);
+    ws.examples[label].push(feats);
+    ASLKnn.indexAdd(ws.knnIndex, label, feats);
+    ws.landmarks[label].push(rounded);
+    ws.addHistory.push(label);
+    if (ws.useAugment) addSynthetic(ws, label, ws.examples[label].length - 1);
+    persist(ws, (id) => ws.store.appendExample(id, label, feats, rounded));
+    return feats;
+  }
+
+  // The J / Z trajectory recorded since startedAt → whether it was kept
+  function addSequence(ws, label, startedAt, now) {
+    const { seq, reason } = ASLMotion.recordSequence(ws.motionState, startedAt, now);
+    if (!seq) {
+      status(ws, `REC ● ${label} not saved (${reason})`);
+      return false;
+    }
+
+    ws.sequences[label].push(seq);
+    ws.addHistory.push(ASLMotion.SEQ_HISTORY_PREFIX + label);
+    saveHeader(ws);
+
+    status(ws, `Added ${label} motion (${ws.sequences[label].length})`);
+    return true;
+  }
+
+  function undoLast(ws) {
+    if (ws.addHistory.length === 0) {
+      status(ws, "Nothing to undo");
+      return;
+    }
+
+    const label = ws.addHistory.pop();
+    if (label.startsWith(ASLMotion.SEQ_HISTORY_PREFIX)) {
+      const l = label.slice(ASLMotion.SEQ_HISTORY_PREFIX.length);
+      ws.sequences[l]?.pop();
+      saveHeader(ws);
+      status(ws, `Undo: ${l} motion`);
+      return;
+    }
+
+    if (ws.examples[label].length > baseCount(ws, label)) {
+      ws.examples[label].pop();
+      ws.landmarks[label].pop();
+      ASLKnn.indexRemove(ws.knnIndex, label);
+      if (ws.useAugment) rebuildSynthetic(ws);
+      const i = ws.examples[label].length - baseCount(ws, label);
+      persist(ws, (id) => ws.store.removeExample(id, label, i, ws.addHistory.length));
+      status(ws, `Undo: ${label}`);
+    } else {
+      saveHeader(ws);
+      status(ws, "Undo did nothing");
+    }
+  }
+
+  // Removes the dataset's own examples; one on the base model is back to just the base
+  function clearAll(ws) {
+    ASLMotion.MOTION_LABELS.forEach((l) => (ws.sequences[l] = []));
+    ws.addHistory = [];
+    ASLMotion.resetMotionState(ws.motionState);
+
+    ws.mlpModel = null;
+    ws.trainJob = null;
+    ws.backend = BACKEND_KNN;
+    ws.featureName = ASLFeatures.FEATURE_NAME;
+    ws.tuning = { ...ASLTune.DEFAULTS };
+    ws.tuneJob = null;
+    applyBaseLayer(ws, { examples: ASLDataset.createEmptyExamples(), landmarks: ASLDataset.createEmptyExamples() });
+    resetSmoothing(ws);
+    ws.hooks.stopCapture();
+
+    saveDataset(ws);
+    status(ws, ws.baseCounts ? `Reset to the base model ✅ (${totalExamples(ws)} ex)` : "Cleared dataset ✅");
+  }
+
+  /* -------------------- features and classifier -------------------- */
+
+  // "6": re-derives the dataset's own examples with the next extractor. Needs raw landmarks
+  // for all of them: older recordings without landmarks could not be converted. The base
+  // model is layered again in the new feature space (left out when it can't be converted).
+  function cycleFeatureExtractor(ws) {
+    const names = ASLFeatures.EXTRACTOR_NAMES;
+    const next = names[(names.indexOf(ws.featureName) + 1) % names.length];
+    const extractor = ASLFeatures.getExtractor(next);
+
+    const own = ownExamples(ws);
+    const r = ASLDataset.rederiveFeatures(own.examples, own.landmarks, extractor.fn, extractor.dims);
+    if (r.kept + r.dropped > 0) {
+      status(ws, `Can't switch features — ${r.kept + r.dropped} examples have no raw landmarks`);
+      return;
+    }
+
+    ws.featureName = next;
+    applyBaseLayer(ws, r);
+
+    ws.mlpModel = null;
+    ws.trainJob = null;
+    ws.tuneJob = null;
+    ws.backend = BACKEND_KNN;
+    resetSmoothing(ws);
+
+    saveDataset(ws);
+    const unbased = ws.useBase && ASLBase.countBase(ws.baseCounts) === 0;
+    status(ws, `Features: ${extractor.label} (${extractor.dims}-dim)${unbased ? " — the base model can't be used with these" : ""}`);
+  }
+
+  function syntheticCount(ws) {
+    return ASLDataset.countExamples(ws.synthetic);
+  }
+
+  // What the MLP trains on: the examples, plus their variants while augmentation is on
+  function trainingExamples(ws) {
+    return ws.useAugment ? ASLAugment.withSynthetic(ws.examples, ws.synthetic) : ws.examples;
+  }
+
+  // "3": starts an ASLMlp trainer; stepTraining() runs it
+  function startTraining(ws) {
+    try {
+      ws.trainJob = ASLMlp.createTrainer(trainingExamples(ws));
+      status(ws, "Training MLP…");
+    } catch (e) {
+      ws.trainJob = null;
+      status(ws, `Can't train — ${e.message}`);
+    }
+  }
+
+  // A few mini-batches until budgetMs have passed on `now` (ms), so the camera and the rest
+  // of the sketch keep running meanwhile. The finished model becomes the backend.
+  function stepTraining(ws, budgetMs, now) {
+    const job = ws.trainJob;
+    const until = now() + budgetMs;
+    while (!job.done && now() < until) job.step(1);
+    if (!job.done) return;
+
+    ws.mlpModel = job.model;
+    ws.backend = BACKEND_MLP;
+    ws.trainJob = null;
+    saveHeader(ws);
+    status(ws, `MLP trained ✅ (train acc ${(job.acc * 100).toFixed(1)}%) — backend MLP`);
+  }
+
+  // The running trainer's progress as text → { title, stats }; sep goes between the stats
+  function trainingText(job, sep = " | ") {
+    return {
+      title: `Training MLP — epoch ${job.epoch}/${job.epochs}`,
+      stats: job.loss == null ? "…" : `loss ${job.loss.toFixed(3)}${sep}acc ${(job.acc * 100).toFixed(1)}%`,
+    };
+  }
+
+  // "4": kNN ↔ MLP, once there is a model
+  function toggleBackend(ws) {
+    if (ws.backend === BACKEND_KNN && !ws.mlpModel) {
+      status(ws, "No MLP yet — press 3 to train one");
+      return;
+    }
+    ws.backend = ws.backend === BACKEND_KNN ? BACKEND_MLP : BACKEND_KNN;
+    ws.smoothQueue = [];
+    saveHeader(ws);
+    status(ws, `Backend: ${ws.backend.toUpperCase()}`);
+  }
+
+  // HUD name of the backend; an MLP is stale once the examples it trained on changed
+  function backendTag(ws) {
+    if (ws.backend !== BACKEND_MLP) return "kNN";
+    const trainable = totalExamples(ws) + (ws.useAugment ? syntheticCount(ws) : 0);
+    return ws.mlpModel.trainedOn === trainable ? "MLP" : "MLP (stale)";
+  }
+
+  function classifyMLP(ws, feats) {
+    return ASLMlp.classifyMLP(feats, ws.mlpModel, { minConf: ws.tuning.minConf, minMargin: ws.tuning.minMargin });
+  }
+
+  // The examples, their variants while augmentation is on and the profile's calibration
+  function classifyKNN(ws, feats) {
+    const indexes = [ws.knnIndex, ws.useAugment ? ws.synthIndex : null, ws.calIndex];
+    return ASLKnn.classifyIndexed(feats, indexes, {
+      k: ws.tuning.k,
+      minConf: ws.tuning.minConf,
+      minMargin: ws.tuning.minMargin,
+      eps: EPS,
+      weights: [1, 1, ASLCalibrate.DEFAULTS.weight],
+    });
+  }
+
+  // Same { label, conf, best, second, scores } shape from either backend, then the J/Z
+  // motion gate on the recorded trajectories (now in ms)
+  function classify(ws, feats, now) {
+    const res = ws.backend === BACKEND_MLP && ws.mlpModel ? classifyMLP(ws, feats) : classifyKNN(ws, feats);
+    const motion = ASLMotion.classifyMotion(ws.motionState, ws.sequences, now);
+    return ASLMotion.applyMotionGate(res, motion, ws.sequences);
+  }
+
+  // One live frame: classify() and the result into the smoothing queue → the result, or null
+  function predict(ws, feats, now) {
+    const res = classify(ws, feats, now);
+    if (!res) return null;
+    ws.lastLabel = res.label;
+    ws.lastConf = res.conf;
+    ASLSmoothing.pushSmoothed(ws.smoothQueue, ws.lastLabel, { smoothN: ws.tuning.smoothN });
+    return res;
+  }
+
+  // { label, conf, stable } over the last predict() frames (ASLSmoothing)
+  function getSmoothedLabel(ws) {
+    return ASLSmoothing.getSmoothedLabel(ws.smoothQueue, ws.lastLabel, ws.lastConf, {
+      stableMin: ws.tuning.stableMin,
+      minConf: ws.tuning.minConf,
+    });
+  }
+
+  // Harvest mode, one live frame: the tracked hand `lm` (null: none) as a NONE example when
+  // ASLHarvest finds it transitional or a resting pose. state: ASLHarvest.createHarvestState();
+  // ctx: { feats, res (the frame's prediction) }
+  function harvestNone(ws, state, lm, now, { feats, res }) {
+    const verdict = ASLHarvest.harvestFrame(state, lm, now, { feats, res, noneExamples: ws.examples[NONE_LABEL] });
+    if (verdict.take && lm) {
+      addExample(ws, NONE_LABEL, lm);
+      status(ws, `HARVEST ● NONE +1 (${verdict.reason}) — ${ws.examples[NONE_LABEL].length}`);
+    } else if (verdict.reason === "cap") {
+      status(ws, "HARVEST ● session limit reached");
+    }
+  }
+
+  /* -------------------- threshold tuning -------------------- */
+
+  // "8": sweeps k / conf / margin / smoothing on held-out examples (ASLTune); stepTuning() runs it
+  function startTuning(ws) {
+    try {
+      ws.tuneJob = ASLTune.createTuning(ws.examples, { current: ws.tuning, eps: EPS });
+      status(ws, "Tuning thresholds…");
+    } catch (e) {
+      ws.tuneJob = null;
+      status(ws, `Can't tune — ${e.message}`);
+    }
+  }
+
+  // A slice of the sweep until budgetMs have passed on `now` (ms); the result replaces the settings
+  function stepTuning(ws, budgetMs, now) {
+    if (!ASLWorkspace.stepTuning(ws.tuneJob, budgetMs, now)) return;
+
+    ws.tuning = ws.tuneJob.result.tuning;
+    status(ws, ASLWorkspace.tunedMessage(ws.tuneJob.result));
+    ws.tuneJob = null;
+    resetSmoothing(ws);
+    saveHeader(ws);
+  }
+
+  /* -------------------- calibration ("]") -------------------- */
+
+  // Every letter a few times with the active extractor, for the open profile (ws.calSession
+  // while it runs) → whether it started. Takes only join the live kNN once the run is saved;
+  // the MLP never sees them, so a model saved with the dataset stays everyone's.
+  function openCalibration(ws) {
+    if (!ws.store || !ws.activeProfile) {
+      status(ws, "Storage unavailable — a calibration couldn't be kept");
+      return false;
+    }
+    ws.calSession = ASLCalibrate.createSession();
+    ws.hooks.stopCapture();
+    status(ws, `Calibrating for "${ws.activeProfile.name}"`);
+    return true;
+  }
+
+  // Keys while calibrating: Space takes the tracked hand `lm` (null: no hand), "." takes one
+  // back, "]" saves the run, X removes the profile's saved calibration → whether k was one of
+  // them. Taking the last letter saves the run too (calSession is null again).
+  function calibrationKey(ws, k, lm) {
+    if (k === " ") takeCalibration(ws, lm);
+    else if (k === ".") status(ws, ASLWorkspace.undoCalibrationTake(ws.calSession));
+    else if (k === "]") finishCalibration(ws);
+    else if (k === "X") forgetCalibration(ws);
+    else return false;
+    return true;
+  }
+
+  // One take of the letter shown; hit = the dataset (without any calibration) already gets it
+  function takeCalibration(ws, lm) {
+    if (!lm) {
+      status(ws, "No hand detected");
+      return;
+    }
+    status(ws, ASLWorkspace.takeCalibration(ws.calSession, lm, { feature: ws.featureName, index: ws.knnIndex, tuning: ws.tuning, eps: EPS }));
+    if (!ASLCalibrate.sessionTarget(ws.calSession)) finishCalibration(ws);
+  }
+
+  // → on to the next letter, saving the run after the last one
+  function skipCalibrationLetter(ws) {
+    ASLCalibrate.skipLabel(ws.calSession);
+    if (!ASLCalibrate.sessionTarget(ws.calSession)) finishCalibration(ws);
+  }
+
+  // Saves the takes so far; letters this run didn't take keep their earlier calibration
+  function finishCalibration(ws) {
+    const session = ws.calSession;
+    ws.calSession = null;
+    const done = ASLWorkspace.finishCalibrationSession(session, ws.calibration, {
+      feature: ws.featureName,
+      trackHand: ws.dominantHand,
+      name: ws.activeProfile.name,
+    });
+    status(ws, done.message);
+    if (!done.calibration) return;
+
+    saveCalibration(ws, done.calibration);
+    resetSmoothing(ws);
+  }
+
+  function cancelCalibration(ws) {
+    ws.calSession = null;
+    status(ws, "Calibration cancelled");
+  }
+
+  function forgetCalibration(ws) {
+    if (!ws.calibration) {
+      status(ws, "No saved calibration");
+      return;
+    }
+    saveCalibration(ws, null);
+    status(ws, `Calibration of "${ws.activeProfile.name}" removed`);
+  }
+
+  // The profile's calibration, live and stored (null removes it)
+  function saveCalibration(ws, calibration) {
+    ws.calibration = calibration;
+    rebuildCalibration(ws);
+    ws.store.saveCalibration(ws.activeProfile.id, calibration).catch((e) => status(ws, `Save failed — ${e.message}`));
+  }
+
+  /* -------------------- payloads -------------------- */
+
+  // The dataset's own examples only: the base model is named in meta.base, never copied
+  function buildPayload(ws) {
+    return ASLWorkspace.buildPayload({
+      ...ownExamples(ws),
+      sequences: ws.sequences,
+      addHistory: ws.addHistory,
+      model: ws.mlpModel,
+      feature: ws.featureName,
+      trackHand: ws.dominantHand,
+      tuning: ws.tuning,
+      backend: ws.backend,
+      useBase: ws.useBase,
+      useAugment: ws.useAugment,
+    });
+  }
+
+  // Makes the payload the live dataset (ASLWorkspace.readPayload: its extractor, re-derived
+  // features when they were recorded with another version of it) and resets what was running.
+  // Returns what reading it did to the features (ASLWorkspace.readPayload: rederived, mirrored).
+  function applyPayload(ws, payload) {
+    const read = ASLWorkspace.readPayload(payload);
+    Object.assign(ws.examples, read.examples);
+    Object.assign(ws.landmarks, read.landmarks);
+    Object.assign(ws.sequences, read.sequences);
+    ws.addHistory = read.addHistory;
+    ws.featureName = read.feature;
+    ASLMotion.resetMotionState(ws.motionState);
+
+    ws.useBase = read.useBase;
+    ws.useAugment = read.useAugment;
+    applyBaseLayer(ws, { examples: { ...ws.examples }, landmarks: { ...ws.landmarks } });
+    ws.tuning = read.tuning;
+    ws.tuneJob = null;
+
+    ws.mlpModel = read.model;
+    ws.backend = read.backend;
+    ws.trainJob = null;
+    resetSmoothing(ws);
+    ws.hooks.stopCapture();
+
+    return read;
+  }
+
+  // ENTER on the import dialog (ASLWorkspace.createImportDraft): replace takes the file as it
+  // is; merge and append change what a trained MLP learned from, so it is dropped.
+  function commitImport(ws, d) {
+    if (d.mode === "replace") {
+      const applied = applyPayload(ws, d.read.payload);
+      saveDataset(ws);
+      status(ws, `Imported ✅ (${totalExamples(ws)} ex)${d.note}${ASLWorkspace.featureNote(applied)}`);
+      return;
+    }
+
+    const r = d.plan.result;
+    Object.assign(ws.examples, r.examples);
+    Object.assign(ws.landmarks, r.landmarks);
+    Object.assign(ws.sequences, r.sequences);
+    ws.addHistory = r.addHistory;
+    ws.knnIndex = ASLKnn.createIndex(ws.examples);
+    rebuildSynthetic(ws);
+
+    const hadModel = ws.mlpModel !== null;
+    ws.mlpModel = null;
+    ws.trainJob = null;
+    ws.tuneJob = null;
+    ws.backend = BACKEND_KNN;
+    resetSmoothing(ws);
+    saveDataset(ws);
+
+    status(ws, ASLWorkspace.importSummary(d) + (hadModel ? " — MLP dropped, 3 retrains it" : ""));
+  }
+
+  /* -------------------- storage -------------------- */
+
+  // Writes run in the background, in call order (ASLStore queues them); a failure only shows
+  // in the status line, the sketch keeps going on what it has in memory. persist() is for the
+  // open dataset; records outside it (the profile's, shared ones) call the store the same way.
+  function persist(ws, write) {
+    if (!ws.store || !ws.activeDataset) return;
+    write(ws.activeDataset.id).catch((e) => status(ws, `Save failed — ${e.message}`));
+  }
+
+  // Full rewrite of the active dataset (import, clear, re-derived features, bulk removal)
+  function saveDataset(ws) {
+    persist(ws, (id) => ws.store.saveDataset(id, buildPayload(ws)));
+  }
+
+  // Everything but the examples: sequences, undo history, model, meta
+  function saveHeader(ws) {
+    persist(ws, (id) => ws.store.saveHeader(id, buildPayload(ws)));
+  }
+
+  // Dominant hand is a per-user setting (shared by trainer and game), kept on the profile record
+  function profileHand(profile) {
+    return profile?.dominantHand === "LEFT" ? "LEFT" : "RIGHT";
+  }
+
+  function toggleDominantHand(ws) {
+    ws.dominantHand = ws.dominantHand === "RIGHT" ? "LEFT" : "RIGHT";
+    if (ws.activeProfile) ws.activeProfile.dominantHand = ws.dominantHand;
+    if (ws.store && ws.activeProfile) {
+      ws.store.setDominantHand(ws.activeProfile.id, ws.dominantHand).catch((e) => status(ws, `Save failed — ${e.message}`));
+    }
+    resetSmoothing(ws);
+    ASLMotion.resetMotionState(ws.motionState);
+
+    status(ws, `Dominant hand: ${ws.dominantHand === "RIGHT" ? "right" : "left (mirrored)"}`);
+  }
+
+  // Opens the store on `backend` (its promise), moves a dataset left in browser storage by
+  // older versions into it, fetches the base model and loads the active profile's active
+  // dataset. opts: { legacy: { storage (localStorage), key, name } (the slot and the dataset
+  // name it gets), fetch, opened(store) (async: the sketch's shared records), empty (status
+  // line for a dataset without examples) }. Failures end up in the status line; with the
+  // store unavailable the session runs without one (nothing is saved).
+  async function openStorage(ws, backend, opts) {
+    try {
+      ws.store = await ASLStore.openStore(await backend);
+      ws.activeProfile = await ws.store.getActiveProfile();
+      ws.dominantHand = profileHand(ws.activeProfile);
+      if (opts.legacy) await moveLegacyDataset(ws, opts.legacy);
+      await opts.opened?.(ws.store);
+    } catch (e) {
+      ws.store = null;
+      status(ws, `Storage unavailable — ${e.message || e} (nothing will be saved)`);
+      return;
+    }
+
+    await loadBase(ws, opts.fetch);
+
+    // a dataset that can't be read stays untouched (activeDataset null: nothing is saved over it)
+    try {
+      const loaded = await loadDataset(ws);
+      const n = totalExamples(ws);
+      status(ws, n > 0 ? `Loaded ✅ "${ws.activeDataset.name}" (${n} ex${baseNote(ws)})${loaded.note}` : opts.empty);
+    } catch (e) {
+      status(ws, `Can't load the active dataset — ${e.message} (5 to pick another)`);
+    }
+  }
+
+  // The browser-storage slot is only removed once its dataset is in the store. It goes into
+  // the active dataset when that is still empty (first run), otherwise into a new one.
+  async function moveLegacyDataset(ws, { storage, key, name }) {
+    const raw = storage.getItem(key);
+    if (!raw) return;
+
+    let payload = null;
+    try {
+      payload = ASLSchema.readDataset(JSON.parse(raw)).payload;
+    } catch (e) {
+      console.warn("Old browser-storage dataset not moved:", e.message);
+      return;
+    }
+
+    const { store, activeProfile } = ws;
+    const current = await store.getActiveDataset(activeProfile.id);
+    if (current && current.count === 0) {
+      await store.saveDataset(current.id, payload);
+      await store.renameDataset(current.id, name);
+    } else {
+      const ds = await store.createDataset(activeProfile.id, name, payload);
+      await store.setActiveDataset(activeProfile.id, ds.id);
+    }
+    storage.removeItem(key);
+  }
+
+  // Loads the active profile's active dataset, upgraded to the current schema (and saved
+  // back when that changed it), with the profile's calibration → { note } for the status line
+  async function loadDataset(ws) {
+    const { store, activeProfile } = ws;
+    const ds = await store.getActiveDataset(activeProfile.id);
+    const read = ASLSchema.readDataset(await store.loadDataset(ds.id));
+    ws.activeDataset = ds;
+    ws.calibration = await store.loadCalibration(activeProfile.id);
+    await ws.hooks.loadProfile(activeProfile);
+
+    const applied = applyPayload(ws, read.payload);
+    if (applied.rederived || applied.mirrored || read.changed) saveDataset(ws);
+    return { note: ASLWorkspace.schemaNote(read) + ASLWorkspace.featureNote(applied) };
+  }
+
+  // Makes dataset `id` the profile's active one and loads it → loadDataset()
+  async function openDataset(ws, id) {
+    await ws.store.setActiveDataset(ws.activeProfile.id, id);
+    return loadDataset(ws);
+  }
+
+  // Makes `profile` the active one and loads its active dataset → loadDataset()
+  async function openProfile(ws, profile) {
+    await ws.store.setActiveProfile(profile.id);
+    ws.activeProfile = profile;
+    ws.dominantHand = profileHand(profile);
+    return loadDataset(ws);
+  }
+
+  return {
+    createSession,
+    resetSmoothing,
+    totalExamples,
+    ownExamples,
+    baseCount,
+    baseNote,
+    applyBaseLayer,
+    loadBase,
+    toggleBase,
+    rebuildSynthetic,
+    addSynthetic,
+    toggleAugment,
+    rebuildCalibration,
+    addExample,
+    addSequence,
+    undoLast,
+    clearAll,
+    cycleFeatureExtractor,
+    syntheticCount,
+    trainingExamples,
+    startTraining,
+    stepTraining,
+    trainingText,
+    toggleBackend,
+    backendTag,
+    classifyMLP,
+    classifyKNN,
+    classify,
+    predict,
+    getSmoothedLabel,
+    harvestNone,
+    startTuning,
+    stepTuning,
+    openCalibration,
+    calibrationKey,
+    skipCalibrationLetter,
+    finishCalibration,
+    cancelCalibration,
+    buildPayload,
+    applyPayload,
+    commitImport,
+    persist,
+    saveDataset,
+    saveHeader,
+    profileHand,
+    toggleDominantHand,
+    openStorage,
+    loadDataset,
+    openDataset,
+    openProfile,
+  };
+});
@@ -0,0 +1,51 @@
+// core/smoothing.js — majority vote over the last N frame predictions
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLSmoothing)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.ASLSmoothing = factory();
+})(this, function () {
+  "use strict";
+
+  const DEFAULTS = {
+    smoothN: 12,
+    stableMin: 9,
+    minConf: 0.62,
+  };
+
+  // Appends in place and drops the oldest entries beyond smoothN.
+  function pushSmoothed(queue, label, opts = {}) {
+    const { smoothN } = { ...DEFAULTS, ...opts };
+    queue.push(label);
+    while (queue.length > smoothN) queue.shift();
+    return queue;
+  }
+
+  // { label, conf, stable } — stable needs stableMin votes and a confident last frame.
+  function getSmoothedLabel(queue, lastLabel, lastConf, opts = {}) {
+    const { stableMin, minConf } = { ...DEFAULTS, ...opts };
+    if (!lastLabel) return { label: null, conf: 0, stable: false };
+
+    const counts = {};
+    for (const l of queue) counts[l] = (counts[l] || 0) + 1;
+
+    let best = null,
+      bestCount = 0;
+    for (const [l, c] of Object.entries(counts)) {
+      if (c > bestCount) {
+        best = l;
+        bestCount = c;
+      }
+    }
+
+    const stable = bestCount >= stableMin && lastConf >= minConf;
+    return { label: best, conf: lastConf, stable };
+  }
+
+  return {
+    DEFAULTS,
+    pushSmoothed,
+    getSmoothedLabel,
+  };
+});
@@ -0,0 +1,505 @@
+// core/store.js — IndexedDB persistence: user profiles, each with named datasets
+// Every example is its own record, so adding or undoing one writes that record plus a small
+// change to the dataset header (count, savedAt, undo history) instead of re-serialising the
+// dataset. Sequences and the MLP model are a record of their own, written only when they change.
+// A profile's personal calibration (ASLCalibrate) and practice schedule (ASLPractice) are one
+// record each of their own, outside every dataset; its dominant hand is kept on the profile.
+// The backend is injectable: openIndexedDB() in the browser, createMemoryBackend() in tests.
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLStore)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./dataset"));
+  else root.ASLStore = factory(root.ASLDataset);
+})(this, function (ASLDataset) {
+  "use strict";
+
+  const { ALL_LABELS } = ASLDataset;
+
+  const DB_NAME = "asl_trainer";
+  const DB_VERSION = 1;
+
+  // object store → key path
+  const STORES = {
+    settings: "key",
+    profiles: "id",
+    datasets: "id",
+    datasetParts: "datasetId",
+    examples: ["datasetId", "label", "n"],
+    calibrations: "profileId",
+    schedules: "profileId",
+    rounds: ["profileId", "startedAt"],
+    lessonPacks: "id",
+    lessonProgress: "profileId",
+  };
+
+  // payload fields kept on the dataset header record, and on its parts record (everything else but examples/landmarks)
+  const HEADER_FIELDS = ["version", "savedAt", "addHistory", "meta"];
+  const PART_FIELDS = ["sequences", "model"];
+
+  /* -------------------- backends -------------------- */
+  // Both backends implement:
+  //   get(store, key), getAll(store, prefix?) → records sorted by key (prefix: leading key parts),
+  //   transact([{ store, put?: records, delete?: keys, deletePrefix?: prefix }]) → one atomic write
+
+  // IndexedDB key order: numbers < strings < arrays (element by element)
+  function compareKeys(a, b) {
+    const rank = (k) => (typeof k === "number" ? 0 : typeof k === "string" ? 1 : 2);
+    const ra = rank(a);
+    const rb = rank(b);
+    if (ra !== rb) return ra - rb;
+    if (ra < 2) return a < b ? -1 : a > b ? 1 : 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const c = compareKeys(a[i], b[i]);
+      if (c !== 0) return c;
+    }
+    return a.length - b.length;
+  }
+
+  function keyOf(store, record) {
+    const path = STORES[store];
+    return Array.isArray(path) ? path.map((p) => record[p]) : record[path];
+  }
+
+  function hasPrefix(key, prefix) {
+    return Array.isArray(key) && prefix.every((p, i) => compareKeys(p, key[i]) === 0);
+  }
+
+  // In-memory backend with the same key order and copy-on-read/write semantics as IndexedDB.
+  function createMemoryBackend() {
+    const data = {};
+    for (const store of Object.keys(STORES)) data[store] = new Map(); // JSON key → record
+    const copy = (v) => (v === undefined ? undefined : structuredClone(v));
+
+    return {
+      async get(store, key) {
+        return copy(data[store].get(JSON.stringify(key)));
+      },
+      async getAll(store, prefix) {
+        const out = [...data[store].values()].filter((r) => !prefix || hasPrefix(keyOf(store, r), prefix));
+        out.sort((a, b) => compareKeys(keyOf(store, a), keyOf(store, b)));
+        return out.map(copy);
+      },
+      async transact(ops) {
+        for (const op of ops) {
+          const map = data[op.store];
+          if (op.deletePrefix) {
+            for (const [k, r] of map) if (hasPrefix(keyOf(op.store, r), op.deletePrefix)) map.delete(k);
+          }
+          for (const key of op.delete || []) map.delete(JSON.stringify(key));
+          for (const r of op.put || []) map.set(JSON.stringify(keyOf(op.store, r)), copy(r));
+        }
+      },
+    };
+  }
+
+  function promisify(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function openIndexedDB(name = DB_NAME) {
+    if (typeof indexedDB === "undefined") return Promise.reject(new Error("IndexedDB is not available"));
+
+    const req = indexedDB.open(name, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      for (const [store, keyPath] of Object.entries(STORES)) {
+        if (!db.objectStoreNames.contains(store)) db.createObjectStore(store, { keyPath });
+      }
+    };
+
+    // [id] ≤ [id, label, n] < [id, []]: arrays sort after every string
+    const prefixRange = (prefix) => IDBKeyRange.bound(prefix, [...prefix, []]);
+
+    return promisify(req).then((db) => ({
+      get(store, key) {
+        return promisify(db.transaction(store).objectStore(store).get(key));
+      },
+      getAll(store, prefix) {
+        return promisify(db.transaction(store).objectStore(store).getAll(prefix ? prefixRange(prefix) : undefined));
+      },
+      transact(ops) {
+        const tx = db.transaction([...new Set(ops.map((op) => op.store))], "readwrite");
+        for (const op of ops) {
+          const os = tx.objectStore(op.store);
+          if (op.deletePrefix) os.delete(prefixRange(op.deletePrefix));
+          for (const key of op.delete || []) os.delete(key);
+          for (const r of op.put || []) os.put(r);
+        }
+        return new Promise((resolve, reject) => {
+          tx.oncomplete = () => resolve();
+          tx.onerror = tx.onabort = () => reject(tx.error || new Error("IndexedDB write aborted"));
+        });
+      },
+    }));
+  }
+
+  /* -------------------- store -------------------- */
+
+  function newId(prefix) {
+    return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  // Header fields copied at call time: the sketches keep mutating their arrays while a write waits.
+  function headerFrom(payload) {
+    const h = {};
+    for (const f of [...HEADER_FIELDS, ...PART_FIELDS]) h[f] = structuredClone(payload?.[f] ?? null);
+    h.count = ASLDataset.countExamples(payload?.examples || {});
+    return h;
+  }
+
+  // Per-label copies of the example lists (feature vectors and landmarks are never mutated in place)
+  function examplesFrom(payload) {
+    const out = {};
+    for (const l of ALL_LABELS) {
+      const feats = payload?.examples?.[l] || [];
+      out[l] = feats.map((f, i) => ({ feats: f, lm: payload.landmarks?.[l]?.[i] ?? null }));
+    }
+    return out;
+  }
+
+  // Opens the store on a backend; the first run creates a "Default" profile with one empty
+  // dataset. Datasets are read/written as the sketches' payloads
+  // ({ version, savedAt, examples, landmarks, sequences, addHistory, model, meta }).
+  // Every call is async and runs after the previous one has finished, so writes land in call
+  // order and reads see them; payloads are copied when the call is made.
+  async function openStore(backend) {
+    // datasetId → { label: [n, ...] }: record keys of each loaded dataset's examples, in order
+    const keys = {};
+    // datasetId → its addHistory as last written, for the per-example header changes
+    const histories = {};
+
+    let tail = Promise.resolve();
+    function serial(task) {
+      const run = tail.then(task);
+      tail = run.catch(() => {});
+      return run;
+    }
+
+    async function getDataset(id) {
+      const ds = await backend.get("datasets", id);
+      if (!ds) throw new Error("Dataset not found");
+      return ds;
+    }
+
+    async function getProfile(id) {
+      const p = await backend.get("profiles", id);
+      if (!p) throw new Error("Profile not found");
+      return p;
+    }
+
+    async function listProfiles() {
+      const all = await backend.getAll("profiles");
+      return all.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    async function listDatasets(profileId) {
+      const all = await backend.getAll("datasets");
+      return all.filter((d) => d.profileId === profileId).sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    // → the writes for a full header: the header record and the parts record
+    async function putHeader(id, header) {
+      const ds = await getDataset(id);
+      const record = { ...ds, updatedAt: Date.now() };
+      const parts = { datasetId: id };
+      for (const [f, v] of Object.entries(header)) {
+        if (PART_FIELDS.includes(f)) parts[f] = v;
+        else record[f] = v;
+      }
+      histories[id] = header.addHistory ?? [];
+      return [
+        { store: "datasets", put: [record] },
+        { store: "datasetParts", put: [parts] },
+      ];
+    }
+
+    // → the write for an example added or removed: count, savedAt and the undo history only
+    async function putHeaderChange(id) {
+      const ds = await getDataset(id);
+      const k = keys[id];
+      ds.count = ALL_LABELS.reduce((n, l) => n + k[l].length, 0);
+      ds.savedAt = new Date().toISOString();
+      ds.addHistory = histories[id];
+      ds.updatedAt = Date.now();
+      return { store: "datasets", put: [ds] };
+    }
+
+    async function writeAll(id, header, byLabel) {
+      const records = [];
+      const k = (keys[id] = {});
+      for (const l of ALL_LABELS) {
+        k[l] = byLabel[l].map((_, n) => n);
+        byLabel[l].forEach((ex, n) => records.push({ datasetId: id, label: l, n, feats: ex.feats, lm: ex.lm }));
+      }
+      await backend.transact([
+        { store: "examples", deletePrefix: [id] },
+        { store: "examples", put: records },
+        ...(await putHeader(id, header)),
+      ]);
+    }
+
+    async function createDataset(profileId, name, header = headerFrom(null), byLabel = null) {
+      const now = Date.now();
+      const ds = { id: newId("ds"), profileId, name, createdAt: now, updatedAt: now };
+      await backend.transact([{ store: "datasets", put: [ds] }]);
+      if (byLabel) await writeAll(ds.id, header, byLabel);
+      else await backend.transact(await putHeader(ds.id, header));
+      return getDataset(ds.id);
+    }
+
+    async function createProfile(name) {
+      const profile = { id: newId("p"), name, createdAt: Date.now(), activeDatasetId: null, dominantHand: "RIGHT" };
+      await backend.transact([{ store: "profiles", put: [profile] }]);
+      profile.activeDatasetId = (await createDataset(profile.id, "My dataset")).id;
+      await backend.transact([{ store: "profiles", put: [profile] }]);
+      return profile;
+    }
+
+    async function setActiveDataset(profileId, id) {
+      const profile = await getProfile(profileId);
+      profile.activeDatasetId = id;
+      await backend.transact([{ store: "profiles", put: [profile] }]);
+    }
+
+    async function loadDataset(id) {
+      const ds = await getDataset(id);
+      const parts = await backend.get("datasetParts", id);
+      const records = await backend.getAll("examples", [id]);
+
+      const payload = { examples: {}, landmarks: {} };
+      for (const f of HEADER_FIELDS) payload[f] = ds[f];
+      for (const f of PART_FIELDS) payload[f] = parts?.[f] ?? null;
+      histories[id] = ds.addHistory ?? [];
+      const k = (keys[id] = {});
+      for (const l of ALL_LABELS) {
+        payload.examples[l] = [];
+        payload.landmarks[l] = [];
+        k[l] = [];
+      }
+      for (const r of records) {
+        if (!payload.examples[r.label]) continue;
+        payload.examples[r.label].push(r.feats);
+        payload.landmarks[r.label].push(r.lm);
+        k[r.label].push(r.n);
+      }
+      return payload;
+    }
+
+    // One record per profile (calibrations, schedules, lesson progress), stored as the value plus its profileId
+    async function loadProfileRecord(storeName, profileId) {
+      const r = await backend.get(storeName, profileId);
+      if (!r) return null;
+      delete r.profileId;
+      return r;
+    }
+
+    // value null deletes the record; the value is copied at call time
+    function saveProfileRecord(storeName, profileId, value) {
+      const record = value ? { ...structuredClone(value), profileId } : null;
+      return serial(() => backend.transact([record ? { store: storeName, put: [record] } : { store: storeName, delete: [profileId] }]));
+    }
+
+    const store = {
+      listProfiles: () => serial(listProfiles),
+
+      // A new profile starts with one empty dataset
+      createProfile: (name) => serial(() => createProfile(name)),
+
+      renameProfile: (id, name) =>
+        serial(async () => {
+          const p = await getProfile(id);
+          p.name = name;
+          await backend.transact([{ store: "profiles", put: [p] }]);
+          return p;
+        }),
+
+      // "RIGHT" or "LEFT": which hand is tracked for this user (ASLFeatures.pickTrackedHand)
+      setDominantHand: (id, hand) =>
+        serial(async () => {
+          if (hand !== "RIGHT" && hand !== "LEFT") throw new Error(`Unknown hand "${hand}"`);
+          const p = await getProfile(id);
+          p.dominantHand = hand;
+          await backend.transact([{ store: "profiles", put: [p] }]);
+          return p;
+        }),
+
+      getActiveProfile: () =>
+        serial(async () => {
+          const s = await backend.get("settings", "activeProfileId");
+          const p = s && (await backend.get("profiles", s.value));
+          return p || (await listProfiles())[0] || null;
+        }),
+
+      setActiveProfile: (id) =>
+        serial(async () => {
+          await getProfile(id);
+          await backend.transact([{ store: "settings", put: [{ key: "activeProfileId", value: id }] }]);
+        }),
+
+      // Dataset headers (no examples), oldest first
+      listDatasets: (profileId) => serial(() => listDatasets(profileId)),
+
+      createDataset(profileId, name, payload = null) {
+        const header = headerFrom(payload);
+        const byLabel = payload ? examplesFrom(payload) : null;
+        return serial(() => createDataset(profileId, name, header, byLabel));
+      },
+
+      renameDataset: (id, name) =>
+        serial(async () => {
+          const ds = await getDataset(id);
+          ds.name = name;
+          await backend.transact([{ store: "datasets", put: [ds] }]);
+          return ds;
+        }),
+
+      duplicateDataset: (id, name) =>
+        serial(async () => {
+          const ds = await getDataset(id);
+          const payload = await loadDataset(id);
+          return createDataset(ds.profileId, name, headerFrom(payload), examplesFrom(payload));
+        }),
+
+      // Deleting the profile's active dataset makes another one active (a new empty one if none is left).
+      deleteDataset: (id) =>
+        serial(async () => {
+          const ds = await getDataset(id);
+          await backend.transact([
+            { store: "examples", deletePrefix: [id] },
+            { store: "datasetParts", delete: [id] },
+            { store: "datasets", delete: [id] },
+          ]);
+          delete keys[id];
+          delete histories[id];
+
+          const profile = await getProfile(ds.profileId);
+          if (profile.activeDatasetId === id) {
+            const rest = await listDatasets(profile.id);
+            const next = rest[0] || (await createDataset(profile.id, "My dataset"));
+            await setActiveDataset(profile.id, next.id);
+          }
+        }),
+
+      getActiveDataset: (profileId) =>
+        serial(async () => {
+          const profile = await getProfile(profileId);
+          const ds = profile.activeDatasetId && (await backend.get("datasets", profile.activeDatasetId));
+          return ds || (await listDatasets(profileId))[0] || null;
+        }),
+
+      setActiveDataset: (profileId, id) => serial(() => setActiveDataset(profileId, id)),
+
+      loadDataset: (id) => serial(() => loadDataset(id)),
+
+      // Full rewrite (import, clear, re-derived features)
+      saveDataset(id, payload) {
+        const header = headerFrom(payload);
+        const byLabel = examplesFrom(payload);
+        return serial(() => writeAll(id, header, byLabel));
+      },
+
+      // Header only: sequences, history, model, meta changed but no examples did
+      saveHeader(id, payload) {
+        const header = headerFrom(payload);
+        return serial(async () => backend.transact(await putHeader(id, header)));
+      },
+
+      // One example was just recorded under label, with `history` pushed onto addHistory
+      // (null: nothing pushed). Writes its record and the header's count, savedAt and history.
+      appendExample(id, label, feats, lm = null, history = label) {
+        return serial(async () => {
+          const k = keys[id];
+          if (!k) throw new Error("Dataset not loaded");
+          const n = k[label].length > 0 ? k[label][k[label].length - 1] + 1 : 0;
+          k[label].push(n);
+          if (history != null) histories[id].push(history);
+          await backend.transact([{ store: "examples", put: [{ datasetId: id, label, n, feats, lm }] }, await putHeaderChange(id)]);
+        });
+      },
+
+      // The label's own example i was just removed, and addHistory[h] with it (h < 0: no entry).
+      // Deletes only its record and writes the header's count, savedAt and history.
+      removeExample(id, label, i, h = -1) {
+        return serial(async () => {
+          const k = keys[id];
+          if (!k) throw new Error("Dataset not loaded");
+          const n = k[label].splice(i, 1)[0];
+          if (h >= 0) histories[id].splice(h, 1);
+          await backend.transact([
+            { store: "examples", delete: n === undefined ? [] : [[id, label, n]] },
+            await putHeaderChange(id),
+          ]);
+        });
+      },
+
+      // The profile's calibration payload ({ savedAt, examples, landmarks, meta }), or null
+      loadCalibration: (profileId) => serial(() => loadProfileRecord("calibrations", profileId)),
+
+      // null removes it
+      saveCalibration: (profileId, payload) => saveProfileRecord("calibrations", profileId, payload),
+
+      // The profile's practice schedule ({ version, cards }), or null
+      loadSchedule: (profileId) => serial(() => loadProfileRecord("schedules", profileId)),
+
+      saveSchedule: (profileId, schedule) => saveProfileRecord("schedules", profileId, schedule),
+
+      // The profile's game rounds (ASLHistory), oldest first
+      listRounds: (profileId) =>
+        serial(async () =>
+          (await backend.getAll("rounds", [profileId])).map((r) => {
+            delete r.profileId;
+            return r;
+          })
+        ),
+
+      // Adds the round or updates it (same startedAt); the round is copied at call time
+      saveRound(profileId, round) {
+        const record = { ...structuredClone(round), profileId };
+        return serial(() => backend.transact([{ store: "rounds", put: [record] }]));
+      },
+
+      // The challenge leaderboard (ASLChallenge), shared by every profile; null when none yet
+      loadLeaderboard: () => serial(async () => (await backend.get("settings", "leaderboard"))?.value ?? null),
+
+      saveLeaderboard(board) {
+        const record = { key: "leaderboard", value: structuredClone(board) };
+        return serial(() => backend.transact([{ store: "settings", put: [record] }]));
+      },
+
+      // Lesson packs (ASLLessons), shared by every profile, sorted by id
+      listLessonPacks: () => serial(() => backend.getAll("lessonPacks")),
+
+      // Adds the pack or replaces the one with its id
+      saveLessonPack(pack) {
+        const record = structuredClone(pack);
+        return serial(() => backend.transact([{ store: "lessonPacks", put: [record] }]));
+      },
+
+      deleteLessonPack: (id) => serial(() => backend.transact([{ store: "lessonPacks", delete: [id] }])),
+
+      // The profile's progress through every pack ({ version, packs }), or null
+      loadLessonProgress: (profileId) => serial(() => loadProfileRecord("lessonProgress", profileId)),
+
+      saveLessonProgress: (profileId, progress) => saveProfileRecord("lessonProgress", profileId, progress),
+    };
+
+    if ((await store.listProfiles()).length === 0) {
+      const profile = await store.createProfile("Default");
+      await store.setActiveProfile(profile.id);
+    }
+    return store;
+  }
+
+  return {
+    DB_NAME,
+    STORES,
+    compareKeys,
+    createMemoryBackend,
+    openIndexedDB,
+    openStore,
+  };
+});
@@ -0,0 +1,123 @@
+// core/transcribe.js — free fingerspelling: continuous signing → running transcript
+// Fed one smoothed prediction per frame, it writes a letter once it has been held stable for
+// holdMs. The same letter isn't written again while it is still held; it is re-armed by a
+// gap (NONE, no hand or an unsettled transition for gapMs) or by the hand moving while it
+// keeps the shape, the bounce / slide signers use for double letters ("LL" in HELLO).
+// A longer pause ends the word with a space.
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLTranscribe)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./dataset"));
+  else root.ASLTranscribe = factory(root.ASLDataset);
+})(this, function (ASLDataset) {
+  "use strict";
+
+  const { NONE_LABEL } = ASLDataset;
+
+  const DEFAULTS = {
+    holdMs: 600,
+    minConf: 0.7,
+    gapMs: 250,
+    moveToRepeat: 0.5, // hand sizes (wrist → middle MCP) moved since the letter was written
+    spaceMs: 1500,
+  };
+
+  function createTranscriber() {
+    return {
+      text: "",
+      last: null, // written and not re-armed yet
+      anchor: null, // where the hand was when `last` was written
+      candidate: null,
+      since: 0,
+      gapSince: null,
+    };
+  }
+
+  // Wrist position and hand size of 21+ landmarks ([x, y, z] each), for the bounce check
+  function handPlace(lm) {
+    if (!lm) return null;
+    const [wx, wy] = lm[0];
+    const size = Math.hypot(lm[9][0] - wx, lm[9][1] - wy);
+    return size > 0 ? { x: wx, y: wy, size } : null;
+  }
+
+  // frame: { label, conf, stable } (null: no hand); hand: handPlace() or null. Times in ms.
+  // → what was written this frame: a letter, " ", or null
+  function pushFrame(t, frame, hand, now, opts = {}) {
+    const o = { ...DEFAULTS, ...opts };
+    const letter = frame && frame.stable && frame.label && frame.label !== NONE_LABEL && frame.conf >= o.minConf ? frame.label : null;
+
+    if (!letter) {
+      t.candidate = null;
+      if (t.gapSince == null) t.gapSince = now;
+      const gap = now - t.gapSince;
+      if (gap >= o.gapMs) t.last = null;
+      if (gap >= o.spaceMs && t.text.length > 0 && !t.text.endsWith(" ")) {
+        t.text += " ";
+        return " ";
+      }
+      return null;
+    }
+    t.gapSince = null;
+
+    if (letter === t.last) {
+      const moved = hand && t.anchor && Math.hypot(hand.x - t.anchor.x, hand.y - t.anchor.y) >= o.moveToRepeat * hand.size;
+      if (!moved) return null;
+      t.last = null;
+      t.candidate = letter;
+      t.since = now;
+    }
+
+    if (letter !== t.candidate) {
+      t.candidate = letter;
+      t.since = now;
+    }
+    if (now - t.since < o.holdMs) return null;
+
+    t.text += letter;
+    t.last = letter;
+    t.anchor = hand ? { x: hand.x, y: hand.y } : null;
+    t.candidate = null;
+    return letter;
+  }
+
+  // The letter being held towards writing and how far along (0..1), or null
+  function holdProgress(t, now, opts = {}) {
+    const { holdMs } = { ...DEFAULTS, ...opts };
+    if (!t.candidate) return null;
+    return { label: t.candidate, t: Math.min(1, (now - t.since) / holdMs) };
+  }
+
+  // The transcript is hidden (a screen over it): the hold and the pause under way start over,
+  // so the time away neither writes a letter nor ends the word
+  function pause(t) {
+    t.candidate = null;
+    t.gapSince = null;
+  }
+
+  // Edits keep the letter that is still held from being written again
+  function setText(t, text) {
+    t.text = String(text);
+  }
+
+  function backspace(t) {
+    t.text = t.text.slice(0, -1);
+  }
+
+  function addSpace(t) {
+    if (t.text.length > 0 && !t.text.endsWith(" ")) t.text += " ";
+  }
+
+  return {
+    DEFAULTS,
+    createTranscriber,
+    handPlace,
+    pushFrame,
+    holdProgress,
+    pause,
+    setText,
+    backspace,
+    addSpace,
+  };
+});
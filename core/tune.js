@@ -0,0 +1,279 @@
+// core/tune.js — picks K, the conf/margin gate and the smoothing settings from held-out examples
+// Cost per frame is  faWeight × false accepts + rejections. Besides the held-out examples
+// themselves, every example is replayed once more with its own letter left out of the
+// search: a pose the classifier has never seen, which should come out as NONE. Without
+// those (and with few NONE examples) the gate would have nothing to reject and tune to zero.
+// Swept first per frame (the best minConf/minMargin for each k), then those gates are
+// replayed over the recorded frame stream to pick k and the smoothing (smoothN, stableMin,
+// gameMinConf) by what the user would actually see.
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLTune)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports)
+    module.exports = factory(require("./dataset"), require("./knn"), require("./smoothing"));
+  else root.ASLTune = factory(root.ASLDataset, root.ASLKnn, root.ASLSmoothing);
+})(this, function (ASLDataset, ASLKnn, ASLSmoothing) {
+  "use strict";
+
+  const { ALL_LABELS, NONE_LABEL } = ASLDataset;
+
+  // The hand-tuned values the sketches shipped with; datasets without meta.tuning use these
+  const DEFAULTS = {
+    k: 7,
+    minConf: 0.62,
+    minMargin: 0.12,
+    smoothN: 12,
+    stableMin: 9,
+    gameMinConf: 0.68,
+  };
+
+  function steps(from, to, step) {
+    const out = [];
+    for (let v = from; v <= to + 1e-9; v += step) out.push(Math.round(v * 100) / 100);
+    return out;
+  }
+
+  // stableMin is swept from half of smoothN up to all of it; gameMinConf never below minConf.
+  // No k = 1: a single neighbour always votes with conf 1, leaving the gates nothing to work on.
+  const GRID = {
+    k: [3, 5, 7, 9, 11, 15],
+    minConf: steps(0.4, 0.9, 0.02),
+    minMargin: steps(0, 0.4, 0.02),
+    smoothN: [6, 8, 10, 12, 15],
+    gameMinConf: steps(0.4, 0.9, 0.02),
+  };
+
+  // folds are contiguous runs of each label's examples, so neighbouring frames of one
+  // recording don't sit on both sides of the split; unknownWeight scales the left-out-letter frames
+  const SWEEP_DEFAULTS = {
+    folds: 5,
+    faWeight: 2,
+    unknownWeight: 0.5,
+    eps: 1e-6,
+  };
+
+  // Tuned values from meta.tuning, each falling back to its default when missing or out of range.
+  function readTuning(meta) {
+    const t = meta?.tuning || {};
+    const int = (v, lo, hi) => Number.isInteger(v) && v >= lo && v <= hi;
+    const frac = (v) => Number.isFinite(v) && v >= 0 && v <= 1;
+
+    const out = { ...DEFAULTS };
+    if (int(t.k, 1, 100)) out.k = t.k;
+    if (frac(t.minConf)) out.minConf = t.minConf;
+    if (frac(t.minMargin)) out.minMargin = t.minMargin;
+    if (int(t.smoothN, 1, 120)) out.smoothN = t.smoothN;
+    if (int(t.stableMin, 1, out.smoothN)) out.stableMin = t.stableMin;
+    else out.stableMin = Math.min(out.stableMin, out.smoothN);
+    if (frac(t.gameMinConf)) out.gameMinConf = t.gameMinConf;
+    return out;
+  }
+
+  /* -------------------- costs -------------------- */
+
+  function gate(vote, minConf, minMargin) {
+    if (!vote || vote.best === NONE_LABEL) return NONE_LABEL;
+    return vote.conf < minConf || vote.margin < minMargin ? NONE_LABEL : vote.best;
+  }
+
+  // shown: the label the user sees (NONE = nothing shown)
+  function frameOutcome(truth, shown) {
+    if (shown === truth) return 0;
+    return shown === NONE_LABEL ? 1 : 2; // 1 = rejected letter, 2 = false accept
+  }
+
+  function createTally() {
+    return { n: 0, fa: 0, rejected: 0 };
+  }
+
+  function addOutcome(tally, outcome, w) {
+    tally.n += w;
+    if (outcome === 1) tally.rejected += w;
+    else if (outcome === 2) tally.fa += w;
+  }
+
+  function cost(tally, faWeight) {
+    return faWeight * tally.fa + tally.rejected;
+  }
+
+  function rates(tally) {
+    return {
+      falseAcceptRate: tally.n > 0 ? tally.fa / tally.n : 0,
+      rejectRate: tally.n > 0 ? tally.rejected / tally.n : 0,
+    };
+  }
+
+  function frameTally(items, votes, { minConf, minMargin }) {
+    const tally = createTally();
+    for (let i = 0; i < items.length; i++) {
+      addOutcome(tally, frameOutcome(items[i].label, gate(votes[i], minConf, minMargin)), items[i].w);
+    }
+    return tally;
+  }
+
+  // Replays the held-out predictions in recorded order (labels one after another) through the
+  // live smoothing. A letter counts as shown once it is stable with conf ≥ gameMinConf.
+  // → per frame { label, conf } of what would be shown (label null when nothing is)
+  function replayStream(items, votes, { minConf, minMargin, smoothN, stableMin }) {
+    const queue = [];
+    const out = [];
+    for (let i = 0; i < items.length; i++) {
+      const label = gate(votes[i], minConf, minMargin);
+      const conf = votes[i] ? votes[i].conf : 0;
+      ASLSmoothing.pushSmoothed(queue, label, { smoothN });
+      const sm = ASLSmoothing.getSmoothedLabel(queue, label, conf, { stableMin, minConf });
+      out.push({ label: sm.stable ? sm.label : null, conf });
+    }
+    return out;
+  }
+
+  function streamTally(items, replay, gameMinConf) {
+    const tally = createTally();
+    for (let i = 0; i < items.length; i++) {
+      const { label, conf } = replay[i];
+      const shown = label && conf >= gameMinConf ? label : NONE_LABEL;
+      addOutcome(tally, frameOutcome(items[i].label, shown), items[i].w);
+    }
+    return tally;
+  }
+
+  /* -------------------- job -------------------- */
+
+  // Incremental like createCrossValidation: step(n) until done, then job.result =
+  //   { tuning, frame: { before, after }, stream: { before, after } }
+  // where before/after are { falseAcceptRate, rejectRate } (over known and left-out-letter
+  // frames, by weight) for opts.current (the values in use, default DEFAULTS) and for the
+  // chosen tuning. A step is one held-out example or one
+  // slice of the sweep (a few ms), so the sketch can spread the work over frames.
+  function createTuning(examples, opts = {}) {
+    const { folds, faWeight, unknownWeight, eps } = { ...SWEEP_DEFAULTS, ...opts };
+    const grid = { ...GRID, ...opts.grid };
+    const current = { ...DEFAULTS, ...opts.current };
+
+    // recorded order: labels in ALL_LABELS order, examples in the order they were added;
+    // then the same again as unknowns (truth NONE, own letter excluded from the search)
+    const items = [];
+    for (const label of ALL_LABELS) {
+      const arr = examples[label] || [];
+      arr.forEach((feats, i) => items.push({ label, feats, fold: Math.floor((i * folds) / arr.length), w: 1 }));
+    }
+    if (new Set(items.map((it) => it.label)).size < 2) throw new Error("Need examples for at least two labels");
+    if (unknownWeight > 0) {
+      for (const it of items.slice()) {
+        if (it.label !== NONE_LABEL) items.push({ ...it, label: NONE_LABEL, exclude: it.label, w: unknownWeight });
+      }
+    }
+
+    const ks = [...new Set([...grid.k, current.k])].sort((a, b) => a - b);
+    const maxK = ks[ks.length - 1];
+    const votesByK = new Map(ks.map((k) => [k, new Array(items.length).fill(null)]));
+
+    const byFold = items.map((_, i) => i).sort((a, b) => items[a].fold - items[b].fold);
+    let foldIdx = -1;
+    let foldIndex = null;
+
+    function voteItem(i) {
+      const item = items[i];
+      if (foldIdx !== item.fold) {
+        foldIdx = item.fold;
+        const train = {};
+        for (const label of ALL_LABELS) {
+          const arr = examples[label] || [];
+          train[label] = arr.filter((_, j) => Math.floor((j * folds) / arr.length) !== item.fold);
+        }
+        foldIndex = ASLKnn.createIndex(train);
+      }
+      if (foldIndex.count === 0) return;
+      const nb = ASLKnn.nearestNeighbors(item.feats, foldIndex, maxK, item.exclude);
+      if (nb.length === 0) return;
+      for (const k of ks) votesByK.get(k)[i] = ASLKnn.tallyVotes(nb.slice(0, k), eps);
+    }
+
+    // per-frame sweep, one (k, minConf) per step: the best gate for each k
+    const bestGate = new Map();
+    function sweepFrame(k, minConf) {
+      const votes = votesByK.get(k);
+      for (const minMargin of grid.minMargin) {
+        const c = cost(frameTally(items, votes, { minConf, minMargin }), faWeight);
+        if (!bestGate.has(k) || c < bestGate.get(k).cost) bestGate.set(k, { cost: c, k, minConf, minMargin });
+      }
+    }
+
+    // stream sweep, one (gate, smoothN, stableMin) replay per step. Gates are the per-k winners
+    // plus the current one: smoothing hides some false accepts, so the final pick is by stream cost.
+    let best = null;
+    function sweepStream(g, smoothN, stableMin) {
+      const { k, minConf, minMargin } = g === grid.k.length ? current : bestGate.get(grid.k[g]);
+      const gameConfs = grid.gameMinConf.filter((v) => v >= minConf);
+      if (gameConfs.length === 0) gameConfs.push(minConf);
+
+      const replay = replayStream(items, votesByK.get(k), { minConf, minMargin, smoothN, stableMin });
+      for (const gameMinConf of gameConfs) {
+        const c = cost(streamTally(items, replay, gameMinConf), faWeight);
+        if (!best || c < best.cost) best = { cost: c, tuning: { k, minConf, minMargin, smoothN, stableMin, gameMinConf } };
+      }
+    }
+
+    function finish() {
+      const { tuning } = best;
+      const measure = (t) => {
+        const votes = votesByK.get(t.k);
+        return {
+          frame: rates(frameTally(items, votes, t)),
+          stream: rates(streamTally(items, replayStream(items, votes, t), t.gameMinConf)),
+        };
+      };
+      const before = measure(current);
+      const after = measure(tuning);
+      job.result = {
+        tuning,
+        frame: { before: before.frame, after: after.frame },
+        stream: { before: before.stream, after: after.stream },
+      };
+    }
+
+    const tasks = byFold.map((i) => () => voteItem(i));
+    for (const k of grid.k) for (const minConf of grid.minConf) tasks.push(() => sweepFrame(k, minConf));
+    for (let g = 0; g <= grid.k.length; g++) {
+      for (const smoothN of grid.smoothN) {
+        for (let stableMin = Math.ceil(smoothN / 2); stableMin <= smoothN; stableMin++) {
+          tasks.push(() => sweepStream(g, smoothN, stableMin));
+        }
+      }
+    }
+    tasks.push(finish);
+
+    let pos = 0;
+    const job = {
+      total: tasks.length,
+      done: false,
+      result: null,
+      get progress() {
+        return pos / tasks.length;
+      },
+      step(n = Infinity) {
+        const end = Math.min(tasks.length, pos + n);
+        for (; pos < end; pos++) tasks[pos]();
+        job.done = pos >= tasks.length;
+        return job.done;
+      },
+    };
+    return job;
+  }
+
+  function tune(examples, opts = {}) {
+    const job = createTuning(examples, opts);
+    job.step();
+    return job.result;
+  }
+
+  return {
+    DEFAULTS,
+    GRID,
+    SWEEP_DEFAULTS,
+    readTuning,
+    createTuning,
+    tune,
+  };
+});
@@ -0,0 +1,429 @@
+// core/workspace.js — what the trainer and the game share around the live dataset:
+// turning it into a payload and back, reading an imported file, the import dialog's steps
+// (mode, conflict rule, per-label actions), the datasets screen's keys, calibration takes
+// and the tuning job. Each sketch keeps its own globals and drawing and calls these with them.
+// No p5 / DOM: loaded as a plain <script> in the browser (global ASLWorkspace)
+// or with require() in Node for tests.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports)
+    module.exports = factory(
+      require("./dataset"),
+      require("./features"),
+      require("./knn"),
+      require("./tune"),
+      require("./mlp"),
+      require("./schema"),
+      require("./merge"),
+      require("./base"),
+      require("./binary"),
+      require("./calibrate")
+    );
+  else
+    root.ASLWorkspace = factory(
+      root.ASLDataset,
+      root.ASLFeatures,
+      root.ASLKnn,
+      root.ASLTune,
+      root.ASLMlp,
+      root.ASLSchema,
+      root.ASLMerge,
+      root.ASLBase,
+      root.ASLBinary,
+      root.ASLCalibrate
+    );
+})(this, function (ASLDataset, ASLFeatures, ASLKnn, ASLTune, ASLMlp, ASLSchema, ASLMerge, ASLBase, ASLBinary, ASLCalibrate) {
+  "use strict";
+
+  const { ALL_LABELS } = ASLDataset;
+
+  // Classifier backend: kNN over the examples, or an MLP trained from them
+  const BACKEND_KNN = "knn";
+  const BACKEND_MLP = "mlp";
+
+  /* -------------------- payload -------------------- */
+
+  // The live dataset as a payload to save or export. s: { examples, landmarks } (the dataset's
+  // own part, ASLBase.ownPart), sequences, addHistory, model (live MLP or null), feature,
+  // trackHand, tuning, backend, useBase, useAugment. Lists are not copied.
+  function buildPayload(s) {
+    const extractor = ASLFeatures.getExtractor(s.feature);
+    return {
+      version: ASLSchema.SCHEMA_VERSION,
+      savedAt: new Date().toISOString(),
+      examples: s.examples,
+      landmarks: s.landmarks,
+      sequences: s.sequences,
+      addHistory: s.addHistory,
+      model: ASLMlp.serializeModel(s.model),
+      meta: {
+        feature: s.feature,
+        featureVersion: extractor.version,
+        trackHand: s.trackHand,
+        canonicalHand: ASLFeatures.CANONICAL_HAND,
+        dims: extractor.dims,
+        k: s.tuning.k,
+        tuning: s.tuning,
+        backend: s.backend,
+        base: s.useBase ? ASLBase.BASE_ID : null,
+        augment: s.useAugment,
+      },
+    };
+  }
+
+  // A (current-version) payload → the state it stands for: { examples, landmarks, sequences,
+  // addHistory, feature, rederived, mirrored, useBase, useAugment, tuning, model, backend }.
+  // Adopts meta.feature when it is a known extractor; features recorded with another version
+  // of it are re-derived from the raw landmarks (rederived: that summary, null when the cache
+  // was current), and a model trained on the old features is dropped. Left hands recorded
+  // before they were mirrored come mirrored (mirrored: ASLMerge.toFeatureSpace's summary),
+  // with the model flipped to match.
+  function readPayload(payload) {
+    const metaFeature = payload.meta?.feature ?? ASLFeatures.FEATURE_NAME;
+    const feature = ASLFeatures.getExtractor(metaFeature) ? metaFeature : ASLFeatures.FEATURE_NAME;
+    const { examples, landmarks, sequences, addHistory, rederived, mirrored } = ASLMerge.toFeatureSpace(payload, feature);
+    let model = rederived ? null : ASLMlp.deserializeModel(payload.model);
+    if (model && mirrored) model = ASLMlp.flipInputs(model, ASLFeatures.getExtractor(feature).mirror);
+    return {
+      examples,
+      landmarks,
+      sequences,
+      addHistory,
+      feature,
+      rederived,
+      mirrored,
+      useBase: ASLBase.usesBase(payload.meta, ASLDataset.countExamples(examples)),
+      useAugment: payload.meta?.augment === true,
+      tuning: ASLTune.readTuning(payload.meta),
+      model,
+      backend: payload.meta?.backend === BACKEND_MLP && model ? BACKEND_MLP : BACKEND_KNN,
+    };
+  }
+
+  /* -------------------- status notes -------------------- */
+
+  // " — upgraded from v1 — 2 problems left out (see console)" for an ASLSchema.readDataset() result
+  function schemaNote(read) {
+    let note = "";
+    if (read.from != null && read.from !== ASLSchema.SCHEMA_VERSION) note += ` — upgraded from v${read.from}`;
+    if (read.issues.length > 0) {
+      console.warn("Dataset problems:", ASLSchema.formatIssues(read.issues, Infinity));
+      note += ` — ${read.issues.length} problem${read.issues.length === 1 ? "" : "s"} left out (see console)`;
+    }
+    return note;
+  }
+
+  // " — re-derived 120 features, 3 kept as-is" for ASLDataset.rederiveFeatures()' summary (null: nothing)
+  function rederiveNote(r) {
+    if (!r) return "";
+    let note = ` — re-derived ${r.recomputed} features`;
+    if (r.kept) note += `, ${r.kept} kept as-is`;
+    if (r.dropped) note += `, ${r.dropped} dropped`;
+    return note;
+  }
+
+  // " — 120 left-hand examples mirrored, 3 dropped" for ASLMerge.toFeatureSpace()'s mirror summary (null: nothing)
+  function mirrorNote(m) {
+    if (!m) return "";
+    let note = ` — ${m.mirrored} left-hand examples mirrored`;
+    if (m.dropped) note += `, ${m.dropped} dropped (features that can't be mirrored, no landmarks)`;
+    return note;
+  }
+
+  // What loading a payload did to its features (readPayload()'s result), for the status line
+  function featureNote(read) {
+    return mirrorNote(read.mirrored) + rederiveNote(read.rederived);
+  }
+
+  /* -------------------- import -------------------- */
+
+  // A p5 file (JSON or a compact .aslb) → the parsed file, not yet validated
+  async function readImportFile(file) {
+    const packed = ASLBinary.packedBytesOf(file);
+    return packed ? ASLBinary.unpackDataset(packed) : ASLDataset.parseMaybeJSON(file);
+  }
+
+  // The import dialog for a read file (ASLSchema.readDataset) over the live dataset.
+  // current: { examples, landmarks, sequences, addHistory }; opts: { feature, locked } (ASLMerge.planImport).
+  // Starts in merge mode when there is anything to merge into, and comes planned.
+  function createImportDraft(read, current, opts = {}) {
+    const d = {
+      read,
+      note: "",
+      incoming: ASLMerge.toFeatureSpace(read.payload, opts.feature),
+      current,
+      locked: opts.locked ?? null,
+      mode: ASLDataset.countExamples(current.examples) > 0 ? "merge" : "replace",
+      actions: {},
+      conflicts: ASLMerge.DEFAULTS.conflicts,
+      sel: 0,
+      plan: null,
+    };
+    d.note = schemaNote(read) + mirrorNote(d.incoming.mirrored);
+    replanImport(d);
+    return d;
+  }
+
+  function replanImport(d) {
+    d.plan = ASLMerge.planImport(d.current, d.incoming, {
+      mode: d.mode,
+      actions: d.actions,
+      conflicts: d.conflicts,
+      locked: d.locked,
+    });
+  }
+
+  // M cycles the mode, C the conflict rule → whether the key was one of them
+  function importKey(d, k) {
+    if (k === "M") {
+      const modes = ASLMerge.MODES;
+      d.mode = modes[(modes.indexOf(d.mode) + 1) % modes.length];
+    } else if (k === "C") {
+      d.conflicts = d.conflicts === "skip" ? "keep" : "skip";
+    } else {
+      return false;
+    }
+    replanImport(d);
+    return true;
+  }
+
+  // ↑ / ↓ (step -1 / 1): the selected label, wrapping round
+  function moveImportSel(d, step) {
+    d.sel = (d.sel + step + ALL_LABELS.length) % ALL_LABELS.length;
+  }
+
+  // ← / → (step -1 / 1): the selected label's action; merge mode only → whether it changed
+  function cycleImportAction(d, step) {
+    if (d.mode !== "merge") return false;
+    const acts = ASLMerge.ACTIONS;
+    const label = ALL_LABELS[d.sel];
+    const at = acts.indexOf(d.actions[label] || "add");
+    d.actions[label] = acts[(at + step + acts.length) % acts.length];
+    replanImport(d);
+    return true;
+  }
+
+  // Status line once an append / merge plan has been applied
+  function importSummary(d) {
+    const t = d.plan.totals;
+    if (d.mode === "append") return `Imported ✅ append: +${t.added} ex`;
+    return (
+      `Imported ✅ ${d.mode}: +${t.added} ex, ${t.duplicates} duplicates skipped, ` +
+      `${t.conflicts} conflicts ${d.conflicts === "keep" ? "kept" : "skipped"}, ${t.overwritten} overwritten`
+    );
+  }
+
+  /* -------------------- datasets screen ("5") -------------------- */
+  // The sketch draws screen = { list, profiles, sel, armed (X asks twice), busy } and passes
+  // what the keys act through: ctx = { store, profile, dataset (the open ones), open(id),
+  // openProfile(profile) (both async, loading it), ask(message, fallback) → name or null,
+  // toggleBase(), close(), status(msg) }.
+
+  function createDatasetScreen() {
+    return { list: [], profiles: [], sel: 0, armed: false, busy: false };
+  }
+
+  // Runs one storage action at a time; errors end up in the status line.
+  function runDatasetAction(screen, ctx, fn) {
+    if (screen.busy) return;
+    screen.busy = true;
+    fn()
+      .catch((e) => ctx.status(`Storage error — ${e.message}`))
+      .finally(() => (screen.busy = false));
+  }
+
+  // Reloads both lists; selects dataset `id` when given, else keeps the selection in range
+  async function refreshDatasetScreen(screen, store, profileId, id = null) {
+    screen.profiles = await store.listProfiles();
+    screen.list = await store.listDatasets(profileId);
+    if (id != null) screen.sel = Math.max(0, screen.list.findIndex((d) => d.id === id));
+    else screen.sel = Math.min(Math.max(0, screen.sel), Math.max(0, screen.list.length - 1));
+  }
+
+  // N new, R rename, D duplicate, X (twice) delete, P next profile, U new profile,
+  // B base model on / off for the open dataset, 5 close
+  function datasetScreenKey(screen, k, ctx) {
+    const { store, profile } = ctx;
+    const selected = screen.list[screen.sel];
+    const action = (fn) => runDatasetAction(screen, ctx, fn);
+    const refresh = (id) => refreshDatasetScreen(screen, store, profile.id, id);
+    if (k !== "X") screen.armed = false;
+
+    if (k === "5") {
+      ctx.close();
+      return;
+    }
+
+    if (k === "N") {
+      const name = ctx.ask("New dataset name", `Dataset ${screen.list.length + 1}`);
+      if (name) action(async () => ctx.open((await store.createDataset(profile.id, name)).id));
+      return;
+    }
+
+    if (k === "R" && selected) {
+      const name = ctx.ask("Rename dataset", selected.name);
+      if (!name) return;
+      action(async () => {
+        await store.renameDataset(selected.id, name);
+        if (selected.id === ctx.dataset?.id) ctx.dataset.name = name;
+        await refresh();
+        ctx.status(`Renamed to "${name}"`);
+      });
+      return;
+    }
+
+    if (k === "D" && selected) {
+      action(async () => {
+        const copy = await store.duplicateDataset(selected.id, `${selected.name} copy`);
+        await refresh(copy.id);
+        ctx.status(`Duplicated "${selected.name}"`);
+      });
+      return;
+    }
+
+    if (k === "X" && selected) {
+      if (!screen.armed) {
+        screen.armed = true;
+        ctx.status(`Press X again to delete "${selected.name}" (${selected.count} ex)`);
+        return;
+      }
+      screen.armed = false;
+      action(async () => {
+        const wasActive = selected.id === ctx.dataset?.id;
+        await store.deleteDataset(selected.id);
+        if (wasActive) await ctx.open((await store.getActiveDataset(profile.id)).id);
+        else await refresh();
+        ctx.status(`Deleted "${selected.name}"`);
+      });
+      return;
+    }
+
+    if (k === "P") {
+      if (screen.profiles.length < 2) {
+        ctx.status("Only one profile — U adds another");
+        return;
+      }
+      const i = screen.profiles.findIndex((p) => p.id === profile.id);
+      action(() => ctx.openProfile(screen.profiles[(i + 1) % screen.profiles.length]));
+      return;
+    }
+
+    if (k === "U") {
+      const name = ctx.ask("New profile name", `Learner ${screen.profiles.length + 1}`);
+      if (name) action(async () => ctx.openProfile(await store.createProfile(name)));
+      return;
+    }
+
+    if (k === "B" && ctx.dataset && !screen.busy) {
+      ctx.toggleBase();
+      action(() => refresh());
+    }
+  }
+
+  // ↑ / ↓ (step -1 / 1)
+  function moveDatasetSel(screen, step) {
+    screen.armed = false;
+    screen.sel = Math.min(Math.max(0, screen.sel + step), Math.max(0, screen.list.length - 1));
+  }
+
+  // ENTER: opens the selected dataset unless it is the open one
+  function openSelectedDataset(screen, ctx) {
+    const selected = screen.list[screen.sel];
+    if (selected && selected.id !== ctx.dataset?.id) runDatasetAction(screen, ctx, () => ctx.open(selected.id));
+  }
+
+  /* -------------------- calibration -------------------- */
+
+  // Space: takes the hand `lm` for the session's current letter, noting whether the live kNN
+  // (opts: { feature, index, tuning, eps }) already read it right. → the status line; the
+  // session is done once ASLCalibrate.sessionTarget() is null
+  function takeCalibration(session, lm, opts) {
+    const target = ASLCalibrate.sessionTarget(session);
+    const feats = ASLFeatures.featuresFromLandmarks(lm, opts.feature);
+    const { k, minConf, minMargin } = opts.tuning;
+    const res = ASLKnn.classifyIndexed(feats, opts.index, { k, minConf, minMargin, eps: opts.eps });
+    ASLCalibrate.addTake(session, feats, ASLFeatures.roundLandmarks(lm), res?.label === target);
+    return `${target} ✓ (${session.takes[target].length}/${session.perLabel})`;
+  }
+
+  // "." → the status line
+  function undoCalibrationTake(session) {
+    const label = ASLCalibrate.undoTake(session);
+    return label ? `Took back a ${label}` : "No takes yet";
+  }
+
+  // The finished session as the profile's calibration, over the letters of `previous` it
+  // didn't retake. opts: { feature, trackHand, name (the profile's) }
+  // → { calibration (null: there were no takes), message }
+  function finishCalibrationSession(session, previous, opts) {
+    if (session.count === 0) return { calibration: null, message: "Calibration cancelled (no takes)" };
+
+    const calibration = ASLCalibrate.sessionPayload(session, previous ? ASLMerge.toFeatureSpace(previous, opts.feature) : null, {
+      feature: opts.feature,
+      featureVersion: ASLFeatures.getExtractor(opts.feature).version,
+      trackHand: opts.trackHand,
+      canonicalHand: ASLFeatures.CANONICAL_HAND,
+    });
+    const letters = ASLCalibrate.calibratedLabels(calibration).length;
+    const pct = Math.round((session.hits / session.count) * 100);
+    return {
+      calibration,
+      message: `Calibrated ✅ ${letters} letters for "${opts.name}" — the dataset alone got ${pct}% of your takes`,
+    };
+  }
+
+  // The packed index live classification searches for a calibration (null: an empty one)
+  function calibrationIndex(calibration, feature) {
+    return ASLKnn.createIndex(calibration ? ASLMerge.toFeatureSpace(calibration, feature).examples : null);
+  }
+
+  /* -------------------- tuning -------------------- */
+
+  // Steps an ASLTune.createTuning() job until budgetMs have passed on `now` (ms) → whether it is done
+  function stepTuning(job, budgetMs, now) {
+    const until = now() + budgetMs;
+    while (!job.done && now() < until) job.step(1);
+    return job.done;
+  }
+
+  // Status line for a finished tuning job's result
+  function tunedMessage({ tuning: t, stream }) {
+    const pct = (v) => (v * 100).toFixed(1);
+    return (
+      `Tuned ✅ k ${t.k}, conf ${t.minConf.toFixed(2)}, margin ${t.minMargin.toFixed(2)}, ` +
+      `smooth ${t.stableMin}/${t.smoothN}, game ${t.gameMinConf.toFixed(2)} — ` +
+      `false accepts ${pct(stream.before.falseAcceptRate)}→${pct(stream.after.falseAcceptRate)}%, ` +
+      `rejects ${pct(stream.before.rejectRate)}→${pct(stream.after.rejectRate)}%`
+    );
+  }
+
+  return {
+    BACKEND_KNN,
+    BACKEND_MLP,
+    buildPayload,
+    readPayload,
+    schemaNote,
+    rederiveNote,
+    mirrorNote,
+    featureNote,
+    readImportFile,
+    createImportDraft,
+    replanImport,
+    importKey,
+    moveImportSel,
+    cycleImportAction,
+    importSummary,
+    createDatasetScreen,
+    runDatasetAction,
+    refreshDatasetScreen,
+    datasetScreenKey,
+    moveDatasetSel,
+    openSelectedDataset,
+    takeCalibration,
+    undoCalibrationTake,
+    finishCalibrationSession,
+    calibrationIndex,
+    stepTuning,
+    tunedMessage,
+  };
+});
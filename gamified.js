@@ -3,6 +3,25 @@
 // ✅ “← Home” is drawn as an in-canvas button (bottom-left) on camera screens (AZ/WORD + Congrats)
 // ✅ Removed DOM home button (so it’s truly inside the camera screen)
 // Keeps: centered home mode picker, A–Z [i/26] + progress bar, bigger congrats flashcards
+// ✅ J/Z only count when their motion is performed (trajectory match on recorded sequences)
+// ✅ Optional MLP backend: "3" trains it in-browser, "4" switches kNN/MLP (saved with the dataset)
+// ✅ Left-handed signers: dominant hand setting ("7"); left hands are mirrored so one dataset serves both
+// ✅ Two-hand feature mode ("2 hands XY" extractor via "6") for two-handed signs
+// ✅ Live kNN searches a packed example index (same results as the full scan, much cheaper per frame)
+// ✅ "8" auto-tunes K, confidence/margin gates, smoothing and the game threshold for this dataset
+// ✅ NONE has its own key ("9"; N is a letter) and "=" harvests NONE from transitional / resting poses
+// ✅ Datasets live in IndexedDB: named datasets per profile ("5"), shared with the trainer
+// ✅ Dataset schema v10 (same as the trainer): old trainer / game / bundled files migrate on load, bad items are reported
+// ✅ Import dialog ("0"): replace, append, or merge per letter with duplicates / conflicts skipped, summary before commit
+// ✅ Bundled dataset as a read-only base model: playable out of the box, own examples on top, Backspace resets to it
+// ✅ Compact binary export (";", .aslb: Float32 + gzip); "0" imports it as well as JSON
+// ✅ "[" adds synthetic variants of your own examples (turned / bent / jittered, never saved) to kNN + MLP training
+// ✅ "]" calibrates to the current learner: 3 takes per letter outvote the shared dataset near their hand shapes (saved per profile)
+// ✅ Practice mode: spaced repetition of the letters due today, scheduled per learner from hold times and skips in every mode
+// ✅ Every round is recorded per learner (times to hold stable, skips, back-steps, best streak); "Stats" on the home screen shows per-letter trends
+// ✅ Challenge mode: random letters against the clock, scored by speed × streak, with a local leaderboard of named scores
+// ✅ Spell mode: free fingerspelling into an editable transcript (holds write letters, a gap or bounce repeats one, a pause adds a space)
+// ✅ Lesson packs: teachers' JSON word lists in ordered units with pass criteria ("0" imports them); Word mode plays them, progress saved per learner
 
 // ---------- Crash logger ----------
 window.addEventListener("error", (e) => console.error("WINDOW ERROR:", e.error || e.message, e));
@@ -12,40 +31,41 @@ let video;
 let handPose;
 let hands = [];
 
-const LABELS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ".split("");
-const NONE_LABEL = "NONE";
-const ALL_LABELS = [...LABELS, NONE_LABEL];
+// Shared, p5-free pieces live in core/ (loaded before this file in index.html)
+const { LABELS, NONE_LABEL, ALL_LABELS } = ASLDataset;
 
-// Data store
-const examples = {};
-ALL_LABELS.forEach((l) => (examples[l] = []));
+// The live dataset, classifier and open profile (ASLSession): examples hold the derived
+// features (the cache classification runs on), landmarks the raw 21×3 keypoints they came
+// from (42×3 with a second hand; null for older recordings). "6" cycles the feature extractor
+// (ASLFeatures.EXTRACTORS), "3" the classifier, "7" the dominant hand.
+const ws = ASLSession.createSession({ status: (msg) => (statusMsg = msg), stopCapture, loadProfile: loadLearner });
+const { examples, landmarks, sequences, motionState } = ws;
 
+// Motion letters (J, Z): recorded trajectories + live landmark buffer
+const { MOTION_LABELS } = ASLMotion;
+let seqRecordStartAt = null;
+
+// Datasets live in IndexedDB (ASLStore), shared with the trainer: profiles, each with named
+// datasets ("5"). STORAGE_KEY is the old localStorage slot, read once to move it into the store.
 const STORAGE_KEY = "asl_handpose_v9_modes_singlehand_incanvas_home";
+let storageReady = false;
 
-// Undo stack
-let addHistory = [];
+// The bundled dataset (ASLBase.BASE_FILE) is the read-only base model: examples[label] starts
+// with its examples, then the dataset's own. Only the own part is saved.
 
-// File input for importing JSON backups
+// File input for importing backups (JSON or compact .aslb)
 let importInput;
+// Import dialog: the file waits here until ENTER commits it (ASLMerge)
+let importDraft = null; // ASLWorkspace.createImportDraft(): { read, note, mode, actions, conflicts, sel, plan, ... }
+const IMPORT_ROW_H = 15;
 
 let isPredicting = true;
 
-// Prediction smoothing state
-let lastLabel = null;
-let lastConf = 0;
-
-let smoothQueue = [];
-const SMOOTH_N = 12;
-const STABLE_MIN = 9;
-
-// kNN + gating settings
-const K = 7;
-const MIN_CONF = 0.62;
-const MIN_MARGIN = 0.12;
-const EPS = 1e-6;
-
-// Optional: require a bit more confidence in game progression
-const GAME_MIN_CONF = 0.68;
+// Tuning ("8") and MLP training ("3") run a slice per frame within these budgets. The kNN,
+// gating and smoothing settings are ws.tuning { k, minConf, minMargin, smoothN, stableMin,
+// gameMinConf }: ASLTune.DEFAULTS until "8" tunes them on this dataset (saved as meta.tuning).
+const TUNE_FRAME_BUDGET_MS = 12;
+const TRAIN_FRAME_BUDGET_MS = 12;
 
 let statusMsg = "loading HandPose...";
 
@@ -59,8 +79,12 @@ let lastAddAt = 0;
 
 const held = {};
 
-// Single-hand selection
-const TRACK_HAND = "RIGHT"; // "RIGHT" or "LEFT"
+// NONE gets its own key: "N" is a letter
+const NONE_KEY = "9";
+
+// Harvest mode ("=" key): NONE examples taken automatically from transitional / resting poses
+let harvestMode = false;
+const harvestState = ASLHarvest.createHarvestState();
 
 // Visual config
 const VID_W = 640;
@@ -85,8 +109,17 @@ let lastAdvanceAt = -1e9;
 const MODE_HOME = "HOME";
 const MODE_AZ = "AZ";
 const MODE_WORD = "WORD";
+const MODE_PRACTICE = "PRACTICE";
+const MODE_CHALLENGE = "CHALLENGE";
+const MODE_SPELL = "SPELL";
 let mode = MODE_HOME;
 
+// When the current target letter was put up: every mode grades its letters by the time to
+// hold them stable (or a skip) into the learner's practice schedule (ASLPractice)
+let targetShownAt = 0;
+let schedule = ASLPractice.createSchedule();
+let pausedSince = null; // millis() when a screen went up over the round, null while it shows
+
 // A–Z mode state
 let azActive = false;
 let azIdx = 0; // 0..25
@@ -98,16 +131,65 @@ let wordActive = false;
 let wordText = "EAT";
 let wordIdx = 0;
 let wordStreak = 0;
-let wordSolved = 0;
+let wordHeld = new Set(); // letter positions held stable this play
+let wordSkipped = new Set(); // positions skipped at some point (holding them later doesn't count for lessons)
 let wordCompleted = false;
+let wordSkips = 0;
+
+// Lesson packs (ASLLessons): shared by every profile, imported with "0" like datasets;
+// progress through them is the profile's. Word mode plays lessonPlay's word (null: a typed one)
+let lessonPacks = [];
+let lessonProgress = ASLLessons.createProgress();
+let lessonsMode = false;
+let lessonSel = 0;
+let lessonDeleteArmed = false; // X asks twice
+let lessonPlay = null; // { pack, unit, index, word }
+const LESSON_ROW_H = 24;
+
+// Practice mode state: today's due letters, missed ones retried once later in the session
+let practiceActive = false;
+let practiceQueue = []; // letters still to come after the current one
+let practiceTarget = null;
+let practiceStep = 0;
+let practiceTotal = 0;
+let practiceStreak = 0;
+let practiceSolved = 0;
+let practiceDone = []; // letters solved, in order (for the completion cards)
+let practiceRetried = new Set();
+let practiceFinished = false;
+
+// Challenge mode state (ASLChallenge): random letters until the time is up; the leaderboard
+// is shared by every profile
+let challenge = null;
+let leaderboard = [];
+let challengeRank = null; // the finished challenge's place on the leaderboard, or null
+
+// Spell mode state (ASLTranscribe): the transcript stays across visits until cleared
+const transcriber = ASLTranscribe.createTranscriber();
+
+// Round history (ASLHistory): the round open in each mode, saved per profile after every
+// letter so an unfinished one counts too; the stats screen reads them all back
+let openRounds = {}; // mode → round
+let statsMode = false;
+let statsRounds = [];
+let statsSummary = ASLHistory.summarize([]);
+let statsLetter = "A";
+const STATS_DAYS = 14;
+const ROUND_NAMES = { [MODE_AZ]: "A–Z", [MODE_WORD]: "Word", [MODE_PRACTICE]: "Practice", [MODE_CHALLENGE]: "Challenge" };
 
 // ---------- DOM UI ----------
-let uiHomeWrap, btnModeAZ, btnModeWord;
+let uiHomeWrap, btnModeAZ, btnModeWord, btnModePractice, btnModeChallenge, btnModeSpell, btnLessons, btnStats;
 let uiWordWrap, wordInput, btnStartWord;
+let uiSpellWrap, spellBox;
 
 // ---------- In-canvas Home button ----------
 const HOME_BTN = { x: 12, y: VID_H - 12 - 40, w: 112, h: 40, label: "← Home" };
 
+// Datasets screen ("5")
+let datasetsMode = false;
+const datasetScreen = ASLWorkspace.createDatasetScreen(); // { list, profiles, sel, armed, busy }
+const DATASET_ROW_H = 26;
+
 // --- preload ---
 function preload() {
   const options = { maxHands: 2, flipped: true };
@@ -134,10 +216,10 @@ function setup() {
   // Import
   importInput = createFileInput(handleImport, false);
   importInput.hide();
-  importInput.elt.accept = ".json,application/json";
+  importInput.elt.accept = `.json,${ASLBinary.EXTENSION},application/json`;
 
-  const loaded = loadDataset();
-  statusMsg = loaded ? `Loaded ✅ (${totalExamples()} ex)` : "No saved dataset — train NONE (N), then letters (A–Z)";
+  statusMsg = "Opening storage…";
+  openStorage();
 
   // Webcam
   video = createCapture(VIDEO);
@@ -165,10 +247,12 @@ function draw() {
 
   drawVignette();
 
+  ASLMotion.pushMotionFrame(motionState, getTrackedLandmarks(), millis());
+
   const feats = getHandFeaturesSingle();
 
-  // record mode capture loop (training)
-  if (recordMode && recordLabel) {
+  // record mode capture loop (training; J/Z are captured as one sequence per key hold)
+  if (recordMode && recordLabel && !MOTION_LABELS.includes(recordLabel)) {
     const now = millis();
     if (now - lastRecordAt >= RECORD_EVERY_MS) {
       const ok = addExample(recordLabel, { silent: true });
@@ -178,20 +262,26 @@ function draw() {
   }
 
   // prediction
-  if (isPredicting && feats && totalExamples() > 0) {
-    const res = classifyKNN(feats);
-    if (res) {
-      lastLabel = res.label;
-      lastConf = res.conf;
-
-      smoothQueue.push(lastLabel);
-      if (smoothQueue.length > SMOOTH_N) smoothQueue.shift();
-    }
-  }
+  let res = null;
+  if (isPredicting && feats && ASLSession.totalExamples(ws) > 0) res = ASLSession.predict(ws, feats, millis());
 
-  // mode logic
-  if (mode === MODE_AZ && azActive) updateProgressForTarget(currentTargetAZ());
-  if (mode === MODE_WORD && wordActive && !wordCompleted) updateProgressForTarget(currentTargetWord());
+  if (harvestMode) ASLSession.harvestNone(ws, harvestState, getTrackedLandmarks(), millis(), { feats, res });
+
+  // mode logic (paused while a screen or dialog covers the round)
+  const paused = overlayOpen();
+  syncPause(paused);
+  if (paused) {
+    correctStartAt = null; // a hold starts over once the round is back
+    ASLTranscribe.pause(transcriber);
+  }
+  if (!paused && mode === MODE_AZ && azActive) updateProgressForTarget(currentTargetAZ());
+  if (!paused && mode === MODE_WORD && wordActive && !wordCompleted) updateProgressForTarget(currentTargetWord());
+  if (!paused && mode === MODE_PRACTICE && practiceActive) updateProgressForTarget(currentTargetPractice());
+  if (!paused && mode === MODE_SPELL) updateSpelling(feats);
+  if (!paused && mode === MODE_CHALLENGE && challenge && !challenge.over) {
+    if (ASLChallenge.timeLeft(challenge, Date.now()) === 0) endChallenge();
+    else updateProgressForTarget(currentTargetChallenge());
+  }
 
   // overlays
   if (mode === MODE_HOME) {
@@ -220,14 +310,85 @@ function draw() {
       active: wordActive,
       done: wordCompleted,
       showProgressBar: false,
+      info: lessonPlay
+        ? `${lessonPlay.pack.title}  |  unit ${lessonPlay.unit + 1}/${lessonPlay.pack.units.length}  |  ${wordIdx + 1}/${total}`
+        : undefined,
     });
     if (wordCompleted) drawCompletionFlashcards(wordText, wordText);
+  } else if (mode === MODE_PRACTICE) {
+    drawRoundOverlay({
+      feats,
+      title: "PRACTICE",
+      step: Math.min(practiceStep + 1, Math.max(1, practiceTotal)),
+      total: Math.max(1, practiceTotal),
+      streak: practiceStreak,
+      active: practiceActive,
+      done: practiceFinished,
+      showProgressBar: true,
+    });
+    if (practiceFinished && practiceDone.length > 0) drawCompletionFlashcards("today's practice", practiceDone.join(""));
+  } else if (mode === MODE_CHALLENGE) {
+    const mult = challenge ? ASLChallenge.multiplier(challenge.streak) : 1;
+    drawRoundOverlay({
+      feats,
+      title: "CHALLENGE",
+      step: challenge ? challenge.solved : 0,
+      total: 0,
+      streak: challenge ? challenge.streak : 0,
+      active: challenge != null && !challenge.over,
+      done: false,
+      showProgressBar: false,
+      info: `CHALLENGE  |  ${challenge ? challenge.score : 0} pts  |  ×${mult.toFixed(2)}`,
+    });
+    if (challenge && !challenge.over) drawChallengeClock();
+    if (challenge && challenge.over) drawChallengeResults();
+  } else if (mode === MODE_SPELL) {
+    drawSpellOverlay();
+  }
+
+  drawHUDMinimal();
+
+  if (ws.trainJob) {
+    ASLSession.stepTraining(ws, TRAIN_FRAME_BUDGET_MS, millis);
+    drawTrainingView();
   }
 
-  drawHUDMinimal(feats);
+  if (ws.tuneJob) {
+    ASLSession.stepTuning(ws, TUNE_FRAME_BUDGET_MS, millis);
+    drawTuningView();
+  }
 
   // ✅ In-canvas Home button on camera screens (including congrats overlay)
   if (mode !== MODE_HOME) drawHomeButton();
+
+  if (ws.calSession) drawCalibrationCard();
+
+  if (statsMode) drawStatsScreen();
+
+  if (lessonsMode) drawLessonsScreen();
+
+  if (datasetsMode) drawDatasetsScreen();
+
+  if (importDraft) drawImportDialog();
+}
+
+// Calibration, stats, lessons, datasets or the import dialog is drawn over the round
+function overlayOpen() {
+  return ws.calSession !== null || statsMode || lessonsMode || datasetsMode || importDraft !== null;
+}
+
+// The challenge clock stops while the round is covered, and the time away doesn't count
+// towards how long the letter on screen took
+function syncPause(paused) {
+  if (paused === (pausedSince !== null)) return;
+  if (paused) {
+    pausedSince = millis();
+    if (challenge && !challenge.over) ASLChallenge.pause(challenge, Date.now());
+    return;
+  }
+  targetShownAt += millis() - pausedSince;
+  pausedSince = null;
+  if (challenge) ASLChallenge.resume(challenge, Date.now());
 }
 
 /* ===================== UI / MODES ===================== */
@@ -271,6 +432,37 @@ function setupUI() {
   styleButton(btnModeWord);
   btnModeWord.mousePressed(() => setMode(MODE_WORD));
 
+  btnModePractice = createButton("Practice");
+  btnModePractice.parent(row);
+  styleButton(btnModePractice);
+  btnModePractice.mousePressed(() => {
+    startPractice();
+    setMode(MODE_PRACTICE);
+  });
+
+  btnModeChallenge = createButton("Challenge");
+  btnModeChallenge.parent(row);
+  styleButton(btnModeChallenge);
+  btnModeChallenge.mousePressed(() => {
+    startChallenge();
+    setMode(MODE_CHALLENGE);
+  });
+
+  btnModeSpell = createButton("Spell (free)");
+  btnModeSpell.parent(row);
+  styleButton(btnModeSpell);
+  btnModeSpell.mousePressed(() => setMode(MODE_SPELL));
+
+  btnLessons = createButton("Lessons");
+  btnLessons.parent(row);
+  styleButton(btnLessons);
+  btnLessons.mousePressed(openLessons);
+
+  btnStats = createButton("Stats");
+  btnStats.parent(row);
+  styleButton(btnStats);
+  btnStats.mousePressed(openStats);
+
   // WORD wrap (top-left)
   uiWordWrap = createDiv();
   uiWordWrap.style("position", "absolute");
@@ -310,9 +502,56 @@ function setupUI() {
       statusMsg = "Please enter a word using A–Z letters";
       return;
     }
+    lessonPlay = null;
     startWord(cleaned);
     setMode(MODE_WORD);
   });
+
+  // SPELL wrap (top-left, under the HUD): the transcript, editable like any text box
+  uiSpellWrap = createDiv();
+  uiSpellWrap.style("position", "absolute");
+  uiSpellWrap.style("left", "16px");
+  uiSpellWrap.style("top", "64px");
+  uiSpellWrap.style("padding", "12px");
+  uiSpellWrap.style("border-radius", "14px");
+  uiSpellWrap.style("background", "rgba(0,0,0,0.55)");
+  uiSpellWrap.style("color", "white");
+  uiSpellWrap.style("font-family", "system-ui, -apple-system, Segoe UI, Roboto, Arial");
+
+  const stitle = createDiv("Transcript");
+  stitle.parent(uiSpellWrap);
+  stitle.style("font-weight", "700");
+  stitle.style("margin-bottom", "8px");
+
+  spellBox = createElement("textarea");
+  spellBox.parent(uiSpellWrap);
+  spellBox.attribute("rows", "4");
+  spellBox.style("display", "block");
+  spellBox.style("width", "340px");
+  spellBox.style("padding", "8px 10px");
+  spellBox.style("border-radius", "10px");
+  spellBox.style("border", "1px solid rgba(255,255,255,0.25)");
+  spellBox.style("background", "rgba(20,20,24,0.85)");
+  spellBox.style("color", "white");
+  spellBox.style("font-size", "16px");
+  spellBox.style("resize", "none");
+  spellBox.input(() => ASLTranscribe.setText(transcriber, spellBox.value()));
+
+  const srow = createDiv();
+  srow.parent(uiSpellWrap);
+  srow.style("display", "flex");
+  srow.style("gap", "8px");
+  srow.style("margin-top", "8px");
+  for (const [label, fn] of [
+    ["Copy", copyTranscript],
+    ["Export .txt", exportTranscript],
+    ["Clear", clearTranscript],
+  ]) {
+    const b = createButton(label);
+    b.parent(srow);
+    styleButton(b);
+    b.mousePressed(fn);
+  }
 }
 
 function styleButton(b) {
@@ -327,6 +566,7 @@ function styleButton(b) {
 function setMode(next) {
   mode = next;
 
+  uiSpellWrap.hide();
   if (mode === MODE_HOME) {
     uiHomeWrap.show();
     uiWordWrap.hide();
@@ -339,10 +579,20 @@ function setMode(next) {
     uiHomeWrap.hide();
     uiWordWrap.show();
     if (!wordActive) statusMsg = "Word Mode — enter a word, then Start";
+  } else if (mode === MODE_PRACTICE || mode === MODE_CHALLENGE) {
+    uiHomeWrap.hide();
+    uiWordWrap.hide();
+  } else if (mode === MODE_SPELL) {
+    uiHomeWrap.hide();
+    uiWordWrap.hide();
+    uiSpellWrap.show();
+    spellBox.value(transcriber.text);
+    statusMsg = "Spell Mode — fingerspell freely; Backspace deletes, ENTER adds a space";
   }
 
   correctStartAt = null;
   lastAdvanceAt = -1e9;
+  targetShownAt = millis();
 }
 
 function sanitizeWord(s) {
@@ -377,6 +627,7 @@ function drawHomeButton() {
 }
 
 function mousePressed() {
+  if (datasetsMode || importDraft || statsMode || lessonsMode) return;
   if (mode !== MODE_HOME && isPointInRect(mouseX, mouseY, HOME_BTN)) {
     setMode(MODE_HOME);
     return false;
@@ -396,6 +647,8 @@ function startAZ() {
   azSolved = 0;
   correctStartAt = null;
   lastAdvanceAt = -1e9;
+  targetShownAt = millis();
+  beginRound(MODE_AZ, LABELS.join(""));
   statusMsg = "A–Z started — sign A";
 }
 
@@ -404,6 +657,7 @@ function currentTargetAZ() {
 }
 
 function advanceAZ(wasCorrect) {
+  noteAttempt(currentTargetAZ(), wasCorrect);
   lastAdvanceAt = millis();
   correctStartAt = null;
 
@@ -421,6 +675,7 @@ function advanceAZ(wasCorrect) {
   if (azIdx >= LABELS.length) {
     azActive = false;
     azIdx = LABELS.length - 1;
+    finishRound(MODE_AZ);
     statusMsg = `🎉 Completed A–Z! Solved: ${azSolved}/26`;
   }
 }
@@ -433,9 +688,13 @@ function startWord(cleaned) {
   wordCompleted = false;
   wordIdx = 0;
   wordStreak = 0;
-  wordSolved = 0;
+  wordHeld = new Set();
+  wordSkipped = new Set();
+  wordSkips = 0;
   correctStartAt = null;
   lastAdvanceAt = -1e9;
+  targetShownAt = millis();
+  beginRound(MODE_WORD, wordText);
   statusMsg = `Word started — sign ${wordText[0]}`;
 }
 
@@ -445,15 +704,18 @@ function currentTargetWord() {
 }
 
 function advanceWord(wasCorrect) {
+  noteAttempt(currentTargetWord(), wasCorrect);
   lastAdvanceAt = millis();
   correctStartAt = null;
 
   if (wasCorrect) {
     wordStreak += 1;
-    wordSolved += 1;
+    wordHeld.add(wordIdx);
     statusMsg = `✅ Correct! ${currentTargetWord()}  (streak ${wordStreak})`;
   } else {
     wordStreak = 0;
+    wordSkipped.add(wordIdx);
+    wordSkips += 1;
     statusMsg = `Skipped → ${currentTargetWord()}`;
   }
 
@@ -463,19 +725,346 @@ function advanceWord(wasCorrect) {
     wordCompleted = true;
     wordActive = false;
     wordIdx = max(0, wordText.length - 1);
+    finishRound(MODE_WORD);
     statusMsg = `🎉 Nice! You signed: ${wordText}`;
+    if (lessonPlay && lessonPlay.word === wordText) finishLessonWord();
+  }
+}
+
+/* ===================== PRACTICE MODE (spaced repetition) ===================== */
+
+// Today's session from the learner's schedule: letters due today, then a few new ones
+function startPractice() {
+  practiceQueue = ASLPractice.buildSession(schedule, Date.now());
+  practiceTotal = practiceQueue.length;
+  practiceTarget = practiceQueue.shift() ?? null;
+  practiceActive = practiceTarget != null;
+  practiceFinished = false;
+  practiceStep = 0;
+  practiceStreak = 0;
+  practiceSolved = 0;
+  practiceDone = [];
+  practiceRetried = new Set();
+  correctStartAt = null;
+  lastAdvanceAt = -1e9;
+  targetShownAt = millis();
+  if (practiceActive) beginRound(MODE_PRACTICE, [practiceTarget, ...practiceQueue].join(""));
+  statusMsg = practiceActive ? `Practice: ${practiceTotal} letters — sign ${practiceTarget}` : `Nothing due today ✅ ${nextDueNote()}`;
+}
+
+function currentTargetPractice() {
+  return practiceTarget ?? "—";
+}
+
+// A missed letter comes back once, a few letters later
+function advancePractice(wasCorrect) {
+  const letter = practiceTarget;
+  noteAttempt(letter, wasCorrect);
+  lastAdvanceAt = millis();
+  correctStartAt = null;
+
+  if (wasCorrect) {
+    practiceStreak += 1;
+    practiceSolved += 1;
+    practiceDone.push(letter);
+    statusMsg = `✅ Correct! ${letter}  (streak ${practiceStreak})`;
+  } else {
+    practiceStreak = 0;
+    if (!practiceRetried.has(letter)) {
+      practiceRetried.add(letter);
+      ASLPractice.requeue(practiceQueue, letter);
+      practiceTotal += 1;
+    }
+    statusMsg = `Skipped → ${letter} (it comes back)`;
+  }
+
+  practiceStep += 1;
+  practiceTarget = practiceQueue.shift() ?? null;
+  if (!practiceTarget) {
+    practiceActive = false;
+    practiceFinished = true;
+    finishRound(MODE_PRACTICE);
+    statusMsg = `🎉 Practice done! Solved ${practiceSolved}/${practiceStep} — ${nextDueNote()}`;
+  }
+}
+
+// One graded attempt at a letter (any mode) into the learner's schedule and the round's history
+function noteAttempt(letter, solved) {
+  if (!LABELS.includes(letter) || ASLSession.totalExamples(ws) === 0) return;
+  const ms = millis() - targetShownAt;
+  ASLPractice.review(schedule, letter, { solved, ms }, Date.now());
+  targetShownAt = millis();
+  if (ws.store && ws.activeProfile) ws.store.saveSchedule(ws.activeProfile.id, schedule).catch((e) => (statusMsg = `Save failed — ${e.message}`));
+  refreshPracticeButton();
+
+  const round = openRounds[mode];
+  if (round) {
+    ASLHistory.noteLetter(round, letter, solved, ms, Date.now());
+    saveRound(round);
+  }
+}
+
+function refreshPracticeButton() {
+  if (!btnModePractice) return;
+  const { due, fresh } = ASLPractice.dueToday(schedule, Date.now());
+  btnModePractice.html(due.length > 0 ? `Practice (${due.length} due)` : fresh.length > 0 ? "Practice (new)" : "Practice");
+}
+
+// "next: F tomorrow" / "next in 3 days"
+function nextDueNote() {
+  const { due, next } = ASLPractice.dueToday(schedule, Date.now());
+  if (due.length > 0) return `${due.length} still due today`;
+  if (next == null) return "nothing scheduled yet";
+  const days = Math.round((ASLPractice.endOfDay(next) - ASLPractice.endOfDay(Date.now())) / ASLPractice.DAY_MS);
+  return days <= 1 ? "next practice tomorrow" : `next practice in ${days} days`;
+}
+
+// "Due today: K F A (+4 new)" for the home screen
+function dueTodayText() {
+  const { due, fresh } = ASLPractice.dueToday(schedule, Date.now());
+  const newCount = Math.min(fresh.length, ASLPractice.DEFAULTS.newPerSession);
+  if (due.length === 0 && newCount === 0) return `Practice: nothing due today — ${nextDueNote()}`;
+  if (due.length === 0) return `Practice today: ${newCount} new letter${newCount === 1 ? "" : "s"}`;
+  const shown = due.slice(0, 10).join(" ") + (due.length > 10 ? " …" : "");
+  return `Practice due today: ${shown}${newCount > 0 ? ` (+${newCount} new)` : ""}`;
+}
+
+/* ===================== CHALLENGE MODE (timed) ===================== */
+
+// Letters that can come up: the ones the dataset has examples of
+function challengeLabels() {
+  return LABELS.filter((l) => examples[l].length > 0);
+}
+
+function startChallenge() {
+  challengeRank = null;
+  const labels = challengeLabels();
+  if (labels.length === 0) {
+    challenge = null;
+    statusMsg = "Train first: the challenge draws from letters with examples";
+    return;
+  }
+  challenge = ASLChallenge.createChallenge(labels, Date.now());
+  correctStartAt = null;
+  lastAdvanceAt = -1e9;
+  targetShownAt = millis();
+  beginRound(MODE_CHALLENGE, challenge.target);
+  statusMsg = `Challenge! ${Math.round(challenge.durationMs / 1000)} s — sign ${challenge.target}`;
+}
+
+function currentTargetChallenge() {
+  return challenge?.target ?? "—";
+}
+
+// Held: points by speed × streak; skipped: the streak is gone. Either way a new random letter
+function advanceChallenge(wasCorrect) {
+  const letter = challenge.target;
+  const ms = millis() - targetShownAt;
+  lastAdvanceAt = millis();
+  correctStartAt = null;
+
+  if (wasCorrect) {
+    const points = ASLChallenge.solve(challenge, ms);
+    statusMsg = `✅ ${letter} +${points}  (streak ${challenge.streak})`;
+  } else {
+    ASLChallenge.skip(challenge);
+    statusMsg = `Skipped ${letter} → ${challenge.target}`;
+  }
+
+  if (openRounds[MODE_CHALLENGE]) openRounds[MODE_CHALLENGE].target = challenge.targets.join("");
+  noteAttempt(letter, wasCorrect);
+}
+
+// Time's up: a score good enough for the leaderboard asks for a name to put it under
+function endChallenge() {
+  challenge.over = true;
+  correctStartAt = null;
+  finishRound(MODE_CHALLENGE);
+  const result = `⏱ Time! ${challenge.score} points, ${challenge.solved} letters`;
+
+  if (!ASLChallenge.qualifies(leaderboard, challenge.score)) {
+    statusMsg = result;
+    return;
+  }
+  const name = askName(`${challenge.score} points — that's on the leaderboard! Name:`, ws.activeProfile?.name ?? "Player");
+  if (!name) {
+    statusMsg = `${result} (not on the leaderboard)`;
+    return;
+  }
+  const added = ASLChallenge.addEntry(leaderboard, ASLChallenge.entryOf(challenge, name, Date.now()));
+  leaderboard = added.board;
+  challengeRank = added.rank;
+  if (ws.store) ws.store.saveLeaderboard(leaderboard).catch((e) => (statusMsg = `Save failed — ${e.message}`));
+  statusMsg = `${result} — #${challengeRank} on the leaderboard 🏆`;
+}
+
+// Time left (left, under the HUD) while the challenge runs
+function drawChallengeClock() {
+  const left = ASLChallenge.timeLeft(challenge, Date.now());
+  const x = 12;
+  const y = 64;
+  const w = 180;
+
+  push();
+  noStroke();
+  fill(0, 150);
+  rect(x, y, w, 62, 14);
+
+  if (left < 10000) fill(255, 120, 110);
+  else fill(255);
+  textAlign(LEFT, TOP);
+  textStyle(BOLD);
+  textSize(26);
+  text(`${Math.ceil(left / 1000)}s`, x + 12, y + 8);
+
+  textAlign(RIGHT, TOP);
+  textSize(18);
+  fill(255);
+  text(challenge.score, x + w - 12, y + 8);
+  textStyle(NORMAL);
+  textSize(11);
+  fill(220);
+  text(challenge.lastPoints > 0 ? `+${challenge.lastPoints}` : "points", x + w - 12, y + 30);
+  pop();
+
+  drawProgressBar(x + 12, y + 46, w - 24, 6, left / challenge.durationMs);
+}
+
+// Score card with the leaderboard once the time is up
+function drawChallengeResults() {
+  push();
+  noStroke();
+  fill(0, 185);
+  rect(0, 0, width, height);
+
+  fill(20, 20, 24, 240);
+  rect(26, 40, width - 52, height - 80, 22);
+
+  fill(255);
+  textAlign(CENTER, TOP);
+  textStyle(BOLD);
+  textSize(24);
+  text(`⏱ ${challenge.score} points`, width / 2, 60);
+
+  textStyle(NORMAL);
+  textSize(13);
+  fill(225);
+  text(
+    `${challenge.solved} letters held  ·  ${challenge.skips} skipped  ·  best streak ${challenge.bestStreak}` +
+      (challengeRank ? `  ·  #${challengeRank} on the leaderboard` : ""),
+    width / 2,
+    94
+  );
+
+  textStyle(BOLD);
+  textSize(14);
+  fill(255);
+  text("Leaderboard", width / 2, 126);
+  textStyle(NORMAL);
+  textSize(13);
+  leaderboard.forEach((e, i) => {
+    const y = 152 + i * 22;
+    if (i + 1 === challengeRank) {
+      fill(255, 36);
+      rect(60, y - 3, width - 120, 20, 6);
+    }
+    fill(i + 1 === challengeRank ? 255 : 215);
+    textAlign(LEFT, TOP);
+    text(`${i + 1}.  ${e.name}`, 76, y);
+    textAlign(RIGHT, TOP);
+    text(`${e.solved} letters  ·  streak ${e.bestStreak}  ·  ${new Date(e.at).toLocaleDateString()}   ${e.score}`, width - 76, y);
+  });
+  if (leaderboard.length === 0) {
+    fill(170);
+    textAlign(CENTER, TOP);
+    text("No scores yet", width / 2, 152);
+  }
+
+  textAlign(CENTER, BOTTOM);
+  textSize(12);
+  fill(230);
+  text("ENTER to play again  ·  ← Home (bottom-left)", width / 2, height - 52);
+  pop();
+}
+
+/* ===================== SPELL MODE (free transcription) ===================== */
+
+// One frame of the smoothed prediction into the transcript (no hand or prediction off: a gap)
+function updateSpelling(feats) {
+  const frame = feats && isPredicting && ASLSession.totalExamples(ws) > 0 ? ASLSession.getSmoothedLabel(ws) : null;
+  const place = feats ? ASLTranscribe.handPlace(getTrackedLandmarks()) : null;
+  const wrote = ASLTranscribe.pushFrame(transcriber, frame, place, millis(), { holdMs: ADVANCE_HOLD_MS, minConf: ws.tuning.gameMinConf });
+  if (!wrote) return;
+  spellBox.value(transcriber.text);
+  statusMsg = wrote === " " ? "Word break" : `+ ${wrote}`;
+}
+
+function copyTranscript() {
+  navigator.clipboard
+    .writeText(transcriber.text)
+    .then(() => (statusMsg = "Transcript copied ✅"))
+    .catch((e) => (statusMsg = `Copy failed — ${e.message}`));
+}
+
+function exportTranscript() {
+  downloadBytes(new TextEncoder().encode(transcriber.text), "asl_transcript.txt");
+  statusMsg = "Exported transcript ✅";
+}
+
+function clearTranscript() {
+  ASLTranscribe.setText(transcriber, "");
+  spellBox.value("");
+  statusMsg = "Transcript cleared";
+}
+
+// Prediction top-right, the hold towards the next letter, the end of the transcript large
+function drawSpellOverlay() {
+  const xBadge = width - PANEL_PAD - BADGE_SIZE;
+  drawPredictionBadgeAt(xBadge, PANEL_PAD, BADGE_SIZE, BADGE_SIZE);
+
+  const hold = ASLTranscribe.holdProgress(transcriber, millis(), { holdMs: ADVANCE_HOLD_MS });
+  if (hold) drawHoldBar(xBadge, PANEL_PAD + BADGE_SIZE + 8, BADGE_SIZE, 6, hold.t);
+
+  const tail = transcriber.text.length > 22 ? `…${transcriber.text.slice(-22)}` : transcriber.text;
+  push();
+  noStroke();
+  fill(0, 150);
+  rect(136, height - 112, width - 148, 56, 16);
+  fill(255);
+  textAlign(LEFT, CENTER);
+  textStyle(BOLD);
+  textSize(28);
+  text(tail ? `${tail}▏` : "▏", 152, height - 84);
+
+  textStyle(NORMAL);
+  textSize(11);
+  fill(220);
+  textAlign(RIGHT, BOTTOM);
+  text("hold each letter · drop the hand or bounce for a double letter · pause for a space", width - 16, height - 16);
+  pop();
+
+  if (ASLSession.totalExamples(ws) === 0) {
+    push();
+    noStroke();
+    fill(0, 170);
+    rect(136, height - 150, width - 148, 32, 12);
+    fill(255);
+    textAlign(LEFT, CENTER);
+    textSize(13);
+    text(`Train first: add NONE (${NONE_KEY}) + letters (A–Z), then spell.`, 150, height - 134);
+    pop();
   }
 }
 
 /* ===================== PROGRESS CHECK (shared) ===================== */
 
 function updateProgressForTarget(targetLetter) {
-  const sm = getSmoothedLabel();
+  const sm = ASLSession.getSmoothedLabel(ws);
 
   const ok =
     sm.stable &&
     sm.label === targetLetter &&
-    sm.conf >= GAME_MIN_CONF &&
+    sm.conf >= ws.tuning.gameMinConf &&
     millis() - lastAdvanceAt >= ADVANCE_COOLDOWN_MS;
 
   if (ok) {
@@ -484,6 +1073,8 @@ function updateProgressForTarget(targetLetter) {
     if (millis() - correctStartAt >= ADVANCE_HOLD_MS) {
       if (mode === MODE_AZ) advanceAZ(true);
       if (mode === MODE_WORD) advanceWord(true);
+      if (mode === MODE_PRACTICE) advancePractice(true);
+      if (mode === MODE_CHALLENGE) advanceChallenge(true);
     }
   } else {
     correctStartAt = null;
@@ -501,11 +1092,18 @@ function drawHomeOverlay(feats) {
   fill(255);
   textAlign(LEFT, CENTER);
   textSize(13);
-  text("Train first: add NONE (N) + letters (A–Z). Then pick a mode.\nTip: Hold '-' (record mode) to add examples quickly.", 26, height - 44);
+  text(`Train first: add NONE (${NONE_KEY}) + letters (A–Z). Then pick a mode.\nTip: Hold '-' (record mode) to add examples quickly.`, 26, height - 44);
+
+  // today's practice, above the tips
+  fill(0, 150);
+  rect(12, height - 104, width - 24, 28, 12);
+  fill(255, 230);
+  textSize(12);
+  text(dueTodayText(), 26, height - 90);
   pop();
 }
 
-function drawRoundOverlay({ feats, title, step, total, streak, active, done, showProgressBar }) {
+function drawRoundOverlay({ feats, title, step, total, streak, active, done, showProgressBar, info = null }) {
   // Top-right stacked layout: target image (top) + prediction badge (below)
   const xRight = width - PANEL_PAD;
   const yTop = PANEL_PAD;
@@ -545,7 +1143,7 @@ function drawRoundOverlay({ feats, title, step, total, streak, active, done, sho
   fill(255, 210);
   textAlign(RIGHT, TOP);
   textSize(12);
-  text(`${title}  |  ${step}/${total}  |  streak ${streak}`, width - PANEL_PAD, progY);
+  text(info ?? `${title}  |  ${step}/${total}  |  streak ${streak}`, width - PANEL_PAD, progY);
   pop();
 
   // Hold bar (tucked above home button area)
@@ -555,7 +1153,7 @@ function drawRoundOverlay({ feats, title, step, total, streak, active, done, sho
   }
 
   // Empty dataset hint
-  if (totalExamples() === 0) {
+  if (ASLSession.totalExamples(ws) === 0) {
     push();
     noStroke();
     fill(0, 170);
@@ -563,7 +1161,7 @@ function drawRoundOverlay({ feats, title, step, total, streak, active, done, sho
     fill(255);
     textAlign(LEFT, CENTER);
     textSize(13);
-    text("Train first: add NONE (N) + letters (A–Z), then play.", PANEL_PAD + 14, height - 35);
+    text(`Train first: add NONE (${NONE_KEY}) + letters (A–Z), then play.`, PANEL_PAD + 14, height - 35);
     pop();
   }
 
@@ -661,7 +1259,16 @@ function drawCompletionFlashcards(title, lettersStr) {
 }
 
 function drawTargetImage(x, y, w, h, headerLabel) {
-  const L = mode === MODE_WORD ? currentTargetWord() : mode === MODE_AZ ? currentTargetAZ() : "A";
+  const L =
+    mode === MODE_WORD
+      ? currentTargetWord()
+      : mode === MODE_AZ
+        ? currentTargetAZ()
+        : mode === MODE_PRACTICE
+          ? currentTargetPractice()
+          : mode === MODE_CHALLENGE
+            ? currentTargetChallenge()
+            : "A";
   const img = alphaImgs[L];
 
   push();
@@ -698,9 +1305,9 @@ function drawPredictionBadgeAt(x, y, w, h) {
   text("YOU", x + w / 2, y - 14);
   pop();
 
-  if (!isPredicting || totalExamples() === 0) return;
+  if (!isPredicting || ASLSession.totalExamples(ws) === 0) return;
 
-  const sm = getSmoothedLabel();
+  const sm = ASLSession.getSmoothedLabel(ws);
   const shown = sm.label && sm.label !== NONE_LABEL ? sm.label : "—";
 
   push();
@@ -765,8 +1372,10 @@ function drawVignette() {
   pop();
 }
 
-function drawHUDMinimal(feats) {
-  const txt = `ex ${totalExamples()} | hand ${feats ? "yes" : "no"} | ${recordMode ? "REC" : "—"} | mode ${mode}`;
+function drawHUDMinimal() {
+  const synth = ws.useAugment ? ` +${ASLDataset.countExamples(ws.synthetic)} synth` : "";
+  const cal = ws.calIndex.count > 0 ? " | calibrated" : "";
+  const txt = `ex ${ASLSession.totalExamples(ws)}${synth} | hand ${handTag()} | ${recordMode ? "REC" : harvestMode ? "HARVEST" : "—"} | mode ${mode} | ${ASLSession.backendTag(ws)}${cal}`;
 
   push();
   noStroke();
@@ -796,85 +1405,85 @@ function textWidthSafe(s) {
 
 /* ===================== HAND SELECTION ===================== */
 
-function getWristX(hand) {
-  const w = hand?.keypoints?.[0];
-  return w?.x ?? 0;
-}
-
-function getValidHands(rawHands) {
-  return (rawHands || []).filter((h) => h?.keypoints && h.keypoints.length === 21);
+function pickTrackedHand(rawHands) {
+  return ASLFeatures.pickTrackedHand(rawHands, ws.dominantHand);
 }
 
-function sortHandsLeftToRight(rawHands) {
-  const valid = getValidHands(rawHands);
-  valid.sort((a, b) => getWristX(a) - getWristX(b));
-  return valid;
+// Tracked hand's landmarks in right-hand form (left hands mirrored), or null.
+// Two-hand extractors also get the other visible hand (42 points).
+function getTrackedLandmarks() {
+  return ASLFeatures.trackedLandmarks(hands, ws.dominantHand, usesBothHands());
 }
 
-function pickTrackedHand(rawHands) {
-  const sorted = sortHandsLeftToRight(rawHands);
-  if (sorted.length === 0) return null;
-  if (sorted.length === 1) return sorted[0];
-  return TRACK_HAND === "RIGHT" ? sorted[sorted.length - 1] : sorted[0];
+function usesBothHands() {
+  return ASLFeatures.getExtractor(ws.featureName).hands === 2;
 }
 
-function getLandmarks21(hand) {
-  return hand.keypoints.map((k) => [k.x, k.y, k.z ?? 0]);
+function handTag() {
+  const hand = pickTrackedHand(hands);
+  if (!hand) return "no";
+  const side = ASLFeatures.getHandedness(hand) ?? ws.dominantHand;
+  const tag = side === "LEFT" ? "L ↔" : "R";
+  return usesBothHands() && ASLFeatures.getValidHands(hands).length > 1 ? `${tag} +1` : tag;
 }
 
 /* ===================== FEATURES ===================== */
 
-function handToFeatsXYRotNorm(hand) {
-  const lm = getLandmarks21(hand);
-  const wrist = lm[0];
-  const midMcp = lm[9];
+function getHandFeaturesSingle() {
+  const lm = getTrackedLandmarks();
+  if (!lm) return null;
+  return ASLFeatures.featuresFromLandmarks(lm, ws.featureName);
+}
 
-  const wx = wrist[0],
-    wy = wrist[1];
-  const dx = midMcp[0] - wx;
-  const dy = midMcp[1] - wy;
+/* ===================== INPUT ===================== */
 
-  const scale = Math.sqrt(dx * dx + dy * dy) || 1;
+// Keys typed into a text box (the word, the transcript) are the box's, not shortcuts
+function typingInField() {
+  const el = document.activeElement;
+  return el != null && (el.tagName === "INPUT" || el.tagName === "TEXTAREA");
+}
 
-  const ang = Math.atan2(dy, dx);
-  const rot = -Math.PI / 2 - ang;
-  const cosR = Math.cos(rot);
-  const sinR = Math.sin(rot);
+function keyTyped() {
+  if (!storageReady || typingInField()) return;
+  const k = key.toUpperCase();
 
-  const feats = [];
-  for (let i = 0; i < 21; i++) {
-    const x = (lm[i][0] - wx) / scale;
-    const y = (lm[i][1] - wy) / scale;
-    const xr = x * cosR - y * sinR;
-    const yr = x * sinR + y * cosR;
-    feats.push(xr, yr);
+  if (importDraft) {
+    ASLWorkspace.importKey(importDraft, k); // M mode, C conflicts
+    return;
   }
-  return feats;
-}
 
-function getHandFeaturesSingle() {
-  const hand = pickTrackedHand(hands);
-  if (!hand) return null;
-  return handToFeatsXYRotNorm(hand);
-}
+  if (datasetsMode) {
+    ASLWorkspace.datasetScreenKey(datasetScreen, k, datasetCtx());
+    return;
+  }
 
-/* ===================== INPUT ===================== */
+  if (statsMode) {
+    if (LABELS.includes(k)) statsLetter = k;
+    return;
+  }
 
-function keyTyped() {
-  const k = key.toUpperCase();
+  if (lessonsMode) {
+    handleLessonsKey(k);
+    return;
+  }
+
+  if (ws.calSession) {
+    handleCalibrationKey(k);
+    return;
+  }
 
   if (LABELS.includes(k)) {
     if (!recordMode) addExample(k);
     return;
   }
 
-  if (k === "N") {
+  if (k === NONE_KEY) {
     if (!recordMode) addExample(NONE_LABEL);
     return;
   }
 
   if (k === ".") {
-    undoLast();
+    ASLSession.undoLast(ws);
     return;
   }
 
@@ -890,34 +1499,107 @@ function keyTyped() {
     return;
   }
 
+  if (k === ";") {
+    exportCompact();
+    return;
+  }
+
+  if (k === "3") {
+    ASLSession.startTraining(ws);
+    return;
+  }
+
+  if (k === "4") {
+    ASLSession.toggleBackend(ws);
+    return;
+  }
+
+  if (k === "5") {
+    openDatasets();
+    return;
+  }
+
+  if (k === "6") {
+    ASLSession.cycleFeatureExtractor(ws);
+    return;
+  }
+
+  if (k === "7") {
+    ASLSession.toggleDominantHand(ws);
+    return;
+  }
+
+  if (k === "8") {
+    ASLSession.startTuning(ws);
+    return;
+  }
+
+  if (k === "[") {
+    ASLSession.toggleAugment(ws);
+    return;
+  }
+
+  if (k === "]") {
+    openCalibration();
+    return;
+  }
+
   if (k === "0") {
-    importInput.elt.value = "";
-    importInput.show();
-    statusMsg = "Choose a dataset JSON file…";
+    chooseImportFile();
     return;
   }
 }
 
 function keyPressed() {
+  if (!storageReady) return false;
+  if (typingInField()) return;
+
+  // letter keys must not return false here: that would swallow the keyTyped() the screens read
+  if (importDraft) return handleImportArrows();
+  if (datasetsMode) return handleDatasetsArrows();
+  if (statsMode) return handleStatsArrows();
+  if (lessonsMode) return handleLessonsArrows();
+  if (ws.calSession) return handleCalibrationArrows();
+
+  // in Spell mode Backspace edits the transcript (not the dataset) and ENTER ends the word
+  if (mode === MODE_SPELL && (keyCode === BACKSPACE || keyCode === ENTER)) {
+    if (keyCode === BACKSPACE) ASLTranscribe.backspace(transcriber);
+    else ASLTranscribe.addSpace(transcriber);
+    spellBox.value(transcriber.text);
+    return false;
+  }
+
   if (keyCode === BACKSPACE) {
-    clearAll();
+    ASLSession.clearAll(ws);
+    return false;
+  }
+
+  if (key === "=" || key === "+") {
+    toggleHarvestMode();
     return false;
   }
 
   if (key === "-" || key === "_") {
     recordMode = !recordMode;
+    if (recordMode) harvestMode = false;
     if (!recordMode) {
       recordLabel = null;
+      seqRecordStartAt = null;
       statusMsg = "Record mode OFF";
     } else {
-      statusMsg = "Record mode ON — hold A–Z or N";
+      statusMsg = `Record mode ON — hold A–Z or ${NONE_KEY} for NONE (J/Z: hold while signing the motion)`;
     }
     return false;
   }
 
   if (keyCode === ENTER) {
     if (mode === MODE_AZ) startAZ();
-    if (mode === MODE_WORD) {
+    if (mode === MODE_PRACTICE) startPractice();
+    if (mode === MODE_CHALLENGE) startChallenge();
+    if (mode === MODE_WORD && lessonPlay) {
+      if (wordCompleted) playLesson(lessonPlay.pack);
+      else startLessonWord(lessonPlay);
+    } else if (mode === MODE_WORD) {
       const cleaned = sanitizeWord(wordInput?.value?.() ?? wordText);
       if (cleaned) startWord(cleaned);
     }
@@ -927,6 +1609,8 @@ function keyPressed() {
   if (keyCode === RIGHT_ARROW) {
     if (mode === MODE_AZ && azActive && azIdx < 25) advanceAZ(false);
     if (mode === MODE_WORD && wordActive && !wordCompleted && wordIdx < wordText.length - 1) advanceWord(false);
+    if (mode === MODE_PRACTICE && practiceActive) advancePractice(false);
+    if (mode === MODE_CHALLENGE && challenge && !challenge.over) advanceChallenge(false);
     return false;
   }
 
@@ -934,6 +1618,7 @@ function keyPressed() {
     if (mode === MODE_AZ && azActive) {
       azIdx = max(0, azIdx - 1);
       correctStartAt = null;
+      noteBackStep();
       statusMsg = `Back → ${currentTargetAZ()}`;
     }
     if (mode === MODE_WORD && (wordActive || wordCompleted)) {
@@ -941,6 +1626,7 @@ function keyPressed() {
       wordCompleted = false;
       wordActive = true;
       correctStartAt = null;
+      noteBackStep();
       statusMsg = `Back → ${currentTargetWord()}`;
     }
     return false;
@@ -951,10 +1637,15 @@ function keyPressed() {
 
   if (recordMode) {
     if (LABELS.includes(kk)) {
+      if (MOTION_LABELS.includes(kk)) {
+        if (recordLabel !== kk) seqRecordStartAt = millis();
+        statusMsg = `REC ● ${kk} — sign the motion, then release`;
+      } else {
+        statusMsg = `REC ● ${kk}`;
+      }
       recordLabel = kk;
       lastRecordAt = 0;
-      statusMsg = `REC ● ${kk}`;
-    } else if (kk === "N") {
+    } else if (kk === NONE_KEY) {
       recordLabel = NONE_LABEL;
       lastRecordAt = 0;
       statusMsg = "REC ● NONE";
@@ -968,8 +1659,11 @@ function keyReleased() {
 
   if (recordMode) {
     const wasLetter = LABELS.includes(k) && recordLabel === k;
-    const wasNone = k === "N" && recordLabel === NONE_LABEL;
-    if (wasLetter || wasNone) {
+    const wasNone = k === NONE_KEY && recordLabel === NONE_LABEL;
+    if (wasLetter && MOTION_LABELS.includes(k)) {
+      addSequence(k);
+      recordLabel = null;
+    } else if (wasLetter || wasNone) {
       recordLabel = null;
       statusMsg = "REC ● paused";
     }
@@ -983,15 +1677,13 @@ function addExample(label, opts = {}) {
   if (!opts.silent && now - lastAddAt < ADD_DEBOUNCE_MS) return false;
   lastAddAt = now;
 
-  const feats = getHandFeaturesSingle();
-  if (!feats) {
+  const lm = getTrackedLandmarks();
+  if (!lm) {
     if (!opts.silent) statusMsg = "No hand detected";
     return false;
   }
 
-  examples[label].push(feats);
-  addHistory.push(label);
-  saveDataset();
+  ASLSession.addExample(ws, label, lm);
 
   if (!opts.silent) {
     statusMsg = label === NONE_LABEL ? `Added NONE (${examples[NONE_LABEL].length})` : `Added ${label} (${examples[label].length})`;
@@ -999,241 +1691,888 @@ function addExample(label, opts = {}) {
   return true;
 }
 
-function undoLast() {
-  if (addHistory.length === 0) {
-    statusMsg = "Nothing to undo";
-    return;
-  }
+function addSequence(label) {
+  const startedAt = seqRecordStartAt;
+  seqRecordStartAt = null;
+  if (startedAt == null) return false;
 
-  const label = addHistory.pop();
-  if (examples[label].length > 0) {
-    examples[label].pop();
-    saveDataset();
-    statusMsg = `Undo: ${label}`;
-  } else {
-    saveDataset();
-    statusMsg = "Undo did nothing";
-  }
+  return ASLSession.addSequence(ws, label, startedAt, millis());
 }
 
-function clearAll() {
-  ALL_LABELS.forEach((l) => (examples[l] = []));
-  addHistory = [];
-
-  smoothQueue = [];
-  lastLabel = null;
-  lastConf = 0;
-
+// The dataset was replaced or cleared under whatever was being recorded (ASLSession hook)
+function stopCapture() {
   recordLabel = null;
   recordMode = false;
-
-  localStorage.removeItem(STORAGE_KEY);
-  statusMsg = "Cleared dataset ✅";
+  harvestMode = false;
+  ASLHarvest.resetHarvestState(harvestState);
 }
 
-function totalExamples() {
-  return ALL_LABELS.reduce((sum, l) => sum + (examples[l]?.length || 0), 0);
+function toggleHarvestMode() {
+  harvestMode = !harvestMode;
+  ASLHarvest.resetHarvestState(harvestState);
+  if (harvestMode) {
+    recordMode = false;
+    recordLabel = null;
+    seqRecordStartAt = null;
+    statusMsg = "Harvest ON — move between letters and rest your hand to collect NONE";
+  } else {
+    statusMsg = `Harvest OFF (NONE ${examples[NONE_LABEL].length})`;
+  }
 }
 
 /* ===================== PERSISTENCE ===================== */
 
-function saveDataset() {
-  const payload = {
-    version: 9,
-    savedAt: new Date().toISOString(),
-    examples: examples,
-    addHistory: addHistory,
-    meta: { feature: "xy_rot_norm_singlehand", trackHand: TRACK_HAND, dims: 42, k: K },
-  };
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
+// Opens IndexedDB, moves a dataset left in localStorage by older versions into it and loads
+// the active profile's active dataset (ASLSession.openStorage). Keys wait for this (storageReady).
+async function openStorage() {
+  await ASLSession.openStorage(ws, ASLStore.openIndexedDB(), {
+    legacy: { storage: localStorage, key: STORAGE_KEY, name: "Game (from browser storage)" },
+    fetch,
+    opened: async (store) => {
+      leaderboard = ASLChallenge.readLeaderboard(await store.loadLeaderboard());
+      lessonPacks = await store.listLessonPacks();
+    },
+    empty: `No saved dataset — train NONE (${NONE_KEY}), then letters (A–Z)`,
+  });
+  storageReady = true;
 }
 
-function loadDataset() {
-  const raw = localStorage.getItem(STORAGE_KEY);
-  if (!raw) return false;
+// The learner's practice schedule and lesson progress, loaded with their dataset (ASLSession hook)
+async function loadLearner(profile) {
+  schedule = ASLPractice.readSchedule(await ws.store.loadSchedule(profile.id));
+  lessonProgress = ASLLessons.readProgress(await ws.store.loadLessonProgress(profile.id));
+  refreshPracticeButton();
+}
 
-  try {
-    const payload = JSON.parse(raw);
-    if (!payload.examples) return false;
+/* ===================== EXPORT / IMPORT ===================== */
 
-    ALL_LABELS.forEach((l) => {
-      const arr = payload.examples[l];
-      examples[l] = Array.isArray(arr) ? arr : [];
-    });
+function exportDataset() {
+  saveJSON(ASLSession.buildPayload(ws), "asl_handpose_dataset_singlehand.json");
+}
+
+// Same file stem as the JSON export, .aslb (ASLBinary): about an eighth of the size
+function exportCompact() {
+  ASLBinary.packDataset(ASLSession.buildPayload(ws))
+    .then((bytes) => {
+      downloadBytes(bytes, `asl_handpose_dataset_singlehand${ASLBinary.EXTENSION}`);
+      statusMsg = `Exported compact ✅ (${Math.ceil(bytes.length / 1024)} KB)`;
+    })
+    .catch((e) => (statusMsg = `Export failed — ${e.message}`));
+}
 
-    addHistory = Array.isArray(payload.addHistory) ? payload.addHistory : [];
+function downloadBytes(bytes, filename) {
+  const url = URL.createObjectURL(new Blob([bytes], { type: "application/octet-stream" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
-    smoothQueue = [];
-    lastLabel = null;
-    lastConf = 0;
+// JSON (text / data URL) goes through parseMaybeJSON; a compact file is unpacked first.
+// A lesson pack goes to the lessons instead.
+async function handleImport(file) {
+  importInput.hide();
 
-    recordLabel = null;
-    recordMode = false;
+  if (!file) {
+    statusMsg = "Import cancelled";
+    return;
+  }
 
-    return true;
+  try {
+    const raw = await ASLWorkspace.readImportFile(file);
+    if (ASLLessons.isPack(raw)) importLessonPack(raw);
+    else openImportDialog(ASLSchema.readDataset(raw));
   } catch (e) {
+    statusMsg = `Import failed — ${e.message || "invalid JSON"}`;
+  }
+}
+
+function chooseImportFile() {
+  importInput.elt.value = "";
+  importInput.show();
+  statusMsg = "Choose a dataset or lesson pack file (JSON or .aslb)…";
+}
+
+/* ===================== IMPORT DIALOG (replace / append / merge) ===================== */
+
+// Nothing changes until ENTER: merge (the default with examples already here) only adds what
+// isn't a duplicate, append adds everything; replace takes the whole file, settings and model
+// included. Merge and append change what a trained MLP learned from, so it is dropped.
+function openImportDialog(read) {
+  importDraft = ASLWorkspace.createImportDraft(read, ws, {
+    feature: ws.featureName,
+    locked: ws.baseCounts,
+  });
+
+  recordMode = false;
+  recordLabel = null;
+  harvestMode = false;
+  uiHomeWrap.hide();
+  uiWordWrap.hide();
+  uiSpellWrap.hide();
+  statusMsg = `Import: ${ASLDataset.countExamples(read.payload.examples)} ex in file${importDraft.note}`;
+}
+
+// ↑/↓ pick a letter, ←/→ change its action (merge mode), ENTER commits, Esc cancels
+function handleImportArrows() {
+  if (keyCode === ESCAPE) {
+    closeImportDialog();
+    statusMsg = "Import cancelled";
+    return false;
+  }
+  if (keyCode === ENTER) {
+    commitImport();
+    return false;
+  }
+  if (keyCode === UP_ARROW || keyCode === DOWN_ARROW) {
+    ASLWorkspace.moveImportSel(importDraft, keyCode === UP_ARROW ? -1 : 1);
     return false;
   }
+  if (keyCode === LEFT_ARROW || keyCode === RIGHT_ARROW) {
+    if (ASLWorkspace.cycleImportAction(importDraft, keyCode === LEFT_ARROW ? -1 : 1)) return false;
+  }
 }
 
-/* ===================== EXPORT / IMPORT ===================== */
+function closeImportDialog() {
+  importDraft = null;
+  setMode(mode);
+}
 
-function exportDataset() {
-  const payload = {
-    version: 9,
-    savedAt: new Date().toISOString(),
-    examples: examples,
-    addHistory: addHistory,
-    meta: { feature: "xy_rot_norm_singlehand", trackHand: TRACK_HAND, dims: 42, k: K },
+function commitImport() {
+  const d = importDraft;
+  closeImportDialog();
+  ASLSession.commitImport(ws, d);
+}
+
+function drawImportDialog() {
+  const d = importDraft;
+  const { totals, rows } = d.plan;
+
+  push();
+  noStroke();
+  fill(0, 185);
+  rect(0, 0, width, height);
+  pop();
+
+  drawCard(16, 16, width - 32, height - 32);
+
+  push();
+  noStroke();
+  fill(255);
+  textAlign(LEFT, TOP);
+  textStyle(BOLD);
+  textSize(16);
+  text(`Import — ${d.mode}`, 32, 40);
+  textStyle(NORMAL);
+
+  fill(220);
+  textSize(12);
+  const theirs = ASLDataset.countExamples(d.incoming.examples);
+  text(`file ${theirs} ex  |  here ${ASLSession.totalExamples(ws)} ex  |  conflicts: ${d.conflicts}`, 32, 62);
+
+  fill(255);
+  if (d.mode === "replace") {
+    text(`Everything here (${ASLSession.totalExamples(ws)} ex, settings, model) is replaced by the file.`, 32, 80);
+  } else {
+    text(
+      `+${totals.added} added  ·  ${totals.duplicates} duplicates  ·  ${totals.conflicts} conflicts  ·  ` +
+        `${totals.overwritten} overwritten  ·  ${totals.kept} left out`,
+      32,
+      80
+    );
+  }
+  const lost = d.incoming.rederived?.dropped || 0;
+  if (lost > 0 && d.mode !== "replace") {
+    fill(255, 200, 120);
+    text(`${lost} of the file's examples have no raw landmarks to convert to ${ASLFeatures.getExtractor(ws.featureName).label}`, 32, 96);
+  }
+
+  // per letter: ours + added, and what happened to theirs
+  textSize(11);
+  const perCol = Math.ceil(rows.length / 2);
+  const colW = (width - 64) / 2;
+  rows.forEach((r, i) => {
+    const x = 32 + Math.floor(i / perCol) * colW;
+    const y = 118 + (i % perCol) * IMPORT_ROW_H;
+    if (i === d.sel && d.mode === "merge") {
+      fill(255, 36);
+      rect(x - 4, y - 2, colW - 8, IMPORT_ROW_H, 6);
+    }
+    const name = r.label === NONE_LABEL ? "NONE" : r.label;
+    let detail = `${r.ours} + ${r.added}`;
+    if (r.duplicates) detail += `  dup ${r.duplicates}`;
+    if (r.conflicts) detail += `  conf ${r.conflicts}`;
+    if (r.overwritten) detail += `  −${r.overwritten}`;
+    if (r.seqAdded) detail += `  seq +${r.seqAdded}`;
+    fill(r.action === "keep" ? 150 : 235);
+    text(name, x, y);
+    text(`[${r.action}]`, x + 38, y);
+    fill(200);
+    text(`${detail}  (file ${r.theirs})`, x + 104, y);
+  });
+
+  fill(200);
+  textAlign(LEFT, BOTTOM);
+  textSize(12);
+  text("M mode (merge / append / replace)  ·  C conflicts skip / keep  ·  ↑↓ letter  ·  ←→ action", 32, height - 46);
+  text("ENTER import  ·  Esc cancel", 32, height - 28);
+  pop();
+}
+
+/* ===================== DATASETS & PROFILES ("5") ===================== */
+
+// What the screen's keys act through (ASLWorkspace.datasetScreenKey)
+function datasetCtx() {
+  return {
+    store: ws.store,
+    profile: ws.activeProfile,
+    dataset: ws.activeDataset,
+    open: switchDataset,
+    openProfile: switchProfile,
+    ask: askName,
+    toggleBase: () => ASLSession.toggleBase(ws),
+    close: closeDatasets,
+    status: (msg) => (statusMsg = msg),
   };
-  saveJSON(payload, "asl_handpose_dataset_singlehand.json");
 }
 
-function parseMaybeJSON(file) {
-  if (file && typeof file.data === "object" && file.data !== null) return file.data;
+// Runs one storage action at a time; errors end up in the status line.
+function datasetAction(fn) {
+  ASLWorkspace.runDatasetAction(datasetScreen, datasetCtx(), fn);
+}
+
+function openDatasets() {
+  if (!ws.store) {
+    statusMsg = "Storage unavailable — datasets can't be managed";
+    return;
+  }
+  datasetsMode = true;
+  datasetScreen.armed = false;
+  recordMode = false;
+  recordLabel = null;
+  harvestMode = false;
+  uiHomeWrap.hide();
+  uiWordWrap.hide();
+  uiSpellWrap.hide();
+  datasetAction(() => refreshDatasets(ws.activeDataset?.id ?? null));
+}
+
+function closeDatasets() {
+  datasetsMode = false;
+  datasetScreen.armed = false;
+  setMode(mode);
+  statusMsg = `Dataset "${ws.activeDataset?.name ?? "?"}" (${ASLSession.totalExamples(ws)} ex)`;
+}
 
-  if (file && typeof file.data === "string") {
-    const s = file.data.trim();
+// Selects dataset `id` when given
+function refreshDatasets(id = null) {
+  return ASLWorkspace.refreshDatasetScreen(datasetScreen, ws.store, ws.activeProfile.id, id);
+}
 
-    if (s.startsWith("data:")) {
-      const comma = s.indexOf(",");
-      if (comma === -1) throw new Error("Malformed data URL");
-      const meta = s.slice(0, comma);
-      const b64 = s.slice(comma + 1);
+async function switchDataset(id) {
+  const loaded = await ASLSession.openDataset(ws, id);
+  await refreshDatasets(ws.activeDataset.id);
+  statusMsg = `Opened "${ws.activeDataset.name}" (${ASLSession.totalExamples(ws)} ex)${loaded.note}`;
+}
 
-      if (meta.includes(";base64")) {
-        const txt = atob(b64);
-        return JSON.parse(txt);
-      } else {
-        const txt = decodeURIComponent(b64);
-        return JSON.parse(txt);
-      }
+async function switchProfile(profile) {
+  openRounds = {}; // rounds under way belong to the previous learner
+  const loaded = await ASLSession.openProfile(ws, profile);
+  await refreshDatasets(ws.activeDataset.id);
+  statusMsg = `Profile "${profile.name}" — "${ws.activeDataset.name}" (${ASLSession.totalExamples(ws)} ex)${loaded.note}`;
+}
+
+function askName(message, fallback) {
+  const name = window.prompt(message, fallback);
+  return name && name.trim() ? name.trim().slice(0, 40) : null;
+}
+
+// ↑/↓/ENTER/Esc → false (handled); letter keys fall through to keyTyped()
+function handleDatasetsArrows() {
+  if (keyCode === ESCAPE) {
+    closeDatasets();
+    return false;
+  }
+  if (keyCode === UP_ARROW || keyCode === DOWN_ARROW) {
+    ASLWorkspace.moveDatasetSel(datasetScreen, keyCode === UP_ARROW ? -1 : 1);
+    return false;
+  }
+  if (keyCode === ENTER) {
+    ASLWorkspace.openSelectedDataset(datasetScreen, datasetCtx());
+    return false;
+  }
+}
+
+function drawDatasetsScreen() {
+  push();
+  noStroke();
+  fill(0, 185);
+  rect(0, 0, width, height);
+  pop();
+
+  drawCard(16, 16, width - 32, height - 32);
+
+  push();
+  fill(255);
+  textAlign(LEFT, TOP);
+  textStyle(BOLD);
+  textSize(16);
+  text(`Datasets — ${ws.activeProfile ? ws.activeProfile.name : "…"}`, 32, 40);
+  textStyle(NORMAL);
+
+  fill(200);
+  textSize(12);
+  text(`${datasetScreen.profiles.length} profile${datasetScreen.profiles.length === 1 ? "" : "s"}  |  ● = open in the game`, 32, 62);
+
+  const maxRows = Math.floor((height - 182) / DATASET_ROW_H);
+  const first = constrain(datasetScreen.sel - maxRows + 1, 0, Math.max(0, datasetScreen.list.length - maxRows));
+  datasetScreen.list.slice(first, first + maxRows).forEach((d, j) => {
+    const i = first + j;
+    const y = 88 + j * DATASET_ROW_H;
+    if (i === datasetScreen.sel) {
+      noStroke();
+      fill(255, datasetScreen.armed ? 0 : 255, datasetScreen.armed ? 0 : 255, 36);
+      rect(28, y - 4, width - 56, DATASET_ROW_H - 2, 8);
     }
+    fill(255);
+    textSize(13);
+    text(`${d.id === ws.activeDataset?.id ? "●" : " "}  ${d.name}`, 36, y);
+    fill(190);
+    textAlign(RIGHT, TOP);
+    const onBase = d.id === ws.activeDataset?.id ? ws.useBase : ASLBase.usesBase(d.meta, d.count);
+    text(`${d.count} ex${onBase ? " + base" : ""}  ·  ${new Date(d.updatedAt).toLocaleString()}`, width - 40, y);
+    textAlign(LEFT, TOP);
+  });
 
-    return JSON.parse(s);
+  if (datasetScreen.busy) {
+    fill(220);
+    text("…", 32, height - 80);
   }
 
-  throw new Error("File data was empty or unreadable");
+  fill(200);
+  textAlign(LEFT, BOTTOM);
+  textSize(12);
+  text("↑↓ select  ·  ENTER open  ·  N new  ·  R rename  ·  D duplicate  ·  X delete", 32, height - 46);
+  text("B base model on / off (open dataset)  ·  P next profile  ·  U new profile  ·  5 / Esc close", 32, height - 28);
+  pop();
 }
 
-function handleImport(file) {
-  importInput.hide();
+/* ===================== CALIBRATION ("]") ===================== */
 
-  if (!file) {
-    statusMsg = "Import cancelled";
+// Rounds pause meanwhile (ASLSession.openCalibration)
+function openCalibration() {
+  if (!ASLSession.openCalibration(ws)) return;
+  uiHomeWrap.hide();
+  uiWordWrap.hide();
+  uiSpellWrap.hide();
+}
+
+// Back to the round once the run is saved or cancelled
+function handleCalibrationKey(k) {
+  ASLSession.calibrationKey(ws, k, getTrackedLandmarks());
+  if (!ws.calSession) setMode(mode);
+}
+
+function handleCalibrationArrows() {
+  if (keyCode === ESCAPE) ASLSession.cancelCalibration(ws);
+  else if (keyCode === ENTER) ASLSession.finishCalibration(ws);
+  else if (keyCode === RIGHT_ARROW) ASLSession.skipCalibrationLetter(ws);
+  else return;
+  if (!ws.calSession) setMode(mode);
+  return false;
+}
+
+function drawCalibrationCard() {
+  const target = ASLCalibrate.sessionTarget(ws.calSession);
+  if (!target) return;
+  const taken = ws.calSession.takes[target]?.length || 0;
+
+  const w = 420;
+  const h = 112;
+  const x = (width - w) / 2;
+  const y = height - h - 24;
+
+  push();
+  noStroke();
+  fill(0, 140);
+  rect(x + 3, y + 4, w, h, 18);
+  fill(20, 20, 24, 230);
+  rect(x, y, w, h, 18);
+
+  fill(255);
+  textAlign(CENTER, CENTER);
+  textStyle(BOLD);
+  textSize(52);
+  text(target, x + 52, y + 50);
+
+  textAlign(LEFT, TOP);
+  textSize(13);
+  text(`Calibrating — ${ws.activeProfile.name}`, x + 104, y + 14);
+
+  textStyle(NORMAL);
+  textSize(12);
+  fill(220);
+  text(`Sign ${target}, Space to take it (${taken}/${ws.calSession.perLabel})`, x + 104, y + 36);
+  text(`letter ${ws.calSession.at + 1}/${ws.calSession.labels.length}`, x + 104, y + 54);
+
+  fill(170);
+  textSize(11);
+  text(". undo  ·  → skip  ·  ] / Enter save  ·  X forget saved  ·  Esc cancel", x + 14, y + h - 22);
+  pop();
+}
+
+/* ===================== ROUND HISTORY + STATS ===================== */
+
+// A new round replaces the mode's open one (already saved if anything was signed in it)
+function beginRound(roundMode, target) {
+  openRounds[roundMode] = ASLHistory.createRound(roundMode, target, Date.now());
+}
+
+// The round stays open: stepping back after the end still counts towards it
+function finishRound(roundMode) {
+  const round = openRounds[roundMode];
+  if (!round) return;
+  ASLHistory.finishRound(round, Date.now());
+  saveRound(round);
+}
+
+function noteBackStep() {
+  targetShownAt = millis();
+  const round = openRounds[mode];
+  if (!round) return;
+  ASLHistory.noteBack(round, Date.now());
+  saveRound(round);
+}
+
+// Rounds nothing was signed in aren't kept
+function saveRound(round) {
+  if (ws.store && ws.activeProfile && round.letters.length > 0) ws.store.saveRound(ws.activeProfile.id, round).catch((e) => (statusMsg = `Save failed — ${e.message}`));
+}
+
+function openStats() {
+  if (!ws.store) {
+    statusMsg = "Storage unavailable — no history is kept";
     return;
   }
+  statsMode = true;
+  recordMode = false;
+  recordLabel = null;
+  harvestMode = false;
+  uiHomeWrap.hide();
+  uiWordWrap.hide();
+  uiSpellWrap.hide();
+  ws.store
+    .listRounds(ws.activeProfile.id)
+    .then((rounds) => {
+      statsRounds = rounds;
+      statsSummary = ASLHistory.summarize(rounds);
+    })
+    .catch((e) => (statusMsg = `Storage error — ${e.message}`));
+}
 
-  try {
-    const payload = parseMaybeJSON(file);
-    if (!payload || !payload.examples) throw new Error("Missing 'examples'");
+function closeStats() {
+  statsMode = false;
+  setMode(mode);
+}
 
-    ALL_LABELS.forEach((l) => {
-      const arr = payload.examples[l];
-      examples[l] = Array.isArray(arr) ? arr : [];
-    });
+// ←/→/Esc → false (handled); letter keys fall through to keyTyped() (they pick the letter)
+function handleStatsArrows() {
+  if (keyCode === ESCAPE) {
+    closeStats();
+    return false;
+  }
+  if (keyCode === LEFT_ARROW || keyCode === RIGHT_ARROW) {
+    const i = LABELS.indexOf(statsLetter) + (keyCode === LEFT_ARROW ? -1 : 1);
+    statsLetter = LABELS[(i + LABELS.length) % LABELS.length];
+    return false;
+  }
+}
 
-    addHistory = Array.isArray(payload.addHistory) ? payload.addHistory : [];
+function formatSecs(ms) {
+  return ms == null ? "—" : `${(ms / 1000).toFixed(1)}s`;
+}
 
-    saveDataset();
+function drawStatsScreen() {
+  const s = statsSummary;
 
-    smoothQueue = [];
-    lastLabel = null;
-    lastConf = 0;
+  push();
+  noStroke();
+  fill(0, 185);
+  rect(0, 0, width, height);
+  pop();
 
-    recordLabel = null;
-    recordMode = false;
+  drawCard(16, 16, width - 32, height - 32);
 
-    statusMsg = `Imported ✅ (${totalExamples()} ex)`;
-  } catch (e) {
-    statusMsg = `Import failed — ${e.message || "invalid JSON"}`;
+  push();
+  fill(255);
+  textAlign(LEFT, TOP);
+  textStyle(BOLD);
+  textSize(16);
+  text(`Stats — ${ws.activeProfile ? ws.activeProfile.name : "…"}`, 32, 40);
+  textStyle(NORMAL);
+
+  fill(200);
+  textSize(12);
+  const heldPct = s.attempts > 0 ? Math.round((100 * s.solved) / s.attempts) : 0;
+  text(
+    `${s.rounds} round${s.rounds === 1 ? "" : "s"} (${s.completed} finished)  ·  ${s.attempts} letters, ${heldPct}% held  ·  ` +
+      `best streak ${s.bestStreak}  ·  ${Math.round(s.playedMs / 60000)} min played`,
+    32,
+    62
+  );
+
+  // letters: tinted by how often they were held, with the median time to hold them stable
+  const cellW = (width - 64) / 13;
+  LABELS.forEach((l, i) => {
+    const st = s.letters[l];
+    const x = 32 + (i % 13) * cellW;
+    const y = 86 + Math.floor(i / 13) * 44;
+    noStroke();
+    if (st.attempts === 0) fill(255, 20);
+    else {
+      const rate = st.solved / st.attempts;
+      fill(230 * (1 - rate) + 40, 190 * rate + 40, 70, 110);
+    }
+    rect(x + 2, y, cellW - 4, 40, 8);
+    if (l === statsLetter) {
+      noFill();
+      stroke(255);
+      strokeWeight(2);
+      rect(x + 2, y, cellW - 4, 40, 8);
+      noStroke();
+    }
+    fill(255);
+    textAlign(CENTER, TOP);
+    textStyle(BOLD);
+    textSize(14);
+    text(l, x + cellW / 2, y + 4);
+    textStyle(NORMAL);
+    textSize(10);
+    fill(220);
+    text(formatSecs(st.medianMs), x + cellW / 2, y + 23);
+  });
+
+  // the chosen letter, day by day: bar = median time to hold stable, below it held / tried
+  const trend = ASLHistory.letterTrend(statsRounds, statsLetter, Date.now(), STATS_DAYS);
+  const slowest = Math.max(1000, ...trend.map((d) => d.medianMs ?? 0));
+  const st = s.letters[statsLetter];
+  fill(255);
+  textAlign(LEFT, TOP);
+  textSize(13);
+  text(`${statsLetter} — last ${STATS_DAYS} days: ${st.solved}/${st.attempts} held, ${st.skips} skipped, median ${formatSecs(st.medianMs)}`, 32, 184);
+
+  const colW = (width - 64) / STATS_DAYS;
+  const base = 300;
+  trend.forEach((d, i) => {
+    const x = 32 + i * colW;
+    noStroke();
+    fill(255, 16);
+    rect(x + 4, base - 84, colW - 8, 84, 4);
+    if (d.medianMs != null) {
+      const h = (84 * d.medianMs) / slowest;
+      fill(255, 210);
+      rect(x + 4, base - h, colW - 8, h, 4);
+    }
+    fill(d.attempts > 0 ? 230 : 120);
+    textAlign(CENTER, TOP);
+    textSize(10);
+    text(new Date(d.day).getDate(), x + colW / 2, base + 4);
+    if (d.attempts > 0) text(`${d.solved}/${d.attempts}`, x + colW / 2, base + 17);
+  });
+
+  // latest rounds
+  fill(200);
+  textAlign(LEFT, TOP);
+  textSize(12);
+  text("Latest rounds", 32, 338);
+  statsRounds
+    .slice(-4)
+    .reverse()
+    .forEach((r, j) => {
+      const mins = Math.floor((r.endedAt - r.startedAt) / 60000);
+      const secs = String(Math.floor(((r.endedAt - r.startedAt) % 60000) / 1000)).padStart(2, "0");
+      const target = r.target.length > 12 ? `${r.target.slice(0, 12)}…` : r.target;
+      fill(r.completed ? 235 : 175);
+      text(
+        `${new Date(r.startedAt).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" })}  ` +
+          `${ROUND_NAMES[r.mode] ?? r.mode} ${target}  ·  ${r.solved} held  ·  ${r.skips} skipped  ·  ${r.backs} back  ·  ` +
+          `streak ${r.bestStreak}  ·  ${mins}:${secs}${r.completed ? "" : "  (unfinished)"}`,
+        32,
+        356 + j * 17
+      );
+    });
+  if (statsRounds.length === 0) {
+    fill(170);
+    text("No rounds yet — play A–Z, a word or practice", 32, 356);
   }
+
+  fill(200);
+  textAlign(LEFT, BOTTOM);
+  textSize(12);
+  text("A–Z / ←→ pick a letter  ·  Esc close", 32, height - 28);
+  pop();
 }
 
-/* ===================== kNN (distance-weighted) + gating ===================== */
+/* ===================== LESSON PACKS ===================== */
+
+// A pack replaces the one with the same id (progress on its words carries over)
+function importLessonPack(raw) {
+  const { pack, issues } = ASLLessons.readPack(raw);
+  const i = lessonPacks.findIndex((p) => p.id === pack.id);
+  if (i >= 0) lessonPacks[i] = pack;
+  else lessonPacks.push(pack);
+  lessonPacks.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  if (ws.store) ws.store.saveLessonPack(pack).catch((e) => (statusMsg = `Save failed — ${e.message}`));
+  if (lessonPlay?.pack.id === pack.id) lessonPlay = null;
+  if (issues.length > 0) console.warn(`Lesson pack "${pack.title}":`, issues);
+
+  const words = pack.units.reduce((n, u) => n + u.words.length, 0);
+  const note = issues.length > 0 ? ` — ${issues.length} fixed / left out (${issues[0]}${issues.length > 1 ? " …" : ""})` : "";
+  if (!lessonsMode) openLessons();
+  lessonSel = lessonPacks.indexOf(pack);
+  statusMsg = `Lesson pack "${pack.title}" ${i >= 0 ? "updated" : "imported"} ✅ ${pack.units.length} units, ${words} words${note}`;
+}
 
-function l2Distance(a, b) {
-  let s = 0;
-  for (let i = 0; i < a.length; i++) {
-    const d = a[i] - b[i];
-    s += d * d;
+// The next word not passed yet; once the pack is done, the words again in order
+function playLesson(pack) {
+  const next = ASLLessons.nextWord(lessonProgress, pack) ?? ASLLessons.wordAfter(pack, lessonPlay?.pack.id === pack.id ? lessonPlay : null);
+  startLessonWord({ pack, ...next });
+}
+
+function startLessonWord(play) {
+  lessonPlay = play;
+  wordInput.value(play.word);
+  startWord(play.word);
+  setMode(MODE_WORD);
+  statusMsg = `${play.pack.title} — ${play.pack.units[play.unit].title}: sign ${play.word}`;
+}
+
+// Scores the word just finished against the unit's pass criteria and saves the learner's progress
+function finishLessonWord() {
+  const { pack, unit, word } = lessonPlay;
+  const unitBefore = ASLLessons.unitPassed(lessonProgress, pack, unit);
+  const packBefore = ASLLessons.packStatus(lessonProgress, pack).complete;
+  const result = ASLLessons.scoreWord(word.length, wordHeld, wordSkipped, wordSkips);
+  const { passed, criteria } = ASLLessons.recordWord(lessonProgress, pack, unit, word, result, Date.now());
+  if (ws.store && ws.activeProfile) ws.store.saveLessonProgress(ws.activeProfile.id, lessonProgress).catch((e) => (statusMsg = `Save failed — ${e.message}`));
+
+  const pct = Math.round(100 * result.accuracy);
+  if (!passed) {
+    const skipRule = criteria.maxSkips != null ? `, at most ${criteria.maxSkips} skip${criteria.maxSkips === 1 ? "" : "s"}` : "";
+    statusMsg = `${word}: ${pct}% held, ${result.skips} skipped — needs ${Math.round(100 * criteria.minAccuracy)}%${skipRule} (ENTER to try again)`;
+  } else if (!packBefore && ASLLessons.packStatus(lessonProgress, pack).complete) {
+    statusMsg = `🏆 "${pack.title}" complete! (${pct}%)`;
+  } else if (!unitBefore && ASLLessons.unitPassed(lessonProgress, pack, unit)) {
+    statusMsg = `✅ Unit "${pack.units[unit].title}" passed — ENTER for the next unit`;
+  } else {
+    statusMsg = `✅ ${word} passed (${pct}%) — ENTER for the next word`;
   }
-  return Math.sqrt(s);
 }
 
-function classifyKNN(feats) {
-  const neighbors = [];
-  for (const label of ALL_LABELS) {
-    const arr = examples[label];
-    if (!arr || arr.length === 0) continue;
-    for (let i = 0; i < arr.length; i++) {
-      const d = l2Distance(feats, arr[i]);
-      neighbors.push({ label, d });
+function openLessons() {
+  lessonsMode = true;
+  lessonDeleteArmed = false;
+  recordMode = false;
+  recordLabel = null;
+  harvestMode = false;
+  uiHomeWrap.hide();
+  uiWordWrap.hide();
+  uiSpellWrap.hide();
+  lessonSel = constrain(lessonSel, 0, Math.max(0, lessonPacks.length - 1));
+}
+
+function closeLessons() {
+  lessonsMode = false;
+  lessonDeleteArmed = false;
+  setMode(mode);
+}
+
+function handleLessonsKey(k) {
+  const selected = lessonPacks[lessonSel];
+  if (k !== "X") lessonDeleteArmed = false;
+
+  if (k === "I" || k === "0") {
+    chooseImportFile();
+    return;
+  }
+
+  if (k === "X" && selected) {
+    if (!lessonDeleteArmed) {
+      lessonDeleteArmed = true;
+      statusMsg = `Press X again to remove "${selected.title}" (progress on it is kept)`;
+      return;
     }
+    lessonDeleteArmed = false;
+    lessonPacks.splice(lessonSel, 1);
+    lessonSel = constrain(lessonSel, 0, Math.max(0, lessonPacks.length - 1));
+    if (lessonPlay?.pack.id === selected.id) lessonPlay = null;
+    if (ws.store) ws.store.deleteLessonPack(selected.id).catch((e) => (statusMsg = `Save failed — ${e.message}`));
+    statusMsg = `Removed "${selected.title}"`;
+  }
+}
+
+// ↑/↓/ENTER/Esc → false (handled); letter keys fall through to keyTyped()
+function handleLessonsArrows() {
+  if (keyCode === ESCAPE) {
+    closeLessons();
+    return false;
   }
+  if (keyCode === UP_ARROW || keyCode === DOWN_ARROW) {
+    lessonDeleteArmed = false;
+    const step = keyCode === UP_ARROW ? -1 : 1;
+    lessonSel = constrain(lessonSel + step, 0, Math.max(0, lessonPacks.length - 1));
+    return false;
+  }
+  if (keyCode === ENTER) {
+    const selected = lessonPacks[lessonSel];
+    if (!selected) return false;
+    lessonsMode = false;
+    lessonDeleteArmed = false;
+    playLesson(selected);
+    return false;
+  }
+}
+
+function drawLessonsScreen() {
+  push();
+  noStroke();
+  fill(0, 185);
+  rect(0, 0, width, height);
+  pop();
 
-  if (neighbors.length === 0) return null;
+  drawCard(16, 16, width - 32, height - 32);
 
-  neighbors.sort((a, b) => a.d - b.d);
-  const k = Math.min(K, neighbors.length);
-  const topK = neighbors.slice(0, k);
+  push();
+  fill(255);
+  textAlign(LEFT, TOP);
+  textStyle(BOLD);
+  textSize(16);
+  text(`Lessons — ${ws.activeProfile ? ws.activeProfile.name : "…"}`, 32, 40);
+  textStyle(NORMAL);
 
-  const scores = {};
-  for (const { label, d } of topK) {
-    const w = 1 / (d + EPS);
-    scores[label] = (scores[label] || 0) + w;
+  fill(200);
+  textSize(12);
+  text(`${lessonPacks.length} pack${lessonPacks.length === 1 ? "" : "s"}  |  ✓ = complete`, 32, 62);
+
+  if (lessonPacks.length === 0) {
+    fill(220);
+    textSize(13);
+    text("No lesson packs yet — press I to import one (e.g. lessons/first-words.json)", 32, 92);
   }
 
-  let bestLabel = null,
-    bestScore = -Infinity;
-  let secondLabel = null,
-    secondScore = -Infinity;
+  // packs (4 rows, scrolling)
+  const maxRows = 4;
+  const first = constrain(lessonSel - maxRows + 1, 0, Math.max(0, lessonPacks.length - maxRows));
+  lessonPacks.slice(first, first + maxRows).forEach((p, j) => {
+    const i = first + j;
+    const y = 88 + j * DATASET_ROW_H;
+    const st = ASLLessons.packStatus(lessonProgress, p);
+    if (i === lessonSel) {
+      noStroke();
+      fill(255, lessonDeleteArmed ? 0 : 255, lessonDeleteArmed ? 0 : 255, 36);
+      rect(28, y - 4, width - 56, DATASET_ROW_H - 2, 8);
+    }
+    fill(255);
+    textSize(13);
+    text(`${st.complete ? "✓" : " "}  ${p.title}`, 36, y);
+    fill(190);
+    textAlign(RIGHT, TOP);
+    text(`units ${st.unitsPassed}/${st.units}  ·  words ${st.wordsPassed}/${st.words}`, width - 40, y);
+    textAlign(LEFT, TOP);
+  });
 
-  for (const label of Object.keys(scores)) {
-    const s = scores[label];
-    if (s > bestScore) {
-      secondScore = bestScore;
-      secondLabel = bestLabel;
-      bestScore = s;
-      bestLabel = label;
-    } else if (s > secondScore) {
-      secondScore = s;
-      secondLabel = label;
+  // the selected pack's units: ✓ passed, ▶ open, 🔒 not yet; each word ✓ or its best so far
+  const pack = lessonPacks[lessonSel];
+  if (pack) {
+    let y = 88 + maxRows * DATASET_ROW_H + 8;
+    if (pack.description) {
+      fill(200);
+      textSize(12);
+      text(pack.description.length > 90 ? `${pack.description.slice(0, 90)}…` : pack.description, 32, y);
+      y += 20;
+    }
+    const maxUnits = Math.floor((height - 80 - y) / LESSON_ROW_H);
+    pack.units.slice(0, maxUnits).forEach((unit, u) => {
+      const passed = ASLLessons.unitPassed(lessonProgress, pack, u);
+      const open = ASLLessons.unitOpen(lessonProgress, pack, u);
+      const c = ASLLessons.criteriaOf(pack, u);
+      fill(open ? 255 : 150);
+      textSize(13);
+      text(`${passed ? "✓" : open ? "▶" : "🔒"}  ${unit.title}`, 36, y);
+      const words = unit.words
+        .map((w) => {
+          const e = ASLLessons.wordEntry(lessonProgress, pack, u, w);
+          return e?.passed ? `${w} ✓` : e ? `${w} ${Math.round(100 * e.best)}%` : w;
+        })
+        .join("   ");
+      fill(open ? 210 : 130);
+      textSize(12);
+      const rule = `≥${Math.round(100 * c.minAccuracy)}%${c.maxSkips != null ? `, ≤${c.maxSkips} skip` : ""}`;
+      text(`${rule}   ${words.length > 64 ? `${words.slice(0, 64)}…` : words}`, 200, y + 1);
+      y += LESSON_ROW_H;
+    });
+    if (pack.units.length > maxUnits) {
+      fill(170);
+      text(`… and ${pack.units.length - maxUnits} more units`, 36, y);
     }
   }
 
-  if (!isFinite(secondScore)) secondScore = 0;
+  fill(200);
+  textAlign(LEFT, BOTTOM);
+  textSize(12);
+  text("↑↓ select  ·  ENTER play the next word (Word mode)  ·  I / 0 import a pack (JSON)  ·  X remove  ·  Esc close", 32, height - 28);
+  pop();
+}
 
-  let total = 0;
-  for (const s of Object.values(scores)) total += s;
+/* ===================== MLP TRAINING ===================== */
 
-  const conf = total > 0 ? bestScore / total : 0;
-  const secondConf = total > 0 ? secondScore / total : 0;
-  const margin = conf - secondConf;
+function drawTrainingView() {
+  if (!ws.trainJob) return;
 
-  if (bestLabel === NONE_LABEL) return { label: NONE_LABEL, conf, best: bestLabel, second: secondLabel, scores };
-  if (conf < MIN_CONF || margin < MIN_MARGIN) return { label: NONE_LABEL, conf, best: bestLabel, second: secondLabel, scores };
+  const w = 300;
+  const h = 96;
+  const x = (width - w) / 2;
+  const y = height - h - 24;
 
-  return { label: bestLabel, conf, best: bestLabel, second: secondLabel, scores };
+  drawCard(x, y, w, h);
+
+  push();
+  fill(255);
+  textAlign(LEFT, TOP);
+  textStyle(BOLD);
+  textSize(13);
+  const { title, stats } = ASLSession.trainingText(ws.trainJob);
+  text(title, x + 14, y + 24);
+
+  textStyle(NORMAL);
+  textSize(12);
+  fill(220);
+  text(stats, x + 14, y + 44);
+  pop();
+
+  drawProgressBar(x + 14, y + h - 22, w - 28, 7, ws.trainJob.progress);
 }
 
-/* ===================== SMOOTHING ===================== */
+/* ===================== THRESHOLD TUNING ===================== */
 
-function getSmoothedLabel() {
-  if (!lastLabel) return { label: null, conf: 0, stable: false };
+function drawTuningView() {
+  if (!ws.tuneJob) return;
 
-  const counts = {};
-  for (const l of smoothQueue) counts[l] = (counts[l] || 0) + 1;
+  const w = 300;
+  const h = 72;
+  const x = (width - w) / 2;
+  const y = height - h - 24;
 
-  let best = null,
-    bestCount = 0;
-  for (const [l, c] of Object.entries(counts)) {
-    if (c > bestCount) {
-      best = l;
-      bestCount = c;
-    }
-  }
+  drawCard(x, y, w, h);
+
+  push();
+  fill(255);
+  textAlign(LEFT, TOP);
+  textStyle(BOLD);
+  textSize(13);
+  text(`Tuning thresholds — ${nf(ws.tuneJob.progress * 100, 1, 0)}%`, x + 14, y + 20);
+  pop();
 
-  const stable = bestCount >= STABLE_MIN && lastConf >= MIN_CONF;
-  return { label: best, conf: lastConf, stable };
-}
\ No newline at end of file
+  drawProgressBar(x + 14, y + h - 22, w - 28, 7, ws.tuneJob.progress);
+}
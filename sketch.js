@@ -4,42 +4,66 @@
 // + NONE class + XY-only + rotation normalization + confidence+margin gating
 // + record mode via "-" key, hold-to-add debounce, robust import
 // + UPDATED: remove bottom info panel, crop canvas to video size, overlay prediction badge
+// + J/Z recorded as fingertip trajectories (hold the key while signing in record mode)
+// + evaluation screen ("2"): leave-one-out / 5-fold accuracy + confusion matrix, JSON/CSV export
+// + optional MLP backend: train in-browser with "3", switch kNN/MLP with "4"
+// + pluggable feature extractors ("6"), compared side by side on the evaluation screen
+// + handedness-aware tracking: dominant hand ("7"), left hands mirrored into right-hand features
+// + two-hand feature mode ("2 hands XY" extractor via "6"): records and classifies both hands
+// + live kNN on a packed index kept in step with add/undo (same results, no per-frame sort)
+// + auto-tuned K / conf / margin / smoothing ("8"), saved with the dataset as meta.tuning
+// + NONE on its own key ("9", since N is a letter) + harvest mode ("=") collecting NONE automatically
+// + IndexedDB storage: named datasets per profile ("5"), one record written per added example
+// + dataset schema v10 (shared with the game): files are migrated and validated on load / import
+// + import dialog: replace / append / per-label merge (duplicate + conflict checks), summary before commit
+// + bundled dataset as a read-only base model under your own examples ("B" on the datasets screen), Backspace resets to it
+// + example gallery ("/"): every example of a label as a hand skeleton, delete or relabel single ones
+// + review screen (","): likely mislabels / outliers ranked by suspicion, removed in bulk
+// + compact binary export (";", .aslb: packed Float32 + gzip), detected on import next to JSON
+// + synthetic variants of your own examples ("[": turned / bent / jittered copies, never saved) for kNN + MLP training
+// + personal calibration ("]"): sign each letter 3×, those takes outvote the dataset near your hand shapes; kept per profile
 
 let video;
 let handPose;
 let hands = [];
 
-const LABELS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ".split("");
-const NONE_LABEL = "NONE";
-const ALL_LABELS = [...LABELS, NONE_LABEL];
+// Shared, p5-free pieces live in core/ (loaded before this file in index.html)
+const { LABELS, NONE_LABEL, ALL_LABELS } = ASLDataset;
 
-// Data store
-const examples = {};
-ALL_LABELS.forEach((l) => (examples[l] = []));
+// The live dataset, classifier and open profile (ASLSession): examples hold the derived
+// features (the cache classification runs on), landmarks the raw 21×3 keypoints they came
+// from (42×3 with a second hand; null for older recordings). "6" cycles the feature extractor
+// (ASLFeatures.EXTRACTORS), "3" the classifier, "7" the dominant hand.
+const ws = ASLSession.createSession({ status: (msg) => (statusMsg = msg), stopCapture });
+const { examples, landmarks, sequences, motionState } = ws;
 
-// bumped because visuals + single-hand selection behavior is assumed
+// Motion letters (J, Z): recorded trajectories + live landmark buffer
+const { MOTION_LABELS } = ASLMotion;
+let seqRecordStartAt = null;
+
+// Datasets live in IndexedDB (ASLStore): profiles, each with named datasets ("5").
+// STORAGE_KEY is the old localStorage slot, read once to move its dataset into the store.
 const STORAGE_KEY = "asl_handpose_examples_v5_cleanui_singlehand";
+let storageReady = false;
 
-// Undo stack
-let addHistory = [];
+// The bundled dataset (ASLBase.BASE_FILE) is the read-only base model: examples[label] starts
+// with its examples, then the dataset's own. Only the own part is saved.
 
-// File input for importing JSON backups
+// File input for importing backups (JSON or compact .aslb)
 let importInput;
+// Import dialog: the file waits here until ENTER commits it (ASLMerge)
+let importDraft = null; // ASLWorkspace.createImportDraft(): { read, note, mode, actions, conflicts, sel, plan, ... }
+const IMPORT_ROW_H = 15;
 
 let isPredicting = true;
 
-// Prediction smoothing state
-let lastLabel = null;
-let lastConf = 0;
-
-let smoothQueue = [];
-const SMOOTH_N = 12;
-const STABLE_MIN = 9;
-
-// kNN + gating settings
-const K = 7;
-const MIN_CONF = 0.62;
-const MIN_MARGIN = 0.12;
+// Tuning ("8") and MLP training ("3") run a slice per frame within these budgets. The kNN,
+// gating and smoothing settings are ws.tuning { k, minConf, minMargin, smoothN, stableMin,
+// gameMinConf }: ASLTune.DEFAULTS until "8" tunes them on this dataset (saved as meta.tuning).
+// Synthetic variants ("[") only feed live kNN and MLP training; evaluation and tuning only
+// ever see the real examples.
+const TUNE_FRAME_BUDGET_MS = 12;
+const TRAIN_FRAME_BUDGET_MS = 12;
 const EPS = 1e-6;
 
 let statusMsg = "loading HandPose...";
@@ -54,9 +78,16 @@ let lastAddAt = 0;
 
 const held = {};
 
+// NONE gets its own key: "N" is a letter
+const NONE_KEY = "9";
+
+// Harvest mode ("=" key): NONE examples taken automatically from transitional / resting poses
+let harvestMode = false;
+const harvestState = ASLHarvest.createHarvestState();
+
 // ----- SINGLE-HAND SELECTION -----
-// If both hands are visible, we deterministically choose one.
-const TRACK_HAND = "RIGHT"; // "RIGHT" or "LEFT"
+// If both hands are visible, we track the signer's dominant hand (by ml5's handedness label).
+// "7" switches it; the setting belongs to the user (their profile), not the dataset.
 
 // ----- Visual config -----
 const VID_W = 640;
@@ -70,6 +101,35 @@ const BADGE_PAD = 14;
 const HUD_PAD = 12;
 const HUD_H = 34;
 
+// Evaluation screen ("2" key): cross-validation over the stored examples
+let evalMode = false;
+let evalJob = null;
+let evalReport = null;
+let evalFolds = 0; // 0 = leave-one-out
+let compareJob = null; // extractor comparison ("6" on the evaluation screen)
+const EVAL_FRAME_BUDGET_MS = 12;
+const EVAL_CELL = 11;
+
+// Datasets screen ("5")
+let datasetsMode = false;
+const datasetScreen = ASLWorkspace.createDatasetScreen(); // { list, profiles, sel, armed, busy }
+const DATASET_ROW_H = 26;
+
+// Gallery ("/"): one label's examples as hand skeletons (ASLGallery)
+let galleryMode = false;
+let galleryLabel = LABELS[0];
+let gallerySel = 0;
+let relabelArmed = false; // ENTER pressed: the next label key moves the selected example there
+const GALLERY_CELL = 70;
+
+// Review screen (","): examples ASLOutliers flags, most suspicious first
+let reviewMode = false;
+let reviewJob = null;
+let reviewReport = null;
+let reviewSel = 0;
+let reviewMarked = new Set(); // indices into reviewReport.flagged
+const REVIEW_ROW_H = 46;
+
 function preload() {
   // maxHands: 2 so we can choose left/right deterministically, but we only USE ONE
   const options = { maxHands: 2, flipped: true };
@@ -82,12 +142,10 @@ function setup() {
 
   importInput = createFileInput(handleImport, false);
   importInput.hide();
-  importInput.elt.accept = ".json,application/json";
+  importInput.elt.accept = `.json,${ASLBinary.EXTENSION},application/json`;
 
-  const loaded = loadDataset();
-  statusMsg = loaded
-    ? `Loaded ✅ (${totalExamples()} ex)`
-    : "Train NONE with N, then letters A–Z";
+  statusMsg = "Opening storage…";
+  openStorage();
 
   video = createCapture(VIDEO);
   video.size(VID_W, VID_H);
@@ -118,10 +176,12 @@ function draw() {
   // hand points (clean + minimal)
   drawHandKeypoints();
 
+  ASLMotion.pushMotionFrame(motionState, getTrackedLandmarks(), millis());
+
   const feats = getHandFeaturesSingle();
 
-  // record mode capture loop
-  if (recordMode && recordLabel) {
+  // record mode capture loop (J/Z are captured as one sequence per key hold instead)
+  if (recordMode && recordLabel && !MOTION_LABELS.includes(recordLabel)) {
     const now = millis();
     if (now - lastRecordAt >= RECORD_EVERY_MS) {
       const ok = addExample(recordLabel, { silent: true });
@@ -136,20 +196,42 @@ function draw() {
   }
 
   // prediction
-  if (isPredicting && feats && totalExamples() > 0) {
-    const res = classifyKNN(feats);
-    if (res) {
-      lastLabel = res.label;
-      lastConf = res.conf;
-
-      smoothQueue.push(lastLabel);
-      if (smoothQueue.length > SMOOTH_N) smoothQueue.shift();
-    }
-  }
+  let res = null;
+  if (isPredicting && feats && ASLSession.totalExamples(ws) > 0) res = ASLSession.predict(ws, feats, millis());
+
+  if (harvestMode) ASLSession.harvestNone(ws, harvestState, getTrackedLandmarks(), millis(), { feats, res });
 
   // overlay visuals
   drawPredictionBadge();
-  drawHUD(feats);
+  drawHUD();
+
+  if (ws.trainJob) {
+    ASLSession.stepTraining(ws, TRAIN_FRAME_BUDGET_MS, millis);
+    drawTrainingView();
+  }
+
+  if (ws.tuneJob) {
+    ASLSession.stepTuning(ws, TUNE_FRAME_BUDGET_MS, millis);
+    drawTuningView();
+  }
+
+  if (evalMode) {
+    stepEvaluation();
+    drawEvalScreen();
+  }
+
+  if (datasetsMode) drawDatasetsScreen();
+
+  if (galleryMode) drawGallery();
+
+  if (reviewMode) {
+    stepReview();
+    drawReviewScreen();
+  }
+
+  if (ws.calSession) drawCalibrationCard();
+
+  if (importDraft) drawImportDialog();
 }
 
 /* -------------------- visuals -------------------- */
@@ -173,13 +255,19 @@ function drawVignette() {
   pop();
 }
 
-function drawHUD(feats) {
+function drawHUD() {
   // minimal top-left pill
   const txt =
     (recordMode ? "REC ON" : "REC OFF") +
+    (harvestMode ? "  |  HARVEST" : "") +
     `  |  predict ${isPredicting ? "ON" : "OFF"}` +
-    `  |  hand ${feats ? "yes" : "no"}` +
-    `  |  ex ${totalExamples()}`;
+    `  |  hand ${handTag()}` +
+    `  |  ex ${ASLSession.totalExamples(ws)}` +
+    (ws.useAugment ? ` +${ASLSession.syntheticCount(ws)} synth` : "") +
+    (ws.calIndex.count > 0 ? "  |  calibrated" : "") +
+    `  |  seq ${ASLMotion.countSequences(sequences)}` +
+    `  |  ${ASLSession.backendTag(ws)}` +
+    `  |  ${ASLFeatures.getExtractor(ws.featureName).label}`;
 
   push();
   noStroke();
@@ -201,9 +289,9 @@ function drawHUD(feats) {
 }
 
 function drawPredictionBadge() {
-  if (!isPredicting || totalExamples() === 0) return;
+  if (!isPredicting || ASLSession.totalExamples(ws) === 0) return;
 
-  const sm = getSmoothedLabel(); // { label, conf, stable }
+  const sm = ASLSession.getSmoothedLabel(ws); // { label, conf, stable }
   if (!sm.label) return;
 
   // hide NONE
@@ -254,26 +342,26 @@ function textWidthSafe(s) {
 
 /* -------------------- hand selection + keypoints -------------------- */
 
-function getWristX(hand) {
-  const w = hand?.keypoints?.[0];
-  return w?.x ?? 0;
+function pickTrackedHand(rawHands) {
+  return ASLFeatures.pickTrackedHand(rawHands, ws.dominantHand);
 }
 
-function getValidHands(rawHands) {
-  return (rawHands || []).filter((h) => h?.keypoints && h.keypoints.length === 21);
+// Tracked hand's landmarks in right-hand form (left hands mirrored), or null.
+// Two-hand extractors also get the other visible hand (42 points).
+function getTrackedLandmarks() {
+  return ASLFeatures.trackedLandmarks(hands, ws.dominantHand, usesBothHands());
 }
 
-function sortHandsLeftToRight(rawHands) {
-  const valid = getValidHands(rawHands);
-  valid.sort((a, b) => getWristX(a) - getWristX(b));
-  return valid;
+function usesBothHands() {
+  return ASLFeatures.getExtractor(ws.featureName).hands === 2;
 }
 
-function pickTrackedHand(rawHands) {
-  const sorted = sortHandsLeftToRight(rawHands);
-  if (sorted.length === 0) return null;
-  if (sorted.length === 1) return sorted[0];
-  return TRACK_HAND === "RIGHT" ? sorted[sorted.length - 1] : sorted[0];
+function handTag() {
+  const hand = pickTrackedHand(hands);
+  if (!hand) return "no";
+  const side = ASLFeatures.getHandedness(hand) ?? ws.dominantHand;
+  const tag = side === "LEFT" ? "L ↔" : "R";
+  return usesBothHands() && ASLFeatures.getValidHands(hands).length > 1 ? `${tag} +1` : tag;
 }
 
 function drawHandKeypoints() {
@@ -290,68 +378,75 @@ function drawHandKeypoints() {
     const mx = width - kp.x;
     point(mx, kp.y);
   }
-  pop();
-}
 
-function getLandmarks21(hand) {
-  return hand.keypoints.map((k) => [k.x, k.y, k.z ?? 0]);
+  // second hand, dimmer, when the extractor reads it
+  if (usesBothHands()) {
+    stroke(255, 90);
+    strokeWeight(4);
+    for (const other of ASLFeatures.getValidHands(hands)) {
+      if (other === hand) continue;
+      for (const kp of other.keypoints) point(width - kp.x, kp.y);
+    }
+  }
+  pop();
 }
 
 /* -------------------- features -------------------- */
 
-function handToFeatsXYRotNorm(hand) {
-  const lm = getLandmarks21(hand);
-
-  const wrist = lm[0];
-  const midMcp = lm[9];
-
-  const wx = wrist[0], wy = wrist[1];
-  const dx = midMcp[0] - wx;
-  const dy = midMcp[1] - wy;
+function getHandFeaturesSingle() {
+  const lm = getTrackedLandmarks();
+  if (!lm) return null;
+  return ASLFeatures.featuresFromLandmarks(lm, ws.featureName);
+}
 
-  const scale = Math.sqrt(dx * dx + dy * dy) || 1;
+/* -------------------- input -------------------- */
 
-  const ang = Math.atan2(dy, dx);
-  const rot = (-Math.PI / 2) - ang;
-  const cosR = Math.cos(rot);
-  const sinR = Math.sin(rot);
+function keyTyped() {
+  if (!storageReady) return;
+  const k = key.toUpperCase();
 
-  const feats = [];
-  for (let i = 0; i < 21; i++) {
-    const x = (lm[i][0] - wx) / scale;
-    const y = (lm[i][1] - wy) / scale;
+  if (importDraft) {
+    ASLWorkspace.importKey(importDraft, k); // M mode, C conflicts
+    return;
+  }
 
-    const xr = x * cosR - y * sinR;
-    const yr = x * sinR + y * cosR;
+  if (evalMode) {
+    handleEvalKey(k);
+    return;
+  }
 
-    feats.push(xr, yr);
+  if (datasetsMode) {
+    ASLWorkspace.datasetScreenKey(datasetScreen, k, datasetCtx());
+    return;
   }
-  return feats;
-}
 
-function getHandFeaturesSingle() {
-  const hand = pickTrackedHand(hands);
-  if (!hand) return null;
-  return handToFeatsXYRotNorm(hand);
-}
+  if (galleryMode) {
+    handleGalleryKey(k);
+    return;
+  }
 
-/* -------------------- input -------------------- */
+  if (reviewMode) {
+    handleReviewKey(k);
+    return;
+  }
 
-function keyTyped() {
-  const k = key.toUpperCase();
+  if (ws.calSession) {
+    handleCalibrationKey(k);
+    return;
+  }
 
   if (LABELS.includes(k)) {
     if (!recordMode) addExample(k);
     return;
   }
 
-  if (k === "N") {
+  if (k === NONE_KEY) {
     if (!recordMode) addExample(NONE_LABEL);
     return;
   }
 
   if (k === ".") {
-    undoLast();
+    ASLSession.undoLast(ws);
     return;
   }
 
@@ -367,27 +462,110 @@ function keyTyped() {
     return;
   }
 
+  if (k === ";") {
+    exportCompact();
+    return;
+  }
+
+  if (k === "2") {
+    startEvaluation(evalFolds);
+    return;
+  }
+
+  if (k === "3") {
+    ASLSession.startTraining(ws);
+    return;
+  }
+
+  if (k === "4") {
+    ASLSession.toggleBackend(ws);
+    return;
+  }
+
+  if (k === "5") {
+    openDatasets();
+    return;
+  }
+
+  if (k === "6") {
+    ASLSession.cycleFeatureExtractor(ws);
+    return;
+  }
+
+  if (k === "7") {
+    ASLSession.toggleDominantHand(ws);
+    return;
+  }
+
+  if (k === "8") {
+    ASLSession.startTuning(ws);
+    return;
+  }
+
+  if (k === "/") {
+    openGallery();
+    return;
+  }
+
+  if (k === "[") {
+    ASLSession.toggleAugment(ws);
+    return;
+  }
+
+  if (k === "]") {
+    ASLSession.openCalibration(ws);
+    return;
+  }
+
+  if (k === ",") {
+    openReview();
+    return;
+  }
+
   if (k === "0") {
     importInput.elt.value = "";
     importInput.show();
-    statusMsg = "Choose a dataset JSON file…";
+    statusMsg = "Choose a dataset file (JSON or .aslb)…";
     return;
   }
 }
 
 function keyPressed() {
+  if (!storageReady) return false;
+
+  // returning false would also swallow the keyTyped() the screens read their letter keys from
+  if (importDraft) return handleImportArrows();
+
+  if (evalMode) {
+    if (keyCode !== ESCAPE) return;
+    closeEvaluation();
+    return false;
+  }
+
+  if (datasetsMode) return handleDatasetsArrows();
+  if (galleryMode) return handleGalleryArrows();
+  if (reviewMode) return handleReviewArrows();
+  if (ws.calSession) return handleCalibrationArrows();
+
   if (keyCode === BACKSPACE) {
-    clearAll();
+    ASLSession.clearAll(ws);
+    return false;
+  }
+
+  if (key === "=" || key === "+") {
+    toggleHarvestMode();
     return false;
   }
 
   if (key === "-" || key === "_") {
     recordMode = !recordMode;
+    if (recordMode) harvestMode = false;
     if (!recordMode) {
       recordLabel = null;
+      seqRecordStartAt = null;
       statusMsg = "Record mode OFF";
     } else {
-      statusMsg = "Record mode ON — hold A–Z or N";
+      statusMsg = `Record mode ON — hold A–Z or ${NONE_KEY} for NONE (J/Z: hold while signing the motion)`;
     }
     return false;
   }
@@ -397,10 +575,15 @@ function keyPressed() {
 
   if (recordMode) {
     if (LABELS.includes(k)) {
+      if (MOTION_LABELS.includes(k)) {
+        if (recordLabel !== k) seqRecordStartAt = millis();
+        statusMsg = `REC ● ${k} — sign the motion, then release`;
+      } else {
+        statusMsg = `REC ● ${k}`;
+      }
       recordLabel = k;
       lastRecordAt = 0;
-      statusMsg = `REC ● ${k}`;
-    } else if (k === "N") {
+    } else if (k === NONE_KEY) {
       recordLabel = NONE_LABEL;
       lastRecordAt = 0;
       statusMsg = "REC ● NONE";
@@ -414,8 +597,11 @@ function keyReleased() {
 
   if (recordMode) {
     const wasLetter = LABELS.includes(k) && recordLabel === k;
-    const wasNone = k === "N" && recordLabel === NONE_LABEL;
-    if (wasLetter || wasNone) {
+    const wasNone = k === NONE_KEY && recordLabel === NONE_LABEL;
+    if (wasLetter && MOTION_LABELS.includes(k)) {
+      addSequence(k);
+      recordLabel = null;
+    } else if (wasLetter || wasNone) {
       recordLabel = null;
       statusMsg = "REC ● paused";
     }
@@ -429,15 +615,13 @@ function addExample(label, opts = {}) {
   if (!opts.silent && now - lastAddAt < ADD_DEBOUNCE_MS) return false;
   lastAddAt = now;
 
-  const feats = getHandFeaturesSingle();
-  if (!feats) {
+  const lm = getTrackedLandmarks();
+  if (!lm) {
     if (!opts.silent) statusMsg = "No hand detected";
     return false;
   }
 
-  examples[label].push(feats);
-  addHistory.push(label);
-  saveDataset();
+  ASLSession.addExample(ws, label, lm);
 
   if (!opts.silent) {
     statusMsg =
@@ -448,256 +632,1133 @@ function addExample(label, opts = {}) {
   return true;
 }
 
-function undoLast() {
-  if (addHistory.length === 0) {
-    statusMsg = "Nothing to undo";
+function addSequence(label) {
+  const startedAt = seqRecordStartAt;
+  seqRecordStartAt = null;
+  if (startedAt == null) return false;
+
+  return ASLSession.addSequence(ws, label, startedAt, millis());
+}
+
+// The dataset was replaced or cleared under whatever was being recorded (ASLSession hook)
+function stopCapture() {
+  recordLabel = null;
+  recordMode = false;
+  harvestMode = false;
+  ASLHarvest.resetHarvestState(harvestState);
+}
+
+function toggleHarvestMode() {
+  harvestMode = !harvestMode;
+  ASLHarvest.resetHarvestState(harvestState);
+  if (harvestMode) {
+    recordMode = false;
+    recordLabel = null;
+    seqRecordStartAt = null;
+    statusMsg = "Harvest ON — move between letters and rest your hand to collect NONE";
+  } else {
+    statusMsg = `Harvest OFF (NONE ${examples[NONE_LABEL].length})`;
+  }
+}
+
+/* -------------------- persistence -------------------- */
+
+// Opens IndexedDB, moves a dataset left in localStorage by older versions into it and loads
+// the active profile's active dataset (ASLSession.openStorage). Keys wait for this (storageReady).
+async function openStorage() {
+  await ASLSession.openStorage(ws, ASLStore.openIndexedDB(), {
+    legacy: { storage: localStorage, key: STORAGE_KEY, name: "Trainer (from browser storage)" },
+    fetch,
+    empty: `Train NONE with ${NONE_KEY} (or harvest it with =), then letters A–Z`
+  });
+  storageReady = true;
+}
+
+/* -------------------- export / import -------------------- */
+
+function exportDataset() {
+  saveJSON(ASLSession.buildPayload(ws), "asl_handpose_dataset_singlehand.json");
+}
+
+// Same file stem as the JSON export, .aslb (ASLBinary): about an eighth of the size
+function exportCompact() {
+  ASLBinary.packDataset(ASLSession.buildPayload(ws))
+    .then((bytes) => {
+      downloadBytes(bytes, `asl_handpose_dataset_singlehand${ASLBinary.EXTENSION}`);
+      statusMsg = `Exported compact ✅ (${Math.ceil(bytes.length / 1024)} KB)`;
+    })
+    .catch((e) => (statusMsg = `Export failed — ${e.message}`));
+}
+
+function downloadBytes(bytes, filename) {
+  const url = URL.createObjectURL(new Blob([bytes], { type: "application/octet-stream" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// JSON (text / data URL) goes through parseMaybeJSON; a compact file is unpacked first
+async function handleImport(file) {
+  importInput.hide();
+
+  if (!file) {
+    statusMsg = "Import cancelled";
     return;
   }
 
-  const label = addHistory.pop();
-  if (examples[label].length > 0) {
-    examples[label].pop();
-    saveDataset();
-    statusMsg = `Undo: ${label}`;
-  } else {
-    saveDataset();
-    statusMsg = "Undo did nothing";
+  try {
+    const raw = await ASLWorkspace.readImportFile(file);
+    openImportDialog(ASLSchema.readDataset(raw));
+  } catch (e) {
+    statusMsg = `Import failed — ${e.message || "invalid JSON"}`;
   }
 }
 
-function clearAll() {
-  ALL_LABELS.forEach((l) => (examples[l] = []));
-  addHistory = [];
+/* -------------------- import dialog (replace / append / merge) -------------------- */
 
-  smoothQueue = [];
-  lastLabel = null;
-  lastConf = 0;
+// Nothing changes until ENTER: merge (the default with examples already here) only adds what
+// isn't a duplicate, append adds everything; replace takes the whole file, settings and model
+// included. Merge and append change what a trained MLP learned from, so it is dropped.
+function openImportDialog(read) {
+  importDraft = ASLWorkspace.createImportDraft(read, ws, {
+    feature: ws.featureName,
+    locked: ws.baseCounts
+  });
 
-  recordLabel = null;
   recordMode = false;
+  recordLabel = null;
+  harvestMode = false;
+  statusMsg = `Import: ${ASLDataset.countExamples(read.payload.examples)} ex in file${importDraft.note}`;
+}
 
-  localStorage.removeItem(STORAGE_KEY);
-  statusMsg = "Cleared dataset ✅";
+// ↑/↓ pick a label, ←/→ change its action (merge mode), ENTER commits, Esc cancels
+function handleImportArrows() {
+  if (keyCode === ESCAPE) {
+    importDraft = null;
+    statusMsg = "Import cancelled";
+    return false;
+  }
+  if (keyCode === ENTER) {
+    commitImport();
+    return false;
+  }
+  if (keyCode === UP_ARROW || keyCode === DOWN_ARROW) {
+    ASLWorkspace.moveImportSel(importDraft, keyCode === UP_ARROW ? -1 : 1);
+    return false;
+  }
+  if (keyCode === LEFT_ARROW || keyCode === RIGHT_ARROW) {
+    if (ASLWorkspace.cycleImportAction(importDraft, keyCode === LEFT_ARROW ? -1 : 1)) return false;
+  }
 }
 
-function totalExamples() {
-  return ALL_LABELS.reduce((sum, l) => sum + (examples[l]?.length || 0), 0);
+function commitImport() {
+  const d = importDraft;
+  importDraft = null;
+  ASLSession.commitImport(ws, d);
 }
 
-/* -------------------- persistence -------------------- */
+function drawImportDialog() {
+  const d = importDraft;
+  const { totals, rows } = d.plan;
 
-function saveDataset() {
-  const payload = {
-    version: 5,
-    savedAt: new Date().toISOString(),
-    examples: examples,
-    addHistory: addHistory,
-    meta: {
-      feature: "xy_rot_norm_singlehand",
-      trackHand: TRACK_HAND,
-      dims: 42,
-      k: K
+  push();
+  noStroke();
+  fill(0, 185);
+  rect(0, 0, width, height);
+
+  fill(20, 20, 24, 240);
+  rect(16, 16, width - 32, height - 32, 18);
+
+  fill(255);
+  textAlign(LEFT, TOP);
+  textStyle(BOLD);
+  textSize(16);
+  text(`Import — ${d.mode}`, 32, 28);
+  textStyle(NORMAL);
+
+  fill(220);
+  textSize(12);
+  const theirs = ASLDataset.countExamples(d.incoming.examples);
+  text(`file ${theirs} ex  |  here ${ASLSession.totalExamples(ws)} ex  |  conflicts: ${d.conflicts}`, 32, 52);
+
+  fill(255);
+  if (d.mode === "replace") {
+    text(`Everything here (${ASLSession.totalExamples(ws)} ex, settings, model) is replaced by the file.`, 32, 72);
+  } else {
+    text(
+      `+${totals.added} added  ·  ${totals.duplicates} duplicates  ·  ${totals.conflicts} conflicts  ·  ` +
+        `${totals.overwritten} overwritten  ·  ${totals.kept} left out`,
+      32,
+      72
+    );
+  }
+  const lost = d.incoming.rederived?.dropped || 0;
+  if (lost > 0 && d.mode !== "replace") {
+    fill(255, 200, 120);
+    text(`${lost} of the file's examples have no raw landmarks to convert to ${ASLFeatures.getExtractor(ws.featureName).label}`, 32, 88);
+  }
+
+  // per label: ours → result, and what happened to theirs
+  textSize(11);
+  const perCol = Math.ceil(rows.length / 2);
+  const colW = (width - 64) / 2;
+  rows.forEach((r, i) => {
+    const x = 32 + Math.floor(i / perCol) * colW;
+    const y = 110 + (i % perCol) * IMPORT_ROW_H;
+    if (i === d.sel && d.mode === "merge") {
+      fill(255, 36);
+      rect(x - 4, y - 2, colW - 8, IMPORT_ROW_H, 6);
     }
+    const name = r.label === NONE_LABEL ? "NONE" : r.label;
+    let detail = `${r.ours} + ${r.added}`;
+    if (r.duplicates) detail += `  dup ${r.duplicates}`;
+    if (r.conflicts) detail += `  conf ${r.conflicts}`;
+    if (r.overwritten) detail += `  −${r.overwritten}`;
+    if (r.seqAdded) detail += `  seq +${r.seqAdded}`;
+    fill(r.action === "keep" ? 150 : 235);
+    text(name, x, y);
+    text(`[${r.action}]`, x + 38, y);
+    fill(200);
+    text(`${detail}  (file ${r.theirs})`, x + 104, y);
+  });
+
+  fill(200);
+  textAlign(LEFT, BOTTOM);
+  textSize(12);
+  text("M mode (merge / append / replace)  ·  C conflicts skip / keep  ·  ↑↓ label  ·  ←→ action", 32, height - 46);
+  text("ENTER import  ·  Esc cancel", 32, height - 28);
+  pop();
+}
+
+/* -------------------- datasets & profiles ("5") -------------------- */
+
+// What the screen's keys act through (ASLWorkspace.datasetScreenKey)
+function datasetCtx() {
+  return {
+    store: ws.store,
+    profile: ws.activeProfile,
+    dataset: ws.activeDataset,
+    open: switchDataset,
+    openProfile: switchProfile,
+    ask: askName,
+    toggleBase: () => ASLSession.toggleBase(ws),
+    close: closeDatasets,
+    status: (msg) => (statusMsg = msg)
   };
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
 }
 
-function loadDataset() {
-  const raw = localStorage.getItem(STORAGE_KEY);
-  if (!raw) return false;
+// Runs one storage action at a time; errors end up in the status line.
+function datasetAction(fn) {
+  ASLWorkspace.runDatasetAction(datasetScreen, datasetCtx(), fn);
+}
 
-  try {
-    const payload = JSON.parse(raw);
-    if (!payload.examples) return false;
+function openDatasets() {
+  if (!ws.store) {
+    statusMsg = "Storage unavailable — datasets can't be managed";
+    return;
+  }
+  datasetsMode = true;
+  datasetScreen.armed = false;
+  recordMode = false;
+  recordLabel = null;
+  harvestMode = false;
+  datasetAction(() => refreshDatasets(ws.activeDataset?.id ?? null));
+}
 
-    ALL_LABELS.forEach((l) => {
-      const arr = payload.examples[l];
-      examples[l] = Array.isArray(arr) ? arr : [];
-    });
+function closeDatasets() {
+  datasetsMode = false;
+  datasetScreen.armed = false;
+  statusMsg = `Dataset "${ws.activeDataset?.name ?? "?"}" (${ASLSession.totalExamples(ws)} ex)`;
+}
 
-    addHistory = Array.isArray(payload.addHistory) ? payload.addHistory : [];
+// Selects dataset `id` when given
+function refreshDatasets(id = null) {
+  return ASLWorkspace.refreshDatasetScreen(datasetScreen, ws.store, ws.activeProfile.id, id);
+}
 
-    smoothQueue = [];
-    lastLabel = null;
-    lastConf = 0;
+async function switchDataset(id) {
+  const loaded = await ASLSession.openDataset(ws, id);
+  await refreshDatasets(ws.activeDataset.id);
+  statusMsg = `Opened "${ws.activeDataset.name}" (${ASLSession.totalExamples(ws)} ex)${loaded.note}`;
+}
 
-    recordLabel = null;
-    recordMode = false;
+async function switchProfile(profile) {
+  const loaded = await ASLSession.openProfile(ws, profile);
+  await refreshDatasets(ws.activeDataset.id);
+  statusMsg = `Profile "${profile.name}" — "${ws.activeDataset.name}" (${ASLSession.totalExamples(ws)} ex)${loaded.note}`;
+}
 
-    return true;
-  } catch (e) {
+function askName(message, fallback) {
+  const name = window.prompt(message, fallback);
+  return name && name.trim() ? name.trim().slice(0, 40) : null;
+}
+
+// ↑/↓/ENTER/Esc → false (handled); letter keys fall through to keyTyped()
+function handleDatasetsArrows() {
+  if (keyCode === ESCAPE) {
+    closeDatasets();
+    return false;
+  }
+  if (keyCode === UP_ARROW || keyCode === DOWN_ARROW) {
+    ASLWorkspace.moveDatasetSel(datasetScreen, keyCode === UP_ARROW ? -1 : 1);
+    return false;
+  }
+  if (keyCode === ENTER) {
+    ASLWorkspace.openSelectedDataset(datasetScreen, datasetCtx());
     return false;
   }
 }
 
-/* -------------------- export / import -------------------- */
+function drawDatasetsScreen() {
+  push();
+  noStroke();
+  fill(0, 185);
+  rect(0, 0, width, height);
 
-function exportDataset() {
-  const payload = {
-    version: 5,
-    savedAt: new Date().toISOString(),
-    examples: examples,
-    addHistory: addHistory,
-    meta: {
-      feature: "xy_rot_norm_singlehand",
-      trackHand: TRACK_HAND,
-      dims: 42,
-      k: K
+  fill(20, 20, 24, 240);
+  rect(16, 16, width - 32, height - 32, 18);
+
+  fill(255);
+  textAlign(LEFT, TOP);
+  textStyle(BOLD);
+  textSize(16);
+  text(`Datasets — ${ws.activeProfile ? ws.activeProfile.name : "…"}`, 32, 28);
+  textStyle(NORMAL);
+
+  fill(200);
+  textSize(12);
+  text(`${datasetScreen.profiles.length} profile${datasetScreen.profiles.length === 1 ? "" : "s"}  |  ● = open in the trainer`, 32, 50);
+
+  const maxRows = Math.floor((height - 170) / DATASET_ROW_H);
+  const first = constrain(datasetScreen.sel - maxRows + 1, 0, Math.max(0, datasetScreen.list.length - maxRows));
+  datasetScreen.list.slice(first, first + maxRows).forEach((d, j) => {
+    const i = first + j;
+    const y = 76 + j * DATASET_ROW_H;
+    if (i === datasetScreen.sel) {
+      fill(255, datasetScreen.armed ? 0 : 255, datasetScreen.armed ? 0 : 255, 36);
+      rect(28, y - 4, width - 56, DATASET_ROW_H - 2, 8);
     }
-  };
-  saveJSON(payload, "asl_handpose_dataset_singlehand.json");
+    fill(255);
+    textSize(13);
+    text(`${d.id === ws.activeDataset?.id ? "●" : " "}  ${d.name}`, 36, y);
+    fill(190);
+    textAlign(RIGHT, TOP);
+    const onBase = d.id === ws.activeDataset?.id ? ws.useBase : ASLBase.usesBase(d.meta, d.count);
+    text(`${d.count} ex${onBase ? " + base" : ""}  ·  ${new Date(d.updatedAt).toLocaleString()}`, width - 40, y);
+    textAlign(LEFT, TOP);
+  });
+
+  if (datasetScreen.busy) {
+    fill(220);
+    text("…", 32, height - 80);
+  }
+
+  fill(200);
+  textAlign(LEFT, BOTTOM);
+  textSize(12);
+  text("↑↓ select  ·  ENTER open  ·  N new  ·  R rename  ·  D duplicate  ·  X delete", 32, height - 46);
+  text("B base model on / off (open dataset)  ·  P next profile  ·  U new profile  ·  5 / Esc close", 32, height - 28);
+  pop();
 }
 
-function parseMaybeJSON(file) {
-  if (file && typeof file.data === "object" && file.data !== null) return file.data;
+/* -------------------- gallery (browse / delete / relabel examples) -------------------- */
 
-  if (file && typeof file.data === "string") {
-    const s = file.data.trim();
+function openGallery() {
+  galleryMode = true;
+  relabelArmed = false;
+  recordMode = false;
+  recordLabel = null;
+  harvestMode = false;
+  if (examples[galleryLabel].length === 0) galleryLabel = ALL_LABELS.find((l) => examples[l].length > 0) ?? LABELS[0];
+  gallerySel = constrain(gallerySel, 0, Math.max(0, examples[galleryLabel].length - 1));
+  statusMsg = "Gallery — letter / 9 picks a label";
+}
 
-    if (s.startsWith("data:")) {
-      const comma = s.indexOf(",");
-      if (comma === -1) throw new Error("Malformed data URL");
-      const meta = s.slice(0, comma);
-      const b64 = s.slice(comma + 1);
+function closeGallery() {
+  galleryMode = false;
+  relabelArmed = false;
+  statusMsg = `Dataset: ${ASLSession.totalExamples(ws)} ex`;
+}
 
-      if (meta.includes(";base64")) {
-        const txt = atob(b64);
-        return JSON.parse(txt);
-      } else {
-        const txt = decodeURIComponent(b64);
-        return JSON.parse(txt);
-      }
+function galleryColumns() {
+  return Math.floor((width - 48) / GALLERY_CELL);
+}
+
+// label keys: jump to that label, or (after ENTER) the label to move the selected example to
+function handleGalleryKey(k) {
+  if (k === "/") {
+    closeGallery();
+    return;
+  }
+
+  const label = k === NONE_KEY ? NONE_LABEL : LABELS.includes(k) ? k : null;
+  if (!label) return;
+
+  if (relabelArmed) {
+    relabelArmed = false;
+    relabelGalleryExample(label);
+    return;
+  }
+  galleryLabel = label;
+  gallerySel = 0;
+  statusMsg = `${label}: ${examples[label].length} ex`;
+}
+
+// arrows move, ENTER relabel, Backspace / Delete delete, Esc close → false (handled)
+function handleGalleryArrows() {
+  const n = examples[galleryLabel].length;
+  const cols = galleryColumns();
+
+  if (keyCode === ESCAPE) {
+    if (relabelArmed) {
+      relabelArmed = false;
+      statusMsg = "Relabel cancelled";
+    } else closeGallery();
+    return false;
+  }
+  if (keyCode === LEFT_ARROW || keyCode === RIGHT_ARROW || keyCode === UP_ARROW || keyCode === DOWN_ARROW) {
+    const step = { [LEFT_ARROW]: -1, [RIGHT_ARROW]: 1, [UP_ARROW]: -cols, [DOWN_ARROW]: cols }[keyCode];
+    gallerySel = constrain(gallerySel + step, 0, Math.max(0, n - 1));
+    return false;
+  }
+  if (keyCode === ENTER && n > 0) {
+    if (ASLGallery.isLocked(ws.baseCounts, galleryLabel, gallerySel)) {
+      statusMsg = "Base model example — read-only";
+      return false;
     }
+    relabelArmed = true;
+    statusMsg = `Move ${galleryLabel} #${gallerySel + 1} to… (letter / ${NONE_KEY} for NONE, Esc cancels)`;
+    return false;
+  }
+  if ((keyCode === BACKSPACE || keyCode === DELETE) && n > 0) {
+    deleteGalleryExample();
+    return false;
+  }
+}
+
+// The undo history loses the example's entry; the store drops its record only
+function deleteGalleryExample() {
+  const label = galleryLabel;
+  const i = gallerySel;
+  const removed = ASLGallery.removeExample(ws, label, i, ws.baseCounts);
+  if (!removed) {
+    statusMsg = "Base model example — read-only";
+    return;
+  }
+  afterGalleryEdit();
+  ASLSession.persist(ws, (id) => ws.store.removeExample(id, label, removed.own, removed.history));
+  gallerySel = constrain(i, 0, Math.max(0, examples[label].length - 1));
+  statusMsg = `Deleted ${label} #${i + 1} (${examples[label].length} left)`;
+}
 
-    return JSON.parse(s);
+function relabelGalleryExample(to) {
+  const from = galleryLabel;
+  const i = gallerySel;
+  const removed = ASLGallery.relabelExample(ws, from, i, to, ws.baseCounts);
+  if (!removed) {
+    statusMsg = to === from ? `Already ${to}` : "Base model example — read-only";
+    return;
   }
+  afterGalleryEdit();
+  ASLSession.persist(ws, (id) => ws.store.removeExample(id, from, removed.own, removed.history));
+  ASLSession.persist(ws, (id) => ws.store.appendExample(id, to, removed.feats, removed.lm));
+  gallerySel = constrain(i, 0, Math.max(0, examples[from].length - 1));
+  statusMsg = `Moved ${from} #${i + 1} to ${to} (${to} now ${examples[to].length})`;
+}
 
-  throw new Error("File data was empty or unreadable");
+// Examples left from the middle of a label: the packed index is rebuilt, not patched
+function afterGalleryEdit() {
+  ws.knnIndex = ASLKnn.createIndex(examples);
+  ASLSession.rebuildSynthetic(ws);
+  ASLSession.resetSmoothing(ws);
 }
 
-function handleImport(file) {
-  importInput.hide();
+function drawGallery() {
+  const list = examples[galleryLabel];
+  const cols = galleryColumns();
+  const rows = Math.floor((height - 170) / GALLERY_CELL);
+  const first = Math.max(0, Math.floor(gallerySel / cols) - rows + 1) * cols;
 
-  if (!file) {
-    statusMsg = "Import cancelled";
+  push();
+  noStroke();
+  fill(0, 185);
+  rect(0, 0, width, height);
+
+  fill(20, 20, 24, 240);
+  rect(16, 16, width - 32, height - 32, 18);
+
+  // label strip with counts
+  const stripW = (width - 48) / ALL_LABELS.length;
+  textAlign(CENTER, TOP);
+  ALL_LABELS.forEach((l, j) => {
+    const x = 24 + j * stripW;
+    if (l === galleryLabel) {
+      fill(255, 40);
+      rect(x, 26, stripW - 2, 34, 6);
+    }
+    fill(examples[l].length > 0 ? 255 : 120);
+    textSize(12);
+    text(l === NONE_LABEL ? "∅" : l, x + stripW / 2, 29);
+    fill(170);
+    textSize(9);
+    text(examples[l].length, x + stripW / 2, 46);
+  });
+
+  fill(255);
+  textAlign(LEFT, TOP);
+  textStyle(BOLD);
+  textSize(15);
+  text(galleryLabel, 32, 70);
+  textStyle(NORMAL);
+  fill(200);
+  textSize(12);
+  const base = ASLSession.baseCount(ws, galleryLabel);
+  text(`${list.length} ex${base ? `  (${base} base model, read-only)` : ""}  ·  ${gallerySel + (list.length ? 1 : 0)} / ${list.length}`, 80, 72);
+
+  if (list.length === 0) {
+    fill(170);
+    text("No examples for this label", 32, 100);
+  }
+
+  for (let i = first; i < Math.min(list.length, first + rows * cols); i++) {
+    const x = 24 + (i % cols) * GALLERY_CELL;
+    const y = 96 + (Math.floor(i / cols) - first / cols) * GALLERY_CELL;
+    const locked = ASLGallery.isLocked(ws.baseCounts, galleryLabel, i);
+    drawSkeletonCell(list[i], landmarks[galleryLabel][i], x, y, i === gallerySel, locked);
+  }
+
+  noStroke();
+  fill(200);
+  textAlign(LEFT, BOTTOM);
+  textSize(12);
+  text("letter / 9 label  ·  arrows select  ·  ENTER relabel  ·  Backspace delete  ·  / or Esc close", 32, height - 28);
+  pop();
+}
+
+function drawSkeletonCell(feats, lm, x, y, selected, locked, s = GALLERY_CELL - 6) {
+  noStroke();
+  fill(255, selected ? (relabelArmed ? 70 : 45) : 14);
+  rect(x, y, s, s, 8);
+  if (selected) {
+    noFill();
+    stroke(relabelArmed ? color(255, 210, 90) : color(255, 200));
+    strokeWeight(2);
+    rect(x, y, s, s, 8);
+  }
+
+  const pts = ASLGallery.skeletonPoints(feats, lm, ws.featureName);
+  if (!pts) {
+    noStroke();
+    fill(150);
+    textAlign(CENTER, CENTER);
+    textSize(10);
+    text("no skeleton", x + s / 2, y + s / 2);
     return;
   }
 
-  try {
-    const payload = parseMaybeJSON(file);
-    if (!payload || !payload.examples) throw new Error("Missing 'examples'");
+  // fit to the cell, mirrored like the webcam view
+  const xs = pts.map((p) => p[0]);
+  const ys = pts.map((p) => p[1]);
+  const minX = Math.min(...xs),
+    maxX = Math.max(...xs);
+  const minY = Math.min(...ys),
+    maxY = Math.max(...ys);
+  const scale = (s - 12) / Math.max(maxX - minX, maxY - minY, 1e-6);
+  const ox = x + s / 2 + ((maxX + minX) / 2) * scale;
+  const oy = y + s / 2 - ((maxY + minY) / 2) * scale;
+  const px = (p) => ox - p[0] * scale;
+  const py = (p) => oy + p[1] * scale;
+
+  strokeWeight(1.5);
+  for (let h = 0; h < pts.length; h += 21) {
+    stroke(locked ? 140 : 255, locked ? 170 : 255, locked ? 200 : 255, h === 0 ? 230 : 110);
+    for (const [a, b] of ASLGallery.HAND_BONES) {
+      if (pts[h + a] && pts[h + b]) line(px(pts[h + a]), py(pts[h + a]), px(pts[h + b]), py(pts[h + b]));
+    }
+  }
+}
 
-    ALL_LABELS.forEach((l) => {
-      const arr = payload.examples[l];
-      examples[l] = Array.isArray(arr) ? arr : [];
-    });
+/* -------------------- review (likely mislabels / outliers) -------------------- */
 
-    addHistory = Array.isArray(payload.addHistory) ? payload.addHistory : [];
+function openReview() {
+  reviewMode = true;
+  recordMode = false;
+  recordLabel = null;
+  harvestMode = false;
+  startReviewScan();
+}
 
-    saveDataset();
+// Scans with the live K; base model examples are neighbours but never flagged
+function startReviewScan() {
+  reviewJob = ASLOutliers.createScan(examples, { k: ws.tuning.k, locked: ws.baseCounts });
+  reviewReport = null;
+  reviewSel = 0;
+  reviewMarked = new Set();
+  statusMsg = "Review — checking examples…";
+}
 
-    smoothQueue = [];
-    lastLabel = null;
-    lastConf = 0;
+function closeReview() {
+  reviewMode = false;
+  reviewJob = null;
+  reviewReport = null;
+  reviewMarked = new Set();
+  statusMsg = `Dataset: ${ASLSession.totalExamples(ws)} ex`;
+}
 
-    recordLabel = null;
-    recordMode = false;
+function stepReview() {
+  if (!reviewJob || reviewJob.done) return;
 
-    statusMsg = `Imported ✅ (${totalExamples()} ex)`;
-  } catch (e) {
-    statusMsg = `Import failed — ${e.message || "invalid JSON"}`;
+  const until = millis() + EVAL_FRAME_BUDGET_MS;
+  while (!reviewJob.done && millis() < until) reviewJob.step(20);
+
+  if (reviewJob.done) {
+    reviewReport = reviewJob.report();
+    const { flagged, mislabels, outliers } = reviewReport;
+    statusMsg = flagged.length ? `Review: ${mislabels} likely mislabels, ${outliers} outliers` : "Review: nothing suspicious";
+  }
+}
+
+// Space mark, A mark all, C clear marks, "," close (letters are free here: no label keys)
+function handleReviewKey(k) {
+  if (k === ",") {
+    closeReview();
+    return;
+  }
+  if (!reviewReport) return;
+  const n = reviewReport.flagged.length;
+
+  if (k === " " && n > 0) {
+    if (reviewMarked.has(reviewSel)) reviewMarked.delete(reviewSel);
+    else reviewMarked.add(reviewSel);
+    reviewSel = Math.min(n - 1, reviewSel + 1);
+    return;
   }
+  if (k === "A") {
+    reviewMarked = new Set(reviewReport.flagged.map((_, i) => i));
+    return;
+  }
+  if (k === "C") reviewMarked = new Set();
 }
 
-/* -------------------- kNN (distance-weighted) + gating -------------------- */
+// ↑/↓ move, ENTER removes the marked examples, Esc closes → false (handled)
+function handleReviewArrows() {
+  if (keyCode === ESCAPE) {
+    closeReview();
+    return false;
+  }
+  if (!reviewReport) return;
+
+  if (keyCode === UP_ARROW || keyCode === DOWN_ARROW) {
+    const n = reviewReport.flagged.length;
+    reviewSel = constrain(reviewSel + (keyCode === UP_ARROW ? -1 : 1), 0, Math.max(0, n - 1));
+    return false;
+  }
+  if (keyCode === ENTER) {
+    removeMarkedExamples();
+    return false;
+  }
+}
+
+// Removes them highest index first per label (indices stay valid), then one full save and a fresh scan
+function removeMarkedExamples() {
+  if (reviewMarked.size === 0) {
+    statusMsg = "Nothing marked — Space marks the selected example, A marks all";
+    return;
+  }
+
+  const picked = [...reviewMarked].map((i) => reviewReport.flagged[i]);
+  let removed = 0;
+  for (const item of ASLOutliers.removalOrder(picked)) {
+    if (ASLGallery.removeExample(ws, item.label, item.i, ws.baseCounts)) removed++;
+  }
+
+  afterGalleryEdit();
+  ASLSession.saveDataset(ws);
+  startReviewScan();
+  statusMsg = `Removed ${removed} example${removed === 1 ? "" : "s"} ✅ — checking again…`;
+}
 
-function l2Distance(a, b) {
-  let s = 0;
-  for (let i = 0; i < a.length; i++) {
-    const d = a[i] - b[i];
-    s += d * d;
+// "7 / 7 neighbours are B" or "3.1× farther from A's centre than usual"
+function reviewReason(f) {
+  if (f.reason === "mislabel") {
+    const k = Math.round(f.foreign * ws.tuning.k);
+    return `mislabel? ${k} / ${ws.tuning.k} neighbours are other letters, mostly ${f.suggest}`;
   }
-  return Math.sqrt(s);
+  return `outlier: ${f.ratio.toFixed(1)}× farther from ${f.label}'s centre than usual`;
 }
 
-function classifyKNN(feats) {
-  const neighbors = [];
-  for (const label of ALL_LABELS) {
-    const arr = examples[label];
-    if (!arr || arr.length === 0) continue;
-    for (let i = 0; i < arr.length; i++) {
-      const d = l2Distance(feats, arr[i]);
-      neighbors.push({ label, d });
+function drawReviewScreen() {
+  push();
+  noStroke();
+  fill(0, 185);
+  rect(0, 0, width, height);
+
+  fill(20, 20, 24, 240);
+  rect(16, 16, width - 32, height - 32, 18);
+
+  fill(255);
+  textAlign(LEFT, TOP);
+  textStyle(BOLD);
+  textSize(16);
+  text("Review — likely mislabels and outliers", 32, 28);
+  textStyle(NORMAL);
+
+  if (!reviewReport) {
+    const t = reviewJob ? reviewJob.progress : 0;
+    fill(0, 160);
+    rect(32, 64, width - 64, 8, 999);
+    fill(255, 230);
+    rect(32, 64, (width - 64) * t, 8, 999);
+    fill(220);
+    textSize(12);
+    text(`Checking ${reviewJob ? reviewJob.total : 0} examples… ${Math.round(t * 100)}%`, 32, 80);
+    pop();
+    return;
+  }
+
+  const { flagged, checked, mislabels, outliers } = reviewReport;
+  fill(200);
+  textSize(12);
+  text(`${checked} checked  ·  ${mislabels} mislabels  ·  ${outliers} outliers  ·  ${reviewMarked.size} marked`, 32, 50);
+
+  if (flagged.length === 0) {
+    fill(170);
+    text("Nothing looks out of place.", 32, 80);
+  }
+
+  const maxRows = Math.floor((height - 150) / REVIEW_ROW_H);
+  const first = constrain(reviewSel - maxRows + 1, 0, Math.max(0, flagged.length - maxRows));
+  flagged.slice(first, first + maxRows).forEach((f, j) => {
+    const i = first + j;
+    const y = 74 + j * REVIEW_ROW_H;
+    const marked = reviewMarked.has(i);
+
+    noStroke();
+    if (i === reviewSel) {
+      fill(255, 30);
+      rect(28, y - 3, width - 56, REVIEW_ROW_H - 4, 8);
     }
+
+    // mark box
+    stroke(255, 180);
+    strokeWeight(1.5);
+    if (marked) fill(255, 90, 90);
+    else noFill();
+    rect(38, y + 12, 14, 14, 3);
+
+    drawSkeletonCell(examples[f.label][f.i], landmarks[f.label][f.i], 62, y, false, false, REVIEW_ROW_H - 8);
+
+    noStroke();
+    fill(255);
+    textAlign(LEFT, TOP);
+    textSize(13);
+    text(`${f.label} #${f.i + 1}`, 116, y + 4);
+    fill(190);
+    textSize(11);
+    text(reviewReason(f), 116, y + 22);
+
+    // suspicion
+    fill(0, 160);
+    rect(width - 140, y + 16, 96, 6, 999);
+    fill(f.reason === "mislabel" ? color(255, 150, 90) : color(255, 210, 90));
+    rect(width - 140, y + 16, 96 * f.score, 6, 999);
+  });
+
+  noStroke();
+  fill(200);
+  textAlign(LEFT, BOTTOM);
+  textSize(12);
+  text("↑↓ select  ·  Space mark  ·  A mark all  ·  C clear marks", 32, height - 46);
+  text("ENTER remove marked  ·  , / Esc close", 32, height - 28);
+  pop();
+}
+
+/* -------------------- evaluation (cross-validation) -------------------- */
+
+function startEvaluation(folds) {
+  evalMode = true;
+  evalFolds = folds;
+  evalReport = null;
+  compareJob = null;
+  evalJob = ASLEvaluate.createCrossValidation(examples, {
+    folds,
+    k: ws.tuning.k,
+    minConf: ws.tuning.minConf,
+    minMargin: ws.tuning.minMargin,
+    eps: EPS
+  });
+  recordLabel = null;
+  statusMsg = `Evaluating ${evalName()}…`;
+}
+
+function closeEvaluation() {
+  evalMode = false;
+  evalJob = null;
+  compareJob = null;
+  statusMsg = "Evaluation closed";
+}
+
+function evalName() {
+  return evalFolds > 0 ? `${evalFolds}-fold` : "leave-one-out";
+}
+
+// Cross-validates every extractor on the examples that have raw landmarks.
+function startComparison() {
+  compareJob = ASLEvaluate.createExtractorComparison(landmarks, {
+    folds: 5,
+    k: ws.tuning.k,
+    minConf: ws.tuning.minConf,
+    minMargin: ws.tuning.minMargin,
+    eps: EPS
+  });
+  statusMsg = "Comparing feature extractors (5-fold)…";
+}
+
+// Runs a slice of the job per frame so the camera keeps drawing.
+function stepEvaluation() {
+  if (compareJob) {
+    const until = millis() + EVAL_FRAME_BUDGET_MS;
+    while (!compareJob.done && millis() < until) compareJob.step(20);
+    return;
   }
 
-  if (neighbors.length === 0) return null;
+  if (!evalJob || evalJob.done) return;
 
-  neighbors.sort((a, b) => a.d - b.d);
-  const k = Math.min(K, neighbors.length);
-  const topK = neighbors.slice(0, k);
+  const until = millis() + EVAL_FRAME_BUDGET_MS;
+  while (!evalJob.done && millis() < until) evalJob.step(20);
 
-  const scores = {};
-  for (const { label, d } of topK) {
-    const w = 1 / (d + EPS);
-    scores[label] = (scores[label] || 0) + w;
+  if (evalJob.done) {
+    evalReport = evalJob.report();
+    statusMsg = `Evaluated ✅ ${evalName()} — ${nf(evalReport.accuracy * 100, 1, 1)}%`;
   }
+}
 
-  let bestLabel = null,
-    bestScore = -Infinity;
-  let secondLabel = null,
-    secondScore = -Infinity;
+function handleEvalKey(k) {
+  if (k === "2") {
+    closeEvaluation();
+    return;
+  }
+  if (k === "4") {
+    startEvaluation(0);
+    return;
+  }
+  if (k === "5") {
+    startEvaluation(5);
+    return;
+  }
+  if (k === "6") {
+    startComparison();
+    return;
+  }
+  if (k === "1") {
+    exportEvaluation();
+    return;
+  }
+}
 
-  for (const label of Object.keys(scores)) {
-    const s = scores[label];
-    if (s > bestScore) {
-      secondScore = bestScore;
-      secondLabel = bestLabel;
-      bestScore = s;
-      bestLabel = label;
-    } else if (s > secondScore) {
-      secondScore = s;
-      secondLabel = label;
+function exportEvaluation() {
+  if (compareJob) {
+    if (!compareJob.done) {
+      statusMsg = "Comparison still running…";
+      return;
     }
+    saveJSON(compareJob.rows, "asl_eval_features.json");
+    statusMsg = "Exported feature comparison JSON ✅";
+    return;
   }
 
-  if (!isFinite(secondScore)) secondScore = 0;
+  if (!evalReport) {
+    statusMsg = "Evaluation still running…";
+    return;
+  }
+  const tag = evalFolds > 0 ? `${evalFolds}fold` : "loo";
+  saveJSON(evalReport, `asl_eval_${tag}.json`);
+  saveStrings(ASLEvaluate.confusionToCSV(evalReport), `asl_eval_${tag}_confusion`, "csv");
+  saveStrings(ASLEvaluate.perLabelToCSV(evalReport), `asl_eval_${tag}_per_label`, "csv");
+  statusMsg = "Exported evaluation JSON + CSV ✅";
+}
 
-  let total = 0;
-  for (const s of Object.values(scores)) total += s;
+function drawEvalScreen() {
+  push();
+  noStroke();
+  fill(0, 185);
+  rect(0, 0, width, height);
 
-  const conf = total > 0 ? bestScore / total : 0;
-  const secondConf = total > 0 ? secondScore / total : 0;
-  const margin = conf - secondConf;
+  fill(20, 20, 24, 240);
+  rect(16, 16, width - 32, height - 32, 18);
 
-  if (bestLabel === NONE_LABEL) {
-    return { label: NONE_LABEL, conf, best: bestLabel, second: secondLabel, scores };
+  fill(255);
+  textAlign(LEFT, TOP);
+  textStyle(BOLD);
+  textSize(16);
+  text(compareJob ? "Feature extractors — 5-fold" : `Evaluation — ${evalName()}`, 32, 28);
+  textStyle(NORMAL);
+
+  if (compareJob) {
+    drawExtractorComparison(compareJob, 32, 60);
+    drawEvalFooter();
+    pop();
+    return;
   }
 
-  if (conf < MIN_CONF || margin < MIN_MARGIN) {
-    return { label: NONE_LABEL, conf, best: bestLabel, second: secondLabel, scores };
+  if (!evalReport) {
+    const t = evalJob ? evalJob.progress : 0;
+    fill(0, 160);
+    rect(32, 64, width - 64, 8, 999);
+    fill(255, 230);
+    rect(32, 64, (width - 64) * t, 8, 999);
+    fill(220);
+    textSize(12);
+    text(evalJob && evalJob.total === 0 ? "No examples to evaluate" : `${nf(t * 100, 1, 0)}%`, 32, 80);
+    drawEvalFooter();
+    pop();
+    return;
   }
 
-  return { label: bestLabel, conf, best: bestLabel, second: secondLabel, scores };
+  const r = evalReport;
+  fill(220);
+  textSize(12);
+  text(
+    `acc ${nf(r.accuracy * 100, 1, 1)}%  |  rejected ${nf(r.rejectRate * 100, 1, 1)}%` +
+      `  |  wrong ${nf(r.falseAcceptRate * 100, 1, 1)}%  |  n ${r.total}`,
+    32,
+    50
+  );
+
+  drawConfusionMatrix(r, 48, 86);
+  drawPerLabelTable(r, 380, 86);
+  drawEvalFooter();
+  pop();
+}
+
+// rows = true label, cols = predicted; shade = share of the row
+function drawConfusionMatrix(r, x0, y0) {
+  const n = r.labels.length;
+
+  textSize(8);
+  textAlign(CENTER, BOTTOM);
+  fill(200);
+  r.labels.forEach((l, i) => text(l === NONE_LABEL ? "∅" : l, x0 + i * EVAL_CELL + EVAL_CELL / 2, y0 - 1));
+  textAlign(RIGHT, CENTER);
+  r.labels.forEach((l, i) => text(l === NONE_LABEL ? "∅" : l, x0 - 3, y0 + i * EVAL_CELL + EVAL_CELL / 2));
+
+  for (let row = 0; row < n; row++) {
+    const rowN = r.perLabel[r.labels[row]].n;
+    for (let col = 0; col < n; col++) {
+      const c = r.matrix[row][col];
+      const share = rowN > 0 ? c / rowN : 0;
+      if (c === 0) fill(255, 10);
+      else if (row === col) fill(255, 40 + 215 * share);
+      else fill(255, 90, 90, 60 + 195 * share);
+      rect(x0 + col * EVAL_CELL, y0 + row * EVAL_CELL, EVAL_CELL - 1, EVAL_CELL - 1);
+    }
+  }
 }
 
-/* -------------------- smoothing -------------------- */
+function drawPerLabelTable(r, x0, y0) {
+  const rowH = 17;
+  const colW = 118;
 
-function getSmoothedLabel() {
-  if (!lastLabel) return { label: null, conf: 0, stable: false };
+  textSize(12);
+  r.labels.forEach((l, i) => {
+    const p = r.perLabel[l];
+    const x = x0 + Math.floor(i / 14) * colW;
+    const y = y0 + (i % 14) * rowH;
+    const acc = p.acc == null ? "—" : `${nf(p.acc * 100, 1, 0)}%`;
+
+    fill(p.acc != null && p.acc < 0.8 ? color(255, 140, 140) : color(235));
+    textAlign(LEFT, TOP);
+    textStyle(BOLD);
+    text(l, x, y);
+    textStyle(NORMAL);
+    textAlign(RIGHT, TOP);
+    text(acc, x + 74, y);
+    fill(160);
+    text(`${p.n}`, x + 104, y);
+  });
+}
 
-  const counts = {};
-  for (const l of smoothQueue) counts[l] = (counts[l] || 0) + 1;
+function drawExtractorComparison(job, x0, y0) {
+  const cols = [0, 170, 220, 270, 340, 420];
+  const rowH = 22;
 
-  let best = null,
-    bestCount = 0;
-  for (const [l, c] of Object.entries(counts)) {
-    if (c > bestCount) {
-      best = l;
-      bestCount = c;
+  fill(200);
+  textSize(12);
+  textAlign(LEFT, TOP);
+  ["extractor", "dims", "n", "acc", "rejected", "wrong"].forEach((h, i) => text(h, x0 + cols[i], y0));
+
+  job.rows.forEach((row, i) => {
+    const y = y0 + (i + 1) * rowH;
+    const r = row.report;
+    const active = row.name === ws.featureName;
+
+    fill(active ? 255 : 225);
+    textStyle(active ? BOLD : NORMAL);
+    text(`${row.label}${active ? "  •" : ""}`, x0 + cols[0], y);
+    textStyle(NORMAL);
+    text(`${row.dims}`, x0 + cols[1], y);
+    if (!r) {
+      fill(160);
+      text("…", x0 + cols[2], y);
+      return;
     }
+    text(`${r.total}`, x0 + cols[2], y);
+    text(`${nf(r.accuracy * 100, 1, 1)}%`, x0 + cols[3], y);
+    text(`${nf(r.rejectRate * 100, 1, 1)}%`, x0 + cols[4], y);
+    text(`${nf(r.falseAcceptRate * 100, 1, 1)}%`, x0 + cols[5], y);
+  });
+
+  const barY = y0 + (job.rows.length + 1) * rowH + 10;
+  fill(0, 160);
+  rect(x0, barY, width - 2 * x0, 7, 999);
+  fill(255, 230);
+  rect(x0, barY, (width - 2 * x0) * job.progress, 7, 999);
+
+  fill(170);
+  textSize(11);
+  text("Only examples with raw landmarks take part.  • = active extractor (6 outside this screen switches)", x0, barY + 16);
+}
+
+function drawEvalFooter() {
+  fill(200);
+  textAlign(LEFT, BOTTOM);
+  textSize(12);
+  text("1 export  ·  4 leave-one-out  ·  5 5-fold  ·  6 compare features  ·  2 / Esc close", 32, height - 28);
+}
+
+/* -------------------- calibration ("]") -------------------- */
+
+function handleCalibrationKey(k) {
+  ASLSession.calibrationKey(ws, k, getTrackedLandmarks());
+}
+
+function handleCalibrationArrows() {
+  if (keyCode === ESCAPE) ASLSession.cancelCalibration(ws);
+  else if (keyCode === ENTER) ASLSession.finishCalibration(ws);
+  else if (keyCode === RIGHT_ARROW) ASLSession.skipCalibrationLetter(ws);
+  else return;
+  return false;
+}
+
+function drawCalibrationCard() {
+  const target = ASLCalibrate.sessionTarget(ws.calSession);
+  if (!target) return;
+  const taken = ws.calSession.takes[target]?.length || 0;
+
+  const w = 420;
+  const h = 112;
+  const x = (width - w) / 2;
+  const y = height - h - 24;
+
+  push();
+  noStroke();
+  fill(0, 140);
+  rect(x + 3, y + 4, w, h, 18);
+  fill(20, 20, 24, 230);
+  rect(x, y, w, h, 18);
+
+  fill(255);
+  textAlign(CENTER, CENTER);
+  textStyle(BOLD);
+  textSize(52);
+  text(target, x + 52, y + 50);
+
+  textAlign(LEFT, TOP);
+  textSize(13);
+  text(`Calibrating — ${ws.activeProfile.name}`, x + 104, y + 14);
+
+  textStyle(NORMAL);
+  textSize(12);
+  fill(220);
+  text(`Sign ${target}, Space to take it (${taken}/${ws.calSession.perLabel})`, x + 104, y + 36);
+  text(`letter ${ws.calSession.at + 1}/${ws.calSession.labels.length}`, x + 104, y + 54);
+
+  fill(170);
+  textSize(11);
+  text(". undo  ·  → skip  ·  ] / Enter save  ·  X forget saved  ·  Esc cancel", x + 14, y + h - 22);
+  pop();
+}
+
+/* -------------------- MLP training -------------------- */
+
+function drawTrainingView() {
+  if (!ws.trainJob) return;
+
+  const w = 300;
+  const h = 96;
+  const x = (width - w) / 2;
+  const y = height - h - 24;
+
+  push();
+  noStroke();
+  fill(0, 140);
+  rect(x + 3, y + 4, w, h, 18);
+  fill(20, 20, 24, 230);
+  rect(x, y, w, h, 18);
+
+  fill(255);
+  textAlign(LEFT, TOP);
+  textStyle(BOLD);
+  textSize(13);
+  const { title, stats } = ASLSession.trainingText(ws.trainJob, "  |  ");
+  text(title, x + 14, y + 12);
+
+  textStyle(NORMAL);
+  textSize(12);
+  fill(220);
+  text(stats, x + 14, y + 32);
+
+  fill(0, 160);
+  rect(x + 14, y + 54, w - 28, 7, 999);
+  fill(255, 230);
+  rect(x + 14, y + 54, (w - 28) * ws.trainJob.progress, 7, 999);
+
+  // loss curve
+  const hist = ws.trainJob.history;
+  if (hist.length > 1) {
+    const maxLoss = Math.max(...hist.map((e) => e.loss));
+    stroke(255, 200);
+    strokeWeight(1.5);
+    noFill();
+    beginShape();
+    hist.forEach((e, i) => {
+      const px = x + 14 + ((w - 28) * i) / Math.max(1, ws.trainJob.epochs - 1);
+      const py = y + h - 12 - (e.loss / maxLoss) * 18;
+      vertex(px, py);
+    });
+    endShape();
   }
+  pop();
+}
+
+/* -------------------- threshold tuning -------------------- */
 
-  const stable = bestCount >= STABLE_MIN && lastConf >= MIN_CONF;
-  return { label: best, conf: lastConf, stable };
-}
\ No newline at end of file
+function drawTuningView() {
+  if (!ws.tuneJob) return;
+
+  const w = 300;
+  const h = 64;
+  const x = (width - w) / 2;
+  const y = height - h - 24;
+
+  push();
+  noStroke();
+  fill(0, 140);
+  rect(x + 3, y + 4, w, h, 18);
+  fill(20, 20, 24, 230);
+  rect(x, y, w, h, 18);
+
+  fill(255);
+  textAlign(LEFT, TOP);
+  textStyle(BOLD);
+  textSize(13);
+  text(`Tuning thresholds — ${nf(ws.tuneJob.progress * 100, 1, 0)}%`, x + 14, y + 12);
+
+  fill(0, 160);
+  rect(x + 14, y + 40, w - 28, 7, 999);
+  fill(255, 230);
+  rect(x + 14, y + 40, (w - 28) * ws.tuneJob.progress, 7, 999);
+  pop();
+}
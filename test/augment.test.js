@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLDataset = require("../core/dataset");
+const ASLFeatures = require("../core/features");
+const ASLKnn = require("../core/knn");
+const ASLAugment = require("../core/augment");
+const { loadBundled } = require("./fixtures");
+
+const STILL = { turn: 0, scale: 0, jitter: 0, bend: 0 };
+
+function close(a, b, tol = 1e-9) {
+  assert.equal(a.length, b.length);
+  a.forEach((v, j) => assert.ok(Math.abs(v - b[j]) <= tol, `value ${j}: ${v} vs ${b[j]}`));
+}
+
+test("variants are repeatable per example and differ between examples", () => {
+  const examples = ASLDataset.readExamples(loadBundled());
+  const a = ASLAugment.variantsOf("B", 0, examples.B[0], null, ASLFeatures.FEATURE_NAME);
+  const b = ASLAugment.variantsOf("B", 0, examples.B[0], null, ASLFeatures.FEATURE_NAME);
+  const other = ASLAugment.variantsOf("B", 1, examples.B[0], null, ASLFeatures.FEATURE_NAME);
+
+  assert.equal(a.length, ASLAugment.DEFAULTS.perExample);
+  assert.deepEqual(a, b);
+  assert.notDeepEqual(a[0], other[0]);
+  assert.notDeepEqual(a[0], a[1]);
+  for (const f of a) assert.equal(f.length, ASLFeatures.FEATURE_DIMS);
+});
+
+test("with every perturbation off a variant is the example", () => {
+  const feats = ASLDataset.readExamples(loadBundled()).L[2];
+  const [plain] = ASLAugment.variantsOf("L", 2, feats, null, ASLFeatures.FEATURE_NAME, { ...STILL, perExample: 1 });
+
+  close(plain, feats);
+});
+
+test("variants stay with their label under the kNN", () => {
+  const examples = ASLDataset.readExamples(loadBundled());
+  let right = 0;
+  let total = 0;
+  for (const label of ["A", "B", "C", "L", "V", "Y"]) {
+    const rest = { ...examples, [label]: examples[label].slice(1) };
+    for (const f of ASLAugment.variantsOf(label, 0, examples[label][0], null, ASLFeatures.FEATURE_NAME)) {
+      total++;
+      if (ASLKnn.classifyKNN(f, rest).best === label) right++;
+    }
+  }
+  assert.ok(right / total >= 0.8, `${right}/${total} variants kept their label`);
+});
+
+test("augmentExamples skips locked prefixes and examples it can't rebuild", () => {
+  const bundled = ASLDataset.readExamples(loadBundled());
+  const examples = ASLDataset.createEmptyExamples();
+  const landmarks = ASLDataset.createEmptyExamples();
+  examples.A = bundled.A.slice(0, 4);
+  landmarks.A = [null, null, null, null];
+  const lm = [];
+  for (let i = 0; i < 21; i++) lm.push([bundled.B[0][i * 2], bundled.B[0][i * 2 + 1], 0]);
+  examples.B = [ASLFeatures.featuresFromLandmarks(lm, "joint_angles"), [1, 2, 3]];
+  landmarks.B = [lm, null];
+
+  const xy = ASLAugment.augmentExamples(examples, landmarks, ASLFeatures.FEATURE_NAME, { perExample: 2, from: { A: 3 } });
+  assert.equal(xy.examples.A.length, 2);
+  assert.deepEqual(xy.examples.A, ASLAugment.variantsOf("A", 3, examples.A[3], null, ASLFeatures.FEATURE_NAME, { perExample: 2 }));
+
+  const angles = ASLAugment.augmentExamples(examples, landmarks, "joint_angles", { perExample: 2, from: { A: 4 } });
+  assert.equal(angles.examples.B.length, 2);
+  assert.equal(angles.count, 2);
+  assert.equal(angles.skipped, 1);
+  for (const f of angles.examples.B) assert.equal(f.length, ASLFeatures.getExtractor("joint_angles").dims);
+
+  const merged = ASLAugment.withSynthetic(examples, angles.examples);
+  assert.equal(merged.B.length, 4);
+  assert.equal(examples.B.length, 2);
+});
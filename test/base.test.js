@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLBase = require("../core/base");
+const ASLMerge = require("../core/merge");
+const ASLSchema = require("../core/schema");
+const ASLDataset = require("../core/dataset");
+const ASLFeatures = require("../core/features");
+const { loadBundled } = require("./fixtures");
+
+const FEATURE = ASLFeatures.FEATURE_NAME;
+
+function baseInFeatureSpace(featureName = FEATURE) {
+  return ASLMerge.toFeatureSpace(ASLSchema.readDataset(loadBundled()).payload, featureName);
+}
+
+function ownWith(label, feats) {
+  const examples = ASLDataset.createEmptyExamples();
+  const landmarks = ASLDataset.createEmptyExamples();
+  examples[label] = feats;
+  landmarks[label] = feats.map(() => null);
+  return { examples, landmarks };
+}
+
+test("a dataset without its own examples sits on the base until it says otherwise", () => {
+  assert.equal(ASLBase.usesBase(null, 0), true);
+  assert.equal(ASLBase.usesBase({ feature: FEATURE }, 0), true);
+  assert.equal(ASLBase.usesBase({ feature: FEATURE }, 12), false);
+  assert.equal(ASLBase.usesBase({ base: ASLBase.BASE_ID }, 12), true);
+  assert.equal(ASLBase.usesBase({ base: null }, 0), false);
+});
+
+test("own examples layer on top of the base and come back out unchanged", () => {
+  const base = baseInFeatureSpace();
+  const mine = base.examples.A.slice(0, 2).map((f) => f.map((v) => v + 0.02));
+  const own = ownWith("A", mine);
+
+  const layered = ASLBase.layerBase(base, own);
+  assert.equal(layered.counts.A, base.examples.A.length);
+  assert.equal(ASLBase.countBase(layered.counts), ASLDataset.countExamples(base.examples));
+  assert.deepEqual(layered.examples.A.slice(-2), mine);
+  for (const l of ASLDataset.ALL_LABELS) assert.equal(layered.landmarks[l].length, layered.examples[l].length);
+
+  const back = ASLBase.ownPart(layered.examples, layered.landmarks, layered.counts);
+  assert.deepEqual(back.examples, own.examples);
+  assert.deepEqual(back.landmarks, own.landmarks);
+
+  // nothing layered: everything is the dataset's own
+  assert.deepEqual(ASLBase.ownPart(own.examples, own.landmarks, null).examples, own.examples);
+});
+
+test("the base is left out when the sketch runs an extractor it can't be converted to", () => {
+  const base = baseInFeatureSpace("joint_angles"); // bundled examples have no raw landmarks
+  const layered = ASLBase.layerBase(base, ownWith("B", []));
+  assert.equal(ASLBase.countBase(layered.counts), 0);
+});
+
+test("overwriting a label on import keeps its read-only base examples", () => {
+  const base = baseInFeatureSpace();
+  const layered = ASLBase.layerBase(base, ownWith("C", [base.examples.C[0].map((v) => v + 0.05)]));
+  const theirs = ASLMerge.toFeatureSpace(
+    { ...ownWith("C", [base.examples.C[1].map((v) => v - 0.05)]), meta: { feature: FEATURE, featureVersion: 1, dims: 42 } },
+    FEATURE
+  );
+
+  const plan = ASLMerge.planImport({ ...layered, addHistory: ["C"] }, theirs, {
+    mode: "merge",
+    actions: { C: "overwrite" },
+    locked: layered.counts,
+  });
+  const C = plan.result.examples.C;
+  assert.equal(C.length, layered.counts.C + 1);
+  assert.deepEqual(C.slice(0, layered.counts.C), base.examples.C);
+  assert.deepEqual(C[C.length - 1], theirs.examples.C[0]);
+  assert.equal(plan.totals.overwritten, 1);
+});
@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLBinary = require("../core/binary");
+const ASLDataset = require("../core/dataset");
+const ASLSchema = require("../core/schema");
+const { loadBundled } = require("./fixtures");
+
+const f32 = (v) => Math.fround(v);
+
+function bundledPayload() {
+  return ASLSchema.readDataset(loadBundled()).payload;
+}
+
+test("the bundled dataset packs to a fraction of its JSON and reads back to the nearest Float32", async () => {
+  const payload = bundledPayload();
+  const bytes = await ASLBinary.packDataset(payload);
+  assert.ok(bytes.length < JSON.stringify(payload).length / 4, `${bytes.length} bytes`);
+
+  const back = await ASLBinary.unpackDataset(bytes);
+  for (const l of ASLDataset.ALL_LABELS) {
+    assert.equal(back.examples[l].length, payload.examples[l].length);
+    back.examples[l].forEach((f, i) => assert.deepEqual(f, payload.examples[l][i].map(f32)));
+  }
+  assert.deepEqual(back.meta, payload.meta);
+  assert.deepEqual(back.addHistory, payload.addHistory);
+
+  const read = ASLSchema.readDataset(back);
+  assert.equal(read.issues.length, 0);
+});
+
+test("landmarks of one and two hands, sequences and missing landmarks survive the trip", async () => {
+  const payload = bundledPayload();
+  const one = Array.from({ length: 21 }, (_, i) => [i / 64, 1 - i / 64, 0.25]);
+  const two = Array.from({ length: 42 }, (_, i) => [i / 128, 0.5, -0.125]);
+  payload.landmarks.A[0] = one;
+  payload.landmarks.B[3] = two;
+  payload.sequences = { J: [[[0, 0, 0.5, 0.5], [0.25, 0.25, 0.75, 0.75]]], Z: [] };
+
+  const back = await ASLBinary.unpackDataset(await ASLBinary.packDataset(payload));
+  assert.deepEqual(back.landmarks.A[0], one);
+  assert.deepEqual(back.landmarks.B[3], two);
+  assert.equal(back.landmarks.A[1], null);
+  assert.deepEqual(back.sequences, payload.sequences);
+});
+
+test("p5 hands the file over as a base64 data URL: detected here, refused by parseMaybeJSON", async () => {
+  const bytes = await ASLBinary.packDataset(bundledPayload());
+  const file = { data: `data:application/octet-stream;base64,${Buffer.from(bytes).toString("base64")}` };
+
+  assert.deepEqual(ASLBinary.packedBytesOf(file), bytes);
+  assert.throws(() => ASLDataset.parseMaybeJSON(file), /Compact binary dataset/);
+
+  // JSON stays with parseMaybeJSON
+  const json = { data: `data:application/json;base64,${Buffer.from("{}").toString("base64")}` };
+  assert.equal(ASLBinary.packedBytesOf(json), null);
+  assert.equal(ASLBinary.packedBytesOf({ data: { examples: {} } }), null);
+});
+
+test("newer formats and foreign bytes are refused", async () => {
+  const bytes = await ASLBinary.packDataset(bundledPayload());
+  bytes[4] = ASLBinary.FORMAT_VERSION + 1;
+  await assert.rejects(ASLBinary.unpackDataset(bytes), /newer/);
+  await assert.rejects(ASLBinary.unpackDataset(new Uint8Array([1, 2, 3, 4, 5])), /Not a compact dataset/);
+});
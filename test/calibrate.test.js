@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLDataset = require("../core/dataset");
+const ASLKnn = require("../core/knn");
+const ASLCalibrate = require("../core/calibrate");
+
+test("a session walks the letters, takes back takes across letters and counts hits", () => {
+  const s = ASLCalibrate.createSession({ labels: ["A", "B", "C"], takes: 2 });
+  assert.equal(ASLCalibrate.sessionTarget(s), "A");
+
+  assert.equal(ASLCalibrate.addTake(s, [0], null, true), "A");
+  assert.equal(ASLCalibrate.addTake(s, [1], null), "A");
+  assert.equal(ASLCalibrate.sessionTarget(s), "B");
+  assert.equal(ASLCalibrate.undoTake(s), "A");
+  assert.equal(ASLCalibrate.sessionTarget(s), "A");
+  assert.equal(ASLCalibrate.addTake(s, [2], null, true), "A");
+
+  assert.equal(ASLCalibrate.skipLabel(s), "B");
+  assert.equal(ASLCalibrate.addTake(s, [3], null), "C");
+  assert.equal(ASLCalibrate.addTake(s, [4], null), "C");
+  assert.equal(ASLCalibrate.sessionTarget(s), null);
+  assert.equal(ASLCalibrate.addTake(s, [5], null), null);
+  assert.deepEqual([s.count, s.hits], [4, 2]);
+
+  // B was skipped: undo goes straight back to C, then A
+  assert.equal(ASLCalibrate.undoTake(s), "C");
+  assert.equal(ASLCalibrate.undoTake(s), "C");
+  assert.equal(ASLCalibrate.undoTake(s), "A");
+  assert.deepEqual([s.count, s.hits], [1, 1]);
+  assert.equal(ASLCalibrate.sessionTarget(s), "A");
+});
+
+test("a new calibration replaces the letters it retook and keeps the others", () => {
+  const previous = { examples: { A: [[1], [2]], B: [[3]] }, landmarks: { A: [null, [[0, 0, 0]]] } };
+  const s = ASLCalibrate.createSession({ labels: ["B", "C"], takes: 1 });
+  ASLCalibrate.addTake(s, [7], [[1, 1, 1]]);
+  ASLCalibrate.addTake(s, [8], null);
+
+  const cal = ASLCalibrate.sessionPayload(s, previous, { feature: "xy_rot_norm_singlehand" });
+  assert.deepEqual(cal.examples.A, [[1], [2]]);
+  assert.deepEqual(cal.landmarks.A, [null, [[0, 0, 0]]]);
+  assert.deepEqual(cal.examples.B, [[7]]);
+  assert.deepEqual(cal.landmarks.B, [[[1, 1, 1]]]);
+  assert.deepEqual(cal.examples.C, [[8]]);
+  assert.deepEqual(ASLCalibrate.calibratedLabels(cal), ["A", "B", "C"]);
+  assert.equal(cal.meta.feature, "xy_rot_norm_singlehand");
+  assert.deepEqual(previous.examples.A, [[1], [2]]);
+});
+
+test("weighted calibration takes win near the learner's own shapes only", () => {
+  const shared = ASLDataset.createEmptyExamples();
+  for (let i = 0; i < 6; i++) {
+    shared.A.push([0, i / 100]);
+    shared.B.push([1, i / 100]);
+  }
+  // this learner's A sits nearer the shared B
+  const cal = ASLDataset.createEmptyExamples();
+  cal.A = [[0.62, 0], [0.64, 0.02], [0.66, 0.01]];
+
+  const indexes = [ASLKnn.createIndex(shared), ASLKnn.createIndex(cal)];
+  const opts = { k: 7, weights: [1, ASLCalibrate.DEFAULTS.weight] };
+  const learnerA = [0.64, 0.01];
+
+  assert.equal(ASLKnn.classifyIndexed(learnerA, indexes[0], { k: 7 }).best, "B");
+  assert.equal(ASLKnn.classifyIndexed(learnerA, indexes, opts).label, "A");
+  assert.equal(ASLKnn.classifyIndexed([1, 0.02], indexes, opts).label, "B");
+  assert.equal(ASLKnn.classifyIndexed([0, 0.02], indexes, opts).label, "A");
+});
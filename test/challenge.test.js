@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLChallenge = require("../core/challenge");
+
+// cycles through fixed fractions, so the letters drawn are known
+function fixedRand(values) {
+  let i = 0;
+  return () => values[i++ % values.length];
+}
+
+test("faster holds and longer streaks score more, up to the multiplier cap", () => {
+  const { points, speedBonus, maxMultiplier } = ASLChallenge.DEFAULTS;
+  assert.equal(ASLChallenge.scoreSolve(0, 0), points + speedBonus);
+  assert.equal(ASLChallenge.scoreSolve(2500, 0), points + speedBonus / 2);
+  assert.equal(ASLChallenge.scoreSolve(60000, 0), points);
+  assert.equal(ASLChallenge.scoreSolve(60000, 2), points * 1.5);
+  assert.equal(ASLChallenge.multiplier(100), maxMultiplier);
+});
+
+test("a challenge draws letters without an immediate repeat and a skip ends the streak", () => {
+  const rand = fixedRand([0, 0, 0.99, 0.5]);
+  const c = ASLChallenge.createChallenge(["A", "B", "C"], 1000, rand, { durationMs: 30000 });
+  assert.equal(c.target, "A");
+  assert.equal(c.endsAt, 31000);
+
+  const first = ASLChallenge.solve(c, 1000, rand);
+  assert.equal(c.target, "B"); // A was excluded
+  ASLChallenge.solve(c, 1000, rand);
+  assert.equal(c.target, "C");
+  assert.equal(c.streak, 2);
+  assert.ok(c.lastPoints > first);
+
+  ASLChallenge.skip(c, rand);
+  assert.equal(c.streak, 0);
+  assert.equal(c.skips, 1);
+  assert.equal(c.bestStreak, 2);
+  assert.deepEqual(c.targets, ["A", "B", "C", "B"]);
+  assert.equal(ASLChallenge.timeLeft(c, 40000), 0);
+});
+
+test("the clock stands still while paused and the time away moves the end on", () => {
+  const c = ASLChallenge.createChallenge(["A"], 0, Math.random, { durationMs: 60000 });
+  assert.equal(ASLChallenge.timeLeft(c, 10000), 50000);
+
+  ASLChallenge.pause(c, 10000);
+  ASLChallenge.pause(c, 15000); // already paused: the first stop counts
+  assert.equal(ASLChallenge.timeLeft(c, 90000), 50000);
+  ASLChallenge.resume(c, 40000);
+  assert.equal(c.pausedMs, 30000);
+  assert.equal(c.endsAt, 90000);
+  assert.equal(ASLChallenge.timeLeft(c, 50000), 40000);
+
+  ASLChallenge.resume(c, 60000); // not paused: nothing changes
+  assert.equal(c.endsAt, 90000);
+});
+
+test("the leaderboard keeps the best scores in order, earlier entries first on a tie", () => {
+  const opts = { leaderboardSize: 3 };
+  let board = ASLChallenge.readLeaderboard([
+    { name: "Ana", score: 500, at: 1 },
+    { name: "Bo", score: 800, at: 2 },
+    { name: 42, score: 900, at: 3 }, // not an entry
+  ]);
+  assert.deepEqual(board.map((e) => e.name), ["Bo", "Ana"]);
+  assert.equal(ASLChallenge.readLeaderboard(null).length, 0);
+
+  ({ board } = ASLChallenge.addEntry(board, { name: "Cy", score: 500, solved: 4, bestStreak: 2, durationMs: 60000, at: 5 }, opts));
+  assert.deepEqual(board.map((e) => e.name), ["Bo", "Ana", "Cy"]);
+  assert.equal(ASLChallenge.qualifies(board, 500, opts), false);
+  assert.equal(ASLChallenge.qualifies(board, 501, opts), true);
+
+  const c = ASLChallenge.createChallenge(["A"], 0);
+  c.score = 650;
+  const { board: next, rank } = ASLChallenge.addEntry(board, ASLChallenge.entryOf(c, "Di", 9), opts);
+  assert.equal(rank, 2);
+  assert.deepEqual(next.map((e) => e.name), ["Bo", "Di", "Ana"]);
+  assert.equal(board.length, 3); // the old board is left as it was
+});
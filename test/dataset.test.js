@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLDataset = require("../core/dataset");
+
+const payload = { version: 5, examples: { A: [[0, 1]], B: "nope", WAT: [[1, 1]] }, addHistory: ["A"] };
+
+test("parseMaybeJSON accepts parsed objects, text and data URLs", () => {
+  const txt = JSON.stringify(payload);
+  const b64 = Buffer.from(txt, "utf8").toString("base64");
+
+  assert.equal(ASLDataset.parseMaybeJSON({ data: payload }), payload);
+  assert.deepEqual(ASLDataset.parseMaybeJSON({ data: `  ${txt}\n` }), payload);
+  assert.deepEqual(ASLDataset.parseMaybeJSON({ data: `data:application/json;base64,${b64}` }), payload);
+  assert.deepEqual(ASLDataset.parseMaybeJSON({ data: `data:application/json,${encodeURIComponent(txt)}` }), payload);
+});
+
+test("parseMaybeJSON reports unreadable input", () => {
+  assert.throws(() => ASLDataset.parseMaybeJSON(null), /empty or unreadable/);
+  assert.throws(() => ASLDataset.parseMaybeJSON({ data: "data:application/json;base64" }), /Malformed data URL/);
+  assert.throws(() => ASLDataset.parseMaybeJSON({ data: "{oops" }), SyntaxError);
+});
+
+test("readExamples keeps known labels only and fills the rest", () => {
+  const ex = ASLDataset.readExamples(payload);
+  assert.deepEqual(Object.keys(ex), ASLDataset.ALL_LABELS);
+  assert.deepEqual(ex.A, [[0, 1]]);
+  assert.deepEqual(ex.B, []);
+  assert.equal(ex.WAT, undefined);
+  assert.equal(ASLDataset.countExamples(ex), 1);
+  assert.deepEqual(ASLDataset.readHistory(payload), ["A"]);
+  assert.deepEqual(ASLDataset.readHistory({}), []);
+});
+
+const lm = Array.from({ length: 21 }, (_, i) => [i, 2 * i, 0]);
+
+test("readLandmarks aligns raw keypoints with examples and nulls the rest", () => {
+  const p = {
+    examples: { A: [[1], [2], [3]], B: [[4]] },
+    landmarks: { A: [lm, "junk"], C: [lm] },
+  };
+  const ex = ASLDataset.readExamples(p);
+  const raw = ASLDataset.readLandmarks(p, ex);
+  assert.deepEqual(raw.A, [lm, null, null]);
+  assert.deepEqual(raw.B, [null]);
+  assert.deepEqual(raw.C, []);
+});
+
+test("readLandmarks accepts two-hand (42-point) landmarks only", () => {
+  const pair = lm.concat(lm);
+  const p = { examples: { A: [[1], [2], [3]] }, landmarks: { A: [pair, pair.slice(0, 30), lm] } };
+  assert.deepEqual(ASLDataset.readLandmarks(p, ASLDataset.readExamples(p)).A, [pair, null, lm]);
+});
+
+test("rederiveFeatures recomputes from landmarks and keeps/drops legacy vectors by dims", () => {
+  const ex = ASLDataset.createEmptyExamples();
+  const raw = ASLDataset.createEmptyExamples();
+  ex.A = [[9, 9], [1, 1], [1, 1, 1]];
+  raw.A = [lm, null, null];
+
+  const r = ASLDataset.rederiveFeatures(ex, raw, (x) => [x.length, x[20][1]], 2);
+  assert.deepEqual(r.examples.A, [[21, 40], [1, 1]]);
+  assert.deepEqual(r.landmarks.A, [lm, null]);
+  assert.deepEqual([r.recomputed, r.kept, r.dropped], [1, 1, 1]);
+  assert.deepEqual(ex.A, [[9, 9], [1, 1], [1, 1, 1]]);
+});
@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLDataset = require("../core/dataset");
+const ASLEvaluate = require("../core/evaluate");
+
+function toyExamples() {
+  const ex = ASLDataset.createEmptyExamples();
+  ex.A = [[0, 0], [0, 0.1], [0.1, 0], [0.1, 0.1]];
+  ex.B = [[5, 5], [5, 5.1], [5.1, 5], [5.1, 5.1]];
+  ex.C = [[0.5, 0.5]]; // lone example next to A: always misread
+  return ex;
+}
+
+test("leave-one-out fills a 27×27 matrix indexed by ALL_LABELS", () => {
+  const r = ASLEvaluate.crossValidate(toyExamples(), { k: 3 });
+  assert.equal(r.folds, 0);
+  assert.deepEqual(r.labels, ASLDataset.ALL_LABELS);
+  assert.equal(r.matrix.length, 27);
+  assert.ok(r.matrix.every((row) => row.length === 27));
+
+  assert.equal(r.total, 9);
+  assert.equal(r.perLabel.A.correct, 4);
+  assert.equal(r.perLabel.B.correct, 4);
+  assert.equal(r.perLabel.C.correct, 0);
+  assert.equal(r.matrix[2][0], 1); // C → A
+  assert.equal(r.perLabel.D.acc, null);
+  assert.equal(r.correct, 8);
+  assert.ok(Math.abs(r.falseAcceptRate - 1 / 9) < 1e-12);
+});
+
+test("gating rejections land in the NONE column", () => {
+  const ex = ASLDataset.createEmptyExamples();
+  ex.A = [[0, 0], [0, 0.2]];
+  ex.B = [[0, 0.1], [0, 0.3]];
+  const r = ASLEvaluate.crossValidate(ex, { k: 3, minConf: 0.99 });
+  const none = ASLDataset.ALL_LABELS.indexOf(ASLDataset.NONE_LABEL);
+  assert.equal(r.matrix[0][none] + r.matrix[1][none], 4);
+  assert.equal(r.perLabel.A.rejected, 2);
+  assert.equal(r.rejectRate, 1);
+  assert.equal(r.accuracy, 0);
+});
+
+test("k-fold never classifies an example against itself", () => {
+  const seen = [];
+  const classify = (feats, train) => {
+    const self = Object.values(train).some((arr) => arr.includes(feats));
+    seen.push(self);
+    return { label: "A" };
+  };
+  ASLEvaluate.crossValidate(toyExamples(), { folds: 3, classify });
+  assert.equal(seen.length, 9);
+  assert.ok(seen.every((s) => s === false));
+});
+
+test("k-fold holds out whole takes rather than interleaving their frames", () => {
+  // two takes per letter of near-identical frames, in recording order
+  const take = (x) => [[x, 0], [x, 0.01], [x, 0.02], [x, 0.03]];
+  const ex = ASLDataset.createEmptyExamples();
+  ex.A = [...take(0), ...take(10)];
+  ex.B = [...take(4), ...take(6)];
+  // every frame has siblings from its own take, so leave-one-out (like interleaved folds) is perfect
+  assert.equal(ASLEvaluate.crossValidate(ex, { k: 3 }).accuracy, 1);
+  // with a whole take held out, A's frames sit nearer B's other take
+  const r = ASLEvaluate.crossValidate(ex, { k: 3, folds: 2 });
+  assert.equal(r.perLabel.A.correct, 0);
+  assert.equal(r.perLabel.B.correct, 8);
+  assert.equal(r.accuracy, 0.5);
+});
+
+test("incremental job matches the one-shot result", () => {
+  const ex = toyExamples();
+  const job = ASLEvaluate.createCrossValidation(ex, { k: 3, folds: 2 });
+  let frames = 0;
+  while (!job.step(2)) frames++;
+  assert.equal(job.progress, 1);
+  assert.ok(frames >= 3);
+  assert.deepEqual(job.report(), ASLEvaluate.crossValidate(ex, { k: 3, folds: 2 }));
+});
+
+test("CSV exports have a header row and one row per label", () => {
+  const r = ASLEvaluate.crossValidate(toyExamples(), { k: 3 });
+  const m = ASLEvaluate.confusionToCSV(r);
+  assert.equal(m.length, 28);
+  assert.equal(m[0].split(",").length, 28);
+  assert.equal(m[1], "A,4," + new Array(26).fill(0).join(","));
+
+  const p = ASLEvaluate.perLabelToCSV(r);
+  assert.equal(p[0], "label,n,correct,rejected,wrong,accuracy");
+  assert.equal(p[3], "C,1,0,0,1,0.0000");
+  assert.equal(p[4], "D,0,0,0,0,");
+});
+
+test("empty datasets produce an empty report", () => {
+  const job = ASLEvaluate.createCrossValidation(ASLDataset.createEmptyExamples());
+  assert.equal(job.done, true);
+  assert.equal(job.report().accuracy, 0);
+});
+
+test("extractor comparison cross-validates each extractor on the raw landmarks", () => {
+  const { loadBundled, handFromFeats } = require("./fixtures");
+  const ASLFeatures = require("../core/features");
+  const bundled = loadBundled();
+
+  const raw = ASLDataset.createEmptyExamples();
+  for (const l of ["A", "B", "L", "Y"]) {
+    raw[l] = bundled.examples[l].slice(0, 10).map((f) => ASLFeatures.getLandmarks21(handFromFeats(f, { scale: 80 })));
+  }
+  raw.C = [null];
+
+  const job = ASLEvaluate.createExtractorComparison(raw, { names: ["xy_rot_norm_singlehand", "tip_dists"], folds: 2 });
+  assert.deepEqual(job.rows.map((r) => r.report), [null, null]);
+  job.step(30);
+  assert.ok(job.progress > 0 && job.progress < 1);
+  job.step();
+  assert.equal(job.done, true);
+
+  const [xy, tips] = job.rows;
+  assert.equal(xy.dims, 42);
+  assert.equal(tips.dims, 10);
+  assert.equal(xy.report.total, 40);
+  assert.equal(xy.report.folds, 2);
+  assert.ok(xy.report.accuracy > 0.9);
+  assert.ok(tips.report.total === 40);
+});
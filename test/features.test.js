@@ -0,0 +1,218 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLFeatures = require("../core/features");
+const { loadBundled, handFromFeats } = require("./fixtures");
+
+function assertClose(actual, expected, tol = 1e-9) {
+  assert.equal(actual.length, expected.length);
+  for (let i = 0; i < actual.length; i++) {
+    assert.ok(Math.abs(actual[i] - expected[i]) <= tol, `index ${i}: ${actual[i]} vs ${expected[i]}`);
+  }
+}
+
+test("bundled examples are fixed points of handToFeatsXYRotNorm", () => {
+  const { examples } = loadBundled();
+  for (const label of ["A", "M", "Y"]) {
+    const feats = examples[label][0];
+    assertClose(ASLFeatures.handToFeatsXYRotNorm(handFromFeats(feats)), feats);
+  }
+});
+
+test("features ignore translation, scale and in-plane rotation", () => {
+  const feats = loadBundled().examples.B[3];
+  const moved = handFromFeats(feats, { angle: 0.7, scale: 83, tx: 320, ty: 241 });
+  const out = ASLFeatures.handToFeatsXYRotNorm(moved);
+  assert.equal(out.length, ASLFeatures.FEATURE_DIMS);
+  assertClose(out, feats, 1e-9);
+});
+
+test("wrist sits at the origin and the middle MCP points straight up", () => {
+  const feats = ASLFeatures.handToFeatsXYRotNorm(handFromFeats(loadBundled().examples.C[0], { angle: 2 }));
+  assertClose(feats.slice(0, 2), [0, 0]);
+  assertClose(feats.slice(18, 20), [0, -1]);
+});
+
+test("pickTrackedHand drops partial hands and picks by wrist x", () => {
+  const feats = loadBundled().examples.A[0];
+  const left = handFromFeats(feats, { tx: 100 });
+  const right = handFromFeats(feats, { tx: 500 });
+  const partial = { keypoints: left.keypoints.slice(0, 10) };
+
+  assert.equal(ASLFeatures.pickTrackedHand([]), null);
+  assert.equal(ASLFeatures.pickTrackedHand([partial]), null);
+  assert.equal(ASLFeatures.pickTrackedHand([left, partial]), left);
+  assert.equal(ASLFeatures.pickTrackedHand([right, left], "RIGHT"), right);
+  assert.equal(ASLFeatures.pickTrackedHand([right, left], "LEFT"), left);
+});
+
+test("pickTrackedHand prefers ml5's handedness label over wrist position", () => {
+  const feats = loadBundled().examples.A[0];
+  const left = { ...handFromFeats(feats, { tx: 100 }), handedness: "Right", confidence: 0.9 };
+  const right = { ...handFromFeats(feats, { tx: 500 }), handedness: "Left", confidence: 0.9 };
+
+  assert.equal(ASLFeatures.getHandedness(left), "RIGHT");
+  assert.equal(ASLFeatures.getHandedness({ keypoints: [] }), null);
+  assert.equal(ASLFeatures.pickTrackedHand([right, left], "RIGHT"), left);
+  assert.equal(ASLFeatures.pickTrackedHand([right, left], "LEFT"), right);
+
+  // two hands with the same label: the more confident one
+  const unsure = { ...right, handedness: "Right", confidence: 0.4 };
+  assert.equal(ASLFeatures.pickTrackedHand([unsure, left], "RIGHT"), left);
+  // a lone hand is tracked whatever its label
+  assert.equal(ASLFeatures.pickTrackedHand([right], "RIGHT"), right);
+});
+
+test("a mirrored left hand gives the right hand's features", () => {
+  const feats = loadBundled().examples.L[0];
+  const rightHand = { ...handFromFeats(feats, { angle: 0.3, scale: 80, tx: 300, ty: 200 }), handedness: "Right" };
+  const leftHand = {
+    keypoints: rightHand.keypoints.map((k) => ({ x: 640 - k.x, y: k.y, z: k.z })),
+    handedness: "Left",
+  };
+
+  const r = ASLFeatures.canonicalLandmarks(rightHand);
+  const l = ASLFeatures.canonicalLandmarks(leftHand);
+  for (const name of ASLFeatures.EXTRACTOR_NAMES) {
+    assertClose(ASLFeatures.featuresFromLandmarks(l, name), ASLFeatures.featuresFromLandmarks(r, name), 1e-9);
+  }
+  assert.notDeepEqual(ASLFeatures.featuresFromLandmarks(ASLFeatures.getLandmarks21(leftHand)), ASLFeatures.featuresFromLandmarks(r));
+
+  // unlabelled hands count as the dominant one
+  const unlabelled = { keypoints: leftHand.keypoints };
+  assert.deepEqual(ASLFeatures.canonicalLandmarks(unlabelled, "LEFT"), l);
+  assert.deepEqual(ASLFeatures.canonicalLandmarks(unlabelled), ASLFeatures.getLandmarks21(leftHand));
+});
+
+test("getLandmarks21 defaults missing z to 0", () => {
+  const lm = ASLFeatures.getLandmarks21({ keypoints: [{ x: 1, y: 2 }, { x: 3, y: 4, z: 5 }] });
+  assert.deepEqual(lm, [[1, 2, 0], [3, 4, 5]]);
+});
+
+test("featuresFromLandmarks is the pipeline handToFeatsXYRotNorm runs", () => {
+  const hand = handFromFeats(loadBundled().examples.K[1], { angle: 1.1, scale: 70, tx: 200, ty: 100 });
+  assert.deepEqual(ASLFeatures.featuresFromLandmarks(ASLFeatures.getLandmarks21(hand)), ASLFeatures.handToFeatsXYRotNorm(hand));
+});
+
+test("featureMetaMatches treats legacy metas as version 1 of the same pipeline", () => {
+  const bundled = loadBundled();
+  assert.equal(bundled.meta.featureVersion, undefined);
+  assert.equal(ASLFeatures.featureMetaMatches(bundled.meta), true);
+  assert.equal(ASLFeatures.featureMetaMatches(undefined), true);
+  assert.equal(ASLFeatures.featureMetaMatches({ feature: ASLFeatures.FEATURE_NAME, featureVersion: ASLFeatures.FEATURE_VERSION + 1 }), false);
+  assert.equal(ASLFeatures.featureMetaMatches({ feature: "xyz_something_else" }), false);
+});
+
+test("roundLandmarks keeps 3 decimals", () => {
+  assert.deepEqual(ASLFeatures.roundLandmarks([[1.23456, 2.0004, -0.0006]]), [[1.235, 2, -0.001]]);
+});
+
+test("every registered extractor produces its declared dims, finite values", () => {
+  const lm = ASLFeatures.getLandmarks21(handFromFeats(loadBundled().examples.W[0], { angle: 0.4, scale: 60 }));
+  lm.forEach((p, i) => (p[2] = i * 0.5));
+  for (const name of ASLFeatures.EXTRACTOR_NAMES) {
+    const feats = ASLFeatures.featuresFromLandmarks(lm, name);
+    assert.equal(feats.length, ASLFeatures.getExtractor(name).dims, name);
+    assert.ok(feats.every(Number.isFinite), name);
+  }
+  assert.throws(() => ASLFeatures.featuresFromLandmarks(lm, "nope"), /Unknown feature extractor/);
+});
+
+test("angles and fingertip distances ignore pose in the image", () => {
+  const feats = loadBundled().examples.E[2];
+  const a = ASLFeatures.getLandmarks21(handFromFeats(feats));
+  const b = ASLFeatures.getLandmarks21(handFromFeats(feats, { angle: -1.3, scale: 55, tx: 90, ty: 400 }));
+  assertClose(ASLFeatures.jointAngles(a), ASLFeatures.jointAngles(b), 1e-9);
+  assertClose(ASLFeatures.tipDistances(a), ASLFeatures.tipDistances(b), 1e-9);
+});
+
+test("a straight finger has zero bend", () => {
+  const lm = Array.from({ length: 21 }, () => [0, 0, 0]);
+  [5, 6, 7, 8].forEach((i, j) => (lm[i] = [0, -(j + 1), 0]));
+  const angles = ASLFeatures.jointAngles(lm);
+  assertClose(angles.slice(3, 6), [0, 0, 0]);
+});
+
+test("xyz extractor extends xy with normalised depth", () => {
+  const lm = ASLFeatures.getLandmarks21(handFromFeats(loadBundled().examples.O[0], { scale: 50 }));
+  lm.forEach((p, i) => (p[2] = 10 + i * 5));
+  const xy = ASLFeatures.featuresFromLandmarks(lm);
+  const xyz = ASLFeatures.featuresFromLandmarks(lm, "xyz_rot_norm");
+  for (let i = 0; i < 21; i++) {
+    assert.ok(Math.abs(xyz[i * 3] - xy[i * 2]) < 1e-12);
+    assert.ok(Math.abs(xyz[i * 3 + 2] - (i * 5) / 50) < 1e-9);
+  }
+});
+
+test("getLandmarks21 rescales keypoints3D depth to pixel units", () => {
+  const hand = handFromFeats(loadBundled().examples.A[0], { scale: 100 });
+  hand.keypoints.forEach((k) => delete k.z);
+  // metric copy at 1/1000 of the pixel size, with depth
+  hand.keypoints3D = hand.keypoints.map((k, i) => ({ x: k.x / 1000, y: k.y / 1000, z: i / 1000 }));
+  const lm = ASLFeatures.getLandmarks21(hand);
+  assert.ok(Math.abs(lm[20][2] - 20) < 1e-9);
+  assert.equal(ASLFeatures.getLandmarks21({ keypoints: [{ x: 1, y: 2 }] })[0][2], 0);
+});
+
+test("featureMetaMatches checks the named extractor's version", () => {
+  assert.equal(ASLFeatures.featureMetaMatches({ feature: "joint_angles", featureVersion: 1 }, "joint_angles"), true);
+  assert.equal(ASLFeatures.featureMetaMatches({ feature: "joint_angles", featureVersion: 1 }), false);
+  assert.equal(ASLFeatures.featureMetaMatches({}, "joint_angles"), false);
+});
+
+test("two-hand features keep the hands' relative placement and flag a missing hand", () => {
+  const { examples } = loadBundled();
+  const pose = (opts) =>
+    ASLFeatures.getLandmarks21(handFromFeats(examples.B[0], opts)).concat(
+      ASLFeatures.getLandmarks21(handFromFeats(examples.O[0], { ...opts, tx: opts.tx + 2 * opts.scale }))
+    );
+  const a = ASLFeatures.twoHandXY(pose({ angle: 0, scale: 60, tx: 200, ty: 200 }));
+  assert.equal(a.length, ASLFeatures.getExtractor("two_hand_xy").dims);
+  assert.equal(a[84], 1);
+
+  // other hand placed relative to the tracked one, not to the image
+  const moved = ASLFeatures.getLandmarks21(handFromFeats(examples.B[0], { scale: 60, tx: 200, ty: 200 })).concat(
+    ASLFeatures.getLandmarks21(handFromFeats(examples.O[0], { scale: 60, tx: 400, ty: 200 }))
+  );
+  assert.notDeepEqual(ASLFeatures.twoHandXY(moved).slice(42, 84), a.slice(42, 84));
+  assertClose(a.slice(0, 42), ASLFeatures.featuresFromLandmarks(moved));
+
+  const single = ASLFeatures.twoHandXY(pose({ angle: 0, scale: 60, tx: 200, ty: 200 }).slice(0, 21));
+  assertClose(single.slice(0, 42), a.slice(0, 42));
+  assert.deepEqual(single.slice(42), new Array(43).fill(0));
+
+  // one-hand extractors ignore the second hand
+  const both = pose({ angle: 0.5, scale: 40, tx: 100, ty: 300 });
+  assert.deepEqual(ASLFeatures.featuresFromLandmarks(both), ASLFeatures.featuresFromLandmarks(both.slice(0, 21)));
+});
+
+test("trackedLandmarks appends the other hand and mirrors the pair for a left-handed signer", () => {
+  const feats = loadBundled().examples.A[0];
+  const right = { ...handFromFeats(feats, { scale: 50, tx: 400, ty: 200 }), handedness: "Right" };
+  const left = { ...handFromFeats(feats, { scale: 50, tx: 150, ty: 200 }), handedness: "Left" };
+
+  assert.equal(ASLFeatures.trackedLandmarks([], "RIGHT", true), null);
+  assert.equal(ASLFeatures.trackedLandmarks([left, right]).length, 21);
+
+  const pair = ASLFeatures.trackedLandmarks([left, right], "RIGHT", true);
+  assert.deepEqual(pair, ASLFeatures.getLandmarks21(right).concat(ASLFeatures.getLandmarks21(left)));
+
+  const mirrored = ASLFeatures.trackedLandmarks([left, right], "LEFT", true);
+  assert.deepEqual(mirrored, ASLFeatures.mirrorLandmarks(ASLFeatures.getLandmarks21(left).concat(ASLFeatures.getLandmarks21(right))));
+  assert.equal(ASLFeatures.trackedLandmarks([right], "RIGHT", true).length, 21);
+});
+
+test("mirroring features gives what the mirrored hand gives, for every extractor", () => {
+  const raw = loadBundled();
+  const hand = handFromFeats(raw.examples.K[1], { angle: 0.7, scale: 60, tx: 100, ty: 50 });
+  hand.keypoints.forEach((k, i) => (k.z = Math.sin(i) * 5));
+  const one = ASLFeatures.getLandmarks21(hand);
+  const two = one.concat(ASLFeatures.getLandmarks21(handFromFeats(raw.examples.B[0], { scale: 50, tx: 300 })));
+  for (const name of ASLFeatures.EXTRACTOR_NAMES) {
+    const lm = ASLFeatures.getExtractor(name).hands === 2 ? two : one;
+    const want = ASLFeatures.featuresFromLandmarks(ASLFeatures.mirrorLandmarks(lm), name);
+    assertClose(ASLFeatures.mirrorFeatures(ASLFeatures.featuresFromLandmarks(lm, name), name), want, 1e-9);
+  }
+  assert.equal(ASLFeatures.mirrorFeatures([1, 2, 3], ASLFeatures.FEATURE_NAME), null);
+  assert.equal(ASLFeatures.mirrorFeatures(new Array(42).fill(0), "nope"), null);
+});
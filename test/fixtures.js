@@ -0,0 +1,29 @@
+// Shared fixtures for the core tests: the bundled dataset and synthetic hands built from it.
+
+const fs = require("fs");
+const path = require("path");
+
+const BUNDLED_PATH = path.join(__dirname, "..", "asl RL trained.json");
+
+let bundled = null;
+
+function loadBundled() {
+  if (!bundled) bundled = JSON.parse(fs.readFileSync(BUNDLED_PATH, "utf8"));
+  return bundled;
+}
+
+// Turns a 42-dim feature vector back into a HandPose-shaped hand (z = 0),
+// optionally rotated, scaled and moved like a real camera frame would be.
+function handFromFeats(feats, { angle = 0, scale = 1, tx = 0, ty = 0 } = {}) {
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  const keypoints = [];
+  for (let i = 0; i < 21; i++) {
+    const x = feats[i * 2] * scale;
+    const y = feats[i * 2 + 1] * scale;
+    keypoints.push({ x: x * c - y * s + tx, y: x * s + y * c + ty, z: 0 });
+  }
+  return { keypoints };
+}
+
+module.exports = { loadBundled, handFromFeats };
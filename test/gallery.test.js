@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLGallery = require("../core/gallery");
+const ASLDataset = require("../core/dataset");
+const ASLFeatures = require("../core/features");
+const { loadBundled, handFromFeats } = require("./fixtures");
+
+function live(labels, n) {
+  const raw = loadBundled();
+  const examples = ASLDataset.createEmptyExamples();
+  const landmarks = ASLDataset.createEmptyExamples();
+  const addHistory = [];
+  for (let j = 0; j < n; j++) {
+    for (const l of labels) {
+      examples[l].push(raw.examples[l][j]);
+      landmarks[l].push(null);
+      addHistory.push(l);
+    }
+  }
+  return { examples, landmarks, addHistory };
+}
+
+test("a skeleton comes from raw landmarks, or back out of XY features", () => {
+  const feats = loadBundled().examples.L[0];
+  const fromFeats = ASLGallery.skeletonPoints(feats, null, ASLFeatures.FEATURE_NAME);
+  assert.equal(fromFeats.length, 21);
+  assert.deepEqual(fromFeats[8], [feats[16], feats[17]]);
+
+  const lm = ASLFeatures.getLandmarks21(handFromFeats(feats, { angle: 0.7, scale: 90, tx: 300, ty: 200 }));
+  const fromLm = ASLGallery.skeletonPoints(feats, lm, "joint_angles");
+  fromLm.flat().forEach((v, i) => assert.ok(Math.abs(v - fromFeats.flat()[i]) < 1e-6));
+
+  assert.equal(ASLGallery.skeletonPoints([0.1, 0.2], null, "joint_angles"), null);
+  for (const [a, b] of ASLGallery.HAND_BONES) assert.ok(a < 21 && b < 21);
+});
+
+test("deleting an example from the middle takes its undo entry with it", () => {
+  const data = live(["A", "B"], 3); // history A B A B A B
+  const second = data.examples.A[1];
+
+  const removed = ASLGallery.removeExample(data, "A", 1);
+  assert.equal(removed.feats, second);
+  assert.equal(removed.own, 1);
+  assert.equal(removed.history, 2);
+  assert.equal(data.examples.A.length, 2);
+  assert.equal(data.landmarks.A.length, 2);
+  assert.deepEqual(data.addHistory, ["A", "B", "B", "A", "B"]);
+});
+
+test("relabelling moves the example to the end of the new label, where undo finds it", () => {
+  const data = live(["M", "N"], 2);
+  const wrong = data.examples.N[0];
+
+  ASLGallery.relabelExample(data, "N", 0, "M");
+  assert.equal(data.examples.N.length, 1);
+  assert.equal(data.examples.M[2], wrong);
+  assert.equal(data.addHistory[data.addHistory.length - 1], "M");
+  assert.equal(data.addHistory.filter((h) => h === "N").length, 1);
+  assert.equal(ASLGallery.relabelExample(data, "M", 0, "M"), null);
+});
+
+test("base examples in front of a label are read-only; history lines up from the newest end", () => {
+  const data = live(["C"], 4);
+  data.addHistory = ["C", "C"]; // only the two own examples after a base of 2 have entries
+  const locked = { C: 2 };
+
+  assert.equal(ASLGallery.removeExample(data, "C", 1, locked), null);
+  assert.equal(data.examples.C.length, 4);
+
+  const removed = ASLGallery.removeExample(data, "C", 2, locked);
+  assert.equal(removed.own, 0);
+  assert.deepEqual(data.addHistory, ["C"]);
+
+  // older datasets: fewer history entries than examples
+  assert.equal(ASLGallery.historyIndexOf(["D"], "D", 0, 3), -1);
+  assert.equal(ASLGallery.historyIndexOf(["D"], "D", 2, 3), 0);
+});
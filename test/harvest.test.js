@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLHarvest = require("../core/harvest");
+const ASLFeatures = require("../core/features");
+const { loadBundled, handFromFeats } = require("./fixtures");
+
+const FRAME_MS = 33;
+
+function pose(label, opts = {}) {
+  return ASLFeatures.getLandmarks21(handFromFeats(loadBundled().examples[label][0], { scale: 80, tx: 300, ty: 300, ...opts }));
+}
+
+// feeds every frame, returns the verdicts
+function run(state, frames, ctx = {}) {
+  return frames.map(({ lm, t }) => ASLHarvest.harvestFrame(state, lm, t, ctx));
+}
+
+test("a hand moving between letters is harvested, a held letter is not", () => {
+  const state = ASLHarvest.createHarvestState();
+  const held = Array.from({ length: 60 }, (_, i) => ({ lm: pose("A"), t: i * FRAME_MS }));
+  const res = { label: "A", best: "A", conf: 0.9 };
+  assert.ok(run(state, held, { res }).every((v) => !v.take));
+
+  // slide across the frame: ~3 hand lengths in half a second
+  const moving = Array.from({ length: 15 }, (_, i) => ({ lm: pose("B", { tx: 300 + i * 16 }), t: (60 + i) * FRAME_MS }));
+  const verdicts = run(state, moving, { res: { label: "NONE", best: "B", conf: 0.4 } });
+  const takes = verdicts.filter((v) => v.take);
+  assert.ok(takes.length >= 1);
+  assert.ok(takes.every((v) => v.reason === "moving"));
+  assert.ok(takes.length <= Math.ceil((15 * FRAME_MS) / ASLHarvest.DEFAULTS.everyMs));
+});
+
+test("a still hand nothing recognises becomes an idle take after a while", () => {
+  const state = ASLHarvest.createHarvestState();
+  const frames = Array.from({ length: 80 }, (_, i) => ({ lm: pose("O"), t: i * FRAME_MS }));
+  const verdicts = run(state, frames, { res: { label: "NONE", best: "C", conf: 0.3 } });
+  const first = verdicts.findIndex((v) => v.take);
+  assert.ok(first * FRAME_MS >= ASLHarvest.DEFAULTS.idleMs);
+  assert.equal(verdicts[first].reason, "idle");
+
+  // without a classifier result there is nothing to say the pose is not a letter
+  const blind = ASLHarvest.createHarvestState();
+  assert.ok(run(blind, frames, {}).every((v) => !v.take));
+});
+
+test("J/Z shapes, near-duplicates and the session cap are skipped", () => {
+  const frames = Array.from({ length: 15 }, (_, i) => ({ lm: pose("B", { tx: 300 + i * 16 }), t: i * FRAME_MS }));
+  const feats = new Array(42).fill(0);
+
+  const j = run(ASLHarvest.createHarvestState(), frames, { res: { label: "NONE", best: "J", conf: 0.5 } });
+  assert.ok(j.every((v) => !v.take));
+  assert.ok(j.some((v) => v.reason === "motion letter"));
+
+  const dup = run(ASLHarvest.createHarvestState(), frames, { feats, noneExamples: [feats.map((v) => v + 0.01)] });
+  assert.ok(dup.every((v) => !v.take));
+  assert.ok(dup.some((v) => v.reason === "duplicate"));
+
+  const state = ASLHarvest.createHarvestState();
+  state.added = ASLHarvest.DEFAULTS.maxPerSession;
+  assert.ok(run(state, frames).some((v) => v.reason === "cap"));
+  ASLHarvest.resetHarvestState(state);
+  assert.ok(run(state, frames).some((v) => v.take));
+});
+
+test("losing the hand restarts the speed estimate", () => {
+  const state = ASLHarvest.createHarvestState();
+  assert.equal(ASLHarvest.harvestFrame(state, pose("A"), 0).reason, "warming up");
+  assert.equal(ASLHarvest.harvestFrame(state, null, 33).reason, "no hand");
+  assert.equal(ASLHarvest.harvestFrame(state, pose("A", { tx: 600 }), 66).reason, "warming up");
+  assert.equal(ASLHarvest.harvestFrame(state, pose("A", { tx: 600 }), 2000).reason, "warming up");
+});
@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLHistory = require("../core/history");
+
+// local noon, so a few hours either way stay on the same day
+const NOON = new Date(2026, 2, 10, 12, 0, 0).getTime();
+const HOUR = 60 * 60 * 1000;
+
+function playRound(start, attempts) {
+  const r = ASLHistory.createRound("AZ", "ABCD", start);
+  let now = start;
+  for (const [label, ms] of attempts) {
+    now += ms ?? 500;
+    ASLHistory.noteLetter(r, label, ms != null, ms, now);
+  }
+  return r;
+}
+
+test("a round counts solves, skips, back-steps and its best streak", () => {
+  const r = playRound(NOON, [["A", 1200], ["B", 2000], ["C", null], ["C", 4000], ["D", 900]]);
+  ASLHistory.noteBack(r, NOON + 10000);
+  assert.equal(r.solved, 4);
+  assert.equal(r.skips, 1);
+  assert.equal(r.backs, 1);
+  assert.equal(r.bestStreak, 2);
+  assert.equal(r.streak, 2);
+  assert.deepEqual(r.letters[2], { label: "C", solved: false, ms: null, at: NOON + 3700 });
+  assert.equal(r.completed, false);
+
+  ASLHistory.finishRound(r, NOON + 12000);
+  assert.equal(r.completed, true);
+  assert.equal(r.endedAt, NOON + 12000);
+});
+
+test("summaries total every round and take the median time per letter", () => {
+  const rounds = [
+    playRound(NOON, [["A", 1000], ["B", null], ["A", 3000]]),
+    playRound(NOON + HOUR, [["A", 2000], ["B", 5000], ["B", 7000], ["C", 400]]),
+  ];
+  ASLHistory.finishRound(rounds[1], NOON + 2 * HOUR);
+  const s = ASLHistory.summarize(rounds);
+  assert.equal(s.rounds, 2);
+  assert.equal(s.completed, 1);
+  assert.equal(s.attempts, 7);
+  assert.equal(s.solved, 6);
+  assert.equal(s.skips, 1);
+  assert.equal(s.bestStreak, 4);
+  assert.deepEqual(s.letters.A, { attempts: 3, solved: 3, skips: 0, medianMs: 2000 });
+  assert.deepEqual(s.letters.B, { attempts: 3, solved: 2, skips: 1, medianMs: 6000 });
+  assert.deepEqual(s.letters.Z, { attempts: 0, solved: 0, skips: 0, medianMs: null });
+});
+
+test("letter trends bucket attempts by local day, oldest first", () => {
+  const day = (n) => new Date(2026, 2, 10 + n, 12, 0, 0).getTime();
+  const rounds = [
+    playRound(day(-20), [["A", 9000]]), // outside the window
+    playRound(day(-2), [["A", 6000], ["A", 4000]]),
+    playRound(day(0), [["A", null], ["A", 2000], ["B", 100]]),
+  ];
+  const trend = ASLHistory.letterTrend(rounds, "A", day(0), 7);
+  assert.equal(trend.length, 7);
+  assert.equal(trend[6].day, ASLHistory.dayStart(day(0)));
+  assert.deepEqual(trend[4], { day: ASLHistory.dayStart(day(-2)), attempts: 2, solved: 2, medianMs: 5000 });
+  assert.deepEqual(trend[6], { day: ASLHistory.dayStart(day(0)), attempts: 2, solved: 1, medianMs: 2000 });
+  assert.equal(trend[5].attempts, 0);
+  assert.equal(trend[5].medianMs, null);
+});
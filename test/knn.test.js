@@ -0,0 +1,165 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLDataset = require("../core/dataset");
+const ASLKnn = require("../core/knn");
+const ASLFeatures = require("../core/features");
+const { loadBundled, handFromFeats } = require("./fixtures");
+
+function withoutExample(examples, label, idx) {
+  const out = { ...examples };
+  out[label] = examples[label].filter((_, i) => i !== idx);
+  return out;
+}
+
+test("returns null on an empty dataset", () => {
+  assert.equal(ASLKnn.classifyKNN(new Array(42).fill(0), ASLDataset.createEmptyExamples()), null);
+});
+
+test("held-out bundled examples of distinct letters classify correctly from a camera-like hand", () => {
+  const examples = ASLDataset.readExamples(loadBundled());
+  for (const label of ["B", "L", "Y"]) {
+    const feats = examples[label][0];
+    const hand = handFromFeats(feats, { angle: -0.3, scale: 90, tx: 300, ty: 260 });
+    const res = ASLKnn.classifyKNN(ASLFeatures.handToFeatsXYRotNorm(hand), withoutExample(examples, label, 0));
+    assert.equal(res.label, label);
+    assert.equal(res.best, label);
+    assert.ok(res.conf >= ASLKnn.DEFAULTS.minConf);
+  }
+});
+
+test("result shape carries scores for every voting label", () => {
+  const examples = ASLDataset.readExamples(loadBundled());
+  const res = ASLKnn.classifyKNN(examples.A[0], withoutExample(examples, "A", 0));
+  assert.deepEqual(Object.keys(res).sort(), ["best", "conf", "label", "scores", "second"]);
+  const total = Object.values(res.scores).reduce((a, b) => a + b, 0);
+  assert.ok(Math.abs(res.conf - res.scores[res.best] / total) < 1e-12);
+});
+
+test("ambiguous votes are gated to NONE but keep best/second", () => {
+  const examples = ASLDataset.createEmptyExamples();
+  examples.A = [[0, 0], [0, 0.1]];
+  examples.B = [[0, 0.2], [0, 0.3]];
+
+  const res = ASLKnn.classifyKNN([0, 0.15], examples, { k: 4 });
+  assert.equal(res.label, ASLDataset.NONE_LABEL);
+  assert.ok(["A", "B"].includes(res.best));
+  assert.ok(["A", "B"].includes(res.second));
+});
+
+test("NONE wins outright regardless of confidence", () => {
+  const examples = ASLDataset.createEmptyExamples();
+  examples.NONE = [[0, 0], [0, 0.01]];
+  examples.A = [[5, 5]];
+
+  const res = ASLKnn.classifyKNN([0, 0], examples, { k: 3 });
+  assert.equal(res.label, ASLDataset.NONE_LABEL);
+  assert.equal(res.best, ASLDataset.NONE_LABEL);
+});
+
+test("thresholds are configurable per call", () => {
+  const examples = ASLDataset.createEmptyExamples();
+  examples.A = [[0, 0], [0, 0.1]];
+  examples.B = [[0, 0.5]];
+
+  assert.equal(ASLKnn.classifyKNN([0, 0.2], examples, { k: 3 }).label, "A");
+  assert.equal(ASLKnn.classifyKNN([0, 0.2], examples, { k: 3, minConf: 0.99 }).label, ASLDataset.NONE_LABEL);
+});
+
+test("classifyIndexed matches brute force exactly on the bundled dataset", () => {
+  const examples = ASLDataset.readExamples(loadBundled());
+  const index = ASLKnn.createIndex(examples);
+  assert.equal(index.count, ASLDataset.countExamples(examples));
+
+  for (const label of ASLDataset.ALL_LABELS) {
+    for (const feats of examples[label].slice(0, 6)) {
+      const query = feats.map((v, i) => v + (i % 3 === 0 ? 0.04 : -0.02));
+      for (const k of [1, 7, 25]) {
+        assert.deepEqual(ASLKnn.classifyIndexed(query, index, { k }), ASLKnn.classifyKNN(query, examples, { k }));
+      }
+    }
+  }
+});
+
+test("equal distances resolve in the same order as brute force", () => {
+  const examples = ASLDataset.createEmptyExamples();
+  examples.A = [[1, 0]];
+  examples.B = [[0, 1], [-1, 0]];
+  examples.NONE = [[0, -1]];
+  const index = ASLKnn.createIndex(examples);
+
+  for (const k of [1, 2, 3, 4, 9]) {
+    assert.deepEqual(ASLKnn.classifyIndexed([0, 0], index, { k }), ASLKnn.classifyKNN([0, 0], examples, { k }));
+  }
+});
+
+test("indexAdd / indexRemove keep the index in step with the examples", () => {
+  const bundled = ASLDataset.readExamples(loadBundled());
+  const examples = ASLDataset.createEmptyExamples();
+  const index = ASLKnn.createIndex(examples);
+  assert.equal(ASLKnn.classifyIndexed(bundled.A[0], index), null);
+
+  for (const label of ["A", "B", "Y", "A", "C", "B", "A"]) {
+    const feats = bundled[label][examples[label].length];
+    examples[label].push(feats);
+    assert.equal(ASLKnn.indexAdd(index, label, feats), true);
+  }
+  examples.A.pop();
+  ASLKnn.indexRemove(index, "A");
+  examples.B.splice(0, 1);
+  ASLKnn.indexRemove(index, "B", 0);
+
+  const query = bundled.A[5];
+  assert.deepEqual(ASLKnn.classifyIndexed(query, index, { k: 3 }), ASLKnn.classifyKNN(query, examples, { k: 3 }));
+  assert.deepEqual(index.blocks.B.data.subarray(0, index.dims), Float64Array.from(examples.B[0]));
+
+  assert.equal(ASLKnn.indexAdd(index, "A", [1, 2]), false);
+  assert.equal(ASLKnn.indexRemove(index, "Z"), false);
+  assert.equal(index.count, ASLDataset.countExamples(examples));
+});
+
+test("classifyIndexed over a list of indexes votes as if they were one", () => {
+  const bundled = ASLDataset.readExamples(loadBundled());
+  const first = ASLDataset.createEmptyExamples();
+  const second = ASLDataset.createEmptyExamples();
+  for (const label of ASLDataset.ALL_LABELS) {
+    first[label] = bundled[label].filter((_, i) => i % 2 === 0);
+    second[label] = bundled[label].filter((_, i) => i % 2 === 1);
+  }
+  const indexes = [ASLKnn.createIndex(first), ASLKnn.createIndex(second)];
+  const empty = ASLKnn.createIndex(ASLDataset.createEmptyExamples());
+
+  for (const label of ["A", "M", "Y"]) {
+    const query = bundled[label][3].map((v, j) => v + (j % 3 === 0 ? 0.01 : -0.005));
+    const res = ASLKnn.classifyIndexed(query, indexes);
+    assert.deepEqual(res, ASLKnn.classifyKNN(query, bundled));
+    assert.deepEqual(ASLKnn.classifyIndexed(query, [indexes[0], empty]), ASLKnn.classifyIndexed(query, indexes[0]));
+  }
+  assert.equal(ASLKnn.classifyIndexed([0, 0], [empty, empty]), null);
+});
+
+test("per-index weights scale their neighbours' votes", () => {
+  const examples = ASLDataset.createEmptyExamples();
+  examples.A = [[0, 0], [0, 0.1]];
+  const other = ASLDataset.createEmptyExamples();
+  other.B = [[0, 0.2]];
+  const indexes = [ASLKnn.createIndex(examples), ASLKnn.createIndex(other)];
+
+  const plain = ASLKnn.classifyIndexed([0, 0.15], indexes, { k: 3 });
+  assert.deepEqual(ASLKnn.classifyIndexed([0, 0.15], indexes, { k: 3, weights: [1, 1] }), plain);
+  const weighted = ASLKnn.classifyIndexed([0, 0.15], indexes, { k: 3, weights: [1, 4] });
+  assert.equal(weighted.best, "B");
+  assert.ok(Math.abs(weighted.scores.B - 4 * plain.scores.B) < 1e-9);
+  assert.equal(ASLKnn.classifyIndexed([0, 0.15], indexes[1], { k: 3, weights: [2] }).best, "B");
+});
+
+test("nearestNeighbors can leave one label out of the search", () => {
+  const examples = ASLDataset.createEmptyExamples();
+  examples.A = [[0, 0], [0, 0.1]];
+  examples.B = [[0, 1]];
+  examples.C = [[0, 2]];
+  const index = ASLKnn.createIndex(examples);
+
+  assert.deepEqual(ASLKnn.nearestNeighbors([0, 0], index, 2).map((n) => n.label), ["A", "A"]);
+  assert.deepEqual(ASLKnn.nearestNeighbors([0, 0], index, 5, "A"), [{ label: "B", d: 1 }, { label: "C", d: 2 }]);
+});
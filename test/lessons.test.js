@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const ASLLessons = require("../core/lessons");
+
+const EXAMPLE = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "lessons", "first-words.json"), "utf8"));
+
+test("the example pack reads cleanly, with unit criteria over the pack's", () => {
+  const { pack, issues } = ASLLessons.readPack(EXAMPLE);
+  assert.deepEqual(issues, []);
+  assert.equal(pack.id, "first-words");
+  assert.deepEqual(pack.units.map((u) => u.words.length), [4, 4, 4]);
+  assert.deepEqual(ASLLessons.criteriaOf(pack, 0), { minAccuracy: 0.8, maxSkips: null });
+  assert.deepEqual(ASLLessons.criteriaOf(pack, 2), { minAccuracy: 0.75, maxSkips: 1 });
+});
+
+test("a plain word list is one unit; words are cleaned and bad parts reported", () => {
+  const { pack, issues } = ASLLessons.readPack({ title: "Zoo Animals!", words: ["cat", "C4T", "dog", "42", "cat"], pass: { minAccuracy: 90, maxSkips: -1 } });
+  assert.equal(pack.id, "zoo-animals");
+  assert.deepEqual(pack.units, [{ title: "Zoo Animals!", pass: {}, words: ["CAT", "CT", "DOG"] }]);
+  assert.deepEqual(pack.pass, { minAccuracy: 0.9 });
+  assert.equal(issues.length, 4); // C4T, 42, cat twice, maxSkips
+
+  assert.equal(ASLLessons.isPack({ version: 10, examples: {}, words: [] }), false);
+  assert.throws(() => ASLLessons.readPack({ title: "Empty", units: [{ words: ["1"] }] }), /no playable words/);
+  assert.throws(() => ASLLessons.readPack([]), /Not a lesson pack/);
+});
+
+test("a letter held after it was skipped doesn't count as accurate", () => {
+  assert.deepEqual(ASLLessons.scoreWord(4, new Set([0, 1, 2, 3]), new Set(), 0), { accuracy: 1, skips: 0 });
+  // the second letter skipped, then stepped back to and held
+  assert.deepEqual(ASLLessons.scoreWord(4, new Set([0, 1, 2, 3]), new Set([1]), 1), { accuracy: 0.75, skips: 1 });
+  // skipped twice on the way: one letter, two skips
+  assert.deepEqual(ASLLessons.scoreWord(4, new Set([0, 2, 3]), new Set([1]), 2), { accuracy: 0.75, skips: 2 });
+  assert.equal(ASLLessons.scoreWord(0, new Set(), new Set(), 0).accuracy, 0);
+});
+
+test("words pass on the criteria, passes stick, and units open in order", () => {
+  const { pack } = ASLLessons.readPack({
+    id: "t",
+    units: [
+      { words: ["HI", "NO"] },
+      { words: ["HELLO"], pass: { maxSkips: 0 } },
+    ],
+  });
+  const progress = ASLLessons.createProgress();
+  assert.deepEqual(ASLLessons.nextWord(progress, pack), { unit: 0, index: 0, word: "HI" });
+  assert.equal(ASLLessons.unitOpen(progress, pack, 1), false);
+
+  assert.equal(ASLLessons.recordWord(progress, pack, 0, "HI", ASLLessons.scoreWord(2, new Set([1]), new Set([0]), 1), 1).passed, false);
+  assert.equal(ASLLessons.recordWord(progress, pack, 0, "HI", ASLLessons.scoreWord(2, new Set([0, 1]), new Set(), 0), 2).passed, true);
+  assert.equal(ASLLessons.recordWord(progress, pack, 0, "HI", ASLLessons.scoreWord(2, new Set(), new Set([0, 1]), 2), 3).passed, false);
+  assert.deepEqual(ASLLessons.wordEntry(progress, pack, 0, "HI"), { best: 1, passed: true, tries: 3, at: 3 });
+
+  ASLLessons.recordWord(progress, pack, 0, "NO", ASLLessons.scoreWord(2, new Set([0, 1]), new Set(), 0), 4);
+  assert.equal(ASLLessons.unitOpen(progress, pack, 1), true);
+  // 5 of 5 held but one skipped and stepped back to: over this unit's maxSkips
+  assert.equal(ASLLessons.recordWord(progress, pack, 1, "HELLO", ASLLessons.scoreWord(5, new Set([0, 1, 2, 3, 4]), new Set([2]), 1), 5).passed, false);
+  assert.deepEqual(ASLLessons.packStatus(progress, pack), { units: 2, unitsPassed: 1, words: 3, wordsPassed: 2, complete: false });
+
+  ASLLessons.recordWord(progress, pack, 1, "HELLO", ASLLessons.scoreWord(5, new Set([0, 1, 2, 3, 4]), new Set(), 0), 6);
+  assert.equal(ASLLessons.nextWord(progress, pack), null);
+  assert.equal(ASLLessons.packStatus(progress, pack).complete, true);
+  // once done, the pack goes round again in order
+  assert.deepEqual(ASLLessons.wordAfter(pack, null), { unit: 0, index: 0, word: "HI" });
+  assert.deepEqual(ASLLessons.wordAfter(pack, { unit: 0, index: 1 }), { unit: 1, index: 0, word: "HELLO" });
+  assert.deepEqual(ASLLessons.wordAfter(pack, { unit: 1, index: 0 }), { unit: 0, index: 0, word: "HI" });
+
+  const stored = ASLLessons.readProgress(JSON.parse(JSON.stringify(progress)));
+  assert.deepEqual(stored, progress);
+  assert.deepEqual(ASLLessons.readProgress({ packs: { t: { "0:HI": { passed: true } } } }).packs.t, {});
+});
@@ -0,0 +1,157 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLMerge = require("../core/merge");
+const ASLDataset = require("../core/dataset");
+const ASLFeatures = require("../core/features");
+const { loadBundled } = require("./fixtures");
+
+const FEATURE = ASLFeatures.FEATURE_NAME;
+
+// first `n` bundled examples of each label given, as a live-dataset-shaped object
+function dataset(labels, n, from = 0) {
+  const raw = loadBundled();
+  const examples = ASLDataset.createEmptyExamples();
+  const landmarks = ASLDataset.createEmptyExamples();
+  for (const l of labels) {
+    examples[l] = raw.examples[l].slice(from, from + n);
+    landmarks[l] = examples[l].map(() => null);
+  }
+  return { examples, landmarks, sequences: { J: [], Z: [] }, addHistory: labels.flatMap((l) => examples[l].map(() => l)) };
+}
+
+function incomingFrom(ds) {
+  return ASLMerge.toFeatureSpace({ ...ds, meta: { feature: FEATURE, featureVersion: 1, dims: 42 } }, FEATURE);
+}
+
+test("append adds every one of a teammate's examples as it is, even ones we already have", () => {
+  const ours = dataset(["A", "B"], 5);
+  const theirs = incomingFrom(dataset(["B", "C"], 5, 3)); // B[3], B[4] are also ours
+
+  const plan = ASLMerge.planImport(ours, theirs, { mode: "append" });
+  const row = (l) => plan.rows.find((r) => r.label === l);
+
+  assert.equal(row("B").duplicates, 0);
+  assert.equal(row("B").added, 5);
+  assert.equal(row("C").added, 5);
+  assert.deepEqual(plan.totals, { added: 10, duplicates: 0, conflicts: 0, overwritten: 0, kept: 0 });
+
+  const r = plan.result;
+  assert.equal(r.examples.A.length, 5);
+  assert.equal(r.examples.B.length, 10);
+  assert.equal(r.examples.C.length, 5);
+  for (const l of ASLDataset.ALL_LABELS) assert.equal(r.landmarks[l].length, r.examples[l].length);
+  assert.equal(r.addHistory.length, ASLDataset.countExamples(r.examples));
+
+  // nothing of ours was touched
+  assert.equal(ours.examples.B.length, 5);
+});
+
+test("merge skips the examples we already have", () => {
+  const ours = dataset(["A", "B"], 5);
+  const theirs = incomingFrom(dataset(["B", "C"], 5, 3));
+
+  const plan = ASLMerge.planImport(ours, theirs, { mode: "merge" });
+  assert.equal(plan.rows.find((r) => r.label === "B").duplicates, 2);
+  assert.deepEqual(plan.totals, { added: 8, duplicates: 2, conflicts: 0, overwritten: 0, kept: 0 });
+  assert.equal(plan.result.examples.B.length, 8);
+});
+
+test("merge follows the per-label action: add, overwrite or keep", () => {
+  const ours = dataset(["A", "B", "C"], 4);
+  const theirs = incomingFrom(dataset(["A", "B", "C"], 6, 10));
+
+  const plan = ASLMerge.planImport(ours, theirs, { mode: "merge", actions: { A: "overwrite", B: "keep" } });
+  const r = plan.result;
+
+  assert.deepEqual(r.examples.A, theirs.examples.A);
+  assert.deepEqual(r.examples.B, ours.examples.B);
+  assert.equal(r.examples.C.length, 10);
+  assert.equal(plan.totals.overwritten, 4);
+  assert.equal(plan.totals.kept, 6);
+
+  // overwritten labels leave the undo history; the rest keep theirs and gain the new entries
+  assert.equal(r.addHistory.filter((h) => h === "A").length, 6);
+  assert.equal(r.addHistory.filter((h) => h === "B").length, 4);
+  assert.equal(r.addHistory.filter((h) => h === "C").length, 10);
+});
+
+test("an incoming example sitting on another label's example is a conflict", () => {
+  const ours = dataset(["A"], 3);
+  const mislabeled = dataset([], 0);
+  mislabeled.examples.E = [ours.examples.A[0].map((v) => v + 0.001)];
+  mislabeled.landmarks.E = [null];
+  const theirs = incomingFrom(mislabeled);
+
+  const skip = ASLMerge.planImport(ours, theirs, { mode: "merge" });
+  assert.equal(skip.totals.conflicts, 1);
+  assert.equal(skip.result.examples.E.length, 0);
+
+  const keep = ASLMerge.planImport(ours, theirs, { mode: "merge", conflicts: "keep" });
+  assert.equal(keep.totals.conflicts, 1);
+  assert.equal(keep.result.examples.E.length, 1);
+});
+
+test("duplicates inside the incoming file itself are caught too", () => {
+  const theirs = dataset(["D"], 3);
+  theirs.examples.D.push(theirs.examples.D[0].slice());
+  theirs.landmarks.D.push(null);
+
+  const plan = ASLMerge.planImport(dataset([], 0), incomingFrom(theirs), { mode: "merge" });
+  assert.equal(plan.result.examples.D.length, 3);
+  assert.equal(plan.totals.duplicates, 1);
+});
+
+test("motion sequences follow their letter's action, merge skips exact repeats", () => {
+  const seq = Array.from({ length: 16 }, (_, i) => [i / 16, 0, 0, i / 16]);
+  const ours = dataset([], 0);
+  ours.sequences.J = [seq];
+  const theirs = incomingFrom({ ...dataset([], 0), sequences: { J: [seq, seq.map((p) => p.map((v) => v + 0.1))], Z: [] } });
+
+  const plan = ASLMerge.planImport(ours, theirs, { mode: "merge" });
+  assert.equal(plan.result.sequences.J.length, 2);
+  assert.equal(plan.rows.find((r) => r.label === "J").seqAdded, 1);
+  assert.ok(plan.result.addHistory.includes("seq:J"));
+
+  const appended = ASLMerge.planImport(ours, theirs, { mode: "append" });
+  assert.equal(appended.result.sequences.J.length, 3);
+});
+
+test("a file recorded with another extractor is re-derived into ours from its landmarks", () => {
+  const raw = loadBundled();
+  const lm = ASLFeatures.getLandmarks21({ keypoints: raw.examples.A[0].reduce((pts, v, i) => (i % 2 ? pts : [...pts, { x: v * 100, y: raw.examples.A[0][i + 1] * 100, z: 0 }]), []) });
+  const payload = {
+    examples: { A: [ASLFeatures.featuresFromLandmarks(lm, "joint_angles")] },
+    landmarks: { A: [lm] },
+    meta: { feature: "joint_angles", featureVersion: ASLFeatures.getExtractor("joint_angles").version },
+  };
+
+  const inc = ASLMerge.toFeatureSpace(payload, FEATURE);
+  assert.equal(inc.rederived.recomputed, 1);
+  assert.deepEqual(inc.examples.A[0], ASLFeatures.featuresFromLandmarks(lm, FEATURE));
+});
+
+test("a legacy left-hand file without landmarks comes back mirrored into right-hand features", () => {
+  const { handFromFeats } = require("./fixtures");
+  const raw = loadBundled();
+  // a left hand: the mirror image of a right-hand K
+  const left = ASLFeatures.mirrorLandmarks(ASLFeatures.getLandmarks21(handFromFeats(raw.examples.K[1], { angle: 0.4, scale: 70, tx: 200, ty: 100 })));
+  const feats = ASLFeatures.featuresFromLandmarks(left, FEATURE);
+  const payload = {
+    examples: { K: [feats, feats], B: [[1, 2, 3]] },
+    landmarks: { K: [null, left] },
+    meta: { feature: FEATURE, featureVersion: 1, dims: 42, trackHand: "LEFT" },
+  };
+
+  const inc = ASLMerge.toFeatureSpace(payload, FEATURE);
+  assert.deepEqual(inc.mirrored, { mirrored: 2, dropped: 1 }); // B's 3 values can't be mirrored: no landmarks to fall back on
+  assert.equal(inc.rederived, null);
+  const right = ASLFeatures.featuresFromLandmarks(ASLFeatures.mirrorLandmarks(left), FEATURE);
+  for (const f of inc.examples.K) f.forEach((v, i) => assert.ok(Math.abs(v - right[i]) < 1e-9));
+  assert.notDeepEqual(inc.examples.K[0], feats);
+  assert.deepEqual(inc.landmarks.K, [null, ASLFeatures.mirrorLandmarks(left)]);
+  assert.deepEqual(inc.examples.B, []);
+
+  // once written with canonicalHand the file is right-handed already
+  assert.equal(ASLMerge.toFeatureSpace({ ...payload, meta: { ...payload.meta, canonicalHand: "RIGHT" } }, FEATURE).mirrored, null);
+});
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLDataset = require("../core/dataset");
+const ASLMlp = require("../core/mlp");
+
+// Three well-separated blobs in 4-D.
+function blobs(perLabel = 20) {
+  const rand = ASLMlp.mulberry32(7);
+  const ex = ASLDataset.createEmptyExamples();
+  const centres = { A: [1, 0, 0, 0], B: [0, 1, 0, 0], NONE: [0, 0, 1, 1] };
+  for (const [label, c] of Object.entries(centres)) {
+    for (let i = 0; i < perLabel; i++) ex[label].push(c.map((v) => v + (rand() - 0.5) * 0.2));
+  }
+  return ex;
+}
+
+function train(ex, opts = {}) {
+  const job = ASLMlp.createTrainer(ex, { epochs: 40, batchSize: 8, hidden: [8], ...opts });
+  job.step();
+  return job;
+}
+
+test("learns separable classes and reports progress per epoch", () => {
+  const job = train(blobs());
+  assert.equal(job.done, true);
+  assert.equal(job.progress, 1);
+  assert.equal(job.history.length, 40);
+  assert.ok(job.history[39].loss < job.history[0].loss);
+  assert.ok(job.acc > 0.95);
+  assert.deepEqual(job.model.labels, ["A", "B", "NONE"]);
+  assert.equal(job.model.trainedOn, 60);
+});
+
+test("classifyMLP keeps the kNN result shape and gating", () => {
+  const { model } = train(blobs());
+
+  const a = ASLMlp.classifyMLP([1, 0, 0, 0], model);
+  assert.deepEqual(Object.keys(a).sort(), ["best", "conf", "label", "scores", "second"]);
+  assert.equal(a.label, "A");
+  assert.equal(a.best, "A");
+  assert.deepEqual(Object.keys(a.scores), ["A", "B", "NONE"]);
+  assert.ok(Math.abs(Object.values(a.scores).reduce((x, y) => x + y, 0) - 1) < 1e-9);
+
+  assert.equal(ASLMlp.classifyMLP([0, 0, 1, 1], model).label, "NONE");
+  assert.equal(ASLMlp.classifyMLP([1, 0, 0, 0], model, { minConf: 1.01 }).label, "NONE");
+  assert.equal(ASLMlp.classifyMLP([1, 0, 0, 0], null), null);
+});
+
+test("training is deterministic for a seed", () => {
+  const a = train(blobs(), { epochs: 3 });
+  const b = train(blobs(), { epochs: 3 });
+  assert.deepEqual(a.history, b.history);
+});
+
+test("step(n) trains incrementally", () => {
+  const job = ASLMlp.createTrainer(blobs(), { epochs: 2, batchSize: 10 });
+  job.step(3);
+  assert.equal(job.epoch, 0);
+  assert.ok(job.progress > 0 && job.progress < 1);
+  job.step(3);
+  assert.equal(job.epoch, 1);
+  job.step();
+  assert.equal(job.done, true);
+});
+
+test("needs at least two labels", () => {
+  const ex = ASLDataset.createEmptyExamples();
+  ex.A = [[0, 1]];
+  assert.throws(() => ASLMlp.createTrainer(ex), /at least two labels/);
+});
+
+test("serialised weights survive a JSON round trip", () => {
+  const { model } = train(blobs());
+  const json = JSON.parse(JSON.stringify(ASLMlp.serializeModel(model)));
+  assert.equal(json.type, ASLMlp.MODEL_TYPE);
+
+  const back = ASLMlp.deserializeModel(json);
+  const p1 = ASLMlp.predictProba(model, [0.2, 0.9, 0, 0]);
+  const p2 = ASLMlp.predictProba(back, [0.2, 0.9, 0, 0]);
+  p1.forEach((p, i) => assert.ok(Math.abs(p - p2[i]) < 1e-4));
+  assert.equal(back.trainedOn, 60);
+});
+
+test("deserializeModel rejects anything unusable", () => {
+  const json = ASLMlp.serializeModel(train(blobs(), { epochs: 1 }).model);
+  assert.equal(ASLMlp.deserializeModel(null), null);
+  assert.equal(ASLMlp.deserializeModel({ ...json, type: "tfjs" }), null);
+  assert.equal(ASLMlp.deserializeModel({ ...json, labels: ["A"] }), null);
+  const broken = JSON.parse(JSON.stringify(json));
+  broken.layers[0].w.pop();
+  assert.equal(ASLMlp.deserializeModel(broken), null);
+  assert.equal(ASLMlp.serializeModel(null), null);
+});
+
+test("a saved model whose layers or normalisation don't fit together is refused with the reason", () => {
+  const json = ASLMlp.serializeModel(train(blobs(), { epochs: 1, hidden: [6, 5] }).model);
+  assert.equal(ASLMlp.modelProblem(json), null);
+
+  const chain = JSON.parse(JSON.stringify(json));
+  chain.layers[1] = { inDim: 4, outDim: 5, w: new Array(20).fill(0), b: new Array(5).fill(0) };
+  assert.equal(ASLMlp.modelProblem(chain), "layer 2 takes 4 values, the layer before gives 6");
+  assert.equal(ASLMlp.deserializeModel(chain), null);
+
+  const norm = JSON.parse(JSON.stringify(json));
+  norm.norm.std.pop();
+  assert.match(ASLMlp.modelProblem(norm), /normalisation must have 4 means and 4 positive spreads/);
+
+  const zero = JSON.parse(JSON.stringify(json));
+  zero.norm.std[0] = 0;
+  assert.ok(ASLMlp.modelProblem(zero));
+
+  const out = JSON.parse(JSON.stringify(json));
+  out.labels.push("Z");
+  assert.equal(ASLMlp.modelProblem(out), "the last layer gives 3 values for 4 labels");
+});
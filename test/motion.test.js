@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLMotion = require("../core/motion");
+const ASLFeatures = require("../core/features");
+const { loadBundled, handFromFeats } = require("./fixtures");
+
+const FRAME_MS = 33;
+
+// Polyline through `path` (in hand lengths), traced by a whole hand over `ms`.
+function frames(path, { ms = 900, t0 = 0, shape = "I", handPx = 80 } = {}) {
+  const feats = loadBundled().examples[shape][0];
+  const n = Math.round(ms / FRAME_MS);
+  const out = [];
+  for (let i = 0; i <= n; i++) {
+    const u = (i / n) * (path.length - 1);
+    const a = Math.min(Math.floor(u), path.length - 2);
+    const f = u - a;
+    const x = path[a][0] + (path[a + 1][0] - path[a][0]) * f;
+    const y = path[a][1] + (path[a + 1][1] - path[a][1]) * f;
+    const hand = handFromFeats(feats, { scale: handPx, tx: 320 + x * handPx, ty: 300 + y * handPx });
+    out.push({ t: t0 + i * FRAME_MS, lm: ASLFeatures.getLandmarks21(hand) });
+  }
+  return out;
+}
+
+const Z_PATH = [[0, 0], [1, 0], [0, 1], [1, 1]];
+const J_PATH = [[0, 0], [0, 0.8], [-0.3, 1.1], [-0.7, 0.9]];
+const STILL = [[0, 0], [0.01, 0]];
+
+function feed(state, list) {
+  for (const f of list) ASLMotion.pushMotionFrame(state, f.lm, f.t);
+  return list[list.length - 1].t;
+}
+
+function templates() {
+  const seqs = ASLMotion.createEmptySequences();
+  for (const ms of [700, 900, 1100]) {
+    seqs.Z.push(ASLMotion.trajectoryFromFrames(frames(Z_PATH, { ms, shape: "D" })));
+    seqs.J.push(ASLMotion.trajectoryFromFrames(frames(J_PATH, { ms })));
+  }
+  return seqs;
+}
+
+test("trajectories are resampled to a fixed length and scale-free", () => {
+  const small = ASLMotion.trajectoryFromFrames(frames(Z_PATH, { handPx: 40 }));
+  const big = ASLMotion.trajectoryFromFrames(frames(Z_PATH, { handPx: 120 }));
+  assert.equal(small.length, ASLMotion.DEFAULTS.samples);
+  assert.ok(ASLMotion.dtwDistance(small, big) < 1e-9);
+  assert.ok(ASLMotion.pathLength(big) > 2.5);
+});
+
+test("too few frames give no trajectory", () => {
+  assert.equal(ASLMotion.trajectoryFromFrames(frames(Z_PATH).slice(0, 3)), null);
+});
+
+test("dtw tolerates speed changes but separates J from Z", () => {
+  const zFast = ASLMotion.trajectoryFromFrames(frames(Z_PATH, { ms: 500 }));
+  const zSlow = ASLMotion.trajectoryFromFrames(frames([[0, 0], [0, 0], ...Z_PATH], { ms: 1300 }));
+  const j = ASLMotion.trajectoryFromFrames(frames(J_PATH));
+  assert.ok(ASLMotion.dtwDistance(zFast, zSlow) < ASLMotion.dtwDistance(zFast, j));
+});
+
+test("live Z and J motions are recognised from the buffer", () => {
+  const seqs = templates();
+
+  const zState = ASLMotion.createMotionState();
+  const tz = feed(zState, frames(Z_PATH, { ms: 850, t0: 5000, shape: "D" }));
+  assert.equal(ASLMotion.classifyMotion(zState, seqs, tz).label, "Z");
+
+  const jState = ASLMotion.createMotionState();
+  const tj = feed(jState, frames(J_PATH, { ms: 800, t0: 5000 }));
+  const m = ASLMotion.classifyMotion(jState, seqs, tj);
+  assert.equal(m.label, "J");
+  assert.ok(m.conf > 0.5);
+});
+
+test("a still hand is not moving and matches nothing", () => {
+  const state = ASLMotion.createMotionState();
+  const t = feed(state, frames(STILL, { ms: 1200 }));
+  assert.deepEqual(ASLMotion.classifyMotion(state, templates(), t), { label: null, conf: 0, dist: Infinity, moving: false });
+});
+
+test("a match stays latched briefly after the motion ends", () => {
+  const state = ASLMotion.createMotionState();
+  let t = feed(state, frames(Z_PATH, { ms: 850, t0: 1000, shape: "D" }));
+  const seqs = templates();
+  assert.equal(ASLMotion.classifyMotion(state, seqs, t).label, "Z");
+
+  t = feed(state, frames(STILL, { ms: 1300, t0: t + FRAME_MS }));
+  assert.equal(ASLMotion.classifyMotion(state, seqs, t).label, null);
+});
+
+test("applyMotionGate keeps the classifyKNN result shape", () => {
+  const res = { label: "J", conf: 0.9, best: "J", second: "I", scores: { J: 3, I: 1 } };
+  const seqs = templates();
+  const still = { label: null, conf: 0, dist: Infinity, moving: false };
+  const moving = { ...still, moving: true };
+
+  assert.equal(ASLMotion.applyMotionGate(res, still, seqs).label, "NONE");
+  assert.equal(ASLMotion.applyMotionGate(res, moving, seqs).label, "NONE");
+  assert.equal(ASLMotion.applyMotionGate(res, moving, ASLMotion.createEmptySequences()).label, "J");
+  assert.equal(ASLMotion.applyMotionGate(res, still, ASLMotion.createEmptySequences()).label, "NONE");
+
+  const asI = { ...res, label: "I", best: "I" };
+  const out = ASLMotion.applyMotionGate(asI, { label: "J", conf: 0.95, dist: 0.1, moving: true }, seqs);
+  assert.equal(out.label, "J");
+  assert.equal(out.conf, 0.95);
+  assert.equal(out.best, "I");
+  assert.equal(ASLMotion.applyMotionGate(asI, still, seqs), asI);
+  assert.equal(ASLMotion.applyMotionGate(null, still, seqs), null);
+});
+
+test("recordSequence enforces duration and motion", () => {
+  const state = ASLMotion.createMotionState();
+  const t = feed(state, frames(Z_PATH, { ms: 900, t0: 100 }));
+  assert.equal(ASLMotion.recordSequence(state, t - 100, t).reason, "too short");
+  assert.equal(ASLMotion.recordSequence(state, t - 5000, t).reason, "too long");
+  assert.equal(ASLMotion.recordSequence(state, 100, t).seq.length, ASLMotion.DEFAULTS.samples);
+
+  const still = ASLMotion.createMotionState();
+  const ts = feed(still, frames(STILL, { ms: 900, t0: 100 }));
+  assert.equal(ASLMotion.recordSequence(still, 100, ts).reason, "no motion");
+});
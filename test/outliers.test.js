@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLOutliers = require("../core/outliers");
+const ASLDataset = require("../core/dataset");
+const { loadBundled } = require("./fixtures");
+
+function subset(labels, n) {
+  const raw = loadBundled();
+  const examples = ASLDataset.createEmptyExamples();
+  for (const l of labels) examples[l] = raw.examples[l].slice(0, n);
+  return examples;
+}
+
+test("a B recorded under A is flagged as a mislabel that should be B", () => {
+  const examples = subset(["A", "B", "L"], 20);
+  examples.A.push(examples.B[3].map((v) => v + 0.002));
+
+  const report = ASLOutliers.scanExamples(examples);
+  const top = report.flagged[0];
+  assert.equal(top.label, "A");
+  assert.equal(top.i, 20);
+  assert.equal(top.reason, "mislabel");
+  assert.equal(top.suggest, "B");
+  assert.equal(top.score, 1);
+});
+
+test("a pose far from the rest of its letter is flagged as an outlier", () => {
+  const examples = subset(["A", "B", "L"], 20);
+  const centre = examples.L[0].map((_, j) => examples.L.reduce((s, f) => s + f[j], 0) / 20);
+  examples.L.push(centre.map((v, j) => v + (examples.L[4][j] - v) * 6)); // stretched away from the centre
+
+  const { flagged } = ASLOutliers.scanExamples(examples);
+  const hit = flagged.find((f) => f.label === "L" && f.i === 20);
+  assert.ok(hit);
+  assert.equal(hit.reason, "outlier");
+  assert.ok(hit.ratio >= ASLOutliers.DEFAULTS.farRatio);
+});
+
+test("the bundled set mostly passes, and the incremental scan matches the one-shot one", () => {
+  const examples = loadBundled().examples;
+  const once = ASLOutliers.scanExamples(examples);
+  assert.ok(once.flagged.length < ASLDataset.countExamples(examples) * 0.1);
+
+  const job = ASLOutliers.createScan(examples);
+  while (!job.step(300));
+  assert.deepEqual(job.report(), once);
+});
+
+test("locked (base model) examples are never flagged but still count as neighbours", () => {
+  const examples = subset(["A", "B"], 10);
+  examples.A.unshift(examples.B[0].slice()); // a bad base example
+  const { flagged } = ASLOutliers.scanExamples(examples, { locked: { A: 1 } });
+  assert.ok(!flagged.some((f) => f.label === "A" && f.i === 0));
+});
+
+test("removal order keeps indices valid: per label, highest first", () => {
+  const order = ASLOutliers.removalOrder([
+    { label: "B", i: 2 },
+    { label: "A", i: 1 },
+    { label: "B", i: 7 },
+    { label: "A", i: 4 },
+  ]);
+  assert.deepEqual(order.map((f) => `${f.label}${f.i}`), ["A4", "A1", "B7", "B2"]);
+});
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLPractice = require("../core/practice");
+
+const { DAY_MS } = ASLPractice;
+// local noon, so "today" has room on both sides
+const NOON = new Date(2026, 2, 10, 12, 0, 0).getTime();
+
+test("attempts are graded by time to hold stable; skips are misses", () => {
+  assert.equal(ASLPractice.gradeAttempt(false, 500), 0);
+  assert.equal(ASLPractice.gradeAttempt(true, 1500), 5);
+  assert.equal(ASLPractice.gradeAttempt(true, 5000), 4);
+  assert.equal(ASLPractice.gradeAttempt(true, 20000), 3);
+});
+
+test("good attempts push a letter out further each time, a miss brings it back today", () => {
+  const s = ASLPractice.createSchedule();
+  let now = NOON;
+  const intervals = [];
+  for (let i = 0; i < 4; i++) {
+    const card = ASLPractice.review(s, "B", { solved: true, ms: 4000 }, now);
+    intervals.push(card.interval);
+    now = card.due;
+  }
+  assert.deepEqual(intervals.slice(0, 2), [1, 3]);
+  assert.ok(intervals[2] > 3 && intervals[3] > intervals[2]);
+
+  const easeBefore = s.cards.B.ease;
+  const missed = ASLPractice.review(s, "B", { solved: false }, now);
+  assert.equal(missed.interval, 0);
+  assert.equal(missed.lapses, 1);
+  assert.equal(missed.lastMs, null);
+  assert.ok(missed.ease < easeBefore);
+  assert.ok(ASLPractice.dueToday(s, now).due.includes("B"));
+
+  // hard passes lower the ease, never below the floor
+  for (let i = 0; i < 20; i++) ASLPractice.review(s, "C", { solved: true, ms: 60000 }, NOON + i * 30 * DAY_MS);
+  assert.equal(s.cards.C.ease, ASLPractice.DEFAULTS.minEase);
+});
+
+test("solving a letter that isn't due keeps its schedule; missing it doesn't", () => {
+  const s = ASLPractice.createSchedule();
+  ASLPractice.review(s, "A", { solved: true, ms: 1000 }, NOON);
+  const due = s.cards.A.due;
+  ASLPractice.review(s, "A", { solved: true, ms: 1000 }, NOON + 1000);
+  assert.equal(s.cards.A.due, due);
+  assert.equal(s.cards.A.seen, 2);
+  ASLPractice.review(s, "A", { solved: false }, NOON + 2000);
+  assert.equal(s.cards.A.due, NOON + 2000);
+});
+
+test("today's session: overdue letters first, then a few new ones; misses are retried", () => {
+  const s = ASLPractice.createSchedule();
+  ASLPractice.review(s, "K", { solved: true, ms: 1000 }, NOON - 3 * DAY_MS); // due 2 days ago
+  ASLPractice.review(s, "F", { solved: true, ms: 1000 }, NOON - DAY_MS); // due now
+  ASLPractice.review(s, "A", { solved: true, ms: 1000 }, NOON); // due tomorrow
+
+  const today = ASLPractice.dueToday(s, NOON);
+  assert.deepEqual(today.due, ["K", "F"]);
+  assert.equal(today.fresh.length, 23);
+  assert.equal(today.next, s.cards.A.due);
+
+  const queue = ASLPractice.buildSession(s, NOON, { newPerSession: 2 });
+  assert.deepEqual(queue, ["K", "F", "B", "C"]);
+  assert.deepEqual(ASLPractice.buildSession(s, NOON, { sessionSize: 3 }), ["K", "F", "B"]);
+
+  assert.deepEqual(ASLPractice.requeue(["F", "B"], "K"), ["F", "B", "K"]);
+  assert.deepEqual(ASLPractice.requeue(["F", "B", "C", "D", "E"], "K"), ["F", "B", "C", "K", "D", "E"]);
+});
+
+test("readSchedule keeps well-formed cards of known letters only", () => {
+  const card = { ease: 2.2, interval: 3, due: NOON, reps: 2, lapses: 1, seen: 4, lastMs: 2100, lastAt: NOON - DAY_MS };
+  const s = ASLPractice.readSchedule({ version: 1, cards: { A: card, B: { due: "soon" }, NONE: card, "?": card } });
+  assert.deepEqual(Object.keys(s.cards), ["A"]);
+  assert.deepEqual(s.cards.A, card);
+  assert.deepEqual(ASLPractice.readSchedule(null), ASLPractice.createSchedule());
+});
@@ -0,0 +1,138 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLSchema = require("../core/schema");
+const ASLDataset = require("../core/dataset");
+const { loadBundled } = require("./fixtures");
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+// a small current-version payload built from the bundled examples
+function current() {
+  const raw = loadBundled();
+  const examples = ASLDataset.createEmptyExamples();
+  const landmarks = ASLDataset.createEmptyExamples();
+  for (const l of ["A", "B", "C"]) {
+    examples[l] = clone(raw.examples[l].slice(0, 4));
+    landmarks[l] = examples[l].map(() => null);
+  }
+  return {
+    version: ASLSchema.SCHEMA_VERSION,
+    savedAt: "2026-01-01T00:00:00.000Z",
+    examples,
+    landmarks,
+    sequences: { J: [], Z: [] },
+    addHistory: ["A", "B", "C"],
+    model: null,
+    meta: { feature: "xy_rot_norm_singlehand", featureVersion: 1, dims: 42, trackHand: "RIGHT", canonicalHand: "RIGHT" },
+  };
+}
+
+test("the bundled v4 file migrates to the current version and validates", () => {
+  const raw = loadBundled();
+  const before = JSON.stringify(raw);
+  const { payload, from } = ASLSchema.migrate(raw);
+
+  assert.equal(from, 4);
+  assert.equal(payload.version, ASLSchema.SCHEMA_VERSION);
+  assert.equal(payload.meta.featureVersion, 1);
+  assert.equal(payload.landmarks.A.length, raw.examples.A.length);
+  assert.deepEqual(payload.sequences, {});
+  assert.equal(JSON.stringify(raw), before, "input left untouched");
+
+  assert.deepEqual(ASLSchema.validateDataset(payload), { ok: true, fatal: false, issues: [] });
+});
+
+test("trainer v5, game v9 and unversioned payloads all load into the current version", () => {
+  const base = loadBundled();
+  const trainer = { ...clone(base), version: 5 };
+  const game = { version: 9, examples: clone(base.examples), addHistory: [], meta: { feature: "xy_rot_norm_singlehand", trackHand: "RIGHT", dims: 42, k: 7 } };
+  const bare = { examples: { A: clone(base.examples.A) } };
+
+  for (const [raw, from] of [[trainer, 5], [game, 9], [bare, null]]) {
+    const read = ASLSchema.readDataset(raw);
+    assert.equal(read.from, from);
+    assert.equal(read.payload.version, ASLSchema.SCHEMA_VERSION);
+    assert.equal(read.issues.length, 0);
+    assert.equal(read.changed, true);
+    assert.equal(ASLDataset.countExamples(read.payload.examples), ASLDataset.countExamples(raw.examples));
+  }
+
+  // a current file read back is unchanged
+  const read = ASLSchema.readDataset(current());
+  assert.equal(read.changed, false);
+  assert.deepEqual(read.payload, current());
+});
+
+test("newer files and files without examples are refused", () => {
+  assert.throws(() => ASLSchema.readDataset({ ...current(), version: ASLSchema.SCHEMA_VERSION + 1 }), /newer/);
+  assert.throws(() => ASLSchema.readDataset({ version: 5 }), /examples: missing/);
+  assert.throws(() => ASLSchema.readDataset("[]"), /Not a dataset/);
+});
+
+test("the validator names every broken item by path", () => {
+  const p = current();
+  p.examples.A[1] = p.examples.A[1].slice(0, 40);
+  p.examples.B[2][7] = null; // NaN after JSON
+  p.examples.FOO = [p.examples.C[0]];
+  p.landmarks.C[3] = [[0, 0, 0]];
+  p.addHistory.push("seq:Q", "?");
+  p.sequences.J.push([[0, 0, 0, 0]]);
+
+  const { ok, fatal, issues } = ASLSchema.validateDataset(p);
+  assert.equal(ok, false);
+  assert.equal(fatal, false);
+  assert.deepEqual(
+    issues.map((i) => i.path),
+    ["examples.A[1]", "examples.B[2]", "landmarks.C[3]", "examples.FOO", "sequences.J[0]", "addHistory[3]", "addHistory[4]"]
+  );
+  assert.match(issues[0].message, /40 values, expected 42/);
+  assert.match(issues[1].message, /value 7 is null/);
+
+  // reading drops exactly those items and keeps landmarks in line with the examples
+  const read = ASLSchema.readDataset(p);
+  assert.equal(read.payload.examples.A.length, 3);
+  assert.equal(read.payload.examples.B.length, 3);
+  assert.equal(read.payload.examples.C.length, 4);
+  assert.equal(read.payload.landmarks.C[3], null);
+  assert.ok(!("FOO" in read.payload.examples));
+  assert.deepEqual(read.payload.addHistory, ["A", "B", "C"]);
+  assert.deepEqual(read.payload.sequences.J, []);
+  for (const l of Object.keys(read.payload.examples)) {
+    assert.equal(read.payload.landmarks[l].length, read.payload.examples[l].length);
+  }
+});
+
+test("a model whose layers don't chain is left out and named, the examples stay", () => {
+  const ASLMlp = require("../core/mlp");
+  const p = current();
+  const job = ASLMlp.createTrainer(p.examples, { epochs: 1, hidden: [4] });
+  job.step();
+  p.model = clone(ASLMlp.serializeModel(job.model));
+  assert.deepEqual(ASLSchema.validateDataset(p).issues, []);
+
+  p.model.layers[1].inDim = 5;
+  const read = ASLSchema.readDataset(p);
+  assert.equal(read.payload.model, null);
+  assert.deepEqual(read.issues.map((i) => i.path), ["model"]);
+  assert.match(read.issues[0].message, /not a valid MLP \(layer 2 takes 5 values, the layer before gives 4\)/);
+  assert.equal(ASLDataset.countExamples(read.payload.examples), 12);
+});
+
+test("meta that doesn't match its extractor makes the file unusable", () => {
+  const wrongDims = current();
+  wrongDims.meta.dims = 40;
+  const v = ASLSchema.validateDataset(wrongDims);
+  assert.equal(v.fatal, true);
+  assert.equal(v.issues[0].path, "meta.dims");
+  assert.throws(() => ASLSchema.readDataset(wrongDims), /meta\.dims: 40, but "xy_rot_norm_singlehand" features have 42 values/);
+
+  const unknown = current();
+  unknown.meta.feature = "made_up";
+  assert.throws(() => ASLSchema.readDataset(unknown), /meta\.feature: unknown extractor "made_up"/);
+});
+
+test("formatIssues keeps long reports short", () => {
+  const issues = Array.from({ length: 5 }, (_, i) => ({ path: `examples.A[${i}]`, message: "bad", fatal: false }));
+  assert.equal(ASLSchema.formatIssues(issues, 2), "examples.A[0]: bad; examples.A[1]: bad; … and 3 more");
+});
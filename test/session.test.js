@@ -0,0 +1,339 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLSession = require("../core/session");
+const ASLStore = require("../core/store");
+const ASLWorkspace = require("../core/workspace");
+const ASLSchema = require("../core/schema");
+const ASLMotion = require("../core/motion");
+const ASLFeatures = require("../core/features");
+const ASLHarvest = require("../core/harvest");
+const { loadBundled, handFromFeats } = require("./fixtures");
+
+// 21×3 landmarks of the i-th bundled example of `label`
+function landmarksOf(label, i = 0) {
+  return handFromFeats(loadBundled().examples[label][i]).keypoints.map((p) => [p.x, p.y, p.z]);
+}
+
+const noBase = async () => ({ ok: false, status: 404 });
+
+function fakeStorage(items = {}) {
+  return {
+    getItem: (k) => (k in items ? items[k] : null),
+    removeItem: (k) => delete items[k],
+    items,
+  };
+}
+
+// A session on a fresh in-memory store; log collects its status lines
+async function openSession(opts = {}) {
+  const log = [];
+  const backend = ASLStore.createMemoryBackend();
+  const ws = ASLSession.createSession({ status: (msg) => log.push(msg), ...opts.hooks });
+  await ASLSession.openStorage(ws, Promise.resolve(backend), { fetch: noBase, empty: "empty", ...opts.storage });
+  return { ws, log, backend };
+}
+
+// Writes are queued in the background: a read through the store waits for them
+async function reload(ws) {
+  return ASLSession.openDataset(ws, ws.activeDataset.id);
+}
+
+test("openStorage on a fresh store opens the default dataset empty", async () => {
+  const { ws, log } = await openSession();
+  assert.equal(ws.activeProfile.name, "Default");
+  assert.equal(ws.activeDataset.name, "My dataset");
+  assert.equal(ws.dominantHand, "RIGHT");
+  assert.equal(ws.basePayload, null);
+  assert.equal(ASLSession.totalExamples(ws), 0);
+  assert.deepEqual(log, ["empty"]);
+});
+
+test("openStorage without a store keeps the session in memory", async () => {
+  const ws = ASLSession.createSession({ status: (msg) => (ws.msg = msg) });
+  await ASLSession.openStorage(ws, Promise.reject(new Error("blocked")), { fetch: noBase, empty: "empty" });
+  assert.equal(ws.store, null);
+  assert.match(ws.msg, /^Storage unavailable — blocked/);
+
+  ASLSession.addExample(ws, "A", landmarksOf("A"));
+  assert.equal(ws.examples.A.length, 1);
+});
+
+test("openStorage moves a dataset left in browser storage into the empty active one", async () => {
+  const raw = loadBundled();
+  const storage = fakeStorage({ old: JSON.stringify(raw) });
+  const { ws, log } = await openSession({ storage: { legacy: { storage, key: "old", name: "From storage" } } });
+
+  assert.equal(ws.activeDataset.name, "From storage");
+  assert.equal(ws.examples.A.length, raw.examples.A.length);
+  assert.equal(storage.getItem("old"), null);
+  assert.match(log[0], /^Loaded ✅ "From storage"/);
+});
+
+test("addExample and undoLast write through to the store", async () => {
+  const { ws, log } = await openSession();
+  const feats = ASLSession.addExample(ws, "A", landmarksOf("A"));
+  ASLSession.addExample(ws, "B", landmarksOf("B"));
+  assert.equal(feats.length, 42);
+  assert.deepEqual(ws.addHistory, ["A", "B"]);
+  assert.equal(ws.knnIndex.count, 2);
+
+  ASLSession.undoLast(ws);
+  assert.equal(log.at(-1), "Undo: B");
+  await reload(ws);
+  assert.equal(ws.examples.A.length, 1);
+  assert.equal(ws.examples.B.length, 0);
+  assert.deepEqual(ws.addHistory, ["A"]);
+});
+
+test("addSequence keeps a recorded motion and undo removes it", async () => {
+  const { ws, log } = await openSession();
+  assert.equal(ASLSession.addSequence(ws, "J", 0, 10), false);
+  assert.match(log.at(-1), /^REC ● J not saved/);
+
+  const lm = landmarksOf("I");
+  for (let t = 0; t <= 600; t += 40) {
+    ASLMotion.pushMotionFrame(ws.motionState, lm.map(([x, y, z]) => [x + t / 600, y + t / 1200, z]), t);
+  }
+  assert.equal(ASLSession.addSequence(ws, "J", 0, 600), true);
+  assert.equal(log.at(-1), "Added J motion (1)");
+
+  ASLSession.undoLast(ws);
+  assert.equal(ws.sequences.J.length, 0);
+});
+
+test("clearAll empties the dataset and stops capture", async () => {
+  let stopped = 0;
+  const { ws, log } = await openSession({ hooks: { stopCapture: () => stopped++ } });
+  assert.equal(stopped, 1); // loading the dataset
+  ASLSession.addExample(ws, "A", landmarksOf("A"));
+  ASLSession.clearAll(ws);
+  assert.equal(stopped, 2);
+  assert.equal(log.at(-1), "Cleared dataset ✅");
+
+  await reload(ws);
+  assert.equal(ASLSession.totalExamples(ws), 0);
+  assert.deepEqual(ws.addHistory, []);
+});
+
+test("toggleBase can't put a dataset on the base when the file didn't load", async () => {
+  const { ws, log } = await openSession();
+  assert.equal(ws.useBase, true); // new datasets start on it
+  ASLSession.toggleBase(ws);
+  assert.equal(ws.useBase, false);
+  ASLSession.toggleBase(ws);
+  assert.equal(ws.useBase, false);
+  assert.equal(log.at(-1), "Base model not available (couldn't load it)");
+});
+
+test("the base model sits in front of the dataset's own examples and is never saved", async () => {
+  const raw = loadBundled();
+  const fetch = async () => ({ ok: true, json: async () => raw });
+  const { ws } = await openSession({ storage: { fetch } });
+  ASLSession.addExample(ws, "A", landmarksOf("A"));
+  assert.equal(ws.examples.A.length, raw.examples.A.length + 1);
+  assert.equal(ASLSession.ownExamples(ws).examples.A.length, 1);
+  assert.equal(ASLSession.buildPayload(ws).examples.A.length, 1);
+
+  ASLSession.toggleBase(ws);
+  assert.equal(ws.useBase, false);
+  assert.equal(ws.examples.A.length, 1);
+
+  await reload(ws);
+  assert.equal(ws.useBase, false);
+  assert.equal(ws.examples.A.length, 1);
+});
+
+test("commitImport merging into a dataset drops a trained MLP", async () => {
+  const { ws, log } = await openSession();
+  ASLSession.addExample(ws, "A", landmarksOf("A"));
+  ws.mlpModel = {};
+  ws.backend = ASLWorkspace.BACKEND_MLP;
+
+  const incoming = ASLSession.createSession();
+  ASLSession.addExample(incoming, "B", landmarksOf("B"));
+  const d = ASLWorkspace.createImportDraft(ASLSchema.readDataset(ASLSession.buildPayload(incoming)), ws, { feature: ws.featureName });
+  assert.equal(d.mode, "merge");
+
+  ASLSession.commitImport(ws, d);
+  assert.equal(ws.examples.B.length, 1);
+  assert.equal(ws.mlpModel, null);
+  assert.equal(ws.backend, ASLWorkspace.BACKEND_KNN);
+  assert.match(log.at(-1), /MLP dropped, 3 retrains it$/);
+});
+
+test("openProfile switches to that profile's hand and dataset", async () => {
+  const loaded = [];
+  const { ws } = await openSession({ hooks: { loadProfile: async (p) => loaded.push(p.name) } });
+  ASLSession.addExample(ws, "A", landmarksOf("A"));
+
+  const sam = await ws.store.createProfile("Sam");
+  await ws.store.setDominantHand(sam.id, "LEFT");
+  sam.dominantHand = "LEFT";
+  await ASLSession.openProfile(ws, sam);
+  assert.equal(ws.activeProfile.name, "Sam");
+  assert.equal(ws.dominantHand, "LEFT");
+  assert.equal(ASLSession.totalExamples(ws), 0);
+  assert.deepEqual(loaded, ["Default", "Sam"]);
+
+  ASLSession.toggleDominantHand(ws);
+  assert.equal((await ws.store.listProfiles()).find((p) => p.name === "Sam").dominantHand, "RIGHT");
+});
+
+test("a trained MLP becomes the backend and goes stale when the examples change", async () => {
+  const { ws, log } = await openSession();
+  ASLSession.toggleBackend(ws);
+  assert.equal(log.at(-1), "No MLP yet — press 3 to train one");
+
+  ASLSession.startTraining(ws);
+  assert.match(log.at(-1), /^Can't train/); // nothing to train on
+
+  for (const l of ["A", "B"]) for (let i = 0; i < 4; i++) ASLSession.addExample(ws, l, landmarksOf(l, i));
+  ASLSession.startTraining(ws);
+  let clock = 0;
+  while (ws.trainJob) ASLSession.stepTraining(ws, 1000, () => clock++);
+  assert.match(log.at(-1), /^MLP trained ✅ \(train acc \d+\.\d%\) — backend MLP$/);
+  assert.equal(ws.backend, ASLWorkspace.BACKEND_MLP);
+  assert.equal(ASLSession.backendTag(ws), "MLP");
+  assert.ok(ASLSession.classifyMLP(ws, ws.examples.A[0]));
+
+  ASLSession.addExample(ws, "A", landmarksOf("A", 5));
+  assert.equal(ASLSession.backendTag(ws), "MLP (stale)");
+  ASLSession.toggleBackend(ws);
+  assert.equal(ASLSession.backendTag(ws), "kNN");
+
+  await reload(ws);
+  assert.ok(ws.mlpModel);
+});
+
+test("trainingText shows the epoch, then loss and accuracy", () => {
+  const job = { epoch: 2, epochs: 60, loss: null, acc: null };
+  assert.deepEqual(ASLSession.trainingText(job), { title: "Training MLP — epoch 2/60", stats: "…" });
+  assert.equal(ASLSession.trainingText({ ...job, loss: 0.5, acc: 0.875 }, "  |  ").stats, "loss 0.500  |  acc 87.5%");
+});
+
+test("cycleFeatureExtractor re-derives the examples and drops the MLP", async () => {
+  const { ws, log } = await openSession();
+  ASLSession.addExample(ws, "A", landmarksOf("A"));
+  ws.mlpModel = {};
+  ws.backend = ASLWorkspace.BACKEND_MLP;
+
+  ASLSession.cycleFeatureExtractor(ws);
+  assert.notEqual(ws.featureName, ASLFeatures.FEATURE_NAME);
+  assert.equal(ws.examples.A[0].length, ASLFeatures.getExtractor(ws.featureName).dims);
+  assert.equal(ws.mlpModel, null);
+  assert.match(log.at(-1), /^Features: /);
+
+  ws.landmarks.A[0] = null;
+  const name = ws.featureName;
+  ASLSession.cycleFeatureExtractor(ws);
+  assert.equal(ws.featureName, name);
+  assert.equal(log.at(-1), "Can't switch features — 1 examples have no raw landmarks");
+});
+
+test("toggleAugment adds variants of the own examples to live kNN and keeps them out of the file", async () => {
+  const { ws, log } = await openSession();
+  ASLSession.addExample(ws, "A", landmarksOf("A"));
+
+  ASLSession.toggleAugment(ws);
+  assert.equal(ws.useAugment, true);
+  assert.ok(ws.synthetic.A.length > 0);
+  assert.equal(ws.synthIndex.count, ASLSession.syntheticCount(ws));
+  assert.equal(log.at(-1), `Synthetic variants ON (+${ws.synthetic.A.length} from your own examples)`);
+
+  ASLSession.addExample(ws, "C", landmarksOf("C"));
+  assert.ok(ws.synthetic.C.length > 0);
+  assert.equal(ASLSession.trainingExamples(ws).C.length, 1 + ws.synthetic.C.length);
+  assert.equal(ASLSession.buildPayload(ws).examples.C.length, 1);
+
+  ASLSession.toggleAugment(ws);
+  assert.equal(ASLSession.syntheticCount(ws), 0);
+  assert.equal(log.at(-1), "Synthetic variants OFF");
+});
+
+test("a calibration run is taken letter by letter, saved per profile and removed with X", async () => {
+  const { ws, log } = await openSession();
+  assert.equal(ASLSession.openCalibration(ws), true);
+  const run = ws.calSession;
+  assert.equal(log.at(-1), 'Calibrating for "Default"');
+
+  assert.equal(ASLSession.calibrationKey(ws, " ", null), true);
+  assert.equal(log.at(-1), "No hand detected");
+  assert.equal(ASLSession.calibrationKey(ws, "Q", null), false);
+
+  for (let i = 0; i < run.perLabel; i++) ASLSession.calibrationKey(ws, " ", landmarksOf("A", i));
+  assert.match(log.at(-1), /^A ✓/);
+  while (ws.calSession) ASLSession.skipCalibrationLetter(ws);
+  assert.match(log.at(-1), /^Calibrated ✅ 1 letters for "Default"/);
+  assert.equal(ws.calIndex.count, run.perLabel);
+
+  await reload(ws);
+  assert.equal(ws.calibration.examples.A.length, run.perLabel);
+
+  ASLSession.openCalibration(ws);
+  ASLSession.calibrationKey(ws, "X", null);
+  assert.equal(log.at(-1), 'Calibration of "Default" removed');
+  ASLSession.cancelCalibration(ws);
+  assert.equal(ws.calSession, null);
+  await reload(ws);
+  assert.equal(ws.calibration, null);
+  assert.equal(ws.calIndex.count, 0);
+});
+
+test("calibration needs the store", () => {
+  const ws = ASLSession.createSession({ status: (msg) => (ws.msg = msg) });
+  assert.equal(ASLSession.openCalibration(ws), false);
+  assert.equal(ws.calSession, null);
+  assert.equal(ws.msg, "Storage unavailable — a calibration couldn't be kept");
+});
+
+test("tuning replaces the thresholds and saves them with the dataset", async () => {
+  const { ws, log } = await openSession();
+  ASLSession.startTuning(ws);
+  assert.match(log.at(-1), /^Can't tune/);
+
+  for (const l of ["A", "B", "C", "NONE"]) for (let i = 0; i < 8; i++) ASLSession.addExample(ws, l, landmarksOf(l === "NONE" ? "D" : l, i));
+  ASLSession.startTuning(ws);
+  assert.equal(log.at(-1), "Tuning thresholds…");
+  let clock = 0;
+  while (ws.tuneJob) ASLSession.stepTuning(ws, 1000, () => clock++);
+  assert.match(log.at(-1), /^Tuned ✅/);
+  const tuned = ws.tuning;
+
+  await reload(ws);
+  assert.deepEqual(ws.tuning, tuned);
+});
+
+test("predict feeds the live kNN result, calibration included, into the smoothing", async () => {
+  const { ws } = await openSession();
+  assert.equal(ASLSession.getSmoothedLabel(ws).label, null);
+  for (const l of ["A", "B", "C"]) for (let i = 0; i < 5; i++) ASLSession.addExample(ws, l, landmarksOf(l, i));
+
+  const feats = ws.examples.B[0];
+  assert.deepEqual(ASLSession.classify(ws, feats, 0), ASLSession.classifyKNN(ws, feats));
+  for (let i = 0; i < ws.tuning.smoothN; i++) assert.equal(ASLSession.predict(ws, feats, i * 33).label, "B");
+  assert.deepEqual(ASLSession.getSmoothedLabel(ws), { label: "B", conf: ws.lastConf, stable: true });
+
+  // a calibrated take of C sitting right on B's example outvotes the dataset there
+  ws.calibration = { ...ASLSession.buildPayload(ASLSession.createSession()), feature: ws.featureName };
+  ws.calibration.examples.C = [feats, feats, feats];
+  ASLSession.rebuildCalibration(ws);
+  assert.equal(ASLSession.classifyKNN(ws, feats).best, "C");
+});
+
+test("harvestNone takes NONE examples from a moving hand", async () => {
+  const { ws, log } = await openSession();
+  const state = ASLHarvest.createHarvestState();
+  ASLSession.harvestNone(ws, state, null, 0, { feats: null, res: null });
+  assert.equal(ws.examples.NONE.length, 0);
+
+  for (let t = 0; t <= 3000; t += 100) {
+    const swing = (t / 100) % 2;
+    const lm = landmarksOf(swing ? "A" : "Y", (t / 200) % 8 | 0).map(([x, y, z]) => [x + swing * 1.5, y, z]);
+    ASLSession.harvestNone(ws, state, lm, t, { feats: ASLFeatures.featuresFromLandmarks(lm), res: null });
+  }
+  assert.ok(ws.examples.NONE.length > 0);
+  assert.equal(ws.examples.NONE.length, state.added);
+  assert.match(log.at(-1), /^HARVEST ● NONE \+1 \(moving\) — \d+$/);
+  assert.deepEqual(ws.addHistory, ws.examples.NONE.map(() => "NONE"));
+});
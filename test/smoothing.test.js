@@ -0,0 +1,39 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLSmoothing = require("../core/smoothing");
+
+test("pushSmoothed keeps only the last smoothN labels", () => {
+  const q = [];
+  for (let i = 0; i < 20; i++) ASLSmoothing.pushSmoothed(q, i < 15 ? "A" : "B", { smoothN: 12 });
+  assert.equal(q.length, 12);
+  assert.deepEqual(q.slice(-5), ["B", "B", "B", "B", "B"]);
+});
+
+test("nothing predicted yet", () => {
+  assert.deepEqual(ASLSmoothing.getSmoothedLabel([], null, 0), { label: null, conf: 0, stable: false });
+});
+
+test("majority label becomes stable after stableMin votes", () => {
+  const q = [];
+  for (let i = 0; i < 8; i++) ASLSmoothing.pushSmoothed(q, "L");
+  assert.equal(ASLSmoothing.getSmoothedLabel(q, "L", 0.9).stable, false);
+
+  ASLSmoothing.pushSmoothed(q, "L");
+  assert.deepEqual(ASLSmoothing.getSmoothedLabel(q, "L", 0.9), { label: "L", conf: 0.9, stable: true });
+});
+
+test("a low-confidence last frame is never stable", () => {
+  const q = new Array(12).fill("L");
+  const sm = ASLSmoothing.getSmoothedLabel(q, "L", 0.5);
+  assert.equal(sm.label, "L");
+  assert.equal(sm.stable, false);
+});
+
+test("NONE frames count as votes against a letter", () => {
+  const q = [];
+  ["A", "NONE", "A", "NONE", "A", "NONE", "A", "A", "A", "A", "A", "NONE"].forEach((l) => ASLSmoothing.pushSmoothed(q, l));
+  const sm = ASLSmoothing.getSmoothedLabel(q, "NONE", 0.8);
+  assert.equal(sm.label, "A");
+  assert.equal(sm.stable, false);
+});
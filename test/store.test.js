@@ -0,0 +1,287 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLStore = require("../core/store");
+const ASLDataset = require("../core/dataset");
+const { loadBundled } = require("./fixtures");
+
+function bundledPayload() {
+  const raw = loadBundled();
+  const examples = ASLDataset.readExamples(raw);
+  return {
+    version: raw.version,
+    savedAt: raw.savedAt,
+    examples,
+    landmarks: ASLDataset.readLandmarks(raw, examples),
+    sequences: raw.sequences || {},
+    addHistory: raw.addHistory || [],
+    model: null,
+    meta: raw.meta || null,
+  };
+}
+
+async function freshStore() {
+  const backend = ASLStore.createMemoryBackend();
+  const store = await ASLStore.openStore(backend);
+  const profile = await store.getActiveProfile();
+  const ds = await store.getActiveDataset(profile.id);
+  return { backend, store, profile, ds };
+}
+
+test("IndexedDB key order: numbers, then strings, then arrays element by element", () => {
+  const keys = [["ds", "B", 0], "b", ["ds", "A", 10], 3, ["ds", "A", 2], ["ds"], "a", ["ds", []]];
+  keys.sort(ASLStore.compareKeys);
+  assert.deepEqual(keys, [3, "a", "b", ["ds"], ["ds", "A", 2], ["ds", "A", 10], ["ds", "B", 0], ["ds", []]]);
+});
+
+test("first open creates a default profile with one empty active dataset", async () => {
+  const { backend, store, profile, ds } = await freshStore();
+  assert.equal(profile.name, "Default");
+  assert.equal(ds.name, "My dataset");
+  assert.equal(ds.count, 0);
+
+  // reopening the same backend keeps it
+  const again = await ASLStore.openStore(backend);
+  assert.equal((await again.listProfiles()).length, 1);
+  assert.equal((await again.getActiveProfile()).id, profile.id);
+  assert.equal(ASLDataset.countExamples((await store.loadDataset(ds.id)).examples), 0);
+});
+
+test("a saved dataset loads back unchanged", async () => {
+  const { store, ds } = await freshStore();
+  const payload = bundledPayload();
+  await store.saveDataset(ds.id, payload);
+
+  const loaded = await store.loadDataset(ds.id);
+  assert.deepEqual(loaded.examples, payload.examples);
+  assert.deepEqual(loaded.landmarks, payload.landmarks);
+  assert.deepEqual(loaded.sequences, payload.sequences);
+  assert.equal((await store.listDatasets(ds.profileId))[0].count, ASLDataset.countExamples(payload.examples));
+});
+
+test("append and remove write one example record at a time", async () => {
+  const { backend, store, ds } = await freshStore();
+  const payload = bundledPayload();
+  payload.addHistory = ["A", "B", "B"];
+  await store.saveDataset(ds.id, payload);
+  await store.loadDataset(ds.id);
+
+  const writes = [];
+  const transact = backend.transact;
+  backend.transact = (ops) => {
+    writes.push(...ops.filter((op) => op.store === "examples"));
+    return transact(ops);
+  };
+
+  const feats = payload.examples.A[0].map((v) => v + 0.01);
+  payload.examples.A.push(feats);
+  payload.landmarks.A.push(null);
+  payload.addHistory.push("A");
+  await store.appendExample(ds.id, "A", feats);
+  assert.equal(writes.length, 1);
+  assert.equal(writes[0].put.length, 1);
+
+  // remove one from the middle of B (with its history entry), then undo the new A
+  const bRemoved = payload.examples.B.splice(1, 1)[0];
+  payload.landmarks.B.splice(1, 1);
+  payload.addHistory.splice(1, 1);
+  await store.removeExample(ds.id, "B", 1, 1);
+  payload.examples.A.pop();
+  payload.landmarks.A.pop();
+  payload.addHistory.pop();
+  await store.removeExample(ds.id, "A", payload.examples.A.length, payload.addHistory.length);
+  assert.ok(writes.slice(1).every((op) => op.delete.length === 1 && !op.put));
+
+  const loaded = await store.loadDataset(ds.id);
+  assert.deepEqual(loaded.examples, payload.examples);
+  assert.deepEqual(loaded.addHistory, ["A", "B"]);
+  assert.ok(!loaded.examples.B.some((f) => f === bRemoved || JSON.stringify(f) === JSON.stringify(bRemoved)));
+  assert.equal((await store.getActiveDataset(ds.profileId)).count, ASLDataset.countExamples(payload.examples));
+
+  // appending after removals never reuses a live key
+  payload.examples.B.push(feats);
+  payload.landmarks.B.push(null);
+  await store.appendExample(ds.id, "B", feats);
+  assert.deepEqual((await store.loadDataset(ds.id)).examples.B, payload.examples.B);
+});
+
+test("adding an example leaves the sequences and the model unwritten", async () => {
+  const { backend, store, ds } = await freshStore();
+  const payload = bundledPayload();
+  payload.model = { kind: "mlp", weights: [1, 2, 3] };
+  await store.saveDataset(ds.id, payload);
+  await store.loadDataset(ds.id);
+
+  const writes = [];
+  const transact = backend.transact;
+  backend.transact = (ops) => {
+    writes.push(...ops);
+    return transact(ops);
+  };
+  await store.appendExample(ds.id, "A", payload.examples.A[0], null);
+  assert.deepEqual(writes.map((op) => op.store), ["examples", "datasets"]);
+  const header = writes[1].put[0];
+  assert.ok(!("model" in header) && !("sequences" in header));
+  assert.equal(header.count, ASLDataset.countExamples(payload.examples) + 1);
+  assert.equal(header.addHistory.at(-1), "A");
+
+  writes.length = 0;
+  payload.model = { kind: "mlp", weights: [4, 5, 6] };
+  await store.saveHeader(ds.id, payload);
+  assert.deepEqual(writes.map((op) => op.store), ["datasets", "datasetParts"]);
+  assert.deepEqual((await store.loadDataset(ds.id)).model, payload.model);
+});
+
+test("rename, duplicate and delete datasets; deleting the active one picks another", async () => {
+  const { store, profile, ds } = await freshStore();
+  await store.saveDataset(ds.id, bundledPayload());
+
+  await store.renameDataset(ds.id, "Bundled");
+  const copy = await store.duplicateDataset(ds.id, "Bundled copy");
+  const names = (await store.listDatasets(profile.id)).map((d) => d.name);
+  assert.deepEqual(names, ["Bundled", "Bundled copy"]);
+  assert.deepEqual((await store.loadDataset(copy.id)).examples, (await store.loadDataset(ds.id)).examples);
+
+  await store.deleteDataset(ds.id);
+  assert.equal((await store.getActiveDataset(profile.id)).id, copy.id);
+  await assert.rejects(store.loadDataset(ds.id), /not found/);
+
+  // the copy's examples survive the original's deletion
+  assert.equal(ASLDataset.countExamples((await store.loadDataset(copy.id)).examples), copy.count);
+
+  // deleting the last dataset leaves a new empty one
+  await store.deleteDataset(copy.id);
+  const left = await store.listDatasets(profile.id);
+  assert.equal(left.length, 1);
+  assert.equal(left[0].count, 0);
+  assert.equal((await store.getActiveDataset(profile.id)).id, left[0].id);
+});
+
+test("profiles keep their own datasets", async () => {
+  const { store, profile, ds } = await freshStore();
+  await store.saveDataset(ds.id, bundledPayload());
+
+  const other = await store.createProfile("Sam");
+  await store.setActiveProfile(other.id);
+  assert.equal((await store.getActiveProfile()).id, other.id);
+
+  const otherSets = await store.listDatasets(other.id);
+  assert.equal(otherSets.length, 1);
+  assert.equal(otherSets[0].count, 0);
+  assert.equal((await store.listDatasets(profile.id)).length, 1);
+  assert.deepEqual((await store.listProfiles()).map((p) => p.name), ["Default", "Sam"]);
+});
+
+test("each profile keeps its own dominant hand, right until switched", async () => {
+  const { backend, store, profile } = await freshStore();
+  const other = await store.createProfile("Sam");
+  assert.equal(profile.dominantHand, "RIGHT");
+
+  assert.equal((await store.setDominantHand(other.id, "LEFT")).dominantHand, "LEFT");
+  const again = await ASLStore.openStore(backend);
+  const hands = Object.fromEntries((await again.listProfiles()).map((p) => [p.name, p.dominantHand]));
+  assert.deepEqual(hands, { Default: "RIGHT", Sam: "LEFT" });
+  await assert.rejects(store.setDominantHand(other.id, "BOTH"), /Unknown hand/);
+});
+
+test("calibrations and practice schedules are kept per profile, apart from every dataset", async () => {
+  const { store, profile, ds } = await freshStore();
+  const other = await store.createProfile("Sam");
+  assert.equal(await store.loadCalibration(profile.id), null);
+
+  const cal = { savedAt: "2026-01-01T00:00:00.000Z", examples: { A: [[0.1, 0.2]] }, landmarks: { A: [null] }, meta: { feature: "xy_rot_norm_singlehand" } };
+  await store.saveCalibration(profile.id, cal);
+  cal.examples.A.push([9, 9]);
+
+  const loaded = await store.loadCalibration(profile.id);
+  assert.deepEqual(loaded.examples, { A: [[0.1, 0.2]] });
+  assert.equal(loaded.profileId, undefined);
+  assert.equal(await store.loadCalibration(other.id), null);
+  assert.equal((await store.getActiveDataset(profile.id)).count, 0);
+  assert.equal(ASLDataset.countExamples((await store.loadDataset(ds.id)).examples), 0);
+
+  await store.saveCalibration(profile.id, null);
+  assert.equal(await store.loadCalibration(profile.id), null);
+
+  await store.saveSchedule(other.id, { version: 1, cards: { A: { due: 5 } } });
+  assert.deepEqual(await store.loadSchedule(other.id), { version: 1, cards: { A: { due: 5 } } });
+  assert.equal(await store.loadSchedule(profile.id), null);
+});
+
+test("game rounds are kept per profile, oldest first, and saving again updates a round", async () => {
+  const { store, profile } = await freshStore();
+  const other = await store.createProfile("Sam");
+  assert.deepEqual(await store.listRounds(profile.id), []);
+
+  const later = { mode: "WORD", target: "CAB", startedAt: 2000, letters: [], completed: false };
+  const first = { mode: "AZ", target: "ABC", startedAt: 1000, letters: [{ label: "A", solved: true, ms: 900, at: 1900 }], completed: false };
+  await store.saveRound(profile.id, later);
+  await store.saveRound(profile.id, first);
+  first.completed = true;
+  assert.equal((await store.listRounds(profile.id))[0].completed, false);
+  await store.saveRound(profile.id, first);
+
+  const rounds = await store.listRounds(profile.id);
+  assert.deepEqual(rounds.map((r) => r.target), ["ABC", "CAB"]);
+  assert.equal(rounds[0].completed, true);
+  assert.equal(rounds[0].profileId, undefined);
+  assert.deepEqual(await store.listRounds(other.id), []);
+});
+
+test("the challenge leaderboard is one list shared by every profile", async () => {
+  const { store, backend } = await freshStore();
+  assert.equal(await store.loadLeaderboard(), null);
+  const board = [{ name: "Sam", score: 900, solved: 7, bestStreak: 5, durationMs: 60000, at: 1 }];
+  await store.saveLeaderboard(board);
+  board[0].score = 1;
+  assert.equal((await store.loadLeaderboard())[0].score, 900);
+  assert.equal((await (await ASLStore.openStore(backend)).loadLeaderboard())[0].name, "Sam");
+});
+
+test("lesson packs are shared; progress through them is kept per profile", async () => {
+  const { store, profile } = await freshStore();
+  const other = await store.createProfile("Sam");
+  const pack = { id: "animals", title: "Animals", description: "", pass: {}, units: [{ title: "Pets", pass: {}, words: ["CAT"] }] };
+  await store.saveLessonPack(pack);
+  await store.saveLessonPack({ ...pack, title: "Animals 2" });
+  await store.saveLessonPack({ ...pack, id: "colors", title: "Colors" });
+  assert.deepEqual((await store.listLessonPacks()).map((p) => p.title), ["Animals 2", "Colors"]);
+  await store.deleteLessonPack("colors");
+  assert.equal((await store.listLessonPacks()).length, 1);
+
+  await store.saveLessonProgress(profile.id, { version: 1, packs: { animals: { "0:CAT": { best: 1, passed: true, tries: 1, at: 5 } } } });
+  assert.equal((await store.loadLessonProgress(profile.id)).packs.animals["0:CAT"].passed, true);
+  assert.equal(await store.loadLessonProgress(other.id), null);
+});
+
+test("calls made without awaiting land in call order with the data as it was at the call", async () => {
+  const { store, ds } = await freshStore();
+  const payload = bundledPayload();
+  await store.saveDataset(ds.id, payload);
+  await store.loadDataset(ds.id);
+
+  // a recording burst: several appends, one undo, then a full save, all fired at once
+  const pending = [];
+  for (let j = 0; j < 3; j++) {
+    const feats = payload.examples.C[0].map((v) => v + j / 100);
+    payload.examples.C.push(feats);
+    payload.landmarks.C.push(null);
+    payload.addHistory.push("C");
+    pending.push(store.appendExample(ds.id, "C", feats));
+  }
+  payload.examples.C.pop();
+  payload.landmarks.C.pop();
+  payload.addHistory.pop();
+  pending.push(store.removeExample(ds.id, "C", payload.examples.C.length, payload.addHistory.length));
+  pending.push(store.saveDataset(ds.id, payload));
+  payload.examples.D.push(payload.examples.D[0]);
+  payload.landmarks.D.push(null);
+  payload.addHistory.push("D");
+  pending.push(store.appendExample(ds.id, "D", payload.examples.D[0]));
+  await Promise.all(pending);
+
+  const loaded = await store.loadDataset(ds.id);
+  assert.deepEqual(loaded.examples, payload.examples);
+  assert.deepEqual(loaded.addHistory, payload.addHistory);
+  assert.equal((await store.getActiveDataset(ds.profileId)).count, ASLDataset.countExamples(payload.examples));
+});
@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLTranscribe = require("../core/transcribe");
+
+const FRAME_MS = 33;
+const HAND = { x: 100, y: 100, size: 40 };
+
+// Feeds `ms` worth of frames of one prediction (label null: no hand) → the transcript
+function feed(t, clock, label, ms, hand = HAND, stable = true) {
+  const frame = label ? { label, conf: 0.9, stable } : null;
+  for (let end = clock.now + ms; clock.now < end; clock.now += FRAME_MS) {
+    ASLTranscribe.pushFrame(t, frame, label ? hand : null, clock.now);
+  }
+  return t.text;
+}
+
+test("letters are written once held, and a long hold writes them only once", () => {
+  const t = ASLTranscribe.createTranscriber();
+  const clock = { now: 0 };
+  assert.equal(feed(t, clock, "H", 400), "");
+  assert.equal(feed(t, clock, "H", 3000), "H");
+  assert.equal(feed(t, clock, "E", 700), "HE");
+  // an unsettled moment between letters writes nothing
+  assert.equal(feed(t, clock, "K", 300, HAND, false), "HE");
+  assert.equal(feed(t, clock, "NONE", 700), "HE");
+});
+
+test("a double letter needs a gap or a bounce in between", () => {
+  const t = ASLTranscribe.createTranscriber();
+  const clock = { now: 0 };
+  for (const l of "HEL") feed(t, clock, l, 700);
+  // a gap shorter than gapMs is just a flicker
+  feed(t, clock, null, 100);
+  assert.equal(feed(t, clock, "L", 700), "HEL");
+  // the hand drops out briefly between the two Ls
+  feed(t, clock, null, 300);
+  assert.equal(feed(t, clock, "L", 700), "HELL");
+
+  // bounce: same shape, the hand moves half its size and settles
+  const u = ASLTranscribe.createTranscriber();
+  const c2 = { now: 0 };
+  feed(u, c2, "L", 700);
+  feed(u, c2, "L", 200, { ...HAND, x: 110 }); // small drift: still the same L
+  assert.equal(u.text, "L");
+  feed(u, c2, "L", 100, { ...HAND, x: 125 });
+  assert.equal(feed(u, c2, "L", 700, { ...HAND, x: 125 }), "LL");
+});
+
+test("a pause ends the word once; edits apply to the running text", () => {
+  const t = ASLTranscribe.createTranscriber();
+  const clock = { now: 0 };
+  feed(t, clock, "H", 700);
+  feed(t, clock, "I", 700);
+  assert.equal(feed(t, clock, null, 4000), "HI ");
+  assert.equal(feed(t, clock, "A", 700), "HI A");
+
+  ASLTranscribe.backspace(t);
+  ASLTranscribe.addSpace(t);
+  ASLTranscribe.addSpace(t);
+  assert.equal(t.text, "HI ");
+  ASLTranscribe.setText(t, "OK");
+  // A is still held: editing doesn't write it again
+  assert.equal(feed(t, clock, "A", 700), "OK");
+  assert.equal(ASLTranscribe.holdProgress(t, clock.now), null);
+  feed(t, clock, "B", 300);
+  assert.equal(ASLTranscribe.holdProgress(t, clock.now).label, "B");
+
+  const place = ASLTranscribe.handPlace([[0, 0, 0], ...Array(8).fill([1, 1, 0]), [30, 40, 0]]);
+  assert.deepEqual(place, { x: 0, y: 0, size: 50 });
+});
+
+test("time spent paused neither finishes a hold nor ends the word", () => {
+  const t = ASLTranscribe.createTranscriber();
+  const clock = { now: 0 };
+  feed(t, clock, "H", 700);
+  feed(t, clock, null, 1000);
+  ASLTranscribe.pause(t);
+  clock.now += 5000;
+  assert.equal(feed(t, clock, null, 300), "H");
+
+  feed(t, clock, "I", 400);
+  ASLTranscribe.pause(t);
+  clock.now += 5000;
+  assert.equal(feed(t, clock, "I", 100), "H");
+  assert.equal(feed(t, clock, "I", 600), "HI");
+});
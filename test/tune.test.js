@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLDataset = require("../core/dataset");
+const ASLTune = require("../core/tune");
+const { loadBundled } = require("./fixtures");
+
+// a few letters of the bundled set keeps the sweep quick
+function subset(labels) {
+  const bundled = ASLDataset.readExamples(loadBundled());
+  const out = ASLDataset.createEmptyExamples();
+  for (const l of labels) out[l] = bundled[l].slice(0, 20);
+  return out;
+}
+
+const SMALL_GRID = { k: [3, 7], minConf: [0.5, 0.62, 0.8], minMargin: [0, 0.12], smoothN: [6, 12], gameMinConf: [0.62, 0.68, 0.8] };
+
+test("readTuning falls back to the defaults field by field", () => {
+  assert.deepEqual(ASLTune.readTuning(undefined), ASLTune.DEFAULTS);
+  const t = ASLTune.readTuning({ tuning: { k: 5, minConf: 1.4, minMargin: 0.2, smoothN: 6, stableMin: 9, gameMinConf: "x" } });
+  assert.deepEqual(t, { ...ASLTune.DEFAULTS, k: 5, minMargin: 0.2, smoothN: 6, stableMin: 6 });
+});
+
+test("tuning needs at least two labels", () => {
+  assert.throws(() => ASLTune.createTuning(subset(["A"])), /two labels/);
+});
+
+test("the job runs in slices and picks values from the grid that beat the current ones", () => {
+  const examples = subset(["A", "B", "L", "Y", "S", "E"]);
+  const job = ASLTune.createTuning(examples, { grid: SMALL_GRID });
+  job.step(50);
+  assert.equal(job.done, false);
+  assert.ok(job.progress > 0 && job.progress < 1);
+  job.step();
+  assert.equal(job.done, true);
+
+  const { tuning, stream, frame } = job.result;
+  assert.deepEqual(Object.keys(tuning).sort(), Object.keys(ASLTune.DEFAULTS).sort());
+  assert.ok(SMALL_GRID.k.includes(tuning.k));
+  assert.ok(SMALL_GRID.smoothN.includes(tuning.smoothN));
+  assert.ok(tuning.stableMin >= tuning.smoothN / 2 && tuning.stableMin <= tuning.smoothN);
+  assert.ok(tuning.gameMinConf >= tuning.minConf);
+  assert.ok(frame.before.falseAcceptRate >= 0 && frame.after.rejectRate <= 1);
+
+  // the current settings are among the candidates, so the stream cost never gets worse
+  const cost = (r) => 2 * r.falseAcceptRate + r.rejectRate;
+  assert.ok(cost(stream.after) <= cost(stream.before) + 1e-12);
+});
+
+test("left-out letters are what push the gates up", () => {
+  const examples = subset(["A", "B", "L", "Y"]);
+  const strict = ASLTune.tune(examples, { grid: SMALL_GRID, faWeight: 50 });
+  const loose = ASLTune.tune(examples, { grid: SMALL_GRID, unknownWeight: 0 });
+  assert.ok(strict.tuning.minConf >= loose.tuning.minConf);
+  assert.equal(loose.tuning.minConf, Math.min(...SMALL_GRID.minConf));
+});
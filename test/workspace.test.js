@@ -0,0 +1,310 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ASLWorkspace = require("../core/workspace");
+const ASLDataset = require("../core/dataset");
+const ASLSchema = require("../core/schema");
+const ASLBinary = require("../core/binary");
+const ASLFeatures = require("../core/features");
+const ASLMlp = require("../core/mlp");
+const ASLTune = require("../core/tune");
+const { loadBundled } = require("./fixtures");
+
+const FEATURE = ASLFeatures.FEATURE_NAME;
+
+// the first n bundled examples of each label given, shaped like a sketch's live data
+function live(labels, n) {
+  const raw = loadBundled();
+  const examples = ASLDataset.createEmptyExamples();
+  const landmarks = ASLDataset.createEmptyExamples();
+  for (const l of labels) {
+    examples[l] = raw.examples[l].slice(0, n);
+    landmarks[l] = examples[l].map(() => null);
+  }
+  return { examples, landmarks, sequences: { J: [], Z: [] }, addHistory: labels.flatMap((l) => examples[l].map(() => l)) };
+}
+
+function liveState() {
+  const data = live(["A", "B"], 5);
+  const job = ASLMlp.createTrainer(data.examples, { epochs: 2, hidden: [4] });
+  job.step();
+  return {
+    ...data,
+    model: job.model,
+    feature: FEATURE,
+    trackHand: "RIGHT",
+    tuning: { ...ASLTune.readTuning(null), k: 7 },
+    backend: ASLWorkspace.BACKEND_MLP,
+    useBase: false,
+    useAugment: true,
+  };
+}
+
+test("a built payload reads back to the live state it came from", () => {
+  const state = liveState();
+  const payload = JSON.parse(JSON.stringify(ASLWorkspace.buildPayload(state)));
+  assert.equal(payload.version, ASLSchema.SCHEMA_VERSION);
+  assert.equal(payload.meta.k, 7);
+  assert.equal(payload.meta.base, null);
+
+  const read = ASLWorkspace.readPayload(payload);
+  assert.deepEqual(read.examples, state.examples);
+  assert.deepEqual(read.addHistory, state.addHistory);
+  assert.equal(read.feature, FEATURE);
+  assert.equal(read.rederived, null);
+  assert.deepEqual(read.tuning, state.tuning);
+  assert.equal(read.backend, ASLWorkspace.BACKEND_MLP);
+  assert.deepEqual(read.model.labels, state.model.labels);
+  assert.equal(read.useBase, false);
+  assert.equal(read.useAugment, true);
+});
+
+test("features of another extractor version are re-derived and the model trained on them dropped", () => {
+  const payload = JSON.parse(JSON.stringify(ASLWorkspace.buildPayload(liveState())));
+  payload.meta.featureVersion = 0;
+  payload.meta.feature = "no-such-extractor";
+
+  const read = ASLWorkspace.readPayload(payload);
+  assert.equal(read.feature, FEATURE);
+  assert.ok(read.rederived);
+  assert.equal(read.model, null);
+  assert.equal(read.backend, ASLWorkspace.BACKEND_KNN);
+});
+
+test("a left-hand dataset saved before mirroring loads mirrored, its model flipped to match", () => {
+  const state = liveState();
+  const payload = JSON.parse(JSON.stringify(ASLWorkspace.buildPayload(state)));
+  payload.meta.trackHand = "LEFT";
+  delete payload.meta.canonicalHand;
+
+  const read = ASLWorkspace.readPayload(payload);
+  assert.deepEqual(read.mirrored, { mirrored: 10, dropped: 0 });
+  assert.equal(read.rederived, null);
+  assert.deepEqual(read.examples.A[0], ASLFeatures.mirrorFeatures(state.examples.A[0]));
+  assert.equal(read.backend, ASLWorkspace.BACKEND_MLP);
+  const before = ASLMlp.predictProba(state.model, state.examples.B[1]);
+  const after = ASLMlp.predictProba(read.model, read.examples.B[1]);
+  before.forEach((p, i) => assert.ok(Math.abs(p - after[i]) < 1e-4));
+  assert.equal(ASLWorkspace.featureNote(read), " — 10 left-hand examples mirrored");
+});
+
+test("import files: JSON as p5 parsed it, or a compact file unpacked", async () => {
+  const payload = ASLSchema.readDataset(loadBundled()).payload;
+  assert.equal(await ASLWorkspace.readImportFile({ data: payload }), payload);
+
+  const bytes = await ASLBinary.packDataset(payload);
+  const file = { data: `data:application/octet-stream;base64,${Buffer.from(bytes).toString("base64")}` };
+  const back = await ASLWorkspace.readImportFile(file);
+  assert.equal(ASLDataset.countExamples(back.examples), ASLDataset.countExamples(payload.examples));
+});
+
+test("the import dialog opens in merge mode over examples, in replace mode over none", () => {
+  const read = ASLSchema.readDataset(loadBundled());
+  assert.equal(ASLWorkspace.createImportDraft(read, live([], 0), { feature: FEATURE }).mode, "replace");
+
+  const d = ASLWorkspace.createImportDraft(read, live(["A"], 5), { feature: FEATURE });
+  assert.equal(d.mode, "merge");
+  assert.equal(d.plan.totals.duplicates, 5); // our five A's are in the file too
+  assert.match(ASLWorkspace.importSummary(d), /^Imported ✅ merge: \+\d+ ex, 5 duplicates skipped, \d+ conflicts skipped, 0 overwritten$/);
+});
+
+test("import dialog keys change the mode, the conflict rule and per-label actions, replanning each time", () => {
+  const read = ASLSchema.readDataset(loadBundled());
+  const d = ASLWorkspace.createImportDraft(read, live(["A"], 5), { feature: FEATURE });
+
+  // ← / → only act in merge mode; A is ALL_LABELS[0]
+  assert.equal(ASLWorkspace.cycleImportAction(d, 1), true);
+  assert.equal(d.actions.A, "overwrite");
+  assert.equal(d.plan.totals.overwritten, 5);
+  ASLWorkspace.cycleImportAction(d, -1);
+  ASLWorkspace.cycleImportAction(d, -1);
+  assert.equal(d.actions.A, "keep");
+
+  const skipped = d.plan.totals;
+  assert.equal(ASLWorkspace.importKey(d, "C"), true);
+  assert.equal(d.conflicts, "keep");
+  assert.equal(d.plan.totals.added, skipped.added + skipped.conflicts);
+  assert.equal(ASLWorkspace.importKey(d, "Q"), false);
+
+  assert.equal(ASLWorkspace.importKey(d, "M"), true);
+  assert.equal(d.mode, "append");
+  assert.equal(ASLWorkspace.cycleImportAction(d, 1), false);
+  assert.equal(d.actions.A, "keep");
+  assert.equal(d.plan.totals.added, ASLDataset.countExamples(d.incoming.examples));
+  assert.equal(ASLWorkspace.importSummary(d), `Imported ✅ append: +${d.plan.totals.added} ex`);
+
+  ASLWorkspace.moveImportSel(d, -1);
+  assert.equal(d.sel, ASLDataset.ALL_LABELS.length - 1);
+  ASLWorkspace.moveImportSel(d, 1);
+  assert.equal(d.sel, 0);
+});
+
+test("status notes name upgrades, left-out problems and re-derived features", () => {
+  assert.equal(ASLWorkspace.schemaNote({ from: ASLSchema.SCHEMA_VERSION, issues: [] }), "");
+  assert.equal(ASLWorkspace.rederiveNote(null), "");
+  assert.equal(ASLWorkspace.rederiveNote({ recomputed: 12, kept: 3, dropped: 0 }), " — re-derived 12 features, 3 kept as-is");
+});
+
+// a sketch's side of the datasets screen over a memory store: open() switches like the sketches do
+async function datasetsFixture() {
+  const ASLStore = require("../core/store");
+  const store = await ASLStore.openStore(ASLStore.createMemoryBackend());
+  const screen = ASLWorkspace.createDatasetScreen();
+  const names = [];
+  const side = { profile: await store.getActiveProfile(), dataset: null, msg: "", closed: false, baseToggled: 0 };
+  side.dataset = await store.getActiveDataset(side.profile.id);
+
+  const ctx = () => ({
+    store,
+    profile: side.profile,
+    dataset: side.dataset,
+    async open(id) {
+      await store.setActiveDataset(side.profile.id, id);
+      side.dataset = await store.getActiveDataset(side.profile.id);
+      await ASLWorkspace.refreshDatasetScreen(screen, store, side.profile.id, id);
+    },
+    async openProfile(p) {
+      await store.setActiveProfile(p.id);
+      side.profile = p;
+      await this.open((await store.getActiveDataset(p.id)).id);
+    },
+    ask: () => names.shift() ?? null,
+    toggleBase: () => side.baseToggled++,
+    close: () => (side.closed = true),
+    status: (msg) => (side.msg = msg),
+  });
+  const key = async (k) => {
+    ASLWorkspace.datasetScreenKey(screen, k, ctx());
+    while (screen.busy) await new Promise((r) => setTimeout(r, 0));
+  };
+  await ASLWorkspace.refreshDatasetScreen(screen, store, side.profile.id, side.dataset.id);
+  return { store, screen, names, side, ctx, key };
+}
+
+test("datasets screen: new, rename, duplicate and a delete that asks twice", async () => {
+  const { screen, names, side, key } = await datasetsFixture();
+  assert.equal(screen.list.length, 1);
+
+  names.push("Team A");
+  await key("N");
+  assert.deepEqual(screen.list.map((d) => d.name), ["My dataset", "Team A"]);
+  assert.equal(side.dataset.name, "Team A");
+  assert.equal(screen.sel, 1);
+
+  names.push("Team B");
+  await key("R");
+  assert.equal(side.dataset.name, "Team B");
+  assert.equal(side.msg, 'Renamed to "Team B"');
+
+  await key("D");
+  assert.deepEqual(screen.list.map((d) => d.name), ["My dataset", "Team B", "Team B copy"]);
+  assert.equal(screen.sel, 2);
+
+  ASLWorkspace.moveDatasetSel(screen, -1);
+  await key("X");
+  assert.equal(screen.armed, true);
+  assert.equal(screen.list.length, 3);
+  await key("X");
+  assert.equal(screen.armed, false);
+  assert.deepEqual(screen.list.map((d) => d.name), ["My dataset", "Team B copy"]);
+  assert.notEqual(side.dataset.name, "Team B"); // the open one went, another was opened
+
+  // any other key disarms the delete
+  await key("X");
+  ASLWorkspace.moveDatasetSel(screen, 1);
+  assert.equal(screen.armed, false);
+});
+
+test("datasets screen: profiles, the base toggle, ENTER and close", async () => {
+  const { screen, names, side, ctx, key } = await datasetsFixture();
+  await key("P");
+  assert.equal(side.msg, "Only one profile — U adds another");
+
+  names.push("Sam");
+  await key("U");
+  assert.equal(side.profile.name, "Sam");
+  assert.equal(screen.profiles.length, 2);
+  await key("P");
+  assert.equal(side.profile.name, "Default");
+
+  names.push("Second");
+  await key("N");
+  ASLWorkspace.moveDatasetSel(screen, -5);
+  ASLWorkspace.openSelectedDataset(screen, ctx());
+  while (screen.busy) await new Promise((r) => setTimeout(r, 0));
+  assert.equal(side.dataset.name, "My dataset");
+
+  await key("B");
+  assert.equal(side.baseToggled, 1);
+  await key("5");
+  assert.equal(side.closed, true);
+});
+
+test("a failed storage action lands in the status line and frees the screen", async () => {
+  const { screen, side, ctx } = await datasetsFixture();
+  ASLWorkspace.runDatasetAction(screen, ctx(), async () => {
+    throw new Error("quota");
+  });
+  // a second action while one runs is ignored
+  let ran = false;
+  ASLWorkspace.runDatasetAction(screen, ctx(), async () => (ran = true));
+  while (screen.busy) await new Promise((r) => setTimeout(r, 0));
+  assert.equal(ran, false);
+  assert.equal(side.msg, "Storage error — quota");
+});
+
+// a hand signing the bundled dataset's i-th example of `label`, as tracked landmarks
+function handOf(label, i) {
+  const { handFromFeats } = require("./fixtures");
+  return ASLFeatures.getLandmarks21(handFromFeats(loadBundled().examples[label][i], { scale: 80, tx: 200, ty: 150 }));
+}
+
+test("calibration takes score against the dataset, can be taken back and finish over the previous letters", () => {
+  const ASLCalibrate = require("../core/calibrate");
+  const ASLKnn = require("../core/knn");
+  const index = ASLKnn.createIndex(live(["A", "B"], 20).examples);
+  const opts = { feature: FEATURE, index, tuning: ASLTune.readTuning(null), eps: 1e-6 };
+  const session = ASLCalibrate.createSession({ labels: ["A", "B"], takes: 2 });
+
+  assert.equal(ASLWorkspace.finishCalibrationSession(session, null, { feature: FEATURE }).calibration, null);
+  assert.equal(ASLWorkspace.undoCalibrationTake(session), "No takes yet");
+
+  assert.equal(ASLWorkspace.takeCalibration(session, handOf("A", 0), opts), "A ✓ (1/2)");
+  assert.equal(ASLWorkspace.takeCalibration(session, handOf("A", 1), opts), "A ✓ (2/2)");
+  assert.equal(ASLWorkspace.takeCalibration(session, handOf("A", 2), opts), "B ✓ (1/2)"); // an A where a B was asked
+  assert.equal(session.hits, 2);
+  assert.equal(ASLWorkspace.undoCalibrationTake(session), "Took back a B");
+  ASLWorkspace.takeCalibration(session, handOf("B", 0), opts);
+
+  const previous = { examples: { C: [loadBundled().examples.C[0]] }, landmarks: {}, meta: { feature: FEATURE } };
+  const done = ASLWorkspace.finishCalibrationSession(session, previous, { feature: FEATURE, trackHand: "RIGHT", name: "Sam" });
+  assert.deepEqual(ASLCalibrate.calibratedLabels(done.calibration), ["A", "B", "C"]);
+  assert.equal(done.calibration.meta.trackHand, "RIGHT");
+  assert.equal(done.message, 'Calibrated ✅ 3 letters for "Sam" — the dataset alone got 100% of your takes');
+
+  assert.equal(ASLWorkspace.calibrationIndex(done.calibration, FEATURE).count, 4);
+  assert.equal(ASLWorkspace.calibrationIndex(null, FEATURE).count, 0);
+});
+
+test("the tuning step runs a job within its frame budget and reports the result", () => {
+  let clock = 0;
+  let steps = 0;
+  const job = {
+    done: false,
+    step() {
+      clock += 4;
+      if (++steps === 5) this.done = true;
+    },
+  };
+  assert.equal(ASLWorkspace.stepTuning(job, 10, () => clock), false);
+  assert.equal(steps, 3);
+  assert.equal(ASLWorkspace.stepTuning(job, 10, () => clock), true);
+  assert.equal(steps, 5);
+
+  const tuning = { ...ASLTune.readTuning(null), k: 5, minConf: 0.6, minMargin: 0.1, stableMin: 3, smoothN: 5, gameMinConf: 0.75 };
+  const stream = { before: { falseAcceptRate: 0.125, rejectRate: 0.2 }, after: { falseAcceptRate: 0.05, rejectRate: 0.25 } };
+  assert.equal(
+    ASLWorkspace.tunedMessage({ tuning, stream }),
+    "Tuned ✅ k 5, conf 0.60, margin 0.10, smooth 3/5, game 0.75 — false accepts 12.5→5.0%, rejects 20.0→25.0%"
+  );
+});